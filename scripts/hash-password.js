@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+/**
+ * Hash a password for the AUTH_USERS environment variable
+ * Usage: node scripts/hash-password.js <username> <role> <password>
+ */
+
+const adminAuth = require('../src/utils/adminAuth');
+
+const [username, role, password] = process.argv.slice(2);
+
+if (!username || !password || !adminAuth.isValidRole(role)) {
+  console.error(`Usage: node scripts/hash-password.js <username> <${adminAuth.ROLES.join('|')}> <password>`);
+  process.exit(1);
+}
+
+console.log(`${username}:${role}:${adminAuth.hashPassword(password)}`);
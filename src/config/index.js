@@ -1,11 +1,130 @@
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Parse LOCK_MAPPING rules into lock serials per service, location and resource.
+ * Rules are separated by ';' and look like `service:<name>=SERIAL1,SERIAL2`,
+ * `location:<id>=SERIAL`, `resource:<name>=SERIAL` or `default=SERIAL`.
+ * @param {string} value - Raw LOCK_MAPPING value
+ * @returns {Object} { services, locations, resources, default }
+ */
+function parseLockMapping(value) {
+  const mapping = { services: {}, locations: {}, resources: {}, default: [] };
+  const groups = { service: 'services', location: 'locations', resource: 'resources' };
+
+  (value || '').split(';').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+    const separator = rule.lastIndexOf('=');
+    if (separator === -1) return;
+
+    const target = rule.substring(0, separator).trim();
+    const serials = rule.substring(separator + 1).split(',').map(serial => serial.trim()).filter(Boolean);
+
+    if (target === 'default') {
+      mapping.default = serials;
+      return;
+    }
+
+    const typeSeparator = target.indexOf(':');
+    const group = groups[target.substring(0, typeSeparator).trim()];
+    if (typeSeparator === -1 || !group) return;
+
+    mapping[group][target.substring(typeSeparator + 1).trim()] = serials;
+  });
+
+  return mapping;
+}
+
+/**
+ * Parse NOTIFICATION_SCHEDULE into the messages sent for each service.
+ * Entries are separated by ';' and look like `Ice bath=reminder:2,active`,
+ * `default=reminder:24,reminder:2,active` or `Chill Club=none`. `reminder:<hours>`
+ * sends a reminder that many hours before the session, `active` a "your code
+ * is active now" message when the access window opens.
+ * @param {string} value - Raw NOTIFICATION_SCHEDULE value
+ * @returns {Object} { default, services } schedules of { reminderHours, codeActive }
+ */
+function parseNotificationSchedule(value) {
+  const schedule = { default: { reminderHours: [24], codeActive: true }, services: {} };
+
+  (value || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.lastIndexOf('=');
+    if (separator === -1) return;
+
+    const target = entry.substring(0, separator).trim();
+    const messages = entry.substring(separator + 1).split(',').map(message => message.trim().toLowerCase());
+    const parsed = {
+      reminderHours: messages
+        .filter(message => message.startsWith('reminder:'))
+        .map(message => parseFloat(message.substring('reminder:'.length)))
+        .filter(hours => hours > 0),
+      codeActive: messages.includes('active')
+    };
+
+    if (target === 'default') {
+      schedule.default = parsed;
+    } else {
+      schedule.services[target] = parsed;
+    }
+  });
+
+  return schedule;
+}
+
+/**
+ * Parse LOCK_PROVIDERS into the backend used for each lock serial.
+ * Entries are separated by ';' and look like `SERIAL=http` or `SERIAL=eufy`.
+ * @param {string} value - Raw LOCK_PROVIDERS value
+ * @returns {Object} Provider name per serial
+ */
+function parseLockProviders(value) {
+  const providers = {};
+
+  (value || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [serial, provider] = entry.split('=').map(part => part.trim());
+    if (serial && provider) {
+      providers[serial] = provider.toLowerCase();
+    }
+  });
+
+  return providers;
+}
+
+/**
+ * Parse TRUST_PROXY into Express's `trust proxy` setting: `true`, a number of
+ * proxy hops, or addresses/subnets such as `loopback` or `10.0.0.0/8`.
+ * @param {string} value - Raw TRUST_PROXY value
+ * @returns {boolean|number|string} Setting; false (client IP as connected) when unset
+ */
+function parseTrustProxy(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed || trimmed === 'false') return false;
+  if (trimmed === 'true') return true;
+  return /^\d+$/.test(trimmed) ? parseInt(trimmed) : trimmed;
+}
 
 const config = {
   // Eufy Configuration
   eufy: {
     username: process.env.EUFY_USERNAME,
     password: process.env.EUFY_PASSWORD,
-    deviceSerial: process.env.EUFY_DEVICE_SERIAL,
+    deviceSerial: process.env.EUFY_DEVICE_SERIAL, // Primary Eufy lock
+    lowBatteryPercent: parseInt(process.env.LOCK_LOW_BATTERY_PERCENT) || 20,
+  },
+  
+  // Lock Routing - which door(s) an appointment opens
+  locks: {
+    mapping: parseLockMapping(process.env.LOCK_MAPPING),
+    primarySerial: process.env.PRIMARY_LOCK_SERIAL || process.env.EUFY_DEVICE_SERIAL, // Used when no mapping rule matches
+    defaultProvider: (process.env.LOCK_PROVIDER || 'eufy').toLowerCase(), // Backend for locks not listed in LOCK_PROVIDERS
+    providers: parseLockProviders(process.env.LOCK_PROVIDERS),
+    
+    // Local HTTP lock bridge (LOCK_PROVIDER=http)
+    http: {
+      baseUrl: process.env.HTTP_LOCK_BASE_URL,
+      token: process.env.HTTP_LOCK_TOKEN,
+      timeoutMs: parseInt(process.env.HTTP_LOCK_TIMEOUT_MS) || 10000,
+      eventPollSeconds: parseInt(process.env.HTTP_LOCK_EVENT_POLL_SECONDS) || 15,
+    },
   },
   
   // WordPress/Amelia Database Configuration
@@ -21,9 +140,30 @@ const config = {
     useAPI: process.env.AMELIA_USE_API === 'true',
     apiBaseUrl: process.env.AMELIA_API_BASE_URL,
     apiKey: process.env.AMELIA_API_KEY,
+    apiTimeoutMs: parseInt(process.env.AMELIA_API_TIMEOUT_MS) || 15000,
+    apiRetries: process.env.AMELIA_API_RETRIES !== undefined ? parseInt(process.env.AMELIA_API_RETRIES) : 3, // Extra attempts after a failed request
+    apiRetryDelayMs: process.env.AMELIA_API_RETRY_DELAY_MS !== undefined ? parseInt(process.env.AMELIA_API_RETRY_DELAY_MS) : 1000, // Doubles with every retry
+    apiMaxPages: parseInt(process.env.AMELIA_API_MAX_PAGES) || 20,
     webhookSecret: process.env.AMELIA_WEBHOOK_SECRET,
   },
   
+  // Booking Source - where appointments come from
+  bookings: {
+    // amelia-db, amelia-api, ics or csv
+    source: (process.env.BOOKING_SOURCE || (process.env.AMELIA_USE_API === 'true' ? 'amelia-api' : 'amelia-db')).toLowerCase(),
+    
+    // iCalendar feed (BOOKING_SOURCE=ics)
+    ics: {
+      url: process.env.ICS_URL, // http(s)/webcal URL or file path
+      refreshSeconds: parseInt(process.env.ICS_REFRESH_SECONDS) || 60,
+    },
+    
+    // CSV import (BOOKING_SOURCE=csv)
+    csv: {
+      file: process.env.CSV_FILE,
+    },
+  },
+  
   // Server Configuration
   server: {
     port: parseInt(process.env.PORT) || 3001,
@@ -41,10 +181,41 @@ const config = {
     default: 30
   },
   
+  // Group Appointment Configuration
+  groupBookings: {
+    // Services whose customers all share one session code instead of getting their own
+    sharedCodeServices: (process.env.SHARED_CODE_SERVICES || '')
+      .split(',')
+      .map(service => service.trim())
+      .filter(Boolean),
+  },
+  
   // Automation Configuration
   automation: {
     pollIntervalMinutes: parseInt(process.env.POLL_INTERVAL_MINUTES) || 2,
     bufferTimeMinutes: parseInt(process.env.BUFFER_TIME_MINUTES) || 5, // Extra time after session
+    codeGraceMinutes: parseInt(process.env.CODE_GRACE_MINUTES) || 15, // Code valid this long before session start
+    codeProvisionAttempts: parseInt(process.env.CODE_PROVISION_ATTEMPTS) || 2,
+    codeLeadHours: parseInt(process.env.CODE_PROVISION_LEAD_HOURS) || 48, // Codes of bookings further ahead are emailed at once and programmed onto the lock this long before their window
+    magicLinks: process.env.MAGIC_LINKS !== 'false', // Door code emails carry a link that unlocks the door from the customer's phone
+    lockVerifyAttempts: parseInt(process.env.LOCK_VERIFY_ATTEMPTS) || 3, // Lock commands sent before giving up
+    lockVerifyDelaySeconds: process.env.LOCK_VERIFY_DELAY_SECONDS !== undefined ? parseInt(process.env.LOCK_VERIFY_DELAY_SECONDS) : 5, // Wait before re-reading a lagging lock state
+    lockEscalationMinutes: parseInt(process.env.LOCK_ESCALATION_MINUTES) || 10, // Alert staff if still unlocked this long after the lock time
+  },
+  
+  // Customer Notifications
+  notifications: {
+    // Bookings are confirmed as soon as they are seen; the poll looks this far ahead
+    // for bookings whose webhook never arrived
+    lookaheadDays: parseInt(process.env.BOOKING_LOOKAHEAD_DAYS) || 30,
+    schedule: parseNotificationSchedule(process.env.NOTIFICATION_SCHEDULE),
+  },
+  
+  // Scheduled Jobs (fed by booking webhooks)
+  jobs: {
+    runIntervalSeconds: parseInt(process.env.JOB_RUN_INTERVAL_SECONDS) || 15, // How often due jobs are picked up
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    retryDelaySeconds: parseInt(process.env.JOB_RETRY_DELAY_SECONDS) || 60, // Grows with every attempt
   },
   
   // Email Configuration
@@ -55,14 +226,109 @@ const config = {
     password: process.env.EMAIL_PASSWORD,
     from: process.env.EMAIL_FROM,
     fromName: process.env.EMAIL_FROM_NAME || 'Euphorium Access System',
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5, // Sends tried before a message is dead-lettered
+    retryDelaySeconds: parseInt(process.env.EMAIL_RETRY_DELAY_SECONDS) || 60, // First retry delay, doubled every attempt
+    templatesDir: process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, '../../templates/email'),
+  },
+
+  // SMS and WhatsApp through an HTTP messaging provider
+  messaging: {
+    baseUrl: process.env.MESSAGING_BASE_URL, // Phone channels are off without it
+    token: process.env.MESSAGING_TOKEN,
+    timeoutMs: parseInt(process.env.MESSAGING_TIMEOUT_MS) || 10000,
+    customerChannel: (process.env.CUSTOMER_CHANNEL || 'email').toLowerCase(), // email | sms | whatsapp, for customers with a phone number
+    preferenceField: process.env.CHANNEL_CUSTOM_FIELD || 'Contact preference', // Amelia custom field overriding CUSTOMER_CHANNEL per customer
+    bounceFallbackChannel: (process.env.BOUNCE_FALLBACK_CHANNEL || 'sms').toLowerCase(), // Door codes go here when their email bounces; none to disable
+    defaultCountryCode: process.env.PHONE_COUNTRY_CODE || '971', // For numbers entered without one
+  },
+
+  // Venue details used in customer emails
+  venue: {
+    name: process.env.VENUE_NAME || 'Euphorium',
+    whatsapp: process.env.VENUE_WHATSAPP || '+971-559021829',
+    address: process.env.VENUE_ADDRESS || 'Euphorium, P2 Parking #25, Al Sufouh Suites, Dubai', // Location of calendar invites
+  },
+
+  // Calendar invites (.ics) attached to booking emails
+  calendar: {
+    enabled: process.env.CALENDAR_INVITES !== 'false',
+    // Minutes before the session the customer's calendar reminds them
+    alarmMinutes: (process.env.CALENDAR_ALARM_MINUTES || '60,15')
+      .split(',')
+      .map(minutes => parseInt(minutes))
+      .filter(minutes => minutes > 0),
+    uidDomain: process.env.CALENDAR_UID_DOMAIN || 'euphorium.access', // Invite UIDs are appointment-<id>@<domain>
+  },
+
+  // QR access passes in booking confirmations, scanned by staff at the door
+  accessPasses: {
+    secret: process.env.QR_PASS_SECRET, // Signs the passes; QR passes are off without it
+    size: parseInt(process.env.QR_PASS_SIZE) || 240, // Width of the emailed PNG in pixels
+  },
+
+  // Standing door codes for cleaners and therapists, managed under /admin/staff
+  staffAccess: {
+    rotationDays: process.env.STAFF_CODE_ROTATION_DAYS !== undefined ? parseInt(process.env.STAFF_CODE_ROTATION_DAYS) : 30, // New code after this many days (0 = never)
+    codeLength: parseInt(process.env.STAFF_CODE_LENGTH) || 6, // Longer than customer codes so the two never clash
+  },
+
+  // Chill Club memberships: one personal code per member, valid during opening hours
+  memberships: {
+    source: (process.env.MEMBERSHIP_SOURCE || '').toLowerCase(), // amelia or csv; memberships are off without one
+    csvFile: process.env.MEMBERSHIP_CSV_FILE,
+    // Amelia packages whose purchases are memberships
+    packages: (process.env.MEMBERSHIP_PACKAGES || 'Chill Club')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    // Services members book without getting a door code of their own for each visit
+    services: (process.env.MEMBERSHIP_SERVICES || 'Chill Club: 15-Min Daily Ice Bath Access')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    openingHours: process.env.OPENING_HOURS || 'Daily 06:00-22:00', // Same format as staff schedules
+    dailyQuota: process.env.MEMBERSHIP_DAILY_QUOTA !== undefined ? parseInt(process.env.MEMBERSHIP_DAILY_QUOTA) : 1, // Visits per day (0 = unlimited)
+    visitMinutes: parseInt(process.env.MEMBERSHIP_VISIT_MINUTES) || 30, // Unlocks this close together are one visit
+    refreshMinutes: parseInt(process.env.MEMBERSHIP_REFRESH_MINUTES) || 15,
+    codeLength: parseInt(process.env.MEMBERSHIP_CODE_LENGTH) || 6,
+  },
+
+  // Customer language
+  locale: {
+    default: process.env.DEFAULT_LOCALE || 'en', // Used when a customer has no (supported) language
+    customField: process.env.LOCALE_CUSTOM_FIELD || 'Language', // Amelia custom field holding the customer's language
   },
 
   // Web Server Configuration
   webServer: {
     port: parseInt(process.env.WEB_SERVER_PORT) || 3000,
     baseUrl: process.env.WEB_SERVER_BASE_URL || 'http://localhost:3000',
+    // Proxies whose X-Forwarded-For is believed; throttling and audit IPs come from it
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
   
+  // Admin API Authentication
+  auth: {
+    adminApiKey: process.env.ADMIN_API_KEY, // Bootstrap key with the admin role
+    // Comma-separated username:role:scrypt$salt$hash entries (see scripts/hash-password.js)
+    users: (process.env.AUTH_USERS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean),
+    sessionTtlMinutes: parseInt(process.env.AUTH_SESSION_TTL_MINUTES) || 480,
+    keyRotationGraceMinutes: parseInt(process.env.AUTH_KEY_ROTATION_GRACE_MINUTES) || 60, // Old key stays valid after rotation
+  },
+
+  // Door Code Brute-Force Protection (POST /access/code)
+  bruteForce: {
+    windowMinutes: parseInt(process.env.BRUTE_FORCE_WINDOW_MINUTES) || 15, // Failures are counted over this window
+    maxFailuresPerIp: parseInt(process.env.BRUTE_FORCE_MAX_FAILURES_PER_IP) || 5,
+    maxFailuresGlobal: parseInt(process.env.BRUTE_FORCE_MAX_FAILURES_GLOBAL) || 30,
+    lockoutMinutes: parseInt(process.env.BRUTE_FORCE_LOCKOUT_MINUTES) || 30,
+    backoffBaseSeconds: parseInt(process.env.BRUTE_FORCE_BACKOFF_BASE_SECONDS) || 2, // Doubles with every failure
+    backoffMaxSeconds: parseInt(process.env.BRUTE_FORCE_BACKOFF_MAX_SECONDS) || 60,
+  },
+
   // System Configuration
   system: {
     ameliaPollIntervalSeconds: parseInt(process.env.AMELIA_POLL_INTERVAL_SECONDS) || 30,
@@ -71,6 +337,12 @@ const config = {
     doorCode: process.env.DOOR_CODE || '2843', // Default door code from screenshot
   },
   
+  // Persistent State Configuration
+  storage: {
+    dataDir: process.env.DATA_DIR || './data',
+    compactThreshold: parseInt(process.env.STATE_COMPACT_THRESHOLD) || 5000, // Journal entries before compaction
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -88,6 +360,12 @@ function validateEufyConfig() {
 
 function validateAmeliaConfig() {
   if (config.system.nodeEnv === 'test') return;
+  if (config.bookings.source === 'amelia-api') {
+    if (!config.amelia.apiBaseUrl || !config.amelia.apiKey) {
+      throw new Error('Missing required Amelia API configuration: AMELIA_API_BASE_URL, AMELIA_API_KEY');
+    }
+    return;
+  }
   if (!config.amelia.host || !config.amelia.user || !config.amelia.password || !config.amelia.database) {
     throw new Error('Missing required Amelia configuration: host, user, password, database');
   }
@@ -108,10 +386,25 @@ function isTestMode() {
   
   // Check if critical credentials are missing
   const hasEufy = config.eufy.username && config.eufy.password && config.eufy.deviceSerial;
-  const hasAmelia = config.amelia.host && config.amelia.user && config.amelia.password && config.amelia.database;
   const hasEmail = config.email.host && config.email.user && config.email.password;
   
-  return !hasEufy || !hasAmelia || !hasEmail;
+  return !hasEufy || !hasBookingSourceConfig() || !hasEmail;
+}
+
+/**
+ * Whether the selected booking source has the credentials it needs
+ * (API-only Amelia hosting needs no database credentials)
+ * @returns {boolean}
+ */
+function hasBookingSourceConfig() {
+  switch (config.bookings.source) {
+    case 'amelia-db':
+      return Boolean(config.amelia.host && config.amelia.user && config.amelia.password && config.amelia.database);
+    case 'amelia-api':
+      return Boolean(config.amelia.apiBaseUrl && config.amelia.apiKey);
+    default:
+      return true;
+  }
 }
 
 // Function to get lock duration for a service
@@ -129,11 +422,12 @@ function validateConfig() {
   ];
   
   // Optional for testing - warn if missing
+  const bookingFields = {
+    'amelia-db': ['amelia.host', 'amelia.user', 'amelia.password', 'amelia.database'],
+    'amelia-api': ['amelia.apiBaseUrl', 'amelia.apiKey']
+  };
   const optional = [
-    'amelia.host',
-    'amelia.user',
-    'amelia.password',
-    'amelia.database',
+    ...(bookingFields[config.bookings.source] || []),
     'email.host',
     'email.user',
     'email.password',
@@ -178,12 +472,54 @@ function validateConfig() {
   }
 }
 
+/**
+ * All lock serials the system manages: the primary lock plus every mapped lock
+ * @returns {Array} Unique lock serials
+ */
+function getConfiguredLockSerials() {
+  const { mapping } = config.locks;
+  const serials = [
+    config.locks.primarySerial,
+    ...mapping.default,
+    ...Object.values(mapping.services).flat(),
+    ...Object.values(mapping.locations).flat(),
+    ...Object.values(mapping.resources).flat()
+  ];
+  return Array.from(new Set(serials.filter(Boolean)));
+}
+
+/**
+ * Messages scheduled for a service's appointments
+ * @param {string} serviceName - Booked service
+ * @returns {Object} { reminderHours, codeActive }
+ */
+function getNotificationSchedule(serviceName) {
+  const { schedule } = config.notifications;
+  return schedule.services[serviceName] || schedule.default;
+}
+
+/**
+ * Name of the backend that drives a lock
+ * @param {string} serial - Lock serial (null for the primary lock)
+ * @returns {string} Provider name
+ */
+function getLockProviderName(serial) {
+  return config.locks.providers[serial || config.locks.primarySerial] || config.locks.defaultProvider;
+}
+
 module.exports = { 
   config, 
+  parseLockMapping,
+  getConfiguredLockSerials,
+  getLockProviderName,
+  parseLockProviders,
+  parseNotificationSchedule,
+  getNotificationSchedule,
   validateConfig,
   validateEufyConfig,
   validateAmeliaConfig,
   validateEmailConfig,
   isTestMode,
+  hasBookingSourceConfig,
   getLockDurationForService
 }; 
\ No newline at end of file
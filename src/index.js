@@ -77,7 +77,7 @@ async function startApiServer() {
       }
       
       const status = automationEngine.getStatus();
-      const eufyStatus = await automationEngine.eufyService.getDoorStatus();
+      const eufyStatus = await automationEngine.locks.getDoorStatus();
       
       res.json({
         system: {
@@ -108,7 +108,7 @@ async function startApiServer() {
         return res.status(503).json({ error: 'Automation engine not initialized' });
       }
       
-      await automationEngine.eufyService.unlockDoor();
+      await automationEngine.locks.unlockDoor();
       logger.security('Manual door unlock via API', { 
         timestamp: new Date().toISOString(),
         source: 'api'
@@ -127,7 +127,7 @@ async function startApiServer() {
         return res.status(503).json({ error: 'Automation engine not initialized' });
       }
       
-      await automationEngine.eufyService.lockDoor();
+      await automationEngine.locks.lockDoor();
       logger.security('Manual door lock via API', { 
         timestamp: new Date().toISOString(),
         source: 'api'
@@ -148,7 +148,7 @@ async function startApiServer() {
       }
       
       const hoursAhead = parseInt(req.query.hoursAhead) || 24; // Default 24 hours
-      const appointments = await automationEngine.ameliaService.getUpcomingAppointments(hoursAhead);
+      const appointments = await automationEngine.bookingSource.getUpcomingAppointments(hoursAhead);
       
       res.json({
         appointments: appointments.map(appointment => ({
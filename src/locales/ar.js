@@ -0,0 +1,186 @@
+/**
+ * Arabic message catalog (right-to-left)
+ * Times use Western digits so they read like the door code and the keypad.
+ */
+module.exports = {
+  name: 'العربية',
+  aliases: ['arabic', 'عربي', 'عربى'],
+  dir: 'rtl',
+  momentLocale: 'ar',
+  digits: 'latn',
+  formats: {
+    date: 'dddd D MMMM YYYY',
+    time: 'h:mm A'
+  },
+  messages: {
+    common: {
+      greeting: 'مرحباً {customerName}،',
+      greetingGuest: 'مرحباً،',
+      questions: 'لديك سؤال؟ واتساب:',
+      service: 'الخدمة:',
+      date: 'التاريخ:',
+      start: 'البداية:',
+      end: 'النهاية:',
+      duration: 'المدة:',
+      minutes: '{duration} دقيقة',
+      yourSession: '⏰ جلستك',
+      doorCode: '🚪 رمز الباب',
+      doorCodeInline: 'رمز الباب: {doorCode}',
+      lateArrivals: 'التأخير يعني خسارة من وقت جلستك. لا يمكن التمديد إلا بحجز جديد.',
+      lockWithCode: 'استخدم الرمز نفسه للإغلاق (اسحب الباب نحوك).',
+      findDoor: 'ابحث عن الباب الأزرق اللامع بالقرب من موقف السيارات رقم 25 في الطابق P2 وأدخل الرمز لفتحه.',
+      selfService: 'خدمة ذاتية 100% | لا يوجد موظفون في المكان',
+      unlockButton: '🔓 افتح الباب من هاتفك',
+      unlockLinkInline: 'أو افتح الباب من هاتفك: {unlockLink}',
+      unlockLinkNote: 'يفتح الرابط الباب خلال فترة دخولك فقط. يرجى عدم مشاركته.',
+      passHeading: '📷 تصريح الدخول برمز QR',
+      passText: 'اعرض هذا الرمز عند الباب للدخول. يمكن مسحه مرة واحدة فقط خلال فترة دخولك.',
+      passLink: 'افتح التصريح على هاتفك',
+      passLinkInline: 'تصريح الدخول برمز QR: {accessPass.url}'
+    },
+    confirmation: {
+      subject: 'أهلاً بك في {venue.name}! ❄️ - {service}',
+      heading: 'أهلاً بك في {venue.name}! ❄️',
+      beforeVisit: '📱 قبل زيارتك',
+      sayHi: 'أرسل "مرحباً" على واتساب:',
+      sayHiReason: '← لنتمكن من مساعدتك عند الحاجة (لا يوجد موظفون في المكان).',
+      guide: 'دليل القراءة الإلزامي (دقيقتان):',
+      guideDetails: '(سياسة التأخير، استخدام المرافق، درجات حرارة الأحواض، وتعليمات حمام الثلج والساونا)',
+      unlockAt: 'استخدمه لفتح الباب في تمام {startTime}.',
+      staysLocked: 'يبقى الباب مقفلاً حتى ذلك الوقت ويظل مغلقاً خلال جلستك.',
+      policies: '📋 سياسات مهمة',
+      lateTitle: 'التأخير:',
+      lateText: 'لا يمكن تمديد الجلسة بسبب التأخير إلا بحجز جلسة إضافية، وذلك حسب التوفر.',
+      sessionTimes: '⏱️ مدة الجلسات',
+      iceBath: 'حمام الثلج: 15',
+      sauna: 'الساونا: 30',
+      combined: 'الجلسة المشتركة: 45',
+      footer: 'تأكيد حجز آلي أُنشئ في {generatedAt}'
+    },
+    change: {
+      subjectCancelled: 'تم إلغاء حجزك في {venue.name} - {service}',
+      subjectChanged: 'تم تغيير حجزك في {venue.name} ❄️ - {service}',
+      titleCancelled: 'تم إلغاء الحجز',
+      titleChanged: 'تم تغيير الحجز',
+      headingCancelled: 'تم إلغاء حجزك',
+      headingChanged: 'تم تغيير حجزك ❄️',
+      previous: '{service} - {previousDate}، {previousStartTime} - {previousEndTime}',
+      cancelledLabel: 'ملغى:',
+      previousLabel: 'سابقاً:',
+      cancelledText: 'تم إلغاء هذه الجلسة ولم يعد رمز الباب الخاص بها يعمل.',
+      newSession: '⏰ جلستك الجديدة',
+      newDoorCode: '🚪 رمز الباب الجديد',
+      newDoorCodeInline: '🚪 رمز الباب الجديد: {doorCode}',
+      oldCodeInvalid: 'رمز الباب السابق لم يعد يعمل.',
+      unlockAt: 'استخدم هذا الرمز لفتح الباب في تمام {startTime}.',
+      footer: 'تحديث حجز آلي أُنشئ في {generatedAt}'
+    },
+    reminder: {
+      subject: 'نراك قريباً في {venue.name} ❄️ - {service}',
+      title: 'تذكير بالحجز',
+      heading: 'نراك قريباً في {venue.name} ❄️',
+      intro: 'هذا تذكير بجلستك القادمة.',
+      codeStarts: 'يبدأ الرمز بالعمل في تمام {validFrom}.',
+      footer: 'تذكير حجز آلي أُنشئ في {generatedAt}'
+    },
+    codeActive: {
+      subject: 'رمز باب {venue.name} يعمل الآن 🚪 - {service}',
+      title: 'رمز الباب يعمل الآن',
+      heading: 'رمز الباب الخاص بك يعمل الآن 🚪',
+      worksUntil: 'رمز الباب الخاص بك يعمل من الآن حتى {validUntil}.',
+      footer: 'إشعار دخول آلي أُنشئ في {generatedAt}'
+    },
+    membership: {
+      subject: 'رمز باب عضويتك في {venue.name} 🚪 - {planName}',
+      title: 'رمز باب العضوية',
+      heading: 'أهلاً بك في {planName} ❄️',
+      intro: 'هذا رمز الباب الشخصي الخاص بك طوال مدة عضويتك. يرجى عدم مشاركته.',
+      openingHours: 'يفتح الباب خلال ساعات العمل: {openingHours}.',
+      quota: 'تشمل عضويتك {dailyQuota} زيارة يومياً. بعد استخدامها يعمل الرمز مجدداً في اليوم التالي.',
+      yourMembership: '🗓️ عضويتك',
+      plan: 'الباقة:',
+      from: 'من:',
+      until: 'حتى:',
+      untilCancelled: 'حتى الإلغاء',
+      footer: 'إشعار عضوية آلي أُنشئ في {generatedAt}'
+    },
+    sms: {
+      confirmation: '{venue.name}: {service} يوم {appointmentDate}، {startTime}-{endTime}. رمز الباب {doorCode}، يفتح من {startTime}. الباب الأزرق بجانب الموقف رقم 25 في P2. للمساعدة واتساب {venue.whatsapp}',
+      cancelled: '{venue.name}: تم إلغاء جلسة {service} يوم {previousDate} في {previousStartTime} ولم يعد رمز الباب يعمل.',
+      rescheduled: '{venue.name}: تم نقل جلسة {service} إلى {appointmentDate}، {startTime}-{endTime}. رمز الباب الجديد {doorCode}؛ الرمز السابق لم يعد يعمل.',
+      reminder: 'تذكير من {venue.name}: {service} يوم {appointmentDate} في {startTime}. رمز الباب {doorCode}، يعمل من {validFrom}.',
+      codeActive: '{venue.name}: رمز الباب {doorCode} يعمل الآن حتى {validUntil}.',
+      membership: '{venue.name}: رمز الباب لعضوية {planName} هو {doorCode}. يعمل خلال ساعات العمل ({openingHours}) طوال مدة عضويتك. الباب الأزرق بجانب الموقف رقم 25 في P2.'
+    },
+    calendar: {
+      summary: '{service} في {venue.name}',
+      summaryCancelled: 'ملغى: {service} في {venue.name}',
+      doorCode: 'رمز الباب: {doorCode} - يفتح الباب ابتداءً من {startTime}.',
+      help: 'لديك سؤال؟ واتساب {venue.whatsapp}',
+      alarm: 'جلسة {service} في {venue.name} تبدأ قريباً'
+    },
+    directions: {
+      title: '🚗 الوصول إلينا ومعلومات الدخول',
+      driving: 'إذا كنت قادماً بالسيارة:',
+      parkAt: 'يمكنك الوقوف في:',
+      visitorParking: 'مواقف الزوار (بجانب مبنى الصفوح سويتس) – يمكن لرجال الأمن إرشادك',
+      basementParking: 'الموقف رقم 25 في الطابق السفلي P2 (اتصل بالأمن لفتح البوابة: ليلاً: +971 55 764 9059 | نهاراً: +971 56 648 4972)',
+      streetParking: 'مواقف الشارع القريبة',
+      mapsPin1: 'موقع خرائط جوجل 1',
+      mapsPin2: 'موقع خرائط جوجل 2',
+      notDriving: 'إذا لم تكن قادماً بالسيارة:',
+      mainEntrance: 'ادخل من المدخل الرئيسي للمبنى واستخدم المصعد إلى الطابق P2.',
+      samePath: 'اتبع المسار نفسه: اخرج من الباب المزدوج ← انعطف يميناً ← ابحث عن الباب الأزرق اللامع بالقرب من الموقف رقم 25.',
+      needDirections: '🗺️ تحتاج إلى إرشادات؟',
+      videos: 'شاهد فيديوهات الطريق بالسيارة:',
+      gate1: 'البوابة 1',
+      gate2: 'البوابة 2',
+      bathrooms: '🚻 دورات المياه:',
+      bathroomsText: 'اضغط على "A" في المصعد'
+    },
+    codePage: {
+      title: 'أدخل رمز الباب - {venue.name}',
+      heading: 'رمز الباب',
+      subtitle: 'أدخل رمز الباب المكون من 4 أرقام الموجود في رسالة تأكيد الحجز',
+      unlock: 'افتح الباب',
+      unlocking: 'جارٍ الفتح...',
+      needHelp: 'تحتاج إلى مساعدة؟ واتساب:',
+      enterValidCode: 'يرجى إدخال رمز صحيح مكون من 4 أرقام',
+      welcome: 'أهلاً بك في {service}! سيُقفل الباب تلقائياً بعد انتهاء جلستك.',
+      networkError: 'خطأ في الاتصال. يرجى المحاولة مرة أخرى.'
+    },
+    unlockPage: {
+      title: 'فتح الباب - {venue.name}',
+      heading: 'افتح الباب',
+      session: '{service} - {appointmentDate}، {startTime} - {endTime}',
+      button: 'افتح الباب',
+      worksUntil: 'يعمل هذا الرابط حتى {validUntil}.',
+      grantedTitle: 'تم السماح بالدخول - {venue.name}',
+      grantedHeading: 'تم فتح الباب',
+      welcome: 'أهلاً بك في {service}!',
+      sessionEnds: 'تنتهي جلستك في {endTime}.',
+      locksIn: 'سيُقفل الباب تلقائياً بعد {minutesRemaining} دقيقة، في {lockTime}.',
+      closeDoor: 'يرجى التأكد من إغلاق الباب جيداً عند المغادرة.',
+      useAgain: 'يمكنك استخدام هذا الرابط مرة أخرى حتى {validUntil}.',
+      deniedTitle: 'الدخول مرفوض',
+      missingToken: 'هذا الرابط غير مكتمل. يرجى فتح الرابط من رسالة تأكيد الحجز.',
+      notFound: 'هذا الرابط غير صالح. يرجى استخدام الرابط من أحدث رسالة حجز.',
+      revoked: 'لم يعد هذا الرابط يعمل لأن حجزك تم تغييره أو إلغاؤه.',
+      tooEarly: 'الوقت مبكر - سيُفتح الباب لك ابتداءً من {validFrom}.',
+      expired: 'انتهت صلاحية هذا الرابط. انتهت فترة دخولك في {validUntil}.',
+      unlockFailedTitle: 'لم يتم فتح الباب',
+      unlockFailed: 'تعذر فتح الباب. يرجى استخدام رمز الباب أو التواصل معنا عبر واتساب {venue.whatsapp}.',
+      errorTitle: 'خطأ في النظام',
+      needHelp: 'تحتاج إلى مساعدة؟',
+      needHelpText: 'إذا كنت تعتقد أن هذا خطأ، يرجى التواصل مع الدعم مع تفاصيل حجزك.'
+    },
+    access: {
+      invalidCodeFormat: 'يرجى إدخال رمز باب صحيح مكون من 4 أرقام',
+      invalidCode: 'رمز الباب غير صحيح أو لا يوجد حجز نشط',
+      granted: 'تم السماح بالدخول! تم فتح الباب.',
+      tooManyAttempts: 'محاولات كثيرة. يرجى الانتظار {retryAfterSeconds} ثانية والمحاولة مرة أخرى.',
+      lockedOut: 'محاولات فاشلة كثيرة. يرجى التواصل معنا عبر واتساب {venue.whatsapp} للدخول.',
+      unexpectedError: 'حدث خطأ غير متوقع. يرجى التواصل مع الدعم.'
+    }
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * English message catalog
+ * Strings are plain text; {name} is replaced with the email's data
+ * (e.g. {startTime}, {venue.name}). Markup belongs in the templates.
+ */
+module.exports = {
+  name: 'English',
+  aliases: ['english'],
+  dir: 'ltr',
+  momentLocale: 'en',
+  formats: {
+    date: 'MMMM Do, YYYY',
+    time: 'h:mm A'
+  },
+  messages: {
+    common: {
+      greeting: 'Hi {customerName},',
+      greetingGuest: 'Hi there,',
+      questions: 'Questions? WhatsApp:',
+      service: 'Service:',
+      date: 'Date:',
+      start: 'Start:',
+      end: 'End:',
+      duration: 'Duration:',
+      minutes: '{duration} min',
+      yourSession: '⏰ Your Session',
+      doorCode: '🚪 Door Code',
+      doorCodeInline: 'Door Code: {doorCode}',
+      lateArrivals: 'Late arrivals = lost time. No extensions unless you rebook.',
+      lockWithCode: 'Use the same code to lock (pull the door toward you).',
+      findDoor: 'Find the BRIGHT BLUE DOOR near parking spot #25 on P2 and enter the code to unlock.',
+      selfService: '100% Self-Service | No Staff On-Site',
+      unlockButton: '🔓 Unlock the door from your phone',
+      unlockLinkInline: 'Or unlock the door from your phone: {unlockLink}',
+      unlockLinkNote: 'The link only opens the door during your access window. Please do not share it.',
+      passHeading: '📷 Your QR Access Pass',
+      passText: 'Show this code at the door to be let in. It can be scanned once, during your access window.',
+      passLink: 'Open the pass on your phone',
+      passLinkInline: 'Your QR access pass: {accessPass.url}'
+    },
+    confirmation: {
+      subject: 'Welcome to {venue.name}! ❄️ - {service}',
+      heading: 'Welcome to {venue.name}! ❄️',
+      beforeVisit: '📱 Before Your Visit',
+      sayHi: 'Send a "Hi" on WhatsApp:',
+      sayHiReason: '→ so we can assist you if needed (No staff on-site).',
+      guide: 'Must-Read 2 min Guide:',
+      guideDetails: '(Late policies, facility use, tub temps, and ice bath/sauna instructions)',
+      unlockAt: 'Use it to unlock the door at {startTime}.',
+      staysLocked: 'The door stays locked until then and remains closed during your session.',
+      policies: '📋 Important Policies',
+      lateTitle: 'Late Arrivals:',
+      lateText: 'Late arrivals cannot be extended unless an additional session is booked, subject to availability.',
+      sessionTimes: '⏱️ Session Times',
+      iceBath: 'Ice Bath: 15',
+      sauna: 'Sauna: 30',
+      combined: 'Combined: 45',
+      footer: 'Automated booking confirmation generated at {generatedAt}'
+    },
+    change: {
+      subjectCancelled: 'Your {venue.name} booking was cancelled - {service}',
+      subjectChanged: 'Your {venue.name} booking has changed ❄️ - {service}',
+      titleCancelled: 'Booking Cancelled',
+      titleChanged: 'Booking Changed',
+      headingCancelled: 'Your booking was cancelled',
+      headingChanged: 'Your booking has changed ❄️',
+      previous: '{service} - {previousDate}, {previousStartTime} - {previousEndTime}',
+      cancelledLabel: 'Cancelled:',
+      previousLabel: 'Previously:',
+      cancelledText: 'This session has been cancelled and its door code no longer works.',
+      newSession: '⏰ Your New Session',
+      newDoorCode: '🚪 New Door Code',
+      newDoorCodeInline: '🚪 New Door Code: {doorCode}',
+      oldCodeInvalid: 'Your previous door code no longer works.',
+      unlockAt: 'Use this code to unlock the door at {startTime}.',
+      footer: 'Automated booking update generated at {generatedAt}'
+    },
+    reminder: {
+      subject: 'See you soon at {venue.name} ❄️ - {service}',
+      title: 'Booking Reminder',
+      heading: 'See you soon at {venue.name} ❄️',
+      intro: 'This is a reminder of your upcoming session.',
+      codeStarts: 'The code starts working at {validFrom}.',
+      footer: 'Automated booking reminder generated at {generatedAt}'
+    },
+    codeActive: {
+      subject: 'Your {venue.name} door code is active now 🚪 - {service}',
+      title: 'Your Door Code Is Active',
+      heading: 'Your door code is active now 🚪',
+      worksUntil: 'Your door code works from now until {validUntil}.',
+      footer: 'Automated access notice generated at {generatedAt}'
+    },
+    membership: {
+      subject: 'Your {venue.name} membership door code 🚪 - {planName}',
+      title: 'Your Membership Door Code',
+      heading: 'Welcome to {planName} ❄️',
+      intro: 'This is your personal door code for the whole of your membership. Please do not share it.',
+      openingHours: 'It opens the door during opening hours: {openingHours}.',
+      quota: 'Your membership includes {dailyQuota} visit(s) a day. Once they are used, the code works again the next day.',
+      yourMembership: '🗓️ Your Membership',
+      plan: 'Plan:',
+      from: 'From:',
+      until: 'Until:',
+      untilCancelled: 'Until cancelled',
+      footer: 'Automated membership notice generated at {generatedAt}'
+    },
+    sms: {
+      confirmation: '{venue.name}: {service} on {appointmentDate}, {startTime}-{endTime}. Door code {doorCode}, unlocks from {startTime}. Blue door by parking #25 on P2. Help: WhatsApp {venue.whatsapp}',
+      cancelled: '{venue.name}: your {service} on {previousDate} at {previousStartTime} was cancelled and its door code no longer works.',
+      rescheduled: '{venue.name}: your {service} moved to {appointmentDate}, {startTime}-{endTime}. New door code {doorCode}; the old one no longer works.',
+      reminder: '{venue.name} reminder: {service} on {appointmentDate} at {startTime}. Door code {doorCode}, works from {validFrom}.',
+      codeActive: '{venue.name}: your door code {doorCode} works now until {validUntil}.',
+      membership: '{venue.name}: your {planName} door code is {doorCode}. It works during opening hours ({openingHours}) for the whole of your membership. Blue door by parking #25 on P2.'
+    },
+    calendar: {
+      summary: '{service} at {venue.name}',
+      summaryCancelled: 'Cancelled: {service} at {venue.name}',
+      doorCode: 'Door code: {doorCode} - it unlocks the door from {startTime}.',
+      help: 'Questions? WhatsApp {venue.whatsapp}',
+      alarm: 'Your {service} session at {venue.name} starts soon'
+    },
+    directions: {
+      title: '🚗 Getting Here & Access Information',
+      driving: "If You're Driving:",
+      parkAt: 'Park at:',
+      visitorParking: 'Visitor Parking (by the Al Sufouh Suites building) – Security can guide you',
+      basementParking: 'P2 Basement Parking #25 (call security for gate access: Night: +971 55 764 9059 | Day: +971 56 648 4972)',
+      streetParking: 'Nearby Street Parking',
+      mapsPin1: 'Google Maps Pin 1',
+      mapsPin2: 'Google Maps Pin 2',
+      notDriving: "If You're Not Driving:",
+      mainEntrance: 'Enter through the main building entrance and take the lift to P2.',
+      samePath: 'Follow the same path: Exit the double doors → Turn Right → Find the BRIGHT BLUE DOOR near parking spot #25.',
+      needDirections: '🗺️ Need Directions?',
+      videos: 'Watch our drive-through videos:',
+      gate1: 'Gate 1',
+      gate2: 'Gate 2',
+      bathrooms: '🚻 Bathrooms:',
+      bathroomsText: "Press 'A' in the elevator"
+    },
+    codePage: {
+      title: 'Enter Door Code - {venue.name}',
+      heading: 'Door Code',
+      subtitle: 'Enter your 4-digit door code from your booking email',
+      unlock: 'Unlock Door',
+      unlocking: 'Unlocking...',
+      needHelp: 'Need help? WhatsApp:',
+      enterValidCode: 'Please enter a valid 4-digit code',
+      welcome: 'Welcome to {service}! Door will lock automatically after your session.',
+      networkError: 'Network error. Please try again.'
+    },
+    unlockPage: {
+      title: 'Unlock Door - {venue.name}',
+      heading: 'Unlock the door',
+      session: '{service} - {appointmentDate}, {startTime} - {endTime}',
+      button: 'Unlock Door',
+      worksUntil: 'This link works until {validUntil}.',
+      grantedTitle: 'Access Granted - {venue.name}',
+      grantedHeading: 'Door unlocked',
+      welcome: 'Welcome to {service}!',
+      sessionEnds: 'Your session ends at {endTime}.',
+      locksIn: 'The door locks automatically in {minutesRemaining} min, at {lockTime}.',
+      closeDoor: 'Please make sure the door is properly closed when you leave.',
+      useAgain: 'You can use this link again until {validUntil}.',
+      deniedTitle: 'Access Denied',
+      missingToken: 'This link is incomplete. Please open the link from your booking email.',
+      notFound: 'This link is not valid. Please use the link from your latest booking email.',
+      revoked: 'This link no longer works because your booking was changed or cancelled.',
+      tooEarly: 'Too early - the door opens for you from {validFrom}.',
+      expired: 'This link has expired. Your access ended at {validUntil}.',
+      unlockFailedTitle: 'Door Not Unlocked',
+      unlockFailed: 'The door could not be unlocked. Please use your door code or contact us via WhatsApp {venue.whatsapp}.',
+      errorTitle: 'System Error',
+      needHelp: 'Need Help?',
+      needHelpText: 'If you believe this is an error, please contact support with your booking details.'
+    },
+    access: {
+      invalidCodeFormat: 'Please enter a valid 4-digit door code',
+      invalidCode: 'Invalid door code or no active appointment found',
+      granted: 'Access granted! Door has been unlocked.',
+      tooManyAttempts: 'Too many attempts. Please wait {retryAfterSeconds} seconds and try again.',
+      lockedOut: 'Too many failed attempts. Please contact us via WhatsApp {venue.whatsapp} for access.',
+      unexpectedError: 'An unexpected error occurred. Please contact support.'
+    }
+  }
+};
@@ -0,0 +1,275 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const AmeliaService = require('./ameliaService');
+
+// Responses worth retrying: rate limiting and server-side failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Amelia API Service
+ * Booking source reading and writing appointments through the Amelia Elite
+ * REST API, so the database credentials are not needed. When they are
+ * configured the database is only used to load resource assignments for
+ * lock routing and package purchases for memberships, which the API does
+ * not expose.
+ */
+class AmeliaApiService extends AmeliaService {
+  constructor() {
+    super();
+    this.name = 'Amelia REST API';
+    this.apiConfig = {
+      baseUrl: (config.amelia.apiBaseUrl || '').replace(/\/+$/, ''),
+      apiKey: config.amelia.apiKey
+    };
+  }
+
+  hasDatabase() {
+    return Boolean(config.amelia.user && config.amelia.password && config.amelia.database);
+  }
+
+  async connect() {
+    if (this.hasDatabase()) {
+      await super.connect();
+    }
+
+    try {
+      // A cheap call that fails fast on a wrong URL or API key
+      await this.request('GET', '/api/v1/services');
+      this.isConnected = true;
+      logger.info('Connected to Amelia REST API successfully', { baseUrl: this.apiConfig.baseUrl, database: Boolean(this.connection) });
+      return true;
+    } catch (error) {
+      logger.error('Failed to connect to Amelia REST API', { error: error.message });
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  async ensureConnection() {
+    return this.isConnected || this.connect();
+  }
+
+  /**
+   * Call an Amelia API route, retrying timeouts, rate limits and server errors
+   * @param {string} method - HTTP method
+   * @param {string} route - API route, e.g. /api/v1/appointments
+   * @param {Object} options - { query, body }
+   * @returns {Object|null} Parsed response, null when the record does not exist
+   */
+  async request(method, route, { query = {}, body = null } = {}) {
+    if (!this.apiConfig.baseUrl || !this.apiConfig.apiKey) {
+      throw new Error('Amelia API not configured: AMELIA_API_BASE_URL and AMELIA_API_KEY are required');
+    }
+
+    // Amelia reads the route and its parameters from the `call` argument of admin-ajax
+    const params = Object.entries(query).map(([key, value]) => `&${key}=${encodeURIComponent(value)}`).join('');
+    const url = `${this.apiConfig.baseUrl}/wp-admin/admin-ajax.php?action=wpamelia_api&call=${route}${params}`;
+    const attempts = config.amelia.apiRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      let retryAfterMs = null;
+
+      try {
+        const response = await this.send(method, url, body);
+
+        // Deleted appointments come back as 404 - the caller treats them as cancelled
+        if (response.status === 404) {
+          return null;
+        }
+
+        if (response.status === 401 || response.status === 403) {
+          const error = new Error(`Amelia API rejected the API key (${response.status}) - check AMELIA_API_KEY`);
+          error.retryable = false;
+          throw error;
+        }
+
+        if (!response.ok) {
+          const error = new Error(`Amelia API error: ${response.status}`);
+          error.retryable = RETRYABLE_STATUSES.includes(response.status);
+          retryAfterMs = parseInt(response.headers?.get?.('retry-after')) * 1000 || null;
+          throw error;
+        }
+
+        return await response.json();
+      } catch (error) {
+        if (error.retryable === false || attempt >= attempts) {
+          throw error;
+        }
+
+        const delayMs = retryAfterMs || config.amelia.apiRetryDelayMs * Math.pow(2, attempt - 1);
+        logger.warn('Amelia API request failed, retrying', { method, route, attempt, delayMs, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Single HTTP request with a timeout
+   */
+  async send(method, url, body) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.amelia.apiTimeoutMs);
+
+    try {
+      return await fetch(url, {
+        method,
+        headers: {
+          'Amelia': this.apiConfig.apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Amelia API did not respond within ${config.amelia.apiTimeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Appointments of a list response. Amelia groups them by date
+   * ({ '2024-06-01': { appointments: [...] } }) or returns a plain array.
+   */
+  extractAppointments(data) {
+    const appointments = data?.data?.appointments || [];
+    if (Array.isArray(appointments)) {
+      return appointments;
+    }
+    return Object.values(appointments).flatMap(day => day.appointments || []);
+  }
+
+  async getAppointmentsBetween(from, to) {
+    try {
+      const start = moment(from);
+      const end = moment(to);
+
+      // Amelia filters by whole days in the venue's timezone; the exact range is applied below
+      const dates = [start, end].map(date => date.clone().tz(config.system.timezone).format('YYYY-MM-DD')).join(',');
+      const raw = new Map();
+
+      for (let page = 1; ; page++) {
+        const data = await this.request('GET', '/api/v1/appointments', { query: { dates, page } });
+        const pageAppointments = this.extractAppointments(data);
+        const before = raw.size;
+        pageAppointments.forEach(appointment => raw.set(appointment.id, appointment));
+
+        // Servers that ignore `page` send the same appointments again
+        const total = data?.data?.count ?? data?.data?.total;
+        if (raw.size === before || (typeof total === 'number' && raw.size >= total)) {
+          break;
+        }
+
+        if (page >= config.amelia.apiMaxPages) {
+          logger.warn('Stopped paging Amelia appointments at the page limit', { pages: page, dates });
+          break;
+        }
+      }
+
+      const appointments = Array.from(raw.values())
+        .filter(appointment => this.isActiveStatus(appointment.status))
+        .filter(appointment => moment(appointment.bookingStart).isBetween(start, end, null, '[]'))
+        .map(appointment => this.formatAPIAppointment(appointment))
+        .sort((a, b) => a.startTime.diff(b.startTime));
+
+      if (appointments.length > 0) {
+        logger.info(`Found ${appointments.length} appointments via API`, { from: start.toISOString(), to: end.toISOString() });
+      }
+
+      return appointments;
+
+    } catch (error) {
+      logger.error('Error fetching appointments via API:', error);
+      throw error;
+    }
+  }
+
+  async getAppointmentsByIds(appointmentIds) {
+    const appointments = [];
+
+    for (const appointmentId of appointmentIds) {
+      const data = await this.request('GET', `/api/v1/appointments/${appointmentId}`);
+      if (data?.data?.appointment) {
+        appointments.push(this.formatAPIAppointment(data.data.appointment));
+      }
+    }
+
+    return appointments;
+  }
+
+  async updateAppointmentStatus(appointmentId, status) {
+    try {
+      const data = await this.request('POST', `/api/v1/appointments/status/${appointmentId}`, { body: { status } });
+
+      logger.info(`Updated appointment ${appointmentId} status to ${status} via API`);
+      return data !== null;
+    } catch (error) {
+      logger.error(`Error updating appointment ${appointmentId} status via API:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append a note to the appointment's internal notes
+   */
+  async addAppointmentNote(appointmentId, note) {
+    try {
+      const data = await this.request('GET', `/api/v1/appointments/${appointmentId}`);
+      const appointment = data?.data?.appointment;
+
+      if (!appointment) {
+        throw new Error(`Appointment ${appointmentId} not found`);
+      }
+
+      const timestamp = moment().tz(config.system.timezone).format('YYYY-MM-DD HH:mm:ss');
+      const internalNotes = (appointment.internalNotes || '') + `\n[${timestamp}] ${note}`;
+
+      await this.request('POST', `/api/v1/appointments/${appointmentId}`, { body: { ...appointment, internalNotes } });
+
+      logger.info(`Added note to appointment ${appointmentId}: ${note}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error adding note to appointment ${appointmentId}:`, error);
+      throw error;
+    }
+  }
+
+  async getMemberships(packageNames) {
+    if (!this.hasDatabase()) {
+      throw new Error('The Amelia API does not expose package purchases - set the AMELIA_DB_* credentials for MEMBERSHIP_SOURCE=amelia');
+    }
+    return super.getMemberships(packageNames);
+  }
+
+  async getServices() {
+    try {
+      const data = await this.request('GET', '/api/v1/services');
+
+      // Services come as a list or nested in their categories
+      const services = data?.data?.services
+        || (data?.data?.categories || []).flatMap(category => category.serviceList || []);
+
+      return services
+        .filter(service => !service.status || service.status === 'visible')
+        .map(service => ({
+          id: service.id,
+          name: service.name,
+          description: service.description,
+          duration: service.duration,
+          price: service.price,
+          maxCapacity: service.maxCapacity,
+          minCapacity: service.minCapacity,
+          settings: typeof service.settings === 'string' ? JSON.parse(service.settings) : (service.settings || {})
+        }));
+    } catch (error) {
+      logger.error('Error fetching services via API:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AmeliaApiService;
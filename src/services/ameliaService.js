@@ -2,19 +2,46 @@ const mysql = require('mysql2/promise');
 const moment = require('moment-timezone');
 const logger = require('../utils/logger');
 const { config } = require('../config');
+const BookingSource = require('./bookingSource');
 
-class AmeliaService {
+// Customer booking statuses that no longer give access to a group appointment
+const INACTIVE_BOOKING_STATUSES = ['canceled', 'rejected', 'no-show'];
+
+// Appointment columns with service and customer booking details, one row per booking
+const APPOINTMENT_COLUMNS = `
+          a.id as appointment_id,
+          a.bookingStart,
+          a.bookingEnd,
+          a.status,
+          a.info,
+          a.serviceId,
+          a.locationId,
+          a.providerId,
+          s.name as service_name,
+          s.duration as service_duration,
+          s.description as service_description,
+          c.id as customer_id,
+          c.firstName,
+          c.lastName,
+          c.email,
+          c.phone,
+          cb.id as booking_id,
+          cb.status as booking_status,
+          cb.persons,
+          cb.info as booking_info,
+          cb.customFields`;
+
+/**
+ * Amelia Service
+ * Booking source reading appointments straight from the Amelia tables in
+ * the WordPress database
+ */
+class AmeliaService extends BookingSource {
   constructor() {
+    super('Amelia database');
     this.connection = null;
-    this.isConnected = false;
     this.tablePrefix = config.amelia.tablePrefix;
-    
-    // Add REST API configuration
-    this.apiConfig = {
-      baseUrl: config.amelia.apiBaseUrl,
-      apiKey: config.amelia.apiKey,
-      useAPI: config.amelia.useAPI || false
-    };
+    this.resourceAssignments = null;
   }
 
   async connect() {
@@ -30,6 +57,8 @@ class AmeliaService {
 
       this.isConnected = true;
       logger.info('Connected to Amelia database successfully');
+      
+      await this.loadResourceAssignments();
       return true;
     } catch (error) {
       logger.error('Failed to connect to Amelia database:', error);
@@ -61,110 +90,6 @@ class AmeliaService {
     }
   }
 
-  /**
-   * REST API: Get upcoming appointments using Amelia Elite API
-   * @param {number} hoursAhead - How many hours ahead to look
-   * @returns {Array} Array of appointment objects
-   */
-  async getUpcomingAppointmentsAPI(hoursAhead = 24) {
-    if (!this.apiConfig.useAPI || !this.apiConfig.apiKey) {
-      throw new Error('Amelia API not configured. Use database method instead.');
-    }
-
-    try {
-      const now = moment().utc();
-      const endTime = moment().utc().add(hoursAhead, 'hours');
-
-      // Make API request to Amelia
-      const response = await fetch(`${this.apiConfig.baseUrl}/wp-admin/admin-ajax.php?action=wpamelia_api&call=/api/v1/appointments`, {
-        method: 'GET',
-        headers: {
-          'Amelia': this.apiConfig.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Amelia API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      // Filter appointments for the time range
-      const filteredAppointments = data.data.appointments.filter(appointment => {
-        const startTime = moment(appointment.bookingStart);
-        return startTime.isBetween(now, endTime);
-      });
-
-      const appointments = filteredAppointments.map(appointment => this.formatAPIAppointment(appointment));
-      
-      logger.info(`Found ${appointments.length} upcoming appointments via API`);
-      return appointments;
-
-    } catch (error) {
-      logger.error('Error fetching upcoming appointments via API:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Format appointment from Amelia API response
-   * @param {Object} apiAppointment - Appointment from API
-   * @returns {Object} Formatted appointment object
-   */
-  formatAPIAppointment(apiAppointment) {
-    const startTime = moment(apiAppointment.bookingStart).tz(config.system.timezone);
-    const endTime = moment(apiAppointment.bookingEnd).tz(config.system.timezone);
-    
-    // Get customer info from first booking
-    const firstBooking = apiAppointment.bookings[0];
-    const customer = firstBooking?.customer || {};
-    
-    const actualDuration = moment.duration(endTime.diff(startTime)).asMinutes();
-    
-    return {
-      id: apiAppointment.id,
-      service: apiAppointment.service?.name || 'Unknown Service',
-      serviceDuration: apiAppointment.service?.duration || actualDuration,
-      actualDuration: actualDuration,
-      description: apiAppointment.service?.description || '',
-      startTime: startTime,
-      endTime: endTime,
-      status: apiAppointment.status,
-      customer: {
-        firstName: customer.firstName || '',
-        lastName: customer.lastName || '',
-        fullName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
-        email: customer.email || '',
-        phone: customer.phone || ''
-      },
-      bookingInfo: firstBooking?.info || '',
-      customFields: firstBooking?.customFields ? JSON.parse(firstBooking.customFields) : {},
-      info: apiAppointment.internalNotes || '',
-      // Formatted times for display
-      startTimeFormatted: startTime.format('h:mm A'),
-      endTimeFormatted: endTime.format('h:mm A'),
-      dateFormatted: startTime.format('MMMM Do, YYYY'),
-      // API-specific data
-      bookingToken: firstBooking?.token,
-      appointmentId: apiAppointment.id,
-      // Helper methods
-      isStartingSoon: (minutes = 5) => {
-        const now = moment().tz(config.system.timezone);
-        const diffMinutes = startTime.diff(now, 'minutes');
-        return diffMinutes >= -1 && diffMinutes <= minutes;
-      },
-      isActive: () => {
-        const now = moment().tz(config.system.timezone);
-        return now.isBetween(startTime, endTime);
-      },
-      isUpcoming: () => {
-        const now = moment().tz(config.system.timezone);
-        return startTime.isAfter(now);
-      }
-    };
-  }
-
   /**
    * Set up webhook endpoint for real-time booking notifications
    * This method prepares the webhook handler
@@ -191,7 +116,7 @@ class AmeliaService {
         return {
           success: true,
           appointment: appointment,
-          action: webhookData.action || 'booking_completed'
+          action: this.normalizeWebhookAction(webhookData.action, appointment)
         };
       }
 
@@ -210,104 +135,77 @@ class AmeliaService {
   }
 
   /**
-   * Get method that switches between API and database based on configuration
+   * Normalize the different spellings Amelia uses for webhook actions
+   * ("bookingCanceled", "Booking Canceled", "booking_cancelled", ...)
+   * @param {string} action - Raw action from webhook payload
+   * @param {Object} appointment - Formatted appointment
+   * @returns {string} booking_completed | booking_rescheduled | booking_canceled | booking_status_updated
    */
-  async getUpcomingAppointments(hoursAhead = 24) {
-    if (this.apiConfig.useAPI) {
-      return await this.getUpcomingAppointmentsAPI(hoursAhead);
-    } else {
-      // Fall back to existing database method
-      return await this.getUpcomingAppointmentsDB(hoursAhead);
+  normalizeWebhookAction(action, appointment) {
+    const normalized = (action || '').toLowerCase().replace(/[^a-z]/g, '');
+
+    if (normalized.includes('cancel') || ['canceled', 'rejected'].includes(appointment?.status)) {
+      return 'booking_canceled';
+    }
+    if (normalized.includes('reschedul')) {
+      return 'booking_rescheduled';
+    }
+    if (normalized.includes('status')) {
+      return 'booking_status_updated';
     }
+    return 'booking_completed';
   }
 
   /**
-   * Rename existing method for clarity
+   * Get appointments by ID regardless of status, used to detect
+   * cancellations and reschedules of appointments we already processed
+   * @param {Array} appointmentIds - Appointment IDs
+   * @returns {Array} Array of appointment objects (missing IDs are omitted)
    */
-  async getUpcomingAppointmentsDB(hoursAhead = 24) {
-    // This is the existing database method - just renamed
+  async getAppointmentsByIds(appointmentIds) {
+    if (appointmentIds.length === 0) {
+      return [];
+    }
+
     if (!(await this.ensureConnection())) {
       throw new Error('Cannot connect to Amelia database');
     }
 
     try {
-      const now = moment().utc();
-      const endTime = moment().utc().add(hoursAhead, 'hours');
-
-      // Query to get appointments with customer and service information
+      const placeholders = appointmentIds.map(() => '?').join(', ');
       const query = `
-        SELECT 
-          a.id as appointment_id,
-          a.bookingStart,
-          a.bookingEnd,
-          a.status,
-          a.info,
-          s.name as service_name,
-          s.duration as service_duration,
-          s.description as service_description,
-          c.firstName,
-          c.lastName,
-          c.email,
-          c.phone,
-          cb.info as booking_info,
-          cb.customFields
+        SELECT ${APPOINTMENT_COLUMNS}
         FROM ${this.tablePrefix}amelia_appointments a
         LEFT JOIN ${this.tablePrefix}amelia_services s ON a.serviceId = s.id
         LEFT JOIN ${this.tablePrefix}amelia_customer_bookings cb ON a.id = cb.appointmentId
         LEFT JOIN ${this.tablePrefix}amelia_users c ON cb.customerId = c.id
-        WHERE a.bookingStart >= ? 
-          AND a.bookingStart <= ?
-          AND a.status IN ('approved', 'pending')
-        ORDER BY a.bookingStart ASC
+        WHERE a.id IN (${placeholders})
+        ORDER BY a.id ASC, cb.id ASC
       `;
 
-      const [rows] = await this.connection.execute(query, [
-        now.format('YYYY-MM-DD HH:mm:ss'),
-        endTime.format('YYYY-MM-DD HH:mm:ss')
-      ]);
-
-      const appointments = rows.map(row => this.formatAppointment(row));
-      
-      logger.info(`Found ${appointments.length} upcoming appointments`);
-      return appointments;
+      const [rows] = await this.connection.execute(query, appointmentIds);
+      return this.formatAppointmentRows(rows);
 
     } catch (error) {
-      logger.error('Error fetching upcoming appointments:', error);
+      logger.error('Error fetching appointments by ID:', error);
       throw error;
     }
   }
 
   /**
-   * Get appointments starting in the next few minutes
-   * @param {number} minutesAhead - How many minutes ahead to look
-   * @returns {Array} Array of appointments starting soon
+   * Active appointments starting within a time range
+   * @param {Object} from - Range start (moment)
+   * @param {Object} to - Range end (moment)
+   * @returns {Array} Formatted appointments, earliest first
    */
-  async getAppointmentsStartingSoon(minutesAhead = 5) {
+  async getAppointmentsBetween(from, to) {
     if (!(await this.ensureConnection())) {
       throw new Error('Cannot connect to Amelia database');
     }
 
     try {
-      const now = moment().utc();
-      const startTime = now.clone().subtract(1, 'minute'); // Include appointments that just started
-      const endTime = now.clone().add(minutesAhead, 'minutes');
-
       const query = `
-        SELECT 
-          a.id as appointment_id,
-          a.bookingStart,
-          a.bookingEnd,
-          a.status,
-          a.info,
-          s.name as service_name,
-          s.duration as service_duration,
-          s.description as service_description,
-          c.firstName,
-          c.lastName,
-          c.email,
-          c.phone,
-          cb.info as booking_info,
-          cb.customFields
+        SELECT ${APPOINTMENT_COLUMNS}
         FROM ${this.tablePrefix}amelia_appointments a
         LEFT JOIN ${this.tablePrefix}amelia_services s ON a.serviceId = s.id
         LEFT JOIN ${this.tablePrefix}amelia_customer_bookings cb ON a.id = cb.appointmentId
@@ -315,135 +213,187 @@ class AmeliaService {
         WHERE a.bookingStart >= ? 
           AND a.bookingStart <= ?
           AND a.status IN ('approved', 'pending')
-        ORDER BY a.bookingStart ASC
+        ORDER BY a.bookingStart ASC, cb.id ASC
       `;
 
       const [rows] = await this.connection.execute(query, [
-        startTime.format('YYYY-MM-DD HH:mm:ss'),
-        endTime.format('YYYY-MM-DD HH:mm:ss')
+        moment(from).utc().format('YYYY-MM-DD HH:mm:ss'),
+        moment(to).utc().format('YYYY-MM-DD HH:mm:ss')
       ]);
 
-      const appointments = rows.map(row => this.formatAppointment(row));
+      const appointments = this.formatAppointmentRows(rows);
       
       if (appointments.length > 0) {
-        logger.info(`Found ${appointments.length} appointments starting soon`);
+        logger.info(`Found ${appointments.length} appointments`, { from: moment(from).toISOString(), to: moment(to).toISOString() });
       }
       
       return appointments;
 
     } catch (error) {
-      logger.error('Error fetching appointments starting soon:', error);
+      logger.error('Error fetching appointments:', error);
       throw error;
     }
   }
 
   /**
-   * Get currently active appointments
-   * @returns {Array} Array of currently active appointments
+   * Load which Amelia resources (rooms, equipment) are assigned to which
+   * services, locations and employees, for routing appointments to locks
    */
-  async getCurrentlyActiveAppointments() {
-    if (!(await this.ensureConnection())) {
-      throw new Error('Cannot connect to Amelia database');
-    }
+  async loadResourceAssignments() {
+    this.resourceAssignments = { service: new Map(), location: new Map(), employee: new Map() };
 
     try {
-      const now = moment().utc();
-
       const query = `
-        SELECT 
-          a.id as appointment_id,
-          a.bookingStart,
-          a.bookingEnd,
-          a.status,
-          a.info,
-          s.name as service_name,
-          s.duration as service_duration,
-          s.description as service_description,
-          c.firstName,
-          c.lastName,
-          c.email,
-          c.phone,
-          cb.info as booking_info,
-          cb.customFields
-        FROM ${this.tablePrefix}amelia_appointments a
-        LEFT JOIN ${this.tablePrefix}amelia_services s ON a.serviceId = s.id
-        LEFT JOIN ${this.tablePrefix}amelia_customer_bookings cb ON a.id = cb.appointmentId
-        LEFT JOIN ${this.tablePrefix}amelia_users c ON cb.customerId = c.id
-        WHERE a.bookingStart <= ? 
-          AND a.bookingEnd >= ?
-          AND a.status IN ('approved', 'pending')
-        ORDER BY a.bookingStart ASC
+        SELECT r.name, re.entityId, re.entityType
+        FROM ${this.tablePrefix}amelia_resources r
+        JOIN ${this.tablePrefix}amelia_resources_to_entities re ON re.resourceId = r.id
+        WHERE r.status = 'visible'
       `;
+      const [rows] = await this.connection.execute(query);
 
-      const [rows] = await this.connection.execute(query, [
-        now.format('YYYY-MM-DD HH:mm:ss'),
-        now.format('YYYY-MM-DD HH:mm:ss')
-      ]);
+      for (const row of rows) {
+        const assignments = this.resourceAssignments[row.entityType];
+        if (!assignments) continue;
 
-      const appointments = rows.map(row => this.formatAppointment(row));
-      
-      if (appointments.length > 0) {
-        logger.info(`Found ${appointments.length} currently active appointments`);
+        const key = String(row.entityId);
+        assignments.set(key, [...(assignments.get(key) || []), row.name]);
       }
-      
-      return appointments;
 
+      logger.info('Loaded Amelia resource assignments', { assignments: rows.length });
     } catch (error) {
-      logger.error('Error fetching currently active appointments:', error);
-      throw error;
+      // Older Amelia versions have no resources - routing falls back to service and location
+      logger.warn('Could not load Amelia resources', { error: error.message });
     }
   }
 
   /**
-   * Format raw database row into a standardized appointment object
+   * Names of the resources assigned to an appointment's service, location or employee
+   * @param {Object} ids - { serviceId, locationId, providerId }
+   * @returns {Array} Resource names
+   */
+  getAppointmentResources({ serviceId, locationId, providerId }) {
+    if (!this.resourceAssignments) {
+      return [];
+    }
+
+    const names = [
+      ...(this.resourceAssignments.service.get(String(serviceId)) || []),
+      ...(this.resourceAssignments.location.get(String(locationId)) || []),
+      ...(this.resourceAssignments.employee.get(String(providerId)) || [])
+    ];
+
+    return Array.from(new Set(names));
+  }
+
+  /**
+   * Group raw database rows (one per customer booking) into appointments
+   * @param {Array} rows - Raw database rows
+   * @returns {Array} Formatted appointment objects, in query order
+   */
+  formatAppointmentRows(rows) {
+    const grouped = new Map();
+
+    for (const row of rows) {
+      if (!grouped.has(row.appointment_id)) {
+        grouped.set(row.appointment_id, []);
+      }
+      grouped.get(row.appointment_id).push(row);
+    }
+
+    return Array.from(grouped.values()).map(bookingRows => this.formatAppointment(bookingRows[0], bookingRows));
+  }
+
+  /**
+   * Format raw database rows into a standardized appointment object
    * @param {Object} row - Raw database row
+   * @param {Array} bookingRows - All rows of this appointment (one per customer booking)
    * @returns {Object} Formatted appointment object
    */
-  formatAppointment(row) {
-    const startTime = moment.utc(row.bookingStart).tz(config.system.timezone);
-    const endTime = moment.utc(row.bookingEnd).tz(config.system.timezone);
-    
-    // Calculate actual duration from booking times
-    const actualDuration = moment.duration(endTime.diff(startTime)).asMinutes();
+  formatAppointment(row, bookingRows = [row]) {
+    // Every active booking is a customer attending this appointment (group sessions have several)
+    const customers = bookingRows
+      .filter(bookingRow => bookingRow.email && !INACTIVE_BOOKING_STATUSES.includes(bookingRow.booking_status))
+      .map(bookingRow => this.formatCustomer({
+        bookingId: bookingRow.booking_id,
+        customerId: bookingRow.customer_id,
+        firstName: bookingRow.firstName,
+        lastName: bookingRow.lastName,
+        email: bookingRow.email,
+        phone: bookingRow.phone,
+        persons: bookingRow.persons,
+        status: bookingRow.booking_status,
+        customFields: bookingRow.customFields,
+        locale: this.parseBookingLocale(bookingRow.booking_info)
+      }));
     
-    return {
+    return this.createAppointment({
       id: row.appointment_id,
       service: row.service_name,
-      serviceDuration: row.service_duration, // Duration from service definition
-      actualDuration: actualDuration, // Actual booked duration
+      serviceId: row.serviceId,
+      locationId: row.locationId,
+      providerId: row.providerId,
+      resources: this.getAppointmentResources(row),
+      serviceDuration: row.service_duration,
       description: row.service_description,
-      startTime: startTime,
-      endTime: endTime,
+      startTime: moment.utc(row.bookingStart),
+      endTime: moment.utc(row.bookingEnd),
       status: row.status,
-      customer: {
-        firstName: row.firstName,
-        lastName: row.lastName,
-        fullName: `${row.firstName || ''} ${row.lastName || ''}`.trim(),
-        email: row.email,
-        phone: row.phone
-      },
+      customers: customers,
       bookingInfo: row.booking_info,
-      customFields: row.customFields ? JSON.parse(row.customFields) : {},
-      info: row.info,
-      // Formatted times for display
-      startTimeFormatted: startTime.format('h:mm A'),
-      endTimeFormatted: endTime.format('h:mm A'),
-      dateFormatted: startTime.format('MMMM Do, YYYY'),
-      // Helper methods
-      isStartingSoon: (minutes = 5) => {
-        const now = moment().tz(config.system.timezone);
-        const diffMinutes = startTime.diff(now, 'minutes');
-        return diffMinutes >= -1 && diffMinutes <= minutes;
-      },
-      isActive: () => {
-        const now = moment().tz(config.system.timezone);
-        return now.isBetween(startTime, endTime);
-      },
-      isUpcoming: () => {
-        const now = moment().tz(config.system.timezone);
-        return startTime.isAfter(now);
+      customFields: this.parseCustomFields(row.customFields),
+      info: row.info
+    });
+  }
+
+  /**
+   * Format appointment from an Amelia API response or webhook payload
+   * @param {Object} apiAppointment - Appointment from API
+   * @returns {Object} Formatted appointment object
+   */
+  formatAPIAppointment(apiAppointment) {
+    // Every active booking is a customer attending this appointment (group sessions have several)
+    const activeBookings = (apiAppointment.bookings || []).filter(booking => !INACTIVE_BOOKING_STATUSES.includes(booking.status));
+    const customers = activeBookings.map(booking => this.formatCustomer({
+      bookingId: booking.id,
+      customerId: booking.customer?.id || booking.customerId,
+      firstName: booking.customer?.firstName,
+      lastName: booking.customer?.lastName,
+      email: booking.customer?.email,
+      phone: booking.customer?.phone,
+      persons: booking.persons,
+      status: booking.status,
+      customFields: booking.customFields,
+      locale: this.parseBookingLocale(booking.info)
+    }));
+    const firstBooking = activeBookings[0] || (apiAppointment.bookings || [])[0];
+    const serviceId = apiAppointment.serviceId || apiAppointment.service?.id;
+    
+    return this.createAppointment({
+      id: apiAppointment.id,
+      service: apiAppointment.service?.name,
+      serviceId: serviceId,
+      locationId: apiAppointment.locationId,
+      providerId: apiAppointment.providerId,
+      resources: this.getAppointmentResources({
+        serviceId: serviceId,
+        locationId: apiAppointment.locationId,
+        providerId: apiAppointment.providerId
+      }),
+      serviceDuration: apiAppointment.service?.duration,
+      description: apiAppointment.service?.description,
+      startTime: apiAppointment.bookingStart,
+      endTime: apiAppointment.bookingEnd,
+      status: apiAppointment.status,
+      customers: customers,
+      bookingInfo: firstBooking?.info,
+      customFields: this.parseCustomFields(firstBooking?.customFields),
+      info: apiAppointment.internalNotes,
+      // API-specific data
+      extra: {
+        bookingToken: firstBooking?.token,
+        appointmentId: apiAppointment.id
       }
-    };
+    });
   }
 
   /**
@@ -508,6 +458,64 @@ class AmeliaService {
     }
   }
 
+  /**
+   * Package purchases that are memberships (MEMBERSHIP_PACKAGES), for the
+   * membership service
+   * @param {Array} packageNames - Amelia package names
+   * @returns {Array} Memberships of { id, plan, startsAt, endsAt, status, customer }
+   */
+  async getMemberships(packageNames = config.memberships.packages) {
+    if (packageNames.length === 0) {
+      return [];
+    }
+
+    if (!(await this.ensureConnection())) {
+      throw new Error('Cannot connect to Amelia database');
+    }
+
+    try {
+      const query = `
+        SELECT
+          pc.id as purchase_id,
+          pc.start,
+          pc.end,
+          pc.purchased,
+          pc.status,
+          p.name as package_name,
+          c.id as customer_id,
+          c.firstName,
+          c.lastName,
+          c.email,
+          c.phone
+        FROM ${this.tablePrefix}amelia_packages_to_customers pc
+        JOIN ${this.tablePrefix}amelia_packages p ON pc.packageId = p.id
+        JOIN ${this.tablePrefix}amelia_users c ON pc.customerId = c.id
+        WHERE p.name IN (${packageNames.map(() => '?').join(', ')})
+        ORDER BY pc.id ASC
+      `;
+
+      const [rows] = await this.connection.execute(query, packageNames);
+
+      return rows.map(row => ({
+        id: String(row.purchase_id),
+        plan: row.package_name,
+        startsAt: moment.utc(row.start || row.purchased).toISOString(),
+        endsAt: row.end ? moment.utc(row.end).toISOString() : null,
+        status: row.status,
+        customer: this.formatCustomer({
+          customerId: row.customer_id,
+          firstName: row.firstName,
+          lastName: row.lastName,
+          email: row.email,
+          phone: row.phone
+        })
+      }));
+    } catch (error) {
+      logger.error('Error fetching membership packages:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get service configuration
    * @returns {Array} Array of service configurations
@@ -552,4 +560,5 @@ class AmeliaService {
   }
 }
 
-module.exports = AmeliaService; 
\ No newline at end of file
+module.exports = AmeliaService;
+module.exports.INACTIVE_BOOKING_STATUSES = INACTIVE_BOOKING_STATUSES; 
\ No newline at end of file
@@ -1,49 +1,161 @@
 const cron = require('node-cron');
 const moment = require('moment-timezone');
 const logger = require('../utils/logger');
-const { config, getLockDurationForService } = require('../config');
+const { config, getLockDurationForService, hasBookingSourceConfig } = require('../config');
 const AmeliaService = require('./ameliaService');
+const AmeliaApiService = require('./ameliaApiService');
+const IcsBookingSource = require('./icsBookingSource');
+const CsvBookingSource = require('./csvBookingSource');
 const EufyService = require('./eufyService');
+const HttpLockService = require('./httpLockService');
+const LockManager = require('./lockManager');
 const MockAmeliaService = require('../../tests/mocks/ameliaService');
 const MockEufyService = require('../../tests/mocks/eufyService');
 const MockEmailService = require('../../tests/mocks/emailService');
 const EmailService = require('./emailService');
+const { createMessagingChannels, normalizePhone, PHONE_CHANNELS } = require('./messagingService');
 const WebServer = require('./webServer');
+const CodeProvisioningService = require('./codeProvisioningService');
+const LockVerificationService = require('./lockVerificationService');
+const LockEventService = require('./lockEventService');
+const LockScheduler = require('./lockScheduler');
+const JobScheduler = require('./jobScheduler');
+const NotificationService = require('./notificationService');
+const StaffAccessService = require('./staffAccessService');
+const MembershipService = require('./membershipService');
+const CsvMembershipSource = require('./csvMembershipSource');
+const EmailOutbox = require('./emailOutbox');
 const doorCodeGenerator = require('../utils/doorCodeGenerator');
+const emailTemplates = require('../utils/emailTemplates');
+const i18n = require('../utils/i18n');
+const calendarInvite = require('../utils/calendarInvite');
+const accessTokenManager = require('../utils/accessTokens');
+const accessPass = require('../utils/accessPass');
+const attemptLimiter = require('../utils/attemptLimiter');
+const stateStore = require('../utils/stateStore');
+const auditLog = require('../utils/auditLog');
+const lockRouter = require('../utils/lockRouter');
+
+// Amelia statuses that mean the customer should no longer have access
+const CANCELLED_STATUSES = ['canceled', 'rejected', 'no-show'];
+
+function describeChannel(channel = 'email') {
+  return { email: 'email', sms: 'SMS', whatsapp: 'WhatsApp message' }[channel] || channel;
+}
 
 class AutomationEngine {
   constructor() {
     const isTest = config.system.nodeEnv === 'test';
     
     // Use mock services if in test mode OR if real credentials are not provided
-    const useAmeliaMock = isTest || !config.amelia?.host || !config.amelia?.user || !config.amelia?.password;
+    const useAmeliaMock = isTest || !hasBookingSourceConfig();
     const useEufyMock = isTest || !config.eufy.username || !config.eufy.password;
     const useEmailMock = isTest || !config.email?.host || !config.email?.user;
     
-    this.ameliaService = useAmeliaMock ? new MockAmeliaService() : new AmeliaService();
+    this.bookingSource = useAmeliaMock ? new MockAmeliaService() : this.createBookingSource();
+    this.ameliaService = this.bookingSource; // Kept for existing callers
     this.eufyService = useEufyMock ? new MockEufyService() : new EufyService();
     this.emailService = useEmailMock ? new MockEmailService() : new EmailService();
+    
+    // Every lock call goes through the manager, which picks the provider configured for that lock
+    this.locks = new LockManager({ eufy: this.eufyService, http: new HttpLockService() });
+    this.codeProvisioning = new CodeProvisioningService(this.locks);
+    this.jobScheduler = new JobScheduler();
+    this.jobScheduler.register('booking.process', job => this.runBookingJob(job));
+    this.jobScheduler.register('code.provision', job => this.runCodeProvisioningJob(job));
+    // Cleaners and therapists have their own scheduled codes instead of a shared one
+    this.staffAccess = new StaffAccessService(this.locks, this.codeProvisioning, this.jobScheduler, { emailService: this.emailService });
+    // Customer messages (email, SMS or WhatsApp) are queued and retried; staff hear about
+    // door codes that never went out, and door codes whose email bounced go out by SMS
+    this.outbox = new EmailOutbox(this.emailService, createMessagingChannels());
+    this.outbox.registerAccess('appointment', access => this.resolveAppointmentAccess(access));
+    this.outbox.on('dead', message => this.handleDeadLetter(message).catch(error => {
+      logger.error('Failed to handle dead-lettered email', { id: message.id, error: error.message });
+    }));
+    this.outbox.on('bounced', message => this.handleBounce(message).catch(error => {
+      logger.error('Failed to handle bounced email', { id: message.id, error: error.message });
+    }));
+    // Chill Club members keep one personal code instead of a new one for every daily booking
+    this.memberships = config.memberships.source
+      ? new MembershipService(this.locks, this.codeProvisioning, this.jobScheduler, {
+        source: this.createMembershipSource(),
+        outbox: this.outbox,
+        getChannel: customer => this.getCustomerChannel(customer)
+      })
+      : null;
+    this.lockVerification = new LockVerificationService(this.locks, this.emailService);
+    this.lockEvents = new LockEventService(this.bookingSource, this.emailService, this.codeProvisioning, this.lockVerification, this.staffAccess, this.memberships);
+    this.lockEvents.attach(this.locks);
+    this.lockScheduler = new LockScheduler(this.lockVerification, this.codeProvisioning, this.bookingSource);
+    this.notifications = new NotificationService(this);
+    this.notifications.attach(this.outbox);
     this.webServer = new WebServer(this);
     
     this.isRunning = false;
     this.isInitialized = false;
     this.cronJobs = [];
-    this.activeLockTimers = new Map(); // Track active auto-lock timers
+    this.activeLockTimers = this.lockScheduler.timers; // Armed auto-lock timers, one per door
     this.processedAppointments = new Set(); // Track processed appointments to avoid duplicates
+    this.appointmentsInProgress = new Set(); // Appointment keys being processed right now
     this.lastHealthCheck = null;
   }
 
+  /**
+   * Create the booking source selected by BOOKING_SOURCE
+   * @returns {Object} Booking source
+   */
+  createBookingSource() {
+    switch (config.bookings.source) {
+      case 'amelia-db':
+        return new AmeliaService();
+      case 'amelia-api':
+        return new AmeliaApiService();
+      case 'ics':
+        return new IcsBookingSource();
+      case 'csv':
+        return new CsvBookingSource();
+      default:
+        throw new Error(`Unknown booking source "${config.bookings.source}"`);
+    }
+  }
+
+  /**
+   * Create the membership source selected by MEMBERSHIP_SOURCE
+   * @returns {Object} Source with getMemberships()
+   */
+  createMembershipSource() {
+    switch (config.memberships.source) {
+      case 'amelia':
+        // Package purchases are in the Amelia database the booking source may already use
+        return typeof this.bookingSource.getMemberships === 'function' ? this.bookingSource : new AmeliaService();
+      case 'csv':
+        return new CsvMembershipSource();
+      default:
+        throw new Error(`Unknown membership source "${config.memberships.source}"`);
+    }
+  }
+
   async initialize() {
     try {
       logger.info('Initializing Automation Engine with Amelia integration...');
       
+      // Refuse to start with broken email templates rather than fail on the first booking
+      const templateFiles = emailTemplates.load();
+      logger.info('Email templates loaded', { files: templateFiles, dir: emailTemplates.dir });
+      
       // Initialize all services in parallel
       await Promise.all([
-        this.ameliaService.connect(),
-        this.eufyService.initialize(),
+        this.bookingSource.connect(),
+        this.locks.initialize(),
         this.emailService.initialize()
       ]);
       
+      // Restore codes, processed appointments and pending lock jobs from before a restart
+      await this.recoverState();
+      
+      // Pick up memberships bought or cancelled while we were down
+      await this.refreshMemberships();
+      
       // Now that services are ready, start the web server
       await this.webServer.start();
       
@@ -93,7 +205,37 @@ class AutomationEngine {
       scheduled: false
     });
 
-    this.cronJobs = [ameliaJob, cleanupJob, healthCheckJob];
+    // Door left unlocked re-check - runs every minute while an incident is open
+    const lockIncidentJob = cron.schedule('* * * * *', () => {
+      this.lockVerification.checkIncidents().catch(error => {
+        logger.error('Error checking lock incidents', { error: error.message });
+      });
+    }, {
+      scheduled: false
+    });
+
+    // Scheduled jobs and email retries - picks up whatever is due
+    const jobRunnerJob = cron.schedule(`*/${config.jobs.runIntervalSeconds} * * * * *`, () => {
+      this.jobScheduler.run().catch(error => {
+        logger.error('Error running scheduled jobs', { error: error.message });
+      });
+      this.outbox.run().catch(error => {
+        logger.error('Error retrying queued emails', { error: error.message });
+      });
+    }, {
+      scheduled: false
+    });
+
+    this.cronJobs = [ameliaJob, cleanupJob, healthCheckJob, lockIncidentJob, jobRunnerJob];
+
+    // Membership refresh - new, changed and ended memberships from the membership source
+    if (this.memberships) {
+      this.cronJobs.push(cron.schedule(`*/${config.memberships.refreshMinutes} * * * *`, () => {
+        this.refreshMemberships();
+      }, {
+        scheduled: false
+      }));
+    }
     
     logger.info('Scheduled tasks configured for Amelia', {
       ameliaPollInterval: `${config.system.ameliaPollIntervalSeconds} seconds`,
@@ -124,11 +266,11 @@ class AutomationEngine {
       });
     }
     
-    // Clear any active lock timers
+    // Clear any active lock timers (persisted lock jobs are kept and re-armed on next start)
     if (this.activeLockTimers) {
-      this.activeLockTimers.forEach((timer, appointmentId) => {
+      this.activeLockTimers.forEach((timer, door) => {
         clearTimeout(timer);
-        logger.info(`Cleared auto-lock timer for appointment ${appointmentId}`);
+        logger.info(`Cleared auto-lock timer for door ${door}`);
       });
       this.activeLockTimers.clear();
     }
@@ -139,12 +281,12 @@ class AutomationEngine {
     }
     
     // Cleanup services
-    if (this.ameliaService) {
-      await this.ameliaService.disconnect();
+    if (this.bookingSource) {
+      await this.bookingSource.disconnect();
     }
     
-    if (this.eufyService && this.eufyService.cleanup) {
-      await this.eufyService.cleanup();
+    if (this.locks) {
+      await this.locks.cleanup();
     }
     
     this.isRunning = false;
@@ -154,17 +296,14 @@ class AutomationEngine {
 
   async processUpcomingAppointments() {
     try {
-      // Get appointments starting soon (within 5 minutes)
-      const upcomingAppointments = await this.ameliaService.getAppointmentsStartingSoon(5);
+      // Pick up cancellations and reschedules of appointments we already handled
+      await this.detectAppointmentChanges();
+      
+      // Confirm upcoming bookings when they are first seen - a safety net for bookings whose webhook never arrived
+      const upcomingAppointments = await this.bookingSource.getAppointmentsStartingSoon(config.notifications.lookaheadDays * 24 * 60);
       
       for (const appointment of upcomingAppointments) {
-        // Check if we've already processed this appointment
-        const appointmentKey = `${appointment.id}_${appointment.startTime.unix()}`;
-        
-        if (!this.processedAppointments.has(appointmentKey)) {
-          await this.handleBookingAppointment(appointment);
-          this.processedAppointments.add(appointmentKey);
-          
+        if (await this.processAppointment(appointment, 'poll')) {
           // Clean up old processed appointments (older than 24 hours)
           this.cleanupProcessedAppointments();
         }
@@ -184,6 +323,238 @@ class AutomationEngine {
     }
   }
 
+  /**
+   * Issue door access for an appointment exactly once, whichever of the poll,
+   * a webhook or a scheduled job gets to it first
+   * @param {Object} appointment - Formatted appointment
+   * @param {string} source - poll | scheduler
+   * @returns {boolean} Whether this call processed it (false if already handled)
+   */
+  async processAppointment(appointment, source) {
+    const appointmentKey = this.getAppointmentKey(appointment);
+    
+    if (this.processedAppointments.has(appointmentKey) || this.appointmentsInProgress.has(appointmentKey)) {
+      return false;
+    }
+    
+    this.appointmentsInProgress.add(appointmentKey);
+    
+    try {
+      const tracked = stateStore.get('trackedAppointments', appointment.id);
+      
+      // Same appointment ID at a new time is a reschedule, not a new booking
+      if (tracked && this.hasScheduleChanged(tracked, appointment)) {
+        await this.handleAppointmentRescheduled(appointment, tracked);
+      } else {
+        await this.handleBookingAppointment(appointment);
+      }
+      this.markAppointmentProcessed(appointmentKey);
+      
+      // The scheduled job for this slot has nothing left to do
+      this.jobScheduler.complete(this.getBookingJobKey(appointmentKey), { source });
+      return true;
+    } finally {
+      this.appointmentsInProgress.delete(appointmentKey);
+    }
+  }
+
+  getBookingJobKey(appointmentKey) {
+    return `booking.process:${appointmentKey}`;
+  }
+
+  /**
+   * Schedule an appointment to be processed (code issued and confirmation
+   * sent) right away. The job is kept so a webhook whose processing failed is
+   * retried, and so a repeated webhook is a no-op. Earlier jobs for other
+   * slots of the same appointment are cancelled.
+   * @param {Object} appointment - Formatted appointment
+   * @returns {Object} Scheduled job
+   */
+  scheduleBookingProcessing(appointment) {
+    const appointmentKey = this.getAppointmentKey(appointment);
+    const key = this.getBookingJobKey(appointmentKey);
+    
+    for (const job of this.jobScheduler.getJobs('pending')) {
+      if (job.type === 'booking.process' && String(job.appointmentId) === String(appointment.id) && job.key !== key) {
+        this.jobScheduler.cancel(job.key);
+      }
+    }
+    
+    return this.jobScheduler.schedule({
+      key,
+      type: 'booking.process',
+      runAt: moment(),
+      appointmentId: appointment.id,
+      data: { appointmentKey }
+    });
+  }
+
+  /**
+   * Scheduled job: re-read the appointment so cancellations and reschedules
+   * since the webhook are respected, then process it
+   * @param {Object} job - Scheduled job
+   * @returns {Object} Outcome stored on the job
+   */
+  async runBookingJob(job) {
+    const { appointment, skipped } = await this.getScheduledAppointment(job);
+    if (skipped) {
+      return { skipped };
+    }
+    
+    const processed = await this.processAppointment(appointment, 'scheduler');
+    return processed ? { processed: true } : { skipped: 'already processed' };
+  }
+
+  /**
+   * Scheduled job: program the door codes that were emailed when a booking
+   * further ahead was confirmed. A code that still fails on the last attempt
+   * is dropped and the customer handed to staff.
+   * @param {Object} job - Scheduled job
+   * @returns {Object} Outcome stored on the job
+   */
+  async runCodeProvisioningJob(job) {
+    const { appointment, skipped } = await this.getScheduledAppointment(job);
+    if (skipped) {
+      return { skipped };
+    }
+    
+    const failures = [];
+    let provisioned = 0;
+    
+    for (const customer of this.getCustomers(appointment)) {
+      const codeKey = this.getCodeKey(appointment, customer);
+      const record = this.codeProvisioning.getRecord(codeKey);
+      
+      // Members have no code, and a shared code is programmed once for everyone
+      if (!record || record.provisionedAt) {
+        continue;
+      }
+      
+      const provisioning = await this.codeProvisioning.provisionCode(appointment, record.code, codeKey);
+      if (provisioning.success) {
+        provisioned++;
+      } else {
+        failures.push({ customer, codeKey, error: provisioning.error });
+      }
+    }
+    
+    if (failures.length === 0) {
+      return { provisioned };
+    }
+    
+    if (job.attempts >= config.jobs.maxAttempts) {
+      for (const { customer, codeKey, error } of failures) {
+        doorCodeGenerator.revokeCode(codeKey);
+        await this.codeProvisioning.revokeCode(codeKey);
+        
+        auditLog.record({
+          event: 'code.provisioned',
+          channel: 'automation',
+          outcome: 'failure',
+          appointmentId: appointment.id,
+          customerEmail: customer.email,
+          reason: error
+        });
+        await this.markForStaffFollowUp(appointment, `Emailed door code could not be programmed on lock: ${error}`, customer);
+      }
+    }
+    
+    throw new Error(failures.map(failure => failure.error).join('; '));
+  }
+
+  /**
+   * Current state of a scheduled job's appointment
+   * @param {Object} job - Scheduled job with data.appointmentKey
+   * @returns {Object} { appointment } or { skipped } when it was cancelled or moved
+   */
+  async getScheduledAppointment(job) {
+    const [appointment] = await this.bookingSource.getAppointmentsByIds([job.appointmentId]);
+    
+    if (!appointment || CANCELLED_STATUSES.includes(appointment.status)) {
+      logger.info('Skipping scheduled job of cancelled appointment', { key: job.key, appointmentId: job.appointmentId });
+      return { skipped: 'cancelled' };
+    }
+    
+    // Moved to another slot - that slot has its own jobs
+    if (this.getAppointmentKey(appointment) !== job.data.appointmentKey) {
+      return { skipped: 'rescheduled' };
+    }
+    
+    return { appointment };
+  }
+
+  /**
+   * Template data of a real appointment for the email preview, with the door
+   * code issued to its first customer
+   * @param {string|number} appointmentId - Appointment ID
+   * @param {string} locale - Language to preview instead of the customer's
+   * @returns {Object|null} Template data, null if the appointment is unknown
+   */
+  async getEmailPreviewData(appointmentId, locale = null) {
+    const id = /^\d+$/.test(String(appointmentId)) ? Number(appointmentId) : appointmentId;
+    const [appointment] = await this.bookingSource.getAppointmentsByIds([id]);
+    if (!appointment) {
+      return null;
+    }
+
+    const customers = this.getCustomers(appointment);
+    const customer = customers[0] || {};
+    const record = this.codeProvisioning.getRecord(this.getCodeKey(appointment, customer));
+
+    const schedule = this.getCustomerSchedule(appointment, locale ? { ...customer, locale, customFields: {} } : customer);
+
+    return {
+      customerName: customer.fullName,
+      customerEmail: customer.email,
+      service: appointment.service,
+      ...schedule,
+      duration: appointment.actualDuration,
+      doorCode: record ? record.code : null,
+      validFrom: record ? this.formatTime(record.validFrom, schedule.locale) : null,
+      validUntil: record ? this.formatTime(record.validUntil, schedule.locale) : null,
+      notes: appointment.description || '',
+      appointmentId: appointment.id,
+      groupSize: customers.length
+    };
+  }
+
+  /**
+   * Handle a booking webhook: changes to appointments we already issued
+   * credentials for are applied, new bookings are processed by their
+   * booking.process job
+   * @param {Object} appointment - Formatted appointment from the webhook
+   * @param {string} action - Normalized webhook action
+   * @returns {Object} { outcome, job } with outcome one of cancelled,
+   *   rescheduled, customers_synced, processed, duplicate or scheduled
+   */
+  async handleBookingWebhook(appointment, action) {
+    // Anyone can post a webhook, so changes are read from the booking source, not the payload
+    const [current] = await this.bookingSource.getAppointmentsByIds([appointment.id]);
+    const change = await this.processAppointmentUpdate(appointment.id, current || null);
+    if (change !== 'untracked') {
+      return { outcome: change };
+    }
+    
+    if (!current || CANCELLED_STATUSES.includes(current.status)) {
+      this.jobScheduler.cancelAppointment(appointment.id, ['booking.process']);
+      return { outcome: 'cancelled' };
+    }
+    
+    const job = this.scheduleBookingProcessing(current);
+    
+    // The job re-reads the booking before it issues a code; one that fails stays pending for a retry
+    if (job.status === 'pending' && !moment(job.runAt).isAfter(moment())) {
+      await this.jobScheduler.execute(job);
+      const ran = this.jobScheduler.get(job.key);
+      if (ran.status === 'done') {
+        return { outcome: ran.result?.processed ? 'processed' : 'duplicate', job: ran };
+      }
+      return { outcome: 'scheduled', job: ran };
+    }
+    
+    return { outcome: job.status === 'pending' ? 'scheduled' : 'duplicate', job };
+  }
+
   async handleBookingAppointment(appointment) {
     try {
       logger.info('Processing booking appointment for Euphorium', {
@@ -191,6 +562,7 @@ class AutomationEngine {
         service: appointment.service,
         customerName: appointment.customer.fullName,
         customerEmail: appointment.customer.email,
+        customers: this.getCustomers(appointment).length,
         startTime: appointment.startTimeFormatted,
         endTime: appointment.endTimeFormatted,
         duration: appointment.actualDuration
@@ -199,18 +571,27 @@ class AutomationEngine {
       // Determine lock duration based on service type and actual appointment duration
       const lockDurationMinutes = this.calculateLockDuration(appointment);
       
-      // Step 1: Send Euphorium booking confirmation email with door code
+      // Step 1: Issue a door code and email it to the customer - it is programmed onto
+      // the lock now, or by a job nearer the session for bookings further ahead
       // Customer will manually use the door code to unlock when they arrive
-      await this.sendBookingConfirmation(appointment);
+      const confirmationSent = await this.sendBookingConfirmation(appointment);
       
       // Step 2: Schedule automatic re-lock after session ends + buffer time
       // This ensures the door locks automatically after the session for security
       this.scheduleAutoLock(appointment);
       
-      // Step 3: Add note to appointment in Amelia
-      await this.ameliaService.addAppointmentNote(
+      // Remember what we issued so cancellations and reschedules can be detected
+      this.trackAppointment(appointment);
+      
+      // Step 3: Schedule the reminders and code-active message of the service
+      this.notifications.schedule(appointment);
+      
+      // Step 4: Add note to appointment in Amelia
+      await this.bookingSource.addAppointmentNote(
         appointment.id, 
-        `Unique door code generated and sent to customer. Auto-lock scheduled after ${lockDurationMinutes} minutes from session start.`
+        confirmationSent
+          ? `Unique door code generated and sent to customer. Auto-lock scheduled after ${lockDurationMinutes} minutes from session start.`
+          : `Door code NOT sent to customer - staff follow-up required. Auto-lock scheduled after ${lockDurationMinutes} minutes from session start.`
       );
       
       logger.info('Booking appointment processed successfully', {
@@ -272,105 +653,949 @@ class AutomationEngine {
   //   // Keeping as reference for potential future use
   // }
 
+  /**
+   * Program door codes onto the lock and email every customer of the appointment.
+   * A customer's email is only sent once the lock accepted their code.
+   * @returns {boolean} Whether every customer was sent a confirmation
+   */
   async sendBookingConfirmation(appointment) {
+    let allSent = true;
+    
+    for (const customer of this.getCustomers(appointment)) {
+      const sent = await this.sendCustomerConfirmation(appointment, customer);
+      allSent = allSent && sent;
+    }
+    
+    return allSent;
+  }
+
+  /**
+   * Issue (or reuse a shared session) door code for one customer and email it
+   * @param {Object} appointment - Formatted appointment
+   * @param {Object} customer - Customer from appointment.customers
+   * @returns {boolean} Whether the confirmation was sent or queued for retry
+   */
+  async sendCustomerConfirmation(appointment, customer) {
     try {
-      // Generate unique door code for this appointment
-      const doorCode = doorCodeGenerator.generateCode(appointment.id.toString(), {
-        length: 4 // 4-digit codes for simplicity
+      const membership = this.getCoveringMembership(appointment, customer);
+      if (membership) {
+        return await this.noteMembershipBooking(appointment, customer, membership);
+      }
+
+      const { doorCode, provisioning } = await this.issueDoorCode(appointment, customer);
+      
+      auditLog.record({
+        event: 'code.issued',
+        channel: 'automation',
+        outcome: provisioning.success ? 'success' : 'failure',
+        appointmentId: appointment.id,
+        customerEmail: customer.email,
+        reason: provisioning.success ? null : provisioning.error
       });
+      
+      if (!provisioning.success) {
+        this.notifications.recordDelivery(appointment.id, 'confirmation', this.notifications.getRecipientKey(customer), 'failed', `Door code could not be programmed: ${provisioning.error}`);
+        await this.markForStaffFollowUp(appointment, `Door code could not be programmed on lock: ${provisioning.error}`, customer);
+        return false;
+      }
 
       // Create confirmation data
       const confirmationData = {
-        customerName: appointment.customer.fullName,
-        customerEmail: appointment.customer.email,
+        customerName: customer.fullName,
+        customerEmail: customer.email,
+        customerPhone: normalizePhone(customer.phone),
         service: appointment.service,
-        appointmentDate: appointment.dateFormatted,
-        startTime: appointment.startTimeFormatted,
-        endTime: appointment.endTimeFormatted,
+        ...this.getCustomerSchedule(appointment, customer),
         duration: appointment.actualDuration,
-        doorCode: doorCode, // Use generated random code
+        access: this.getMessageAccess(appointment, customer, { tokens: true }), // The door code, link and pass are added when it is sent
         location: 'Euphorium Wellness Center',
         notes: appointment.description || '',
-        appointmentId: appointment.id
+        appointmentId: appointment.id,
+        groupSize: this.getCustomers(appointment).length,
+        sharedCode: this.usesSharedCode(appointment),
+        calendar: calendarInvite.issue(appointment.id, 'REQUEST', appointment.startTime, appointment.endTime)
       };
 
-      await this.emailService.sendBookingConfirmation(confirmationData);
+      // Queued for retry if SMTP fails; staff are alerted if it is never delivered
+      const message = await this.outbox.send('sendBookingConfirmation', confirmationData, {
+        appointmentId: appointment.id,
+        notification: 'confirmation',
+        recipient: this.notifications.getRecipientKey(customer),
+        alertOnFailure: true,
+        channel: this.getCustomerChannel(customer)
+      });
       
       // Store the door code in appointment notes for reference
-      await this.ameliaService.addAppointmentNote(
+      await this.bookingSource.addAppointmentNote(
         appointment.id,
-        `Generated door code: ${doorCode} (valid for this appointment only)`
+        `Generated door code: ${doorCode} for ${customer.fullName || customer.email} (${provisioning.pending ? 'programmed on lock before the session' : 'programmed on lock'}, valid ${provisioning.validFrom.tz(config.system.timezone).format('HH:mm')}-${provisioning.validUntil.tz(config.system.timezone).format('HH:mm')})`
       );
       
-      logger.info('Booking confirmation sent with unique door code', {
+      logger.info(message.status === 'sent' ? 'Booking confirmation sent with unique door code' : 'Booking confirmation queued for retry', {
         appointmentId: appointment.id,
-        customerEmail: appointment.customer.email,
+        customerEmail: customer.email,
         service: appointment.service,
-        doorCode: doorCode
+        doorCode: doorCode,
+        emailStatus: message.status
       });
 
+      return message.status !== 'dead';
     } catch (error) {
       logger.error('Error sending booking confirmation', {
         appointmentId: appointment.id,
-        customerEmail: appointment.customer?.email,
+        customerEmail: customer?.email,
         error: error.message
       });
       
-      // Don't throw - email failure shouldn't stop the process
+      // Don't throw - one customer's failure shouldn't stop the process
+      return false;
     }
   }
 
-  scheduleAutoLock(appointment) {
-    if (!appointment || !appointment.bookingEnd) {
-      logger.warn('Auto-lock schedule skipped: missing appointment or booking end time');
-      return;
+  /**
+   * The active membership that covers a customer's booking of a membership
+   * service (MEMBERSHIP_SERVICES); members use their personal code instead
+   * of getting one for each booking
+   * @param {Object} appointment - Formatted appointment or tracked record
+   * @param {Object} customer - Customer from appointment.customers
+   * @returns {Object|null} Membership
+   */
+  getCoveringMembership(appointment, customer) {
+    if (!this.memberships || !this.memberships.isMembershipService(appointment)) {
+      return null;
+    }
+    return this.memberships.findActiveByEmail(customer?.email);
+  }
+
+  /**
+   * Record a member's booking without issuing a door code
+   * @returns {boolean} true - nothing is left to send
+   */
+  async noteMembershipBooking(appointment, customer, membership) {
+    this.notifications.recordDelivery(appointment.id, 'confirmation', this.notifications.getRecipientKey(customer), 'skipped', 'Covered by membership');
+
+    logger.info('Booking covered by membership - no door code issued', {
+      appointmentId: appointment.id,
+      customerEmail: customer.email,
+      membershipId: membership.id
+    });
+
+    await this.bookingSource.addAppointmentNote(
+      appointment.id,
+      `Covered by membership ${membership.id} - ${customer.fullName || customer.email} uses their personal member code.`
+    ).catch(error => logger.error('Failed to add membership note', { appointmentId: appointment.id, error: error.message }));
+
+    return true;
+  }
+
+  /**
+   * Bring memberships in line with the membership source; failures are
+   * logged and retried on the next refresh
+   */
+  async refreshMemberships() {
+    if (!this.memberships) {
+      return null;
+    }
+
+    try {
+      return await this.memberships.refresh();
+    } catch (error) {
+      logger.error('Error refreshing memberships', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Customers attending an appointment (group sessions have several)
+   * @param {Object} appointment - Formatted appointment
+   * @returns {Array} Customers
+   */
+  getCustomers(appointment) {
+    if (appointment.customers && appointment.customers.length > 0) {
+      return appointment.customers;
+    }
+    return appointment.customer ? [appointment.customer] : [];
+  }
+
+  usesSharedCode(appointment) {
+    const serviceName = appointment.service?.name || appointment.service;
+    return config.groupBookings.sharedCodeServices.includes(serviceName);
+  }
+
+  /**
+   * Key a customer's door code is generated, provisioned and validated under:
+   * the appointment ID for shared session codes, appointment-booking ID otherwise
+   * @param {Object} appointment - Formatted appointment
+   * @param {Object} customer - Customer from appointment.customers
+   * @returns {string} Code key
+   */
+  getCodeKey(appointment, customer) {
+    if (this.usesSharedCode(appointment) || !customer?.bookingId) {
+      return appointment.id.toString();
+    }
+    return `${appointment.id}-${customer.bookingId}`;
+  }
+
+  /**
+   * Find the customer of an appointment a door code belongs to
+   * @param {Object} appointment - Formatted appointment
+   * @param {string} code - Entered door code
+   * @returns {Object|null} Matching customer
+   */
+  matchDoorCode(appointment, code) {
+    for (const customer of this.getCustomers(appointment)) {
+      if (doorCodeGenerator.validateCode(code, this.getCodeKey(appointment, customer))) {
+        return customer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate a door code for a customer and program it onto the lock, or
+   * reserve it and schedule a code.provision job if its window opens more
+   * than CODE_PROVISION_LEAD_HOURS from now. Shared session codes are
+   * generated once and reused for every customer.
+   * @param {Object} appointment - Formatted appointment
+   * @param {Object} customer - Customer from appointment.customers
+   * @returns {Object} { doorCode, provisioning }
+   */
+  async issueDoorCode(appointment, customer = appointment.customer) {
+    const codeKey = this.getCodeKey(appointment, customer);
+    
+    const existing = this.codeProvisioning.getRecord(codeKey);
+    if (existing && this.usesSharedCode(appointment)) {
+      return {
+        doorCode: existing.code,
+        provisioning: { success: true, pending: !existing.provisionedAt, validFrom: moment(existing.validFrom), validUntil: moment(existing.validUntil) }
+      };
+    }
+    
+    // Generate unique door code for this customer
+    const doorCode = doorCodeGenerator.generateCode(codeKey, {
+      length: 4, // 4-digit codes for simplicity
+      expiresAt: this.codeProvisioning.getValidityWindow(appointment).validUntil
+    });
+
+    const provisionAt = this.codeProvisioning.getValidityWindow(appointment).validFrom.subtract(config.automation.codeLeadHours, 'hours');
+    if (provisionAt.isAfter(moment())) {
+      this.jobScheduler.schedule({
+        key: `code.provision:${this.getAppointmentKey(appointment)}`,
+        type: 'code.provision',
+        runAt: provisionAt,
+        appointmentId: appointment.id,
+        data: { appointmentKey: this.getAppointmentKey(appointment) }
+      });
+      return { doorCode, provisioning: this.codeProvisioning.reserveCode(appointment, doorCode, codeKey) };
     }
 
-    // Calculate when to lock: appointment end time + buffer time
-    const lockTime = moment(appointment.bookingEnd).add(getLockDurationForService(appointment.service.name), 'minutes');
-    const now = moment().tz(config.system.timezone);
-    const timeUntilLock = lockTime.diff(now, 'milliseconds');
+    // Program the code onto the lock for the session's access window
+    const provisioning = await this.codeProvisioning.provisionCode(appointment, doorCode, codeKey);
     
-    // Ensure we don't schedule a lock in the past
-    const lockDelayMs = Math.max(timeUntilLock, 60000); // At least 1 minute from now
+    return { doorCode, provisioning };
+  }
+
+  /**
+   * Details an access token for a customer is issued with: the door code's
+   * access window, the appointment's locks and when they lock again
+   * @param {Object} appointment - Formatted appointment
+   * @param {Object} customer - Customer from appointment.customers
+   * @returns {Object} Event for generateAccessToken()
+   */
+  getAccessTokenEvent(appointment, customer) {
+    const { validFrom, validUntil } = this.codeProvisioning.getValidityWindow(appointment);
     
-    const timer = setTimeout(async () => {
+    return {
+      id: appointment.id,
+      attendeeEmail: customer.email,
+      attendeeName: customer.fullName,
+      title: appointment.service?.name || appointment.service,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      validFrom,
+      validUntil,
+      locks: lockRouter.resolveLocks(appointment),
+      lockTime: this.lockScheduler.getOccupancy(appointment).lockTime,
+      locale: i18n.resolveCustomerLocale(customer)
+    };
+  }
+
+  /**
+   * Magic link that unlocks the appointment's doors from the customer's phone
+   * during the door code's access window. Replaces the customer's earlier link.
+   * @param {Object} event - Token event from getAccessTokenEvent()
+   * @returns {string|null} Unlock URL, null if magic links are disabled
+   */
+  issueUnlockLink(event) {
+    if (!config.automation.magicLinks) {
+      return null;
+    }
+    
+    if (event.attendeeEmail) {
+      accessTokenManager.revokeTokens({ appointmentId: event.id, attendeeEmail: event.attendeeEmail, type: 'link' });
+    }
+    
+    const token = accessTokenManager.generateAccessToken(event);
+    return accessTokenManager.getUnlockUrl(token);
+  }
+
+  /**
+   * Signed single-use QR pass staff scan at the door during the door code's
+   * access window. Replaces the customer's earlier pass.
+   * @param {Object} event - Token event from getAccessTokenEvent()
+   * @returns {Object|null} { code, url, svgUrl, cid }, null if QR passes are disabled
+   */
+  issueAccessPass(event) {
+    if (!accessPass.isEnabled()) {
+      return null;
+    }
+    
+    if (event.attendeeEmail) {
+      accessTokenManager.revokeTokens({ appointmentId: event.id, attendeeEmail: event.attendeeEmail, type: 'pass' });
+    }
+    
+    return accessPass.issue(event);
+  }
+
+  /**
+   * The access a customer message grants, stored with it in the outbox in
+   * place of the door code, magic link and QR pass themselves
+   * @param {Object} appointment - Formatted appointment
+   * @param {Object} customer - Customer from appointment.customers
+   * @param {Object} options - { tokens } to send a magic link and QR pass too
+   * @returns {Object} Access reference for resolveAppointmentAccess()
+   */
+  getMessageAccess(appointment, customer, { tokens = false } = {}) {
+    const codeKey = this.getCodeKey(appointment, customer);
+    
+    return {
+      kind: 'appointment',
+      codeKey,
+      validFrom: this.codeProvisioning.getRecord(codeKey)?.validFrom || null,
+      tokenEvent: tokens ? this.getAccessTokenEvent(appointment, customer) : null
+    };
+  }
+
+  /**
+   * Outbox resolver: the customer's current door code, and a fresh magic link
+   * and QR pass for every attempt, so the state file never holds a way in.
+   * @param {Object} access - Reference from getMessageAccess()
+   * @returns {Object|null} { doorCode, unlockLink, accessPass }, null once the
+   *   code was revoked or moved to another slot
+   */
+  resolveAppointmentAccess(access) {
+    const record = this.codeProvisioning.getRecord(access.codeKey);
+    if (!record || record.validFrom !== access.validFrom) {
+      return null;
+    }
+    
+    return {
+      doorCode: record.code,
+      unlockLink: access.tokenEvent ? this.issueUnlockLink(access.tokenEvent) : null,
+      accessPass: access.tokenEvent ? this.issueAccessPass(access.tokenEvent) : null
+    };
+  }
+
+  /**
+   * Take an appointment's door codes off the lock and out of code validation,
+   * and revoke its magic links and QR passes
+   * @param {Object} tracked - Tracked appointment record
+   */
+  async revokeDoorCodes(tracked) {
+    doorCodeGenerator.revokeCode(tracked.id.toString());
+    for (const customer of tracked.customers || []) {
+      doorCodeGenerator.revokeCode(customer.codeKey);
+    }
+    const removed = await this.codeProvisioning.revokeAppointmentCodes(tracked.id);
+    this.jobScheduler.cancelAppointment(tracked.id, ['code.provision']);
+    const revokedTokens = accessTokenManager.revokeTokens({ appointmentId: tracked.id });
+    
+    auditLog.record({
+      event: 'code.revoked',
+      channel: 'automation',
+      outcome: 'success',
+      appointmentId: tracked.id,
+      details: { removedFromLock: removed, revokedTokens }
+    });
+  }
+
+  getAppointmentKey(appointment) {
+    return `${appointment.id}_${moment(appointment.startTime).unix()}`;
+  }
+
+  /**
+   * Record the schedule and customers we issued credentials for
+   * @param {Object} appointment - Formatted appointment
+   */
+  trackAppointment(appointment) {
+    const startTime = appointment.startTime || appointment.bookingStart;
+    const endTime = appointment.endTime || appointment.bookingEnd;
+    
+    stateStore.set('trackedAppointments', appointment.id, {
+      id: appointment.id,
+      service: appointment.service?.name || appointment.service,
+      startTime: moment(startTime).toISOString(),
+      endTime: moment(endTime).toISOString(),
+      status: appointment.status,
+      locks: lockRouter.resolveLocks(appointment),
+      customers: this.getCustomers(appointment).map(customer => ({
+        bookingId: customer.bookingId || null,
+        fullName: customer.fullName,
+        email: customer.email,
+        phone: customer.phone || null,
+        // Cancellation notices go out after the booking is gone, in the language and channel of the confirmation
+        locale: i18n.resolveCustomerLocale(customer),
+        channel: this.getCustomerChannel(customer),
+        codeKey: this.getCodeKey(appointment, customer)
+      })),
+      trackedAt: new Date().toISOString()
+    });
+  }
+
+  hasScheduleChanged(tracked, appointment) {
+    return !moment(tracked.startTime).isSame(moment(appointment.startTime)) ||
+           !moment(tracked.endTime).isSame(moment(appointment.endTime));
+  }
+
+  /**
+   * Compare tracked appointments against Amelia and react to cancellations,
+   * reschedules and customers joining or leaving a group session
+   */
+  async detectAppointmentChanges() {
+    const now = moment();
+    const tracked = [];
+    
+    for (const record of stateStore.values('trackedAppointments')) {
+      // Once the session is over there is nothing left to revoke or move
+      if (moment(record.endTime).isBefore(now)) {
+        stateStore.delete('trackedAppointments', record.id);
+      } else {
+        tracked.push(record);
+      }
+    }
+    
+    if (tracked.length === 0) {
+      return;
+    }
+    
+    const current = await this.bookingSource.getAppointmentsByIds(tracked.map(record => record.id));
+    const currentById = new Map(current.map(appointment => [appointment.id, appointment]));
+    
+    for (const record of tracked) {
+      const appointment = currentById.get(record.id);
+      
       try {
-        await this.eufyService.lockDoor();
-        
-        logger.info('Door automatically locked after appointment', {
-          appointmentId: appointment.id,
-          service: appointment.service,
-          lockTime: lockTime.format('YYYY-MM-DD HH:mm:ss'),
-          bufferMinutes: config.automation.bufferTimeMinutes
+        if (!appointment || CANCELLED_STATUSES.includes(appointment.status)) {
+          await this.handleAppointmentCancelled(record, appointment);
+        } else if (this.hasScheduleChanged(record, appointment)) {
+          await this.handleAppointmentRescheduled(appointment, record);
+        } else {
+          await this.syncGroupCustomers(appointment, record);
+        }
+      } catch (error) {
+        logger.error('Error applying appointment change', {
+          appointmentId: record.id,
+          error: error.message
         });
+      }
+    }
+  }
+
+  /**
+   * Issue codes to customers who joined a group session after it was processed
+   * and revoke codes of customers whose booking was cancelled
+   * @param {Object} appointment - Current appointment from Amelia
+   * @param {Object} tracked - Tracked appointment record
+   */
+  async syncGroupCustomers(appointment, tracked) {
+    const bookingKey = customer => customer.bookingId || customer.email;
+    const trackedKeys = new Set((tracked.customers || []).map(bookingKey));
+    const currentCustomers = this.getCustomers(appointment);
+    const currentKeys = new Set(currentCustomers.map(bookingKey));
+    
+    const joined = currentCustomers.filter(customer => !trackedKeys.has(bookingKey(customer)));
+    const left = (tracked.customers || []).filter(customer => !currentKeys.has(bookingKey(customer)));
+    
+    if (joined.length === 0 && left.length === 0) {
+      return;
+    }
+    
+    logger.info('Group appointment customers changed', {
+      appointmentId: appointment.id,
+      joined: joined.map(customer => customer.email),
+      left: left.map(customer => customer.email)
+    });
+    
+    for (const customer of joined) {
+      await this.sendCustomerConfirmation(appointment, customer);
+    }
+    
+    for (const customer of left) {
+      // A shared session code stays active for the remaining customers
+      if (!this.usesSharedCode(appointment)) {
+        doorCodeGenerator.revokeCode(customer.codeKey);
+        await this.codeProvisioning.revokeCode(customer.codeKey);
         
-        // Remove timer from active timers
-        this.activeLockTimers.delete(appointment.id);
-        
-        // Add note to appointment
-        await this.ameliaService.addAppointmentNote(
-          appointment.id,
-          `Door automatically locked at ${lockTime.format('HH:mm')} (${config.automation.bufferTimeMinutes} min after session end).`
-        );
-        
-      } catch (error) {
-        logger.error('Error during automatic lock', {
+        auditLog.record({
+          event: 'code.revoked',
+          channel: 'automation',
+          outcome: 'success',
           appointmentId: appointment.id,
-          error: error.message
+          customerEmail: customer.email,
+          reason: 'Customer left group session'
         });
       }
-    }, lockDelayMs);
+      
+      // Magic links and passes are personal, so they go even when the session code stays
+      if (customer.email) {
+        accessTokenManager.revokeTokens({ appointmentId: appointment.id, attendeeEmail: customer.email });
+      }
+      
+      await this.sendChangeNotice('cancelled', tracked, customer);
+    }
+    
+    this.trackAppointment(appointment);
+  }
+
+  /**
+   * Apply a booking change reported by an Amelia webhook, the way the change
+   * poll does
+   * @param {string|number} appointmentId - Appointment ID from the webhook
+   * @param {Object|null} appointment - The appointment as the booking source
+   *   has it now, null if it was deleted
+   * @returns {string} cancelled | rescheduled | customers_synced | untracked
+   */
+  async processAppointmentUpdate(appointmentId, appointment) {
+    const tracked = stateStore.get('trackedAppointments', appointmentId);
+    
+    if (!tracked) {
+      return 'untracked';
+    }
+    
+    if (!appointment || CANCELLED_STATUSES.includes(appointment.status)) {
+      await this.handleAppointmentCancelled(tracked, appointment);
+      return 'cancelled';
+    }
+    
+    if (this.hasScheduleChanged(tracked, appointment)) {
+      await this.handleAppointmentRescheduled(appointment, tracked);
+      return 'rescheduled';
+    }
+    
+    await this.syncGroupCustomers(appointment, tracked);
+    return 'customers_synced';
+  }
+
+  /**
+   * Revoke access for a cancelled appointment and let its customers know
+   * @param {Object} tracked - Tracked appointment record
+   * @param {Object} appointment - Current appointment from Amelia (absent if deleted)
+   */
+  async handleAppointmentCancelled(tracked, appointment = null) {
+    logger.info('Appointment cancelled - revoking access', {
+      appointmentId: tracked.id,
+      customers: (tracked.customers || []).map(customer => customer.email),
+      status: appointment?.status || 'deleted'
+    });
     
-    this.activeLockTimers.set(appointment.id, timer);
+    await this.revokeDoorCodes(tracked);
     
-    logger.info('Scheduled automatic lock', {
+    // If the session already started the customer may be inside an unlocked room,
+    // so keep the pending auto-lock in that case
+    if (moment(tracked.startTime).isAfter(moment())) {
+      this.cancelAutoLock(tracked.id);
+    }
+    
+    this.notifications.cancel(tracked.id);
+    stateStore.delete('trackedAppointments', tracked.id);
+    
+    for (const customer of tracked.customers || []) {
+      // Members never had a code for this booking; their own code keeps working
+      if (this.getCoveringMembership(tracked, customer)) continue;
+      await this.sendChangeNotice('cancelled', tracked, customer);
+    }
+    
+    if (appointment) {
+      await this.bookingSource.addAppointmentNote(
+        tracked.id,
+        'Appointment cancelled - door code revoked and customer notified.'
+      ).catch(error => logger.error('Failed to add cancellation note', { appointmentId: tracked.id, error: error.message }));
+    }
+  }
+
+  /**
+   * Move credentials and the auto-lock to an appointment's new slot
+   * @param {Object} appointment - Appointment with the new schedule
+   * @param {Object} tracked - Tracked record with the previous schedule
+   */
+  async handleAppointmentRescheduled(appointment, tracked) {
+    logger.info('Appointment rescheduled - issuing new credentials', {
       appointmentId: appointment.id,
-      lockTime: lockTime.format('YYYY-MM-DD HH:mm:ss'),
-      appointmentEndTime: appointment.bookingEnd.format('YYYY-MM-DD HH:mm:ss'),
-      bufferMinutes: config.automation.bufferTimeMinutes,
-      minutesFromNow: Math.round(lockDelayMs / 60000)
+      previousStart: tracked.startTime,
+      newStart: moment(appointment.startTime).toISOString()
     });
+    
+    // Invalidate everything issued for the old slot
+    await this.revokeDoorCodes(tracked);
+    this.cancelAutoLock(appointment.id);
+    
+    this.notifications.cancel(appointment.id);
+    
+    this.scheduleAutoLock(appointment);
+    this.trackAppointment(appointment);
+    this.markAppointmentProcessed(this.getAppointmentKey(appointment));
+    this.notifications.schedule(appointment);
+    
+    for (const customer of this.getCustomers(appointment)) {
+      if (this.getCoveringMembership(appointment, customer)) continue;
+
+      const { doorCode, provisioning } = await this.issueDoorCode(appointment, customer);
+      
+      auditLog.record({
+        event: 'code.issued',
+        channel: 'automation',
+        outcome: provisioning.success ? 'success' : 'failure',
+        appointmentId: appointment.id,
+        customerEmail: customer.email,
+        reason: provisioning.success ? 'Rescheduled' : provisioning.error
+      });
+      
+      if (!provisioning.success) {
+        await this.markForStaffFollowUp(appointment, `Rescheduled door code could not be programmed on lock: ${provisioning.error}`, customer);
+        continue;
+      }
+      
+      await this.sendChangeNotice('rescheduled', tracked, customer, appointment, doorCode);
+      
+      await this.bookingSource.addAppointmentNote(
+        appointment.id,
+        `Appointment rescheduled - previous door code revoked, new code ${doorCode} issued to ${customer.fullName || customer.email} for ${appointment.startTimeFormatted}.`
+      ).catch(error => logger.error('Failed to add reschedule note', { appointmentId: appointment.id, error: error.message }));
+    }
+  }
+
+  /**
+   * Email a customer that their booking was cancelled or moved
+   * @param {string} changeType - cancelled | rescheduled
+   * @param {Object} tracked - Tracked record with the previous schedule
+   * @param {Object} customer - Customer to notify
+   * @param {Object} appointment - Appointment with the new schedule (reschedules only)
+   * @param {string} doorCode - New door code (reschedules only)
+   */
+  async sendChangeNotice(changeType, tracked, customer, appointment = null, doorCode = null) {
+    const locale = i18n.resolveCustomerLocale(customer);
+
+    try {
+      await this.outbox.send('sendBookingChangeNotice', {
+        changeType,
+        customerName: customer.fullName,
+        customerEmail: customer.email,
+        customerPhone: normalizePhone(customer.phone),
+        service: tracked.service,
+        previousDate: this.formatDate(tracked.startTime, locale),
+        previousStartTime: this.formatTime(tracked.startTime, locale),
+        previousEndTime: this.formatTime(tracked.endTime, locale),
+        ...(appointment ? this.getCustomerSchedule(appointment, customer) : { locale }),
+        duration: appointment?.actualDuration,
+        // The new door code, link and pass are added when it is sent
+        access: doorCode ? this.getMessageAccess(appointment, customer, { tokens: true }) : undefined,
+        appointmentId: tracked.id,
+        // Moves the event in the customer's calendar, or removes it
+        calendar: appointment
+          ? calendarInvite.issue(tracked.id, 'REQUEST', appointment.startTime, appointment.endTime)
+          : calendarInvite.issue(tracked.id, 'CANCEL', tracked.startTime, tracked.endTime)
+      }, {
+        appointmentId: tracked.id,
+        notification: `change-${changeType}`,
+        recipient: this.notifications.getRecipientKey(customer),
+        alertOnFailure: Boolean(doorCode),
+        channel: this.getCustomerChannel(customer)
+      });
+    } catch (error) {
+      logger.error(`Failed to send ${changeType} notice`, {
+        appointmentId: tracked.id,
+        customerEmail: customer.email,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * A customer email that could not be delivered after every retry. If it
+   * carried a door code the customer cannot get in, so staff must follow up.
+   * @param {Object} message - Dead-lettered outbox message
+   */
+  async handleDeadLetter(message) {
+    if (!message.meta.alertOnFailure) {
+      return;
+    }
+    
+    await this.markForStaffFollowUp(
+      { id: message.meta.appointmentId, service: message.data.service, startTimeFormatted: message.data.startTime },
+      `Door code ${describeChannel(message.channel)} to ${message.to} failed after ${message.attempts} attempts: ${message.lastError}`,
+      { fullName: message.data.customerName, email: message.data.customerEmail }
+    );
+  }
+
+  /**
+   * A customer email the mail server bounced. A door code still has to reach
+   * the customer, so it goes out again on BOUNCE_FALLBACK_CHANNEL if they left
+   * a phone number; otherwise staff follow up as for a dead letter.
+   * @param {Object} message - Bounced outbox message
+   * @returns {Object|null} The fallback message, if one was sent
+   */
+  async handleBounce(message) {
+    if (!message.data.access) {
+      return null;
+    }
+
+    const fallbackChannel = config.messaging.bounceFallbackChannel;
+    if (this.outbox.channels[fallbackChannel] && message.data.customerPhone) {
+      const fallback = await this.outbox.send(message.method, message.data, {
+        ...message.meta,
+        channel: fallbackChannel,
+        fallbackFor: message.id
+      });
+
+      logger.info('Door code sent by phone after the email bounced', {
+        appointmentId: message.meta.appointmentId,
+        email: message.to,
+        channel: fallbackChannel,
+        status: fallback.status
+      });
+      return fallback;
+    }
+
+    if (message.meta.alertOnFailure) {
+      await this.markForStaffFollowUp(
+        { id: message.meta.appointmentId, service: message.data.service, startTimeFormatted: message.data.startTime },
+        `Door code email to ${message.to} bounced and no phone number to send it to: ${message.lastError}`,
+        { fullName: message.data.customerName, email: message.to }
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Apply a bounce the mail provider reported after accepting an email: the
+   * latest door code email of each appointment sent to that address counts
+   * as bounced
+   * @param {string} email - Bounced address
+   * @param {string} reason - Bounce reason from the provider
+   * @returns {Array} Bounced messages
+   */
+  async handleEmailBounce(email, reason) {
+    const address = String(email || '').trim().toLowerCase();
+    const latest = new Map(); // appointment -> newest sent door code email
+
+    for (const message of this.outbox.getMessages('sent')) {
+      if ((message.channel || 'email') === 'email' && message.data.access && String(message.to).toLowerCase() === address) {
+        latest.set(message.meta.appointmentId, message);
+      }
+    }
+
+    const bounced = [];
+    for (const message of latest.values()) {
+      // The 'bounced' event sends the fallback
+      const updated = this.outbox.markBounced(message.id, reason);
+      if (updated) {
+        bounced.push(updated);
+      }
+    }
+
+    return bounced;
+  }
+
+  formatDate(time, locale = i18n.getDefaultLocale()) {
+    return i18n.formatDate(time, locale);
+  }
+
+  formatTime(time, locale = i18n.getDefaultLocale()) {
+    return i18n.formatTime(time, locale);
+  }
+
+  /**
+   * A customer's language and the appointment's times formatted in it, for
+   * their emails
+   * @param {Object} appointment - Appointment
+   * @param {Object} customer - Customer with locale or custom fields
+   * @returns {Object} { locale, appointmentDate, startTime, endTime }
+   */
+  getCustomerSchedule(appointment, customer) {
+    const locale = i18n.resolveCustomerLocale(customer);
+    const times = appointment.localized?.[locale]
+      || i18n.formatAppointmentTimes(appointment.startTime, appointment.endTime, locale);
+
+    return {
+      locale,
+      appointmentDate: times.dateFormatted,
+      startTime: times.startTimeFormatted,
+      endTime: times.endTimeFormatted
+    };
+  }
+
+  /**
+   * Channel a customer's messages go out on: their Amelia contact preference
+   * (CHANNEL_CUSTOM_FIELD), else CUSTOMER_CHANNEL. SMS and WhatsApp need a
+   * messaging provider and a usable number in the customer's phone field;
+   * without them it is email. Customers without an email address get SMS.
+   * @param {Object} customer - Customer with phone and custom fields
+   * @returns {string} email | sms | whatsapp
+   */
+  getCustomerChannel(customer) {
+    const preferred = [i18n.getCustomFieldValue(customer.customFields, config.messaging.preferenceField), customer.channel, config.messaging.customerChannel]
+      .map(value => String(value || '').trim().toLowerCase())
+      .find(value => value === 'email' || PHONE_CHANNELS.includes(value)) || 'email';
+    const channel = preferred === 'email' && !customer.email ? 'sms' : preferred;
+
+    if (channel !== 'email' && (!this.outbox.channels[channel] || !normalizePhone(customer.phone))) {
+      return 'email';
+    }
+
+    return channel;
+  }
+
+  /**
+   * Flag an appointment for manual handling by staff, once per customer of a
+   * group so one customer's problem doesn't hide another's
+   * @param {Object} appointment - Appointment needing attention
+   * @param {string} reason - What went wrong
+   * @param {Object} customer - Customer affected
+   */
+  async markForStaffFollowUp(appointment, reason, customer = appointment.customer) {
+    const id = `${appointment.id}:${customer?.email || 'appointment'}`;
+    stateStore.set('followUps', id, {
+      id,
+      appointmentId: appointment.id,
+      customerName: customer?.fullName,
+      customerEmail: customer?.email,
+      service: appointment.service,
+      startTime: appointment.startTimeFormatted,
+      reason,
+      createdAt: new Date().toISOString()
+    });
+    
+    logger.error('Appointment requires staff follow-up', {
+      appointmentId: appointment.id,
+      customerEmail: customer?.email,
+      reason
+    });
+    
+    try {
+      await this.bookingSource.addAppointmentNote(appointment.id, `STAFF FOLLOW-UP REQUIRED: ${reason}`);
+    } catch (error) {
+      logger.error('Failed to add follow-up note to appointment', { appointmentId: appointment.id, error: error.message });
+    }
+    
+    try {
+      await this.emailService.sendErrorNotification(new Error(reason), {
+        context: 'Staff Follow-Up Required',
+        appointmentId: appointment.id,
+        customerName: customer?.fullName,
+        customerEmail: customer?.email,
+        startTime: appointment.startTimeFormatted
+      });
+    } catch (emailError) {
+      logger.error('Failed to send error notification', { error: emailError.message });
+    }
+  }
+
+  /**
+   * Get appointments currently flagged for staff follow-up
+   * @returns {Array} Follow-up records
+   */
+  getStaffFollowUps() {
+    return stateStore.values('followUps');
+  }
+
+  /**
+   * Clear an appointment's follow-ups once staff have handled them
+   * @param {string|number} appointmentId - Appointment ID
+   * @param {string} customerEmail - Only clear this customer's follow-up
+   * @returns {number} Follow-ups cleared
+   */
+  resolveStaffFollowUp(appointmentId, customerEmail = null) {
+    let resolved = 0;
+
+    for (const [key, followUp] of stateStore.entries('followUps')) {
+      if (String(followUp.appointmentId) !== String(appointmentId)) {
+        continue;
+      }
+      if (customerEmail && String(followUp.customerEmail).toLowerCase() !== String(customerEmail).toLowerCase()) {
+        continue;
+      }
+
+      stateStore.delete('followUps', key);
+      resolved++;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Restore persisted state after a restart: door codes, processed appointments
+   * and auto-lock jobs. Lock jobs whose time has passed are executed immediately.
+   */
+  async recoverState() {
+    try {
+      stateStore.load();
+      
+      const restoredCodes = doorCodeGenerator.restore();
+      
+      for (const [appointmentKey] of stateStore.entries('processedAppointments')) {
+        this.processedAppointments.add(appointmentKey);
+      }
+      this.cleanupProcessedAppointments();
+      
+      // Re-arm door locks and lock doors whose time passed while we were down
+      const lockJobs = await this.lockScheduler.recover();
+      
+      // Jobs interrupted by the restart run again; overdue jobs run on the next tick
+      const scheduledJobs = this.jobScheduler.recover();
+      const emailOutbox = this.outbox.recover();
+      
+      logger.info('Recovered persisted automation state', {
+        restoredCodes,
+        processedAppointments: this.processedAppointments.size,
+        rearmedLockJobs: lockJobs.rearmed,
+        overdueLocksExecuted: lockJobs.overdue,
+        scheduledJobs: scheduledJobs.pending,
+        requeuedJobs: scheduledJobs.requeued,
+        queuedEmails: emailOutbox.queued,
+        deadLetterEmails: emailOutbox.dead
+      });
+    } catch (error) {
+      // Recovery problems must not prevent the system from starting
+      logger.error('Error recovering persisted state', { error: error.message });
+    }
+  }
+
+  markAppointmentProcessed(appointmentKey) {
+    this.processedAppointments.add(appointmentKey);
+    stateStore.set('processedAppointments', appointmentKey, { processedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Add the appointment's occupancy to the auto-lock schedule of its doors
+   * @param {Object} appointment - Formatted appointment
+   */
+  scheduleAutoLock(appointment) {
+    const appointmentEnd = appointment?.endTime || appointment?.bookingEnd;
+    if (!appointment || !appointmentEnd) {
+      logger.warn('Auto-lock schedule skipped: missing appointment or booking end time');
+      return;
+    }
+
+    this.lockScheduler.schedule(appointment);
+  }
+
+  /**
+   * Drop an appointment from the auto-lock schedule; its doors are rescheduled
+   * for whichever sessions remain
+   * @param {string|number} appointmentId - Appointment ID
+   */
+  cancelAutoLock(appointmentId) {
+    this.lockScheduler.cancel(appointmentId);
   }
 
   cleanupProcessedAppointments() {
@@ -378,14 +1603,17 @@ class AutomationEngine {
     const toRemove = [];
     
     for (const appointmentKey of this.processedAppointments) {
-      // Extract timestamp from appointment key
-      const timestamp = parseInt(appointmentKey.split('_')[1]);
+      // Extract timestamp from appointment key (IDs from CSV imports may contain '_')
+      const timestamp = parseInt(appointmentKey.split('_').pop());
       if (timestamp < cutoffTime) {
         toRemove.push(appointmentKey);
       }
     }
     
-    toRemove.forEach(key => this.processedAppointments.delete(key));
+    toRemove.forEach(key => {
+      this.processedAppointments.delete(key);
+      stateStore.delete('processedAppointments', key);
+    });
     
     if (toRemove.length > 0) {
       logger.info(`Cleaned up ${toRemove.length} old processed appointments`);
@@ -398,23 +1626,26 @@ class AutomationEngine {
       
       // Clean up old processed appointments
       this.cleanupProcessedAppointments();
+      this.jobScheduler.cleanup();
+      this.notifications.cleanup();
+      this.outbox.cleanup();
+      calendarInvite.cleanup();
+      accessTokenManager.cleanup();
+      attemptLimiter.prune();
+      attemptLimiter.loginLimiter.prune();
       
-      // Clear any expired lock timers
-      const now = Date.now();
-      const expiredTimers = [];
-      
-      for (const [appointmentId, timer] of this.activeLockTimers) {
-        // If timer is very old (more than 24 hours), consider it expired
-        if (timer._idleStart && (now - timer._idleStart > 24 * 60 * 60 * 1000)) {
-          expiredTimers.push(appointmentId);
-        }
-      }
-      
-      expiredTimers.forEach(appointmentId => {
-        clearTimeout(this.activeLockTimers.get(appointmentId));
-        this.activeLockTimers.delete(appointmentId);
-        logger.info(`Cleared expired lock timer for appointment ${appointmentId}`);
+      // Remove door codes whose access window has ended (retries failed removals)
+      this.codeProvisioning.removeExpiredCodes().catch(error => {
+        logger.error('Error removing expired door codes', { error: error.message });
       });
+      this.staffAccess.cleanup().catch(error => {
+        logger.error('Error removing revoked staff codes', { error: error.message });
+      });
+      if (this.memberships) {
+        this.memberships.cleanup().catch(error => {
+          logger.error('Error removing revoked membership codes', { error: error.message });
+        });
+      }
       
       logger.info('Cleanup tasks completed', {
         activeTimers: this.activeLockTimers.size,
@@ -442,7 +1673,7 @@ class AutomationEngine {
 
       // Check Amelia database connection
       try {
-        const testAppointments = await this.ameliaService.getUpcomingAppointments(1);
+        const testAppointments = await this.bookingSource.getUpcomingAppointments(1);
         healthStatus.database.amelia = {
           status: 'connected',
           upcomingAppointments: testAppointments.length
@@ -456,7 +1687,7 @@ class AutomationEngine {
 
       // Check Eufy service
       try {
-        const deviceStatus = await this.eufyService.getStatus();
+        const deviceStatus = await this.locks.getStatus();
         healthStatus.services.eufy = {
           status: 'connected',
           deviceStatus: deviceStatus
@@ -501,6 +1732,10 @@ class AutomationEngine {
       isRunning: this.isRunning,
       isInitialized: this.isInitialized,
       activeTimers: this.activeLockTimers.size,
+      provisionedCodes: stateStore.values('provisionedCodes').length,
+      staffFollowUps: stateStore.values('followUps').length,
+      doorLeftUnlocked: this.lockVerification.getOpenIncidents().length > 0,
+      locksJammed: stateStore.values('lockStatus').filter(lock => lock.jammedSince).map(lock => lock.serial),
       lastHealthCheck: this.lastHealthCheck
     };
   }
@@ -510,13 +1745,23 @@ class AutomationEngine {
       const status = {
         engine: this.getStatus(),
         services: {
-          amelia: await this.ameliaService.getUpcomingAppointments(2).then(() => 'connected').catch(e => `error: ${e.message}`),
-          eufy: await this.eufyService.getStatus().then(s => s).catch(e => `error: ${e.message}`),
+          amelia: await this.bookingSource.getUpcomingAppointments(2).then(() => 'connected').catch(e => `error: ${e.message}`),
+          eufy: await this.locks.getStatus().then(s => s).catch(e => `error: ${e.message}`),
           email: await this.emailService.testConnection().then(() => 'connected').catch(e => `error: ${e.message}`)
         },
+        incidents: {
+          doorLeftUnlocked: this.lockVerification.getOpenIncidents()
+        },
+        lockActivity: this.lockEvents.getStatus(),
+        scheduledLocks: this.lockScheduler.getJobs(),
+        scheduledJobs: this.jobScheduler.getJobs('pending'),
+        emailOutbox: {
+          queued: this.outbox.getMessages('queued').length,
+          dead: this.outbox.getMessages('dead').length
+        },
         appointments: {
-          upcoming: await this.ameliaService.getUpcomingAppointments(24).catch(() => []),
-          active: await this.ameliaService.getCurrentlyActiveAppointments().catch(() => [])
+          upcoming: await this.bookingSource.getUpcomingAppointments(24).catch(() => []),
+          active: await this.bookingSource.getCurrentlyActiveAppointments().catch(() => [])
         },
         configuration: {
           timezone: config.system.timezone,
@@ -0,0 +1,224 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const i18n = require('../utils/i18n');
+
+// Appointment statuses that still give the customer access
+const ACTIVE_STATUSES = ['approved', 'pending'];
+
+// How far back to look for sessions that started earlier and are still running
+const ACTIVE_LOOKBACK_HOURS = 12;
+
+/**
+ * Booking Source
+ * Interface every scheduler adapter implements, plus the normalized
+ * appointment model the rest of the system relies on. Adapters implement
+ * getAppointmentsBetween() and getAppointmentsByIds(); the time-window
+ * queries are derived from them unless an adapter has a faster way.
+ *
+ * Normalized appointment:
+ *   { id, service, serviceId, locationId, providerId, resources,
+ *     serviceDuration, actualDuration, description, startTime, endTime (moments),
+ *     status, customer, customers, bookingInfo, customFields, info,
+ *     startTimeFormatted, endTimeFormatted, dateFormatted (DEFAULT_LOCALE),
+ *     localized: { <locale>: { startTimeFormatted, endTimeFormatted, dateFormatted } },
+ *     isStartingSoon(), isActive(), isUpcoming() }
+ *
+ * Customers: { bookingId, customerId, firstName, lastName, fullName, email,
+ *   phone, persons, status, customFields, locale }
+ */
+class BookingSource {
+  constructor(name) {
+    this.name = name;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    this.isConnected = true;
+    return true;
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+  }
+
+  /**
+   * Appointments with an active status starting within a time range
+   * @param {Object} from - Range start (moment)
+   * @param {Object} to - Range end (moment)
+   * @returns {Array} Normalized appointments, earliest first
+   */
+  async getAppointmentsBetween(from, to) {
+    throw new Error(`${this.name} booking source does not implement getAppointmentsBetween()`);
+  }
+
+  /**
+   * Appointments by ID regardless of status (missing IDs are omitted), used to
+   * detect cancellations and reschedules
+   * @param {Array} appointmentIds - Appointment IDs
+   * @returns {Array} Normalized appointments
+   */
+  async getAppointmentsByIds(appointmentIds) {
+    throw new Error(`${this.name} booking source does not implement getAppointmentsByIds()`);
+  }
+
+  async getUpcomingAppointments(hoursAhead = 24) {
+    const now = moment();
+    return this.getAppointmentsBetween(now, now.clone().add(hoursAhead, 'hours'));
+  }
+
+  async getAppointmentsStartingSoon(minutesAhead = 5) {
+    const now = moment();
+    // Include appointments that just started
+    return this.getAppointmentsBetween(now.clone().subtract(1, 'minute'), now.clone().add(minutesAhead, 'minutes'));
+  }
+
+  async getCurrentlyActiveAppointments() {
+    const now = moment();
+    const started = await this.getAppointmentsBetween(now.clone().subtract(ACTIVE_LOOKBACK_HOURS, 'hours'), now);
+    return started.filter(appointment => !moment(appointment.endTime).isBefore(now));
+  }
+
+  /**
+   * Record a note on an appointment. Sources that cannot write back keep the
+   * notes locally so staff can still see them.
+   * @param {string|number} appointmentId - Appointment ID
+   * @param {string} note - Note text
+   * @returns {boolean} Success status
+   */
+  async addAppointmentNote(appointmentId, note) {
+    const notes = stateStore.get('appointmentNotes', appointmentId) || [];
+    notes.push({ note, addedAt: new Date().toISOString() });
+    stateStore.set('appointmentNotes', appointmentId, notes);
+
+    logger.info(`Added note to appointment ${appointmentId}: ${note}`, { source: this.name });
+    return true;
+  }
+
+  getAppointmentNotes(appointmentId) {
+    return stateStore.get('appointmentNotes', appointmentId) || [];
+  }
+
+  /**
+   * Turn a booking webhook into an appointment change. Only sources that push
+   * changes support this.
+   * @returns {Object} { success, appointment, action, error }
+   */
+  processWebhookNotification(webhookData) {
+    return { success: false, error: `${this.name} booking source does not accept webhooks` };
+  }
+
+  isActiveStatus(status) {
+    return ACTIVE_STATUSES.includes(status);
+  }
+
+  /**
+   * Build a customer entry for an appointment's customers list
+   * @param {Object} data - Raw customer/booking fields
+   * @returns {Object} Customer object
+   */
+  formatCustomer(data) {
+    const customFields = this.parseCustomFields(data.customFields);
+    // Sources without separate name fields only provide a full name
+    const fullName = (data.firstName || data.lastName)
+      ? `${data.firstName || ''} ${data.lastName || ''}`.trim()
+      : (data.fullName || '').trim();
+    const [firstName = '', ...lastNames] = fullName.split(/\s+/);
+
+    return {
+      bookingId: data.bookingId || null,
+      customerId: data.customerId || null,
+      firstName: data.firstName || firstName,
+      lastName: data.lastName || lastNames.join(' '),
+      fullName: fullName,
+      email: data.email || '',
+      phone: data.phone || '',
+      persons: data.persons || 1,
+      status: data.status || null,
+      customFields: customFields,
+      locale: i18n.resolveCustomerLocale({ customFields, locale: data.locale })
+    };
+  }
+
+  /**
+   * Locale a booking was made in, from Amelia's booking info JSON
+   * @param {string|Object} info - Booking info, e.g. {"locale":"ar_AE",...}
+   * @returns {string|null} Raw locale
+   */
+  parseBookingLocale(info) {
+    if (!info) {
+      return null;
+    }
+
+    try {
+      const parsed = typeof info === 'string' ? JSON.parse(info) : info;
+      return parsed?.locale || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseCustomFields(customFields) {
+    if (!customFields) {
+      return {};
+    }
+    return typeof customFields === 'string' ? JSON.parse(customFields) : customFields;
+  }
+
+  /**
+   * Build a normalized appointment
+   * @param {Object} fields - { id, service, startTime, endTime, status, customers, ... }
+   * @returns {Object} Normalized appointment
+   */
+  createAppointment(fields) {
+    const startTime = moment(fields.startTime).tz(config.system.timezone);
+    const endTime = moment(fields.endTime).tz(config.system.timezone);
+    const actualDuration = moment.duration(endTime.diff(startTime)).asMinutes();
+    const customers = fields.customers || [];
+
+    return {
+      id: fields.id,
+      service: fields.service || 'Unknown Service',
+      serviceId: fields.serviceId,
+      locationId: fields.locationId,
+      providerId: fields.providerId,
+      resources: fields.resources || [],
+      serviceDuration: fields.serviceDuration || actualDuration, // Duration from service definition
+      actualDuration: actualDuration, // Actual booked duration
+      description: fields.description || '',
+      startTime: startTime,
+      endTime: endTime,
+      status: fields.status || 'approved',
+      customer: customers[0] || this.formatCustomer({}),
+      customers: customers,
+      bookingInfo: fields.bookingInfo || '',
+      customFields: fields.customFields || {},
+      info: fields.info || '',
+      ...fields.extra,
+      // Formatted times for display, and for customers in every supported language
+      ...i18n.formatAppointmentTimes(startTime, endTime, i18n.getDefaultLocale()),
+      localized: Object.fromEntries(i18n.getLocales().map(locale => [
+        locale,
+        i18n.formatAppointmentTimes(startTime, endTime, locale)
+      ])),
+      // Helper methods
+      isStartingSoon: (minutes = 5) => {
+        const now = moment().tz(config.system.timezone);
+        const diffMinutes = startTime.diff(now, 'minutes');
+        return diffMinutes >= -1 && diffMinutes <= minutes;
+      },
+      isActive: () => {
+        const now = moment().tz(config.system.timezone);
+        return now.isBetween(startTime, endTime);
+      },
+      isUpcoming: () => {
+        const now = moment().tz(config.system.timezone);
+        return startTime.isAfter(now);
+      }
+    };
+  }
+}
+
+module.exports = BookingSource;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
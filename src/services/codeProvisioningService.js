@@ -0,0 +1,266 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const lockRouter = require('../utils/lockRouter');
+
+/**
+ * Code Provisioning Service
+ * Programs appointment door codes onto the appointment's smart lock(s) as
+ * time-bounded temporary codes, verifies them and removes them after the session
+ */
+class CodeProvisioningService {
+  constructor(lockService) {
+    this.lockService = lockService;
+  }
+
+  /**
+   * Build the name a code is stored under on the lock
+   * @param {string} codeKey - Appointment ID, or appointment-booking ID for per-customer codes
+   * @returns {string} Lock code name
+   */
+  getCodeName(codeKey) {
+    return `Amelia #${codeKey}`;
+  }
+
+  /**
+   * Calculate the validity window for an appointment's code:
+   * session start minus grace period until session end plus buffer time
+   * @param {Object} appointment - Formatted appointment
+   * @returns {Object} { validFrom, validUntil } as moments
+   */
+  getValidityWindow(appointment) {
+    const start = moment(appointment.startTime || appointment.bookingStart);
+    const end = moment(appointment.endTime || appointment.bookingEnd);
+
+    return {
+      validFrom: start.clone().subtract(config.automation.codeGraceMinutes, 'minutes'),
+      validUntil: end.clone().add(config.automation.bufferTimeMinutes, 'minutes')
+    };
+  }
+
+  /**
+   * Program a door code onto every lock the appointment targets and verify it
+   * was accepted. If any lock rejects it, the locks already programmed are
+   * rolled back so the code is either on all of the appointment's doors or none.
+   * @param {Object} appointment - Formatted appointment
+   * @param {string} code - Door code to program
+   * @param {string} codeKey - Key the code is tracked under (defaults to the appointment ID)
+   * @returns {Object} { success, error, validFrom, validUntil, serials }
+   */
+  async provisionCode(appointment, code, codeKey = String(appointment.id)) {
+    const name = this.getCodeName(codeKey);
+    const { validFrom, validUntil } = this.getValidityWindow(appointment);
+    const serials = lockRouter.resolveLocks(appointment);
+    const programmed = [];
+
+    for (const serial of serials) {
+      const result = await this.programLock(appointment, code, name, validFrom, validUntil, serial);
+
+      if (!result.success) {
+        for (const programmedSerial of programmed) {
+          await this.lockService.removeTemporaryCode(code, name, programmedSerial).catch(error => {
+            logger.error('Failed to roll back door code', { appointmentId: appointment.id, serial: programmedSerial, error: error.message });
+          });
+        }
+
+        return { success: false, error: serials.length > 1 ? `Lock ${serial}: ${result.error}` : result.error };
+      }
+
+      programmed.push(serial);
+    }
+
+    const record = {
+      appointmentId: appointment.id,
+      codeKey,
+      name,
+      code,
+      serials: programmed,
+      validFrom: validFrom.toISOString(),
+      validUntil: validUntil.toISOString(),
+      provisionedAt: new Date().toISOString()
+    };
+    stateStore.set('provisionedCodes', codeKey, record);
+
+    return { success: true, validFrom, validUntil, serials: programmed };
+  }
+
+  /**
+   * Hold a code for an appointment that is programmed onto the lock later.
+   * The record has no locks yet, so revoking it only forgets the code.
+   * @param {Object} appointment - Formatted appointment
+   * @param {string} code - Door code
+   * @param {string} codeKey - Key the code is tracked under
+   * @returns {Object} { success, pending, validFrom, validUntil, serials }
+   */
+  reserveCode(appointment, code, codeKey = String(appointment.id)) {
+    const { validFrom, validUntil } = this.getValidityWindow(appointment);
+
+    stateStore.set('provisionedCodes', codeKey, {
+      appointmentId: appointment.id,
+      codeKey,
+      name: this.getCodeName(codeKey),
+      code,
+      serials: [],
+      validFrom: validFrom.toISOString(),
+      validUntil: validUntil.toISOString(),
+      provisionedAt: null
+    });
+
+    return { success: true, pending: true, validFrom, validUntil, serials: [] };
+  }
+
+  /**
+   * Program a code onto one lock, retrying up to the configured attempts
+   * @returns {Object} { success, error }
+   */
+  async programLock(appointment, code, name, validFrom, validUntil, serial) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= config.automation.codeProvisionAttempts; attempt++) {
+      try {
+        await this.lockService.addTemporaryCode(code, name, validFrom.toISOString(), validUntil.toISOString(), serial);
+
+        if (!(await this.verifyCode(code, name, serial))) {
+          throw new Error('Code not found on lock after programming');
+        }
+
+        logger.info('Door code provisioned on lock', {
+          appointmentId: appointment.id,
+          codeName: name,
+          serial: serial,
+          validFrom: validFrom.clone().tz(config.system.timezone).format('YYYY-MM-DD HH:mm'),
+          validUntil: validUntil.clone().tz(config.system.timezone).format('YYYY-MM-DD HH:mm'),
+          attempt
+        });
+
+        return { success: true };
+      } catch (error) {
+        lastError = error;
+        logger.warn('Door code provisioning attempt failed', {
+          appointmentId: appointment.id,
+          serial: serial,
+          attempt,
+          maxAttempts: config.automation.codeProvisionAttempts,
+          error: error.message
+        });
+      }
+    }
+
+    return { success: false, error: lastError ? lastError.message : 'Unknown provisioning error' };
+  }
+
+  /**
+   * Check that a code is present in a lock's temporary code list
+   * @param {string} code - Door code
+   * @param {string} name - Lock code name
+   * @param {string} serial - Lock serial (omit for the primary lock)
+   * @returns {boolean} Whether the code was found
+   */
+  async verifyCode(code, name, serial) {
+    const codes = await this.lockService.listTemporaryCodes(serial);
+    return codes.some(entry => entry && (entry.name === name || entry.code === code));
+  }
+
+  /**
+   * Get the provisioning record of a code
+   * @param {string} codeKey - Code key
+   * @returns {Object|undefined} Provisioned code record
+   */
+  getRecord(codeKey) {
+    return stateStore.get('provisionedCodes', codeKey);
+  }
+
+  /**
+   * Remove a code from every lock it was programmed on
+   * @param {string} codeKey - Code key
+   * @returns {boolean} Whether the code was removed from all its locks
+   */
+  async revokeCode(codeKey) {
+    const record = stateStore.get('provisionedCodes', codeKey);
+    if (!record) {
+      return false;
+    }
+
+    const remaining = [];
+    for (const serial of record.serials) {
+      try {
+        await this.lockService.removeTemporaryCode(record.code, record.name, serial);
+
+        logger.info('Door code removed from lock', {
+          appointmentId: record.appointmentId,
+          codeName: record.name,
+          serial: serial
+        });
+      } catch (error) {
+        remaining.push(serial);
+        logger.error('Failed to remove door code from lock', {
+          appointmentId: record.appointmentId,
+          codeName: record.name,
+          serial: serial,
+          error: error.message
+        });
+      }
+    }
+
+    if (remaining.length > 0) {
+      // Keep the record so the cleanup sweep retries the locks that failed
+      stateStore.set('provisionedCodes', codeKey, { ...record, serials: remaining });
+      return false;
+    }
+
+    stateStore.delete('provisionedCodes', codeKey);
+    return true;
+  }
+
+  /**
+   * Remove every code provisioned for an appointment (all customers of a group session)
+   * @param {string|number} appointmentId - Appointment ID
+   * @returns {number} Number of codes removed
+   */
+  async revokeAppointmentCodes(appointmentId) {
+    let removed = 0;
+
+    for (const record of stateStore.values('provisionedCodes')) {
+      if (String(record.appointmentId) === String(appointmentId) && await this.revokeCode(record.codeKey)) {
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every provisioned code whose validity window has ended
+   * @returns {number} Number of codes removed
+   */
+  async removeExpiredCodes() {
+    const now = moment();
+    let removed = 0;
+
+    for (const record of stateStore.values('provisionedCodes')) {
+      if (moment(record.validUntil).isBefore(now) && await this.revokeCode(record.codeKey)) {
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} expired door codes from lock`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get all codes currently provisioned on the lock, and those reserved for later
+   * @returns {Array} Provisioned code records (codes masked, provisionedAt null while reserved)
+   */
+  getProvisionedCodes() {
+    return stateStore.values('provisionedCodes').map(record => ({
+      ...record,
+      code: record.code.substring(0, 2) + '**'
+    }));
+  }
+}
+
+module.exports = CodeProvisioningService;
@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const BookingSource = require('./bookingSource');
+
+// Header aliases accepted for each appointment field
+const COLUMNS = {
+  id: ['id', 'appointment_id', 'booking_id'],
+  service: ['service', 'service_name'],
+  start: ['start', 'start_time', 'booking_start'],
+  end: ['end', 'end_time', 'booking_end'],
+  status: ['status'],
+  name: ['customer_name', 'name'],
+  email: ['customer_email', 'email'],
+  phone: ['customer_phone', 'phone'],
+  persons: ['persons'],
+  locale: ['customer_locale', 'locale', 'language'],
+  location: ['location', 'location_id'],
+  resources: ['resources', 'resource']
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ * @param {string} text - CSV text
+ * @returns {Array} Rows of field values, blank lines left out
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim())) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim())) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * CSV Booking Source
+ * Reads appointments from a CSV export with a header row, for schedulers
+ * without an API. One row per customer booking; rows sharing an id form one
+ * group appointment. Times without an offset are in the system timezone,
+ * resources are separated by '|'. The file is re-read when it changes.
+ *
+ *   id,service,start,end,status,customer_name,customer_email,customer_phone,location,resources
+ *
+ * An optional customer_locale (or language) column sets the customer's language.
+ */
+class CsvBookingSource extends BookingSource {
+  constructor() {
+    super('CSV import');
+    this.file = config.bookings.csv.file;
+    this.appointments = [];
+    this.loadedMtime = null;
+  }
+
+  async connect() {
+    if (!this.file) {
+      throw new Error('CSV_FILE is required for the csv booking source');
+    }
+
+    try {
+      await this.refresh();
+      this.isConnected = true;
+      logger.info('Loaded CSV bookings', { file: this.file, appointments: this.appointments.length });
+      return true;
+    } catch (error) {
+      logger.error('Failed to load CSV bookings', { file: this.file, error: error.message });
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Re-read the file if it changed since the last load
+   */
+  async refresh() {
+    const { mtimeMs } = await fs.stat(this.file);
+    if (mtimeMs === this.loadedMtime) {
+      return;
+    }
+
+    this.appointments = this.parse(await fs.readFile(this.file, 'utf8'));
+    this.loadedMtime = mtimeMs;
+  }
+
+  async getAppointmentsBetween(from, to) {
+    await this.refresh();
+
+    return this.appointments
+      .filter(appointment => this.isActiveStatus(appointment.status))
+      .filter(appointment => appointment.startTime.isBetween(moment(from), moment(to), null, '[]'))
+      .sort((a, b) => a.startTime.diff(b.startTime));
+  }
+
+  async getAppointmentsByIds(appointmentIds) {
+    await this.refresh();
+
+    const wanted = appointmentIds.map(String);
+    return this.appointments.filter(appointment => wanted.includes(String(appointment.id)));
+  }
+
+  /**
+   * Parse CSV text into appointments
+   * @param {string} text - CSV with a header row
+   * @returns {Array} Normalized appointments, in file order
+   */
+  parse(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return [];
+    }
+
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMNS)) {
+      columns[field] = names.findIndex(name => aliases.includes(name));
+    }
+
+    for (const field of ['id', 'start', 'end']) {
+      if (columns[field] === -1) {
+        throw new Error(`CSV bookings are missing the "${field}" column`);
+      }
+    }
+
+    const grouped = new Map();
+    rows.forEach((row, index) => {
+      const value = field => (columns[field] === -1 ? '' : (row[columns[field]] || '').trim());
+      const id = value('id');
+      if (!id) return;
+
+      if (!grouped.has(id)) {
+        grouped.set(id, []);
+      }
+      grouped.get(id).push({ value, line: index + 2 });
+    });
+
+    const appointments = [];
+    for (const [id, bookings] of grouped) {
+      const appointment = this.formatBookings(id, bookings);
+      if (appointment) appointments.push(appointment);
+    }
+
+    return appointments;
+  }
+
+  formatBookings(id, bookings) {
+    const [first] = bookings;
+    const startTime = moment.tz(first.value('start'), config.system.timezone);
+    const endTime = moment.tz(first.value('end'), config.system.timezone);
+
+    if (!startTime.isValid() || !endTime.isValid()) {
+      logger.warn('Skipping CSV booking with invalid times', { id, line: first.line });
+      return null;
+    }
+
+    const customers = bookings
+      .filter(booking => booking.value('email'))
+      .map((booking, index) => this.formatCustomer({
+        bookingId: index + 1,
+        fullName: booking.value('name'),
+        email: booking.value('email'),
+        phone: booking.value('phone'),
+        persons: parseInt(booking.value('persons')) || 1,
+        locale: booking.value('locale') || null
+      }));
+
+    return this.createAppointment({
+      id,
+      service: first.value('service'),
+      locationId: first.value('location') || undefined,
+      resources: first.value('resources').split('|').map(resource => resource.trim()).filter(Boolean),
+      startTime,
+      endTime,
+      status: (first.value('status') || 'approved').toLowerCase(),
+      customers
+    });
+  }
+}
+
+module.exports = CsvBookingSource;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const i18n = require('../utils/i18n');
+const { parseCsv } = require('./csvBookingSource');
+
+// Header aliases accepted for each membership field
+const COLUMNS = {
+  id: ['id', 'membership_id', 'member_id'],
+  name: ['customer_name', 'name'],
+  email: ['customer_email', 'email'],
+  phone: ['customer_phone', 'phone'],
+  plan: ['plan', 'package', 'membership'],
+  start: ['start', 'start_date', 'starts'],
+  end: ['end', 'end_date', 'ends', 'expires'],
+  status: ['status'],
+  locale: ['customer_locale', 'locale', 'language']
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * CSV Membership Source
+ * Reads memberships from a CSV export with a header row
+ * (MEMBERSHIP_CSV_FILE), for memberships sold outside Amelia. One row per
+ * membership; dates without a time cover the whole day in the system
+ * timezone, an empty end date means until cancelled, and the status
+ * defaults to active. The file is re-read when it changes.
+ *
+ *   id,name,email,phone,plan,start,end,status
+ */
+class CsvMembershipSource {
+  constructor(file = config.memberships.csvFile) {
+    this.name = 'CSV import';
+    this.file = file;
+    this.memberships = [];
+    this.loadedMtime = null;
+  }
+
+  async getMemberships() {
+    if (!this.file) {
+      throw new Error('MEMBERSHIP_CSV_FILE is required for the csv membership source');
+    }
+
+    const { mtimeMs } = await fs.stat(this.file);
+    if (mtimeMs !== this.loadedMtime) {
+      this.memberships = this.parse(await fs.readFile(this.file, 'utf8'));
+      this.loadedMtime = mtimeMs;
+    }
+
+    return this.memberships;
+  }
+
+  /**
+   * Parse CSV text into memberships
+   * @param {string} text - CSV with a header row
+   * @returns {Array} Memberships of { id, plan, startsAt, endsAt, status, customer }
+   */
+  parse(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return [];
+    }
+
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMNS)) {
+      columns[field] = names.findIndex(name => aliases.includes(name));
+    }
+
+    for (const field of ['id', 'email', 'start']) {
+      if (columns[field] === -1) {
+        throw new Error(`CSV memberships are missing the "${field}" column`);
+      }
+    }
+
+    const memberships = [];
+    rows.forEach((row, index) => {
+      const value = field => (columns[field] === -1 ? '' : (row[columns[field]] || '').trim());
+      if (!value('id')) return;
+
+      const startsAt = this.parseDate(value('start'), 'start');
+      const endsAt = value('end') ? this.parseDate(value('end'), 'end') : null;
+      if (!startsAt || endsAt === undefined) {
+        logger.warn('Skipping CSV membership with invalid dates', { id: value('id'), line: index + 2 });
+        return;
+      }
+
+      const fullName = value('name');
+      memberships.push({
+        id: value('id'),
+        plan: value('plan') || config.memberships.packages[0] || 'Membership',
+        startsAt,
+        endsAt,
+        status: (value('status') || 'active').toLowerCase(),
+        customer: {
+          firstName: fullName.split(/\s+/)[0] || '',
+          fullName,
+          email: value('email'),
+          phone: value('phone'),
+          locale: i18n.resolveCustomerLocale({ locale: value('locale') || null })
+        }
+      });
+    });
+
+    return memberships;
+  }
+
+  /**
+   * @param {string} text - ISO date, or date and time
+   * @param {string} edge - start | end, the edge of the day a bare date stands for
+   * @returns {string|undefined} ISO time, undefined when unreadable
+   */
+  parseDate(text, edge) {
+    const time = moment.tz(text, moment.ISO_8601, config.system.timezone);
+    if (!time.isValid()) {
+      return undefined;
+    }
+    if (DATE_ONLY.test(text)) {
+      time[edge === 'end' ? 'endOf' : 'startOf']('day');
+    }
+    return time.toISOString();
+  }
+}
+
+module.exports = CsvMembershipSource;
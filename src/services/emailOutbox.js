@@ -0,0 +1,315 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+
+// Sent, bounced and cancelled messages are kept this long for the admin view
+const FINISHED_RETENTION_DAYS = 7;
+
+/**
+ * Email Outbox
+ * Customer messages are queued here before they are sent, so an SMTP or
+ * messaging provider failure does not lose them. A message stores its
+ * notification channel (email by default, sms or whatsapp), the channel
+ * method that renders it and the data for its template; it is tried right
+ * away and, if that fails, again with exponential backoff. After
+ * EMAIL_MAX_ATTEMPTS it is dead-lettered and stays there until staff resend
+ * or cancel it. An email the mail server bounces is not retried.
+ *
+ * Door codes, magic links and QR passes are never stored with a message:
+ * its data carries an `access` reference ({ kind, ... }) instead, which the
+ * resolver registered for that kind turns into the secrets on every attempt.
+ * A message whose access was revoked in the meantime is cancelled.
+ *
+ * Events: 'sent', 'retry', 'dead' and 'bounced', each with the message.
+ *
+ * State: 'emailOutbox' ({ id, channel, method, data, to, meta, status,
+ * attempts, nextAttemptAt, lastError, createdAt, updatedAt, sentAt }), status
+ * one of queued, sending, sent, dead, bounced or cancelled
+ */
+class EmailOutbox extends EventEmitter {
+  /**
+   * @param {Object} emailService - The email channel
+   * @param {Object} channels - Other notification channels by name (sms, whatsapp)
+   */
+  constructor(emailService, channels = {}) {
+    super();
+    this.emailService = emailService;
+    this.channels = { ...channels, email: emailService };
+    this.accessResolvers = new Map(); // access kind -> resolver(access)
+    this.isRunning = false;
+  }
+
+  /**
+   * Register how the secrets of an access kind are looked up at send time
+   * @param {string} kind - Access kind, e.g. appointment or membership
+   * @param {Function} resolver - (access) => template fields to add (doorCode,
+   *   unlockLink, accessPass), or null when the access was revoked
+   */
+  registerAccess(kind, resolver) {
+    this.accessResolvers.set(kind, resolver);
+  }
+
+  /**
+   * A message's template data with the secrets of its access reference
+   * @param {Object} message - Outbox message
+   * @returns {Object|null} Data to send, null if its access was revoked
+   */
+  async resolveData(message) {
+    const { access, ...data } = message.data;
+    if (!access) {
+      return message.data;
+    }
+
+    const resolver = this.accessResolvers.get(access.kind);
+    if (!resolver) {
+      throw new Error(`No resolver for ${access.kind} access`);
+    }
+
+    const secrets = await resolver(access);
+    return secrets ? { ...data, ...secrets } : null;
+  }
+
+  getChannel(name = 'email') {
+    const channel = this.channels[name];
+    if (!channel) {
+      throw new Error(`No ${name} notification channel configured`);
+    }
+    return channel;
+  }
+
+  /**
+   * Queue a message and try to send it right away
+   * @param {string} method - Channel method, e.g. sendBookingConfirmation
+   * @param {Object} data - Template data, with customerEmail and customerPhone as the recipients
+   *   and an access reference in place of any door code, link or pass
+   * @param {Object} meta - { appointmentId, notification, alertOnFailure, channel, fallbackFor }
+   * @returns {Object} The message after the first attempt
+   */
+  async send(method, data, meta = {}) {
+    const channel = meta.channel || 'email';
+    const sender = this.getChannel(channel);
+    if (typeof sender[method] !== 'function') {
+      throw new Error(`${channel} channel has no ${method}()`);
+    }
+
+    const now = new Date().toISOString();
+    const message = {
+      id: crypto.randomBytes(8).toString('hex'),
+      channel,
+      method,
+      data,
+      to: typeof sender.getRecipient === 'function' ? sender.getRecipient(data) : data.customerEmail,
+      meta,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    };
+
+    stateStore.set('emailOutbox', message.id, message);
+    return this.attempt(message);
+  }
+
+  get(id) {
+    return stateStore.get('emailOutbox', id) || null;
+  }
+
+  update(message, changes) {
+    const updated = { ...message, ...changes, updatedAt: new Date().toISOString() };
+    stateStore.set('emailOutbox', message.id, updated);
+    return updated;
+  }
+
+  /**
+   * Send a message once; on failure schedule the next attempt or dead-letter it
+   * @param {Object} message - Queued message
+   * @returns {Object} Updated message
+   */
+  async attempt(message) {
+    const sending = this.update(message, { status: 'sending', attempts: message.attempts + 1 });
+
+    try {
+      const data = await this.resolveData(sending);
+      if (!data) {
+        const cancelled = this.update(sending, { status: 'cancelled', lastError: 'Access was revoked before the message went out' });
+        logger.info('Cancelled message whose access was revoked', { id: cancelled.id, method: cancelled.method, to: cancelled.to });
+        return cancelled;
+      }
+
+      await this.getChannel(sending.channel)[sending.method](data);
+    } catch (error) {
+      if (error.bounced) {
+        const bounced = this.update(sending, { status: 'bounced', lastError: error.message });
+        logger.warn('Email bounced', { id: bounced.id, method: bounced.method, to: bounced.to, error: error.message });
+        this.emit('bounced', bounced);
+        return bounced;
+      }
+
+      if (sending.attempts >= config.email.maxAttempts) {
+        const dead = this.update(sending, { status: 'dead', lastError: error.message });
+        logger.error('Message dead-lettered after repeated failures', { id: dead.id, channel: dead.channel, method: dead.method, to: dead.to, attempts: dead.attempts, error: error.message });
+        this.emit('dead', dead);
+        return dead;
+      }
+
+      const delaySeconds = config.email.retryDelaySeconds * Math.pow(2, sending.attempts - 1);
+      const queued = this.update(sending, {
+        status: 'queued',
+        lastError: error.message,
+        nextAttemptAt: moment().add(delaySeconds, 'seconds').toISOString()
+      });
+      logger.warn('Message failed, will retry', { id: queued.id, channel: queued.channel, method: queued.method, to: queued.to, attempt: queued.attempts, retryAt: queued.nextAttemptAt, error: error.message });
+      this.emit('retry', queued);
+      return queued;
+    }
+
+    const sent = this.update(sending, { status: 'sent', lastError: null, sentAt: new Date().toISOString() });
+    this.emit('sent', sent);
+    return sent;
+  }
+
+  /**
+   * Retry every queued message whose next attempt is due
+   * @returns {number} Messages attempted
+   */
+  async run() {
+    // A slow SMTP server must not make the next tick send the same messages again
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    let attempted = 0;
+
+    try {
+      const now = moment();
+      const due = this.getMessages('queued').filter(message => !moment(message.nextAttemptAt).isAfter(now));
+
+      for (const message of due) {
+        await this.attempt(message);
+        attempted++;
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Send a dead-lettered, cancelled or queued message again now, with a fresh
+   * set of attempts
+   * @param {string} id - Message ID
+   * @returns {Object|null} Updated message, null if it does not exist or was sent
+   */
+  async resend(id) {
+    const message = this.get(id);
+    if (!message || message.status === 'sent' || message.status === 'sending') {
+      return null;
+    }
+
+    logger.info('Resending email', { id, method: message.method, to: message.to, previousStatus: message.status });
+    return this.attempt(this.update(message, { status: 'queued', attempts: 0, nextAttemptAt: new Date().toISOString() }));
+  }
+
+  /**
+   * Stop a queued or dead-lettered message from being sent
+   * @param {string} id - Message ID
+   * @returns {boolean} Whether it was cancelled
+   */
+  cancel(id) {
+    const message = this.get(id);
+    if (!message || (message.status !== 'queued' && message.status !== 'dead')) {
+      return false;
+    }
+
+    this.update(message, { status: 'cancelled' });
+    logger.info('Cancelled queued email', { id, method: message.method, to: message.to });
+    return true;
+  }
+
+  /**
+   * Record a bounce the mail server reported after accepting the email
+   * @param {string} id - Message ID
+   * @param {string} reason - Bounce reason
+   * @returns {Object|null} Updated message, null if it does not exist or was not sent by email
+   */
+  markBounced(id, reason) {
+    const message = this.get(id);
+    if (!message || (message.channel || 'email') !== 'email' || message.status === 'bounced' || message.status === 'cancelled') {
+      return null;
+    }
+
+    const bounced = this.update(message, { status: 'bounced', lastError: reason || 'Bounced' });
+    logger.warn('Email bounced', { id, method: message.method, to: message.to, error: bounced.lastError });
+    this.emit('bounced', bounced);
+    return bounced;
+  }
+
+  /**
+   * Requeue messages that were being sent when the process stopped. They may
+   * have gone out already, but a duplicate beats a customer without a code.
+   * @returns {Object} { queued, dead, requeued }
+   */
+  recover() {
+    let requeued = 0;
+
+    for (const message of stateStore.values('emailOutbox')) {
+      if (message.status === 'sending') {
+        this.update(message, { status: 'queued' });
+        requeued++;
+      }
+    }
+
+    return { queued: this.getMessages('queued').length, dead: this.getMessages('dead').length, requeued };
+  }
+
+  /**
+   * Forget sent, bounced and cancelled messages after the retention period
+   * @returns {number} Messages removed
+   */
+  cleanup() {
+    const cutoff = moment().subtract(FINISHED_RETENTION_DAYS, 'days');
+    let removed = 0;
+
+    for (const message of stateStore.values('emailOutbox')) {
+      if (['sent', 'bounced', 'cancelled'].includes(message.status) && moment(message.updatedAt).isBefore(cutoff)) {
+        stateStore.delete('emailOutbox', message.id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * @param {string} status - Only messages with this status
+   * @returns {Array} Messages, oldest first
+   */
+  getMessages(status = null) {
+    return stateStore.values('emailOutbox')
+      .filter(message => !status || message.status === status)
+      .sort((a, b) => moment(a.createdAt).diff(moment(b.createdAt)));
+  }
+
+  /**
+   * Messages for the admin view, without their template data
+   * @param {string} status - Only messages with this status
+   * @returns {Array} Message summaries
+   */
+  listMessages(status = null) {
+    return this.getMessages(status).map(({ data, ...message }) => ({
+      ...message,
+      customerName: data.customerName,
+      service: data.service
+    }));
+  }
+}
+
+module.exports = EmailOutbox;
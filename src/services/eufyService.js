@@ -1,18 +1,45 @@
-const { EufySecurityApi, Device } = require('eufy-security-client');
+const { EufySecurityApi, Device, LockPushEvent } = require('eufy-security-client');
 const logger = require('../utils/logger');
-const { config } = require('../config');
-
-class EufyService {
+const { config, getConfiguredLockSerials } = require('../config');
+const LockProvider = require('./lockProvider');
+
+// Lock push notifications we act on, mapped to internal lock event types
+const LOCK_PUSH_EVENTS = {
+  [LockPushEvent.PW_UNLOCK]: 'unlocked_keypad',
+  [LockPushEvent.TEMPORARY_PW_UNLOCK]: 'unlocked_keypad',
+  [LockPushEvent.MANUAL_LOCK]: 'locked_manually',
+  [LockPushEvent.KEYPAD_LOCK]: 'locked_manually',
+  [LockPushEvent.MECHANICAL_ANOMALY]: 'jammed',
+  [LockPushEvent.LOCK_MECHANICAL_ANOMALY]: 'jammed',
+  [LockPushEvent.LOW_POWER]: 'low_battery',
+  [LockPushEvent.VERY_LOW_POWER]: 'low_battery',
+  [LockPushEvent.MULTIPLE_ERRORS]: 'wrong_code'
+};
+
+/**
+ * Eufy Service
+ * Lock provider for Eufy smart locks through the Eufy cloud. Emits a
+ * normalized 'lock event' for keypad unlocks, manual locks, jams, low
+ * battery and wrong codes on any managed lock
+ */
+class EufyService extends LockProvider {
   constructor() {
+    super('Eufy');
     this.api = null;
-    this.smartLock = null;
+    this.smartLock = null; // Lock used when no serial is given
+    this.locks = new Map(); // serial -> device for every managed lock
+    this.managedSerials = [];
     this.isConnected = false;
     this.connectionAttempts = 0;
     this.maxConnectionAttempts = 3;
   }
 
-  async initialize() {
+  /**
+   * @param {Array} serials - Locks assigned to Eufy (all configured locks by default)
+   */
+  async initialize(serials = getConfiguredLockSerials()) {
     try {
+      this.managedSerials = serials;
       logger.eufy('Initializing Eufy Security API...');
       
       this.api = new EufySecurityApi({
@@ -33,8 +60,8 @@ class EufyService {
       // Connect to Eufy cloud
       await this.connect();
       
-      // Find and initialize the smart lock
-      await this.findSmartLock();
+      // Find and initialize the smart locks
+      await this.findSmartLocks();
       
       logger.eufy('Eufy service initialized successfully');
       return true;
@@ -92,13 +119,71 @@ class EufyService {
       logger.eufy('Disconnected from Eufy cloud');
       this.isConnected = false;
     });
+
+    // Lock activity
+    this.api.on('push message', (message) => {
+      const type = LOCK_PUSH_EVENTS[message.event_type];
+      if (type) {
+        this.emitLockEvent(type, message.device_sn, {
+          user: message.person_name || message.user_name || null,
+          timestamp: message.event_time ? new Date(message.event_time).toISOString() : undefined,
+          source: 'push'
+        });
+      }
+    });
+
+    this.api.on('device jammed', (device, state) => {
+      if (state) this.emitLockEvent('jammed', device.getSerial(), { source: 'device' });
+    });
+
+    this.api.on('device low battery', (device, state) => {
+      if (state) this.emitLockEvent('low_battery', device.getSerial(), { source: 'device' });
+    });
+
+    this.api.on('device pin verified', (device, successful) => {
+      if (!successful) this.emitLockEvent('wrong_code', device.getSerial(), { source: 'device' });
+    });
+
+    this.api.on('device wrong try-protect alarm', (device, state) => {
+      if (state) this.emitLockEvent('wrong_code', device.getSerial(), { source: 'device', lockdown: true });
+    });
+
+    this.api.on('device property changed', (device, name, value) => {
+      if (name === 'battery' && typeof value === 'number' && value <= config.eufy.lowBatteryPercent) {
+        this.emitLockEvent('low_battery', device.getSerial(), { source: 'property', batteryLevel: value });
+      }
+    });
+  }
+
+  /**
+   * Emit a normalized lock event for a managed lock (other devices are ignored)
+   * @param {string} type - unlocked_keypad, locked_manually, jammed, low_battery or wrong_code
+   * @param {string} serial - Device serial
+   * @param {Object} details - { user, timestamp, source, ... }
+   */
+  emitLockEvent(type, serial, details = {}) {
+    if (!this.locks.has(serial)) {
+      return;
+    }
+
+    const { timestamp, ...rest } = details;
+    const event = {
+      type,
+      serial,
+      timestamp: timestamp || new Date().toISOString(),
+      user: null,
+      ...rest
+    };
+
+    logger.eufy('Lock event', { type, serial, user: event.user, source: event.source });
+    this.emit('lock event', event);
   }
 
-  async findSmartLock() {
+  async findSmartLocks() {
     try {
-      // Get all devices
+      const wantedSerials = this.managedSerials;
       const stations = this.api.getStations();
-      let foundLock = null;
+      this.locks.clear();
 
       for (const station of Object.values(stations)) {
         const devices = station.getDevices();
@@ -111,53 +196,74 @@ class EufyService {
             isLock: device.isLock?.() || false
           });
 
-          // Check if this is our target lock
-          if (device.getSerial() === config.eufy.deviceSerial) {
-            foundLock = device;
-            break;
+          // Check if this is one of our locks
+          if (wantedSerials.includes(device.getSerial())) {
+            this.locks.set(device.getSerial(), device);
           }
         }
-        
-        if (foundLock) break;
       }
 
-      if (!foundLock) {
-        throw new Error(`Smart lock with serial ${config.eufy.deviceSerial} not found`);
+      const primarySerial = wantedSerials.includes(config.locks.primarySerial) ? config.locks.primarySerial : wantedSerials[0];
+      this.smartLock = this.locks.get(primarySerial) || null;
+      if (!this.smartLock) {
+        throw new Error(`Smart lock with serial ${primarySerial} not found`);
+      }
+
+      const missing = wantedSerials.filter(serial => !this.locks.has(serial));
+      if (missing.length > 0) {
+        logger.error('Mapped smart locks not found - appointments routed to them will fail', { missing });
       }
 
-      this.smartLock = foundLock;
-      logger.eufy('Smart lock found and configured', {
-        name: foundLock.getName(),
-        serial: foundLock.getSerial(),
-        isLocked: await this.isLocked()
-      });
+      for (const [serial, device] of this.locks.entries()) {
+        logger.eufy('Smart lock found and configured', {
+          name: device.getName(),
+          serial: serial,
+          primary: device === this.smartLock,
+          isLocked: await this.isLocked(serial)
+        });
+      }
 
-      return foundLock;
+      return Array.from(this.locks.values());
     } catch (error) {
-      logger.error('Error finding smart lock', { error: error.message });
+      logger.error('Error finding smart locks', { error: error.message });
       throw error;
     }
   }
 
-  async unlockDoor() {
+  /**
+   * Get a managed lock device
+   * @param {string} serial - Lock serial (omit for the primary lock)
+   * @returns {Object} Eufy device
+   */
+  getLock(serial) {
+    const lock = serial ? this.locks.get(serial) : this.smartLock;
+    if (!lock) {
+      throw new Error(serial ? `Smart lock ${serial} not available` : 'Smart lock not initialized');
+    }
+    return lock;
+  }
+
+  getLockSerials() {
+    return Array.from(this.locks.keys());
+  }
+
+  async unlockDoor(serial) {
     try {
-      if (!this.smartLock) {
-        throw new Error('Smart lock not initialized');
-      }
+      const lock = this.getLock(serial);
 
       if (!this.isConnected) {
         logger.eufy('Not connected, attempting to reconnect...');
         await this.connect();
       }
 
-      logger.eufy('Unlocking door...', { device: this.smartLock.getName() });
+      logger.eufy('Unlocking door...', { device: lock.getName() });
       
-      await this.smartLock.unlock();
+      await lock.unlock();
       
       logger.eufy('Door unlocked successfully');
       logger.security('Door unlock command executed', {
-        device: this.smartLock.getName(),
-        serial: this.smartLock.getSerial(),
+        device: lock.getName(),
+        serial: lock.getSerial(),
         timestamp: new Date().toISOString()
       });
 
@@ -168,25 +274,23 @@ class EufyService {
     }
   }
 
-  async lockDoor() {
+  async lockDoor(serial) {
     try {
-      if (!this.smartLock) {
-        throw new Error('Smart lock not initialized');
-      }
+      const lock = this.getLock(serial);
 
       if (!this.isConnected) {
         logger.eufy('Not connected, attempting to reconnect...');
         await this.connect();
       }
 
-      logger.eufy('Locking door...', { device: this.smartLock.getName() });
+      logger.eufy('Locking door...', { device: lock.getName() });
       
-      await this.smartLock.lock();
+      await lock.lock();
       
       logger.eufy('Door locked successfully');
       logger.security('Door lock command executed', {
-        device: this.smartLock.getName(),
-        serial: this.smartLock.getSerial(),
+        device: lock.getName(),
+        serial: lock.getSerial(),
         timestamp: new Date().toISOString()
       });
 
@@ -197,18 +301,16 @@ class EufyService {
     }
   }
 
-  async isLocked() {
+  async isLocked(serial) {
     try {
-      if (!this.smartLock) {
-        throw new Error('Smart lock not initialized');
-      }
+      const lock = this.getLock(serial);
 
       if (!this.isConnected) {
         await this.connect();
       }
 
-      const isLocked = await this.smartLock.isLocked();
-      logger.eufy('Door lock status checked', { isLocked });
+      const isLocked = await lock.isLocked();
+      logger.eufy('Door lock status checked', { serial: lock.getSerial(), isLocked });
       
       return isLocked;
     } catch (error) {
@@ -217,27 +319,43 @@ class EufyService {
     }
   }
 
-  async getDoorStatus() {
+  async getDoorStatus(serial) {
     try {
-      if (!this.smartLock) {
-        return { available: false };
+      const lock = serial ? this.locks.get(serial) : this.smartLock;
+      if (!lock) {
+        return { available: false, serial: serial || null };
       }
 
-      const isLocked = await this.isLocked();
-      const batteryLevel = this.smartLock.getPropertyValue('batteryLevel');
+      const isLocked = await this.isLocked(lock.getSerial());
+      const batteryLevel = lock.getPropertyValue('batteryLevel');
       
       return {
         available: true,
         isLocked,
         batteryLevel,
-        name: this.smartLock.getName(),
-        serial: this.smartLock.getSerial(),
+        name: lock.getName(),
+        serial: lock.getSerial(),
         lastUpdate: new Date().toISOString()
       };
     } catch (error) {
-      logger.error('Error getting door status', { error: error.message });
-      return { available: false, error: error.message };
+      logger.error('Error getting door status', { serial, error: error.message });
+      return { available: false, serial: serial || null, error: error.message };
+    }
+  }
+
+  /**
+   * Status of the primary lock plus every lock in the pool
+   * @returns {Object} Primary door status with a locks array
+   */
+  async getStatus() {
+    const primary = await this.getDoorStatus();
+    const locks = [];
+
+    for (const serial of this.managedSerials) {
+      locks.push(await this.getDoorStatus(serial));
     }
+
+    return { ...primary, locks };
   }
 
   async cleanup() {
@@ -252,11 +370,9 @@ class EufyService {
   }
 
   // New temporary code management functions for S330
-  async addTemporaryCode(code, name, startTime, endTime) {
+  async addTemporaryCode(code, name, startTime, endTime, serial) {
     try {
-      if (!this.smartLock) {
-        throw new Error('Smart lock not initialized');
-      }
+      const lock = this.getLock(serial);
 
       if (!this.isConnected) {
         logger.eufy('Not connected, attempting to reconnect...');
@@ -277,7 +393,7 @@ class EufyService {
 
       // For S330, use the addTemporaryCode method
       // Note: Implementation depends on eufy-security-client API for S330
-      await this.smartLock.addTemporaryCode({
+      await lock.addTemporaryCode({
         code: code,
         name: name,
         startTime: new Date(startTime),
@@ -286,8 +402,8 @@ class EufyService {
 
       logger.eufy('Temporary access code added successfully');
       logger.security('Temporary access code programmed', {
-        device: this.smartLock.getName(),
-        serial: this.smartLock.getSerial(),
+        device: lock.getName(),
+        serial: lock.getSerial(),
         codeName: name,
         codePreview: code.substring(0, 2) + '****',
         validFrom: startTime,
@@ -305,11 +421,9 @@ class EufyService {
     }
   }
 
-  async removeTemporaryCode(code, name) {
+  async removeTemporaryCode(code, name, serial) {
     try {
-      if (!this.smartLock) {
-        throw new Error('Smart lock not initialized');
-      }
+      const lock = this.getLock(serial);
 
       if (!this.isConnected) {
         logger.eufy('Not connected, attempting to reconnect...');
@@ -322,15 +436,15 @@ class EufyService {
       });
 
       // For S330, use the removeTemporaryCode method
-      await this.smartLock.removeTemporaryCode({
+      await lock.removeTemporaryCode({
         code: code,
         name: name
       });
 
       logger.eufy('Temporary access code removed successfully');
       logger.security('Temporary access code removed', {
-        device: this.smartLock.getName(),
-        serial: this.smartLock.getSerial(),
+        device: lock.getName(),
+        serial: lock.getSerial(),
         codeName: name,
         codePreview: code.substring(0, 2) + '****',
         timestamp: new Date().toISOString()
@@ -346,19 +460,18 @@ class EufyService {
     }
   }
 
-  async listTemporaryCodes() {
+  async listTemporaryCodes(serial) {
     try {
-      if (!this.smartLock) {
-        throw new Error('Smart lock not initialized');
-      }
+      const lock = this.getLock(serial);
 
       if (!this.isConnected) {
         await this.connect();
       }
 
-      const codes = await this.smartLock.getTemporaryCodes();
+      const codes = await lock.getTemporaryCodes();
       
       logger.eufy('Retrieved temporary codes list', { 
+        serial: lock.getSerial(),
         count: codes?.length || 0 
       });
       
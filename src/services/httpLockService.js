@@ -0,0 +1,206 @@
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const LockProvider = require('./lockProvider');
+
+// Event types a bridge may report, matching the normalized lock events
+const EVENT_TYPES = ['unlocked_keypad', 'locked_manually', 'jammed', 'low_battery', 'wrong_code'];
+
+/**
+ * HTTP Lock Service
+ * Lock provider for locks behind a local HTTP bridge (e.g. a Nuki or TTLock
+ * gateway adapter). The bridge exposes, per lock serial:
+ *
+ *   POST   /locks/:serial/lock | /unlock      -> { success, message }
+ *   GET    /locks/:serial                     -> { locked, batteryLevel, name }
+ *   GET    /locks/:serial/codes               -> [{ code, name, startTime, endTime }]
+ *   POST   /locks/:serial/codes               <- { code, name, startTime, endTime }
+ *   DELETE /locks/:serial/codes/:name
+ *   GET    /locks/:serial/events?since=<ISO>  -> [{ type, timestamp, user }]
+ *
+ * Requests carry `Authorization: Bearer <HTTP_LOCK_TOKEN>` when a token is set.
+ * Events are polled and re-emitted as normalized 'lock event's.
+ */
+class HttpLockService extends LockProvider {
+  constructor() {
+    super('HTTP');
+    this.baseUrl = (config.locks.http.baseUrl || '').replace(/\/+$/, '');
+    this.serials = [];
+    this.eventCursor = new Map(); // serial -> timestamp of the last event seen
+    this.pollTimer = null;
+  }
+
+  /**
+   * @param {Array} serials - Locks assigned to the HTTP bridge
+   */
+  async initialize(serials = []) {
+    if (!this.baseUrl) {
+      throw new Error('HTTP_LOCK_BASE_URL is required for locks using the http provider');
+    }
+
+    this.serials = serials.filter(Boolean);
+    const now = new Date().toISOString();
+
+    for (const serial of this.serials) {
+      const status = await this.request('GET', `/locks/${encodeURIComponent(serial)}`);
+      this.eventCursor.set(serial, now);
+      logger.info('HTTP lock found and configured', { serial, name: status.name, isLocked: status.locked });
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.pollEvents().catch(error => logger.error('Failed to poll HTTP lock events', { error: error.message }));
+    }, config.locks.http.eventPollSeconds * 1000);
+    this.pollTimer.unref?.();
+
+    return true;
+  }
+
+  /**
+   * Call the bridge
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} body - JSON body
+   * @returns {Object} Parsed JSON response (empty object for empty responses)
+   */
+  async request(method, path, body = null) {
+    const headers = { 'Accept': 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (config.locks.http.token) headers['Authorization'] = `Bearer ${config.locks.http.token}`;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.locks.http.timeoutMs);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      const data = text ? JSON.parse(text) : {};
+
+      if (!response.ok || data.success === false) {
+        throw new Error(data.message || data.error || `Lock bridge responded with ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Lock bridge did not respond within ${config.locks.http.timeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  getSerial(serial) {
+    const target = serial || this.serials[0];
+    if (!target) {
+      throw new Error('No HTTP lock configured');
+    }
+    return target;
+  }
+
+  lockPath(serial, suffix = '') {
+    return `/locks/${encodeURIComponent(this.getSerial(serial))}${suffix}`;
+  }
+
+  async unlockDoor(serial) {
+    await this.request('POST', this.lockPath(serial, '/unlock'));
+    logger.security('Door unlock command executed', { serial: this.getSerial(serial), provider: 'http', timestamp: new Date().toISOString() });
+    return true;
+  }
+
+  async lockDoor(serial) {
+    await this.request('POST', this.lockPath(serial, '/lock'));
+    logger.security('Door lock command executed', { serial: this.getSerial(serial), provider: 'http', timestamp: new Date().toISOString() });
+    return true;
+  }
+
+  async isLocked(serial) {
+    const status = await this.request('GET', this.lockPath(serial));
+    return status.locked === true;
+  }
+
+  async getDoorStatus(serial) {
+    try {
+      const status = await this.request('GET', this.lockPath(serial));
+      return {
+        available: true,
+        isLocked: status.locked === true,
+        batteryLevel: status.batteryLevel,
+        name: status.name,
+        serial: this.getSerial(serial),
+        lastUpdate: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error getting door status', { serial, error: error.message });
+      return { available: false, serial: serial || null, error: error.message };
+    }
+  }
+
+  async addTemporaryCode(code, name, startTime, endTime, serial) {
+    await this.request('POST', this.lockPath(serial, '/codes'), { code, name, startTime, endTime });
+    logger.security('Temporary access code programmed', {
+      serial: this.getSerial(serial),
+      provider: 'http',
+      codeName: name,
+      codePreview: code.substring(0, 2) + '****',
+      validFrom: startTime,
+      validUntil: endTime
+    });
+    return true;
+  }
+
+  async removeTemporaryCode(code, name, serial) {
+    await this.request('DELETE', this.lockPath(serial, `/codes/${encodeURIComponent(name)}`));
+    logger.security('Temporary access code removed', { serial: this.getSerial(serial), provider: 'http', codeName: name });
+    return true;
+  }
+
+  async listTemporaryCodes(serial) {
+    const codes = await this.request('GET', this.lockPath(serial, '/codes'));
+    return Array.isArray(codes) ? codes : (codes.codes || []);
+  }
+
+  /**
+   * Fetch new events from every lock and emit them
+   */
+  async pollEvents() {
+    for (const serial of this.serials) {
+      const since = this.eventCursor.get(serial);
+      const events = await this.request('GET', this.lockPath(serial, `/events?since=${encodeURIComponent(since)}`));
+
+      for (const event of Array.isArray(events) ? events : (events.events || [])) {
+        // Bridges that ignore `since` send old events again
+        if (event.timestamp && event.timestamp <= since) continue;
+
+        if (event.timestamp && event.timestamp > this.eventCursor.get(serial)) {
+          this.eventCursor.set(serial, event.timestamp);
+        }
+
+        if (!EVENT_TYPES.includes(event.type)) continue;
+
+        this.emit('lock event', {
+          type: event.type,
+          serial,
+          timestamp: event.timestamp || new Date().toISOString(),
+          user: event.user || null,
+          source: 'http'
+        });
+      }
+    }
+  }
+
+  async cleanup() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    return true;
+  }
+}
+
+module.exports = HttpLockService;
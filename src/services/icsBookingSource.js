@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const BookingSource = require('./bookingSource');
+
+const ICS_DATE_TIME_FORMAT = 'YYYYMMDDTHHmmss';
+
+// iCalendar STATUS values mapped to appointment statuses
+const EVENT_STATUSES = {
+  CONFIRMED: 'approved',
+  TENTATIVE: 'pending',
+  CANCELLED: 'canceled'
+};
+
+/**
+ * ICS Booking Source
+ * Reads appointments from an iCalendar feed (URL or file), e.g. the calendar
+ * export of a booking tool. Each VEVENT is one appointment:
+ *
+ *   SUMMARY     -> service
+ *   DTSTART/END -> session times (UTC, TZID or floating in the system timezone)
+ *   ATTENDEE    -> customers (CN, LANGUAGE and mailto:, declined attendees are skipped)
+ *   LOCATION    -> location (used for lock routing)
+ *   STATUS      -> CONFIRMED/TENTATIVE/CANCELLED
+ *
+ * Recurring events (RRULE) are not expanded - only their first occurrence
+ * and separately exported occurrences are seen. All-day events are ignored.
+ */
+class IcsBookingSource extends BookingSource {
+  constructor() {
+    super('ICS feed');
+    this.source = config.bookings.ics.url;
+    this.refreshMs = config.bookings.ics.refreshSeconds * 1000;
+    this.appointments = [];
+    this.loadedAt = null;
+  }
+
+  async connect() {
+    if (!this.source) {
+      throw new Error('ICS_URL is required for the ics booking source');
+    }
+
+    try {
+      await this.refresh(true);
+      this.isConnected = true;
+      logger.info('Connected to ICS booking feed', { appointments: this.appointments.length });
+      return true;
+    } catch (error) {
+      logger.error('Failed to load ICS booking feed', { error: error.message });
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Load the feed again unless the cached copy is still fresh
+   * @param {boolean} force - Ignore the cache
+   */
+  async refresh(force = false) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < this.refreshMs) {
+      return;
+    }
+
+    this.appointments = this.parse(await this.read());
+    this.loadedAt = Date.now();
+  }
+
+  async read() {
+    if (/^(https?|webcal):\/\//i.test(this.source)) {
+      const response = await fetch(this.source.replace(/^webcal:/i, 'https:'));
+      if (!response.ok) {
+        throw new Error(`ICS feed responded with ${response.status}`);
+      }
+      return response.text();
+    }
+
+    return fs.readFile(this.source, 'utf8');
+  }
+
+  async getAppointmentsBetween(from, to) {
+    await this.refresh();
+
+    return this.appointments
+      .filter(appointment => this.isActiveStatus(appointment.status))
+      .filter(appointment => appointment.startTime.isBetween(moment(from), moment(to), null, '[]'))
+      .sort((a, b) => a.startTime.diff(b.startTime));
+  }
+
+  async getAppointmentsByIds(appointmentIds) {
+    await this.refresh();
+
+    const wanted = appointmentIds.map(String);
+    return this.appointments.filter(appointment => wanted.includes(String(appointment.id)));
+  }
+
+  /**
+   * Parse an iCalendar document into appointments
+   * @param {string} text - iCalendar text
+   * @returns {Array} Normalized appointments
+   */
+  parse(text) {
+    const appointments = [];
+    let event = null;
+
+    for (const line of this.unfold(text)) {
+      const property = this.parseLine(line);
+      if (!property) continue;
+
+      if (property.name === 'BEGIN' && property.value === 'VEVENT') {
+        event = { attendees: [] };
+      } else if (property.name === 'END' && property.value === 'VEVENT') {
+        const appointment = event && this.formatEvent(event);
+        if (appointment) appointments.push(appointment);
+        event = null;
+      } else if (event) {
+        if (property.name === 'ATTENDEE') {
+          event.attendees.push(property);
+        } else {
+          event[property.name] = property;
+        }
+      }
+    }
+
+    return appointments;
+  }
+
+  /**
+   * Join folded lines (continuations start with a space or tab)
+   */
+  unfold(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+  }
+
+  /**
+   * Split "NAME;PARAM=VALUE:value" into its parts
+   * @returns {Object|null} { name, params, value }
+   */
+  parseLine(line) {
+    let inQuotes = false;
+    let separator = -1;
+
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        separator = i;
+        break;
+      }
+    }
+
+    if (separator === -1) {
+      return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, ...value] = part.split('=');
+      params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+  }
+
+  unescape(value = '') {
+    return value
+      .replace(/\\n/gi, '\n')
+      .replace(/\\([,;\\])/g, '$1');
+  }
+
+  /**
+   * @param {Object} property - DTSTART/DTEND property
+   * @returns {Object|null} Moment, null for all-day dates
+   */
+  parseDate(property) {
+    if (!property || property.params.VALUE === 'DATE' || !property.value.includes('T')) {
+      return null;
+    }
+
+    const value = property.value.replace(/Z$/i, '');
+    if (/Z$/i.test(property.value)) {
+      return moment.utc(value, ICS_DATE_TIME_FORMAT);
+    }
+
+    // Floating times are local to the venue
+    const timezone = moment.tz.zone(property.params.TZID || '') ? property.params.TZID : config.system.timezone;
+    return moment.tz(value, ICS_DATE_TIME_FORMAT, timezone);
+  }
+
+  formatEvent(event) {
+    const startTime = this.parseDate(event.DTSTART);
+    if (!startTime || !event.UID) {
+      return null;
+    }
+
+    const endTime = this.parseDate(event.DTEND) || startTime.clone().add(config.sessionDurations.default, 'minutes');
+    const recurrenceId = event['RECURRENCE-ID']?.value || '';
+
+    const customers = event.attendees
+      .filter(attendee => attendee.params.PARTSTAT !== 'DECLINED')
+      .map((attendee, index) => this.formatCustomer({
+        bookingId: index + 1,
+        fullName: attendee.params.CN || '',
+        email: attendee.value.replace(/^mailto:/i, ''),
+        locale: attendee.params.LANGUAGE || null
+      }));
+
+    return this.createAppointment({
+      // Appointment keys are joined with '_', so the UID is hashed into a safe ID
+      id: `ics-${crypto.createHash('sha1').update(`${event.UID.value}${recurrenceId}`).digest('hex').slice(0, 12)}`,
+      service: this.unescape(event.SUMMARY?.value),
+      locationId: event.LOCATION ? this.unescape(event.LOCATION.value) : undefined,
+      description: this.unescape(event.DESCRIPTION?.value),
+      startTime,
+      endTime,
+      status: EVENT_STATUSES[(event.STATUS?.value || 'CONFIRMED').toUpperCase()] || 'approved',
+      customers,
+      extra: { externalId: event.UID.value }
+    });
+  }
+}
+
+module.exports = IcsBookingSource;
@@ -0,0 +1,215 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+
+// Finished jobs are kept this long so repeated webhooks stay no-ops
+const FINISHED_RETENTION_DAYS = 7;
+
+/**
+ * Job Scheduler
+ * Persistent, idempotent jobs that run at a given time. Every job has an
+ * idempotency key: scheduling the same key again updates a pending job and
+ * is a no-op once the job ran, so webhooks and polling can both request the
+ * same work without it being done twice. Due jobs are picked up by run(),
+ * which the engine calls on a short interval; failed jobs are retried, and
+ * one that failed permanently is armed again when it is scheduled again.
+ *
+ * State: 'scheduledJobs' ({ key, type, runAt, appointmentId, data, status,
+ * attempts, lastError, createdAt, updatedAt }), status one of pending,
+ * running, done, failed or cancelled
+ */
+class JobScheduler {
+  constructor() {
+    this.handlers = new Map(); // job type -> async handler(job)
+    this.isRunning = false;
+  }
+
+  /**
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job) => result, throws to retry
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule a job unless its key is running or done
+   * @param {Object} job - { key, type, runAt, appointmentId, data }
+   * @returns {Object} The stored job
+   */
+  schedule({ key, type, runAt, appointmentId = null, data = {} }) {
+    const existing = stateStore.get('scheduledJobs', key);
+    const now = new Date().toISOString();
+
+    if (existing && (existing.status === 'running' || existing.status === 'done')) {
+      return existing;
+    }
+
+    const job = {
+      key,
+      type,
+      runAt: moment(runAt).toISOString(),
+      appointmentId,
+      data,
+      status: 'pending',
+      attempts: existing?.status === 'pending' ? existing.attempts : 0,
+      lastError: null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    stateStore.set('scheduledJobs', key, job);
+
+    if (!existing || existing.runAt !== job.runAt || existing.status !== 'pending') {
+      logger.info('Scheduled job', { key, type, appointmentId, runAt: moment(job.runAt).tz(config.system.timezone).format('YYYY-MM-DD HH:mm:ss') });
+    }
+
+    return job;
+  }
+
+  get(key) {
+    return stateStore.get('scheduledJobs', key) || null;
+  }
+
+  /**
+   * Mark a job done without running it, e.g. when polling handled the work first
+   */
+  complete(key, result = null) {
+    const job = this.get(key);
+    if (job && job.status !== 'done') {
+      this.update(job, { status: 'done', result });
+    }
+  }
+
+  cancel(key) {
+    const job = this.get(key);
+    if (!job || job.status !== 'pending') {
+      return false;
+    }
+
+    this.update(job, { status: 'cancelled' });
+    logger.info('Cancelled scheduled job', { key, type: job.type });
+    return true;
+  }
+
+  /**
+   * Cancel an appointment's pending jobs, optionally only those of some types
+   * @returns {number} Jobs cancelled
+   */
+  cancelAppointment(appointmentId, types = null) {
+    return stateStore.values('scheduledJobs')
+      .filter(job => String(job.appointmentId) === String(appointmentId))
+      .filter(job => !types || types.includes(job.type))
+      .filter(job => this.cancel(job.key))
+      .length;
+  }
+
+  update(job, changes) {
+    const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    stateStore.set('scheduledJobs', job.key, updated);
+    return updated;
+  }
+
+  /**
+   * Run every pending job whose time has come, oldest first
+   * @returns {number} Jobs run
+   */
+  async run() {
+    // A slow handler must not make the next tick start the same jobs again
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    let ran = 0;
+
+    try {
+      const now = moment();
+      const due = stateStore.values('scheduledJobs')
+        .filter(job => job.status === 'pending' && !moment(job.runAt).isAfter(now))
+        .sort((a, b) => moment(a.runAt).diff(moment(b.runAt)));
+
+      for (const job of due) {
+        await this.execute(job);
+        ran++;
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return ran;
+  }
+
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      logger.error('No handler for scheduled job', { key: job.key, type: job.type });
+      this.update(job, { status: 'failed', lastError: `Unknown job type ${job.type}` });
+      return;
+    }
+
+    const running = this.update(job, { status: 'running', attempts: job.attempts + 1 });
+
+    try {
+      const result = await handler(running);
+      this.update(running, { status: 'done', result: result ?? null, lastError: null });
+    } catch (error) {
+      if (running.attempts < config.jobs.maxAttempts) {
+        const retryAt = moment().add(config.jobs.retryDelaySeconds * running.attempts, 'seconds');
+        this.update(running, { status: 'pending', runAt: retryAt.toISOString(), lastError: error.message });
+        logger.warn('Scheduled job failed, will retry', { key: job.key, attempt: running.attempts, retryAt: retryAt.toISOString(), error: error.message });
+      } else {
+        this.update(running, { status: 'failed', lastError: error.message });
+        logger.error('Scheduled job failed permanently', { key: job.key, type: job.type, attempts: running.attempts, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Requeue jobs that were running when the process stopped
+   * @returns {Object} { pending, requeued }
+   */
+  recover() {
+    let requeued = 0;
+
+    for (const job of stateStore.values('scheduledJobs')) {
+      if (job.status === 'running') {
+        this.update(job, { status: 'pending' });
+        requeued++;
+      }
+    }
+
+    return { pending: this.getJobs('pending').length, requeued };
+  }
+
+  /**
+   * Forget finished jobs after the retention period
+   * @returns {number} Jobs removed
+   */
+  cleanup() {
+    const cutoff = moment().subtract(FINISHED_RETENTION_DAYS, 'days');
+    let removed = 0;
+
+    for (const job of stateStore.values('scheduledJobs')) {
+      if (job.status !== 'pending' && job.status !== 'running' && moment(job.updatedAt).isBefore(cutoff)) {
+        stateStore.delete('scheduledJobs', job.key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * @param {string} status - Only jobs with this status
+   * @returns {Array} Jobs, earliest first
+   */
+  getJobs(status = null) {
+    return stateStore.values('scheduledJobs')
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => moment(a.runAt).diff(moment(b.runAt)));
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,266 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const auditLog = require('../utils/auditLog');
+
+// The same occurrence can arrive both as a push message and as a device event
+const DUPLICATE_WINDOW_SECONDS = 30;
+const RECENT_EVENTS_KEPT = 20;
+
+/**
+ * Lock Event Service
+ * Consumes the normalized lock events emitted by the Eufy service: records
+ * them in the audit log (keypad unlocks with a staff or member code under
+ * the person's name), keeps per-lock status for /status, notes customer
+ * arrivals on their appointment, counts member visits towards their daily
+ * quota and reacts to jams and manual locks
+ */
+class LockEventService {
+  constructor(bookingSource, emailService, codeProvisioning, lockVerification, staffAccess = null, memberships = null) {
+    this.bookingSource = bookingSource;
+    this.emailService = emailService;
+    this.codeProvisioning = codeProvisioning;
+    this.lockVerification = lockVerification;
+    this.staffAccess = staffAccess;
+    this.memberships = memberships;
+    this.recentEvents = [];
+  }
+
+  /**
+   * Subscribe to a lock service's events
+   * @param {EventEmitter} lockService - Lock provider emitting 'lock event'
+   */
+  attach(lockService) {
+    if (typeof lockService.on !== 'function') {
+      logger.warn('Lock service does not emit events - lock activity will not be tracked');
+      return;
+    }
+
+    lockService.on('lock event', (event) => {
+      this.handleEvent(event).catch(error => {
+        logger.error('Failed to handle lock event', { type: event.type, serial: event.serial, error: error.message });
+      });
+    });
+  }
+
+  getLockKey(serial) {
+    return serial || config.locks.primarySerial || 'primary';
+  }
+
+  isDuplicate(event) {
+    const time = moment(event.timestamp);
+    return this.recentEvents.some(recent =>
+      recent.type === event.type &&
+      (recent.user || null) === (event.user || null) &&
+      this.getLockKey(recent.serial) === this.getLockKey(event.serial) &&
+      Math.abs(moment(recent.timestamp).diff(time, 'seconds')) < DUPLICATE_WINDOW_SECONDS
+    );
+  }
+
+  /**
+   * Handle one lock event
+   * @param {Object} event - { type, serial, timestamp, user, source }
+   * @returns {Object|null} The stored event, or null if it was a duplicate
+   */
+  async handleEvent(event) {
+    if (this.isDuplicate(event)) {
+      return null;
+    }
+
+    // Staff and member codes are recognised by their code name and never count as a customer arrival
+    const staff = this.staffAccess ? this.staffAccess.findByCodeName(event.user) : null;
+    const member = !staff && this.memberships ? this.memberships.findByCodeName(event.user) : null;
+    const match = event.type === 'unlocked_keypad' && !staff && !member ? this.findAppointment(event) : null;
+    const stored = {
+      ...event,
+      appointmentId: match ? match.tracked.id : null,
+      customer: match?.customer?.fullName || null,
+      staff: staff ? staff.name : null,
+      member: member ? member.name : null
+    };
+
+    this.recentEvents.push(stored);
+    this.recentEvents = this.recentEvents.slice(-RECENT_EVENTS_KEPT);
+    this.updateLockStatus(stored);
+
+    auditLog.record({
+      event: 'lock.event',
+      channel: 'lock',
+      outcome: event.type,
+      actor: staff ? staff.name : (member ? member.name : (event.user || 'lock')),
+      appointmentId: stored.appointmentId,
+      customerEmail: match?.customer?.email || member?.email,
+      details: {
+        serial: this.getLockKey(event.serial),
+        source: event.source,
+        ...(staff ? { staffId: staff.id, role: staff.role } : {}),
+        ...(member ? { membershipId: member.id } : {})
+      }
+    });
+
+    switch (event.type) {
+      case 'unlocked_keypad':
+        if (match) {
+          await this.recordArrival(match, event);
+        } else if (member) {
+          await this.memberships.recordVisit(member, event);
+        }
+        break;
+
+      case 'locked_manually':
+        // Someone locked the door by hand - that settles any "left unlocked" incident
+        this.lockVerification.resolveIncident(event.serial, 'Locked manually at the door');
+        if (event.serial === config.locks.primarySerial) {
+          this.lockVerification.resolveIncident(null, 'Locked manually at the door');
+        }
+        break;
+
+      case 'jammed':
+        await this.alertJammed(event);
+        break;
+
+      case 'low_battery':
+        logger.warn('Lock battery low', { serial: this.getLockKey(event.serial), batteryLevel: event.batteryLevel });
+        break;
+
+      case 'wrong_code':
+        logger.security('Wrong code entered on lock keypad', { serial: this.getLockKey(event.serial), lockdown: !!event.lockdown });
+        break;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Keep the latest state of each lock for /status
+   */
+  updateLockStatus(event) {
+    const key = this.getLockKey(event.serial);
+    const status = stateStore.get('lockStatus', key) || {
+      serial: key,
+      jammedSince: null,
+      lowBatteryAt: null,
+      lastKeypadUnlockAt: null,
+      lastManualLockAt: null,
+      lastWrongCodeAt: null
+    };
+
+    status.lastEvent = event.type;
+    status.lastEventAt = event.timestamp;
+
+    if (event.type === 'jammed') {
+      status.jammedSince = status.jammedSince || event.timestamp;
+    } else if (event.type === 'unlocked_keypad' || event.type === 'locked_manually') {
+      // The bolt moved, so it is no longer jammed
+      status.jammedSince = null;
+    }
+
+    if (event.type === 'unlocked_keypad') status.lastKeypadUnlockAt = event.timestamp;
+    if (event.type === 'locked_manually') status.lastManualLockAt = event.timestamp;
+    if (event.type === 'low_battery') status.lowBatteryAt = event.timestamp;
+    if (event.type === 'wrong_code') status.lastWrongCodeAt = event.timestamp;
+
+    stateStore.set('lockStatus', key, status);
+  }
+
+  /**
+   * Work out which appointment a keypad unlock belongs to: by the code name the
+   * lock reports, otherwise the tracked appointment on that door whose code is
+   * currently valid (nearest start time first)
+   * @param {Object} event - Keypad unlock event
+   * @returns {Object|null} { tracked, customer }
+   */
+  findAppointment(event) {
+    const codeKey = (event.user || '').startsWith('Amelia #') ? event.user.substring('Amelia #'.length) : null;
+    const record = codeKey ? this.codeProvisioning.getRecord(codeKey) : null;
+
+    if (record) {
+      const tracked = stateStore.get('trackedAppointments', record.appointmentId);
+      if (tracked) {
+        return { tracked, customer: tracked.customers.find(customer => customer.codeKey === codeKey) || null };
+      }
+    }
+
+    const time = moment(event.timestamp);
+    const lockKey = this.getLockKey(event.serial);
+
+    const candidates = stateStore.values('trackedAppointments').filter(tracked => {
+      const validFrom = moment(tracked.startTime).subtract(config.automation.codeGraceMinutes, 'minutes');
+      const validUntil = moment(tracked.endTime).add(config.automation.bufferTimeMinutes, 'minutes');
+      const locks = (tracked.locks || [null]).map(serial => this.getLockKey(serial));
+      return time.isBetween(validFrom, validUntil, null, '[]') && locks.includes(lockKey);
+    });
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    candidates.sort((a, b) => Math.abs(moment(a.startTime).diff(time)) - Math.abs(moment(b.startTime).diff(time)));
+    const tracked = candidates[0];
+
+    // A single customer is unambiguous even without a code name
+    return { tracked, customer: tracked.customers.length === 1 ? tracked.customers[0] : null };
+  }
+
+  /**
+   * Note the first arrival of each customer on their appointment
+   * @param {Object} match - { tracked, customer }
+   * @param {Object} event - Keypad unlock event
+   */
+  async recordArrival({ tracked, customer }, event) {
+    const arrivalKey = customer ? customer.codeKey : 'unknown';
+    const arrivals = tracked.arrivals || {};
+    if (arrivals[arrivalKey]) {
+      return;
+    }
+
+    arrivals[arrivalKey] = event.timestamp;
+    stateStore.set('trackedAppointments', tracked.id, { ...tracked, arrivals });
+
+    const time = moment(event.timestamp).tz(config.system.timezone).format('HH:mm');
+    const who = customer && tracked.customers.length > 1 ? customer.fullName : 'Customer';
+
+    logger.info('Customer arrived', { appointmentId: tracked.id, customer: customer?.fullName, time });
+
+    try {
+      await this.bookingSource.addAppointmentNote(tracked.id, `${who} arrived at ${time} (door keypad)`);
+    } catch (error) {
+      logger.error('Failed to add arrival note', { appointmentId: tracked.id, error: error.message });
+    }
+  }
+
+  /**
+   * Tell staff a lock reported a jam
+   */
+  async alertJammed(event) {
+    const lockKey = this.getLockKey(event.serial);
+    logger.security('Lock jammed', { serial: lockKey });
+
+    try {
+      await this.emailService.sendErrorNotification(
+        new Error('The lock reported a jam - the bolt may not be fully locked or unlocked'),
+        {
+          context: 'Lock Jammed',
+          lock: lockKey,
+          reportedAt: moment(event.timestamp).tz(config.system.timezone).format('YYYY-MM-DD HH:mm')
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to send lock jammed alert', { error: error.message });
+    }
+  }
+
+  /**
+   * Lock activity for /status
+   * @returns {Object} { locks, recentEvents }
+   */
+  getStatus() {
+    return {
+      locks: stateStore.values('lockStatus'),
+      recentEvents: [...this.recentEvents].reverse()
+    };
+  }
+}
+
+module.exports = LockEventService;
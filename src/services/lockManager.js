@@ -0,0 +1,132 @@
+const logger = require('../utils/logger');
+const { config, getConfiguredLockSerials, getLockProviderName } = require('../config');
+const LockProvider = require('./lockProvider');
+
+/**
+ * Lock Manager
+ * Single lock provider the engine talks to. Each call is routed to the
+ * provider configured for that lock (LOCK_PROVIDERS / LOCK_PROVIDER) and the
+ * 'lock event's of every provider are re-emitted.
+ */
+class LockManager extends LockProvider {
+  /**
+   * @param {Object} providers - Provider instances by name ({ eufy, http })
+   */
+  constructor(providers) {
+    super('Lock manager');
+    this.providers = providers;
+
+    for (const provider of Object.values(providers)) {
+      if (typeof provider.on === 'function') {
+        provider.on('lock event', event => this.emit('lock event', event));
+      }
+    }
+  }
+
+  /**
+   * Configured lock serials grouped by provider name
+   * @returns {Object} { providerName: [serials] }
+   */
+  getAssignments() {
+    const assignments = {};
+
+    for (const serial of getConfiguredLockSerials()) {
+      const name = getLockProviderName(serial);
+      assignments[name] = [...(assignments[name] || []), serial];
+    }
+
+    // Without any configured serial the default provider drives the primary lock
+    if (Object.keys(assignments).length === 0) {
+      assignments[config.locks.defaultProvider] = [];
+    }
+
+    return assignments;
+  }
+
+  getProvider(serial) {
+    const name = getLockProviderName(serial);
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new Error(`Unknown lock provider "${name}" for lock ${serial || 'primary'}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Resolve the serial a call is for (null means the primary lock)
+   */
+  getTarget(serial) {
+    return serial || config.locks.primarySerial || null;
+  }
+
+  async initialize() {
+    const assignments = this.getAssignments();
+
+    await Promise.all(Object.entries(assignments).map(([name, serials]) => {
+      const provider = this.providers[name];
+      if (!provider) {
+        throw new Error(`Unknown lock provider "${name}" configured for ${serials.join(', ') || 'the primary lock'}`);
+      }
+
+      logger.info('Initializing lock provider', { provider: name, locks: serials });
+      return provider.initialize(serials);
+    }));
+
+    return true;
+  }
+
+  async unlockDoor(serial) {
+    return this.getProvider(serial).unlockDoor(this.getTarget(serial));
+  }
+
+  async lockDoor(serial) {
+    return this.getProvider(serial).lockDoor(this.getTarget(serial));
+  }
+
+  async isLocked(serial) {
+    return this.getProvider(serial).isLocked(this.getTarget(serial));
+  }
+
+  async getDoorStatus(serial) {
+    const status = await this.getProvider(serial).getDoorStatus(this.getTarget(serial));
+    return { ...status, provider: getLockProviderName(serial) };
+  }
+
+  async addTemporaryCode(code, name, startTime, endTime, serial) {
+    return this.getProvider(serial).addTemporaryCode(code, name, startTime, endTime, this.getTarget(serial));
+  }
+
+  async removeTemporaryCode(code, name, serial) {
+    return this.getProvider(serial).removeTemporaryCode(code, name, this.getTarget(serial));
+  }
+
+  async listTemporaryCodes(serial) {
+    return this.getProvider(serial).listTemporaryCodes(this.getTarget(serial));
+  }
+
+  /**
+   * Status of the primary lock plus every configured lock
+   * @returns {Object} Primary door status with a locks array
+   */
+  async getStatus() {
+    const primary = await this.getDoorStatus();
+    const locks = [];
+
+    for (const serial of getConfiguredLockSerials()) {
+      locks.push(await this.getDoorStatus(serial));
+    }
+
+    return { ...primary, locks };
+  }
+
+  async cleanup() {
+    for (const provider of Object.values(this.providers)) {
+      if (provider.cleanup) {
+        await provider.cleanup();
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = LockManager;
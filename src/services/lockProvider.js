@@ -0,0 +1,77 @@
+const EventEmitter = require('events');
+
+/**
+ * Lock Provider
+ * Interface every lock backend implements. Methods take the lock serial the
+ * call is for (null for the primary lock). Providers emit a normalized
+ * 'lock event' ({ type, serial, timestamp, user, source }) where type is one of
+ * unlocked_keypad, locked_manually, jammed, low_battery or wrong_code.
+ */
+class LockProvider extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+
+  /**
+   * Connect and find the locks this provider manages
+   * @param {Array} serials - Serials of the locks assigned to this provider
+   */
+  async initialize(serials) {
+    throw new Error(`${this.name} lock provider does not implement initialize()`);
+  }
+
+  /**
+   * Send the unlock command
+   * @returns {boolean} true once the lock accepted the command
+   * @throws {Error} When the command could not be delivered
+   */
+  async unlockDoor(serial) {
+    throw new Error(`${this.name} lock provider does not implement unlockDoor()`);
+  }
+
+  /**
+   * Send the lock command. Resolving does not mean the bolt is thrown -
+   * LockVerificationService reads the state back afterwards.
+   * @returns {boolean} true once the lock accepted the command
+   * @throws {Error} When the command could not be delivered
+   */
+  async lockDoor(serial) {
+    throw new Error(`${this.name} lock provider does not implement lockDoor()`);
+  }
+
+  /**
+   * @returns {boolean} Whether the lock reports locked
+   */
+  async isLocked(serial) {
+    throw new Error(`${this.name} lock provider does not implement isLocked()`);
+  }
+
+  /**
+   * @returns {Object} { available, isLocked, batteryLevel, name, serial, lastUpdate }
+   */
+  async getDoorStatus(serial) {
+    throw new Error(`${this.name} lock provider does not implement getDoorStatus()`);
+  }
+
+  async addTemporaryCode(code, name, startTime, endTime, serial) {
+    throw new Error(`${this.name} lock provider does not implement addTemporaryCode()`);
+  }
+
+  async removeTemporaryCode(code, name, serial) {
+    throw new Error(`${this.name} lock provider does not implement removeTemporaryCode()`);
+  }
+
+  /**
+   * @returns {Array} Codes on the lock ({ code, name, startTime, endTime })
+   */
+  async listTemporaryCodes(serial) {
+    throw new Error(`${this.name} lock provider does not implement listTemporaryCodes()`);
+  }
+
+  async cleanup() {
+    return true;
+  }
+}
+
+module.exports = LockProvider;
@@ -0,0 +1,370 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config, getLockDurationForService } = require('../config');
+const stateStore = require('../utils/stateStore');
+const auditLog = require('../utils/auditLog');
+const lockRouter = require('../utils/lockRouter');
+
+// Longest single timer; setTimeout overflows past ~24.8 days
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lock Scheduler
+ * Occupancy-aware auto-lock: every appointment contributes an occupancy
+ * window (session start until its lock time) to each door it uses. Per door,
+ * overlapping or back-to-back windows are merged into one occupied interval
+ * and the door is only locked when the last session of that interval is over.
+ * The schedule of a door is recomputed whenever a window is added or removed.
+ *
+ * State: 'lockWindows' (per appointment) and 'lockJobs' (per door)
+ */
+class LockScheduler {
+  constructor(lockVerification, codeProvisioning, bookingSource) {
+    this.lockVerification = lockVerification;
+    this.codeProvisioning = codeProvisioning;
+    this.bookingSource = bookingSource;
+    this.timers = new Map(); // door key -> armed timer
+  }
+
+  getDoorKey(serial) {
+    return serial || 'primary';
+  }
+
+  /**
+   * When an appointment's door should lock: session end plus the buffer, but
+   * never before the configured duration of the service (which includes the buffer)
+   * @param {Object} appointment - Formatted appointment
+   * @returns {Object} { start, lockTime } moments
+   */
+  getOccupancy(appointment) {
+    const end = moment(appointment.endTime || appointment.bookingEnd);
+    const start = moment(appointment.startTime || appointment.bookingStart || end);
+    const serviceName = appointment.service?.name || appointment.service;
+
+    const afterEnd = end.clone().add(config.automation.bufferTimeMinutes, 'minutes');
+    const afterServiceDuration = start.clone().add(getLockDurationForService(serviceName), 'minutes');
+
+    return { start, lockTime: moment.max(afterEnd, afterServiceDuration) };
+  }
+
+  /**
+   * Add (or replace) an appointment's occupancy window and reschedule its doors
+   * @param {Object} appointment - Formatted appointment
+   * @returns {Object} Stored window
+   */
+  schedule(appointment) {
+    const { start, lockTime } = this.getOccupancy(appointment);
+    const serials = lockRouter.resolveLocks(appointment);
+    const previous = stateStore.get('lockWindows', appointment.id);
+
+    const window = {
+      appointmentId: appointment.id,
+      service: appointment.service?.name || appointment.service,
+      start: start.toISOString(),
+      lockTime: lockTime.toISOString(),
+      serials,
+      pendingLocks: [...serials],
+      results: {},
+      scheduledAt: new Date().toISOString()
+    };
+
+    stateStore.set('lockWindows', appointment.id, window);
+
+    const doors = [...serials, ...(previous ? previous.pendingLocks : [])];
+    this.recomputeDoors(doors);
+
+    return window;
+  }
+
+  /**
+   * Remove an appointment's occupancy window and reschedule its doors
+   * @param {string|number} appointmentId - Appointment ID
+   * @returns {boolean} Whether a window was removed
+   */
+  cancel(appointmentId) {
+    const window = stateStore.get('lockWindows', appointmentId);
+    if (!window) {
+      return false;
+    }
+
+    stateStore.delete('lockWindows', appointmentId);
+    logger.info('Cancelled automatic lock', { appointmentId });
+
+    this.recomputeDoors(window.pendingLocks);
+    return true;
+  }
+
+  recomputeDoors(serials) {
+    const seen = new Set();
+    for (const serial of serials) {
+      const key = this.getDoorKey(serial);
+      if (!seen.has(key)) {
+        seen.add(key);
+        this.recompute(serial);
+      }
+    }
+  }
+
+  /**
+   * Windows still waiting for a door to lock
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @returns {Array} Windows, earliest start first
+   */
+  getDoorWindows(serial) {
+    const key = this.getDoorKey(serial);
+    return stateStore.values('lockWindows')
+      .filter(window => window.pendingLocks.some(pending => this.getDoorKey(pending) === key))
+      .sort((a, b) => moment(a.start).diff(moment(b.start)));
+  }
+
+  /**
+   * Merge overlapping or back-to-back windows into occupied intervals
+   * @param {Array} windows - Windows sorted by start
+   * @returns {Array} Intervals { start, lockTime, appointmentIds }
+   */
+  mergeWindows(windows) {
+    const intervals = [];
+
+    for (const window of windows) {
+      const current = intervals[intervals.length - 1];
+
+      // The next session starts before the door would have locked - keep it open
+      if (current && !moment(window.start).isAfter(moment(current.lockTime))) {
+        current.lockTime = moment.max(moment(current.lockTime), moment(window.lockTime)).toISOString();
+        current.appointmentIds.push(window.appointmentId);
+        continue;
+      }
+
+      intervals.push({ start: window.start, lockTime: window.lockTime, appointmentIds: [window.appointmentId] });
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Schedule a door's lock at the end of its first occupied interval
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @returns {Object|null} The door's lock job
+   */
+  recompute(serial) {
+    const key = this.getDoorKey(serial);
+    const [interval] = this.mergeWindows(this.getDoorWindows(serial));
+
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+
+    if (!interval) {
+      stateStore.delete('lockJobs', key);
+      return null;
+    }
+
+    const job = {
+      serial,
+      lockTime: interval.lockTime,
+      appointmentIds: interval.appointmentIds,
+      scheduledAt: new Date().toISOString()
+    };
+
+    // Persist first so the job survives a restart before the timer fires
+    stateStore.set('lockJobs', key, job);
+    const lockDelayMs = this.armTimer(job);
+
+    logger.info('Scheduled automatic lock', {
+      lock: key,
+      appointmentIds: job.appointmentIds,
+      lockTime: moment(job.lockTime).tz(config.system.timezone).format('YYYY-MM-DD HH:mm:ss'),
+      mergedSessions: job.appointmentIds.length,
+      minutesFromNow: Math.round(lockDelayMs / 60000)
+    });
+
+    return job;
+  }
+
+  /**
+   * Start the in-memory timer for a persisted door job
+   * @param {Object} job - Door lock job
+   * @returns {number} Delay in milliseconds until the lock fires
+   */
+  armTimer(job) {
+    const key = this.getDoorKey(job.serial);
+    const timeUntilLock = moment(job.lockTime).diff(moment(), 'milliseconds');
+
+    // Ensure we don't schedule a lock in the past
+    const lockDelayMs = Math.max(timeUntilLock, 60000); // At least 1 minute from now
+
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+    }
+
+    // Locks further away than a timer can reliably wait are re-armed when it fires
+    const timer = lockDelayMs > MAX_TIMER_MS
+      ? setTimeout(() => this.armTimer(stateStore.get('lockJobs', key) || job), MAX_TIMER_MS)
+      : setTimeout(() => this.execute(job.serial), lockDelayMs);
+    this.timers.set(key, timer);
+
+    return lockDelayMs;
+  }
+
+  /**
+   * Lock a door at the end of its occupied interval, settle the appointments
+   * of that interval and schedule the door's next interval
+   * @param {string} serial - Lock serial (null for the primary lock)
+   */
+  async execute(serial) {
+    const key = this.getDoorKey(serial);
+    const job = stateStore.get('lockJobs', key);
+    this.timers.delete(key);
+
+    if (!job) {
+      return;
+    }
+
+    try {
+      const verification = await this.lockVerification.lockAndVerify({
+        serial,
+        appointmentId: job.appointmentIds[job.appointmentIds.length - 1],
+        source: 'auto_lock',
+        scheduledLockTime: job.lockTime
+      });
+
+      auditLog.record({
+        event: 'door.lock',
+        channel: 'auto_lock',
+        outcome: verification.locked ? 'success' : 'failure',
+        appointmentId: job.appointmentIds[job.appointmentIds.length - 1],
+        reason: verification.error,
+        details: { serial, appointmentIds: job.appointmentIds, lockTime: job.lockTime, attempts: verification.attempts }
+      });
+
+      if (verification.locked) {
+        logger.info('Door automatically locked after appointment', {
+          lock: key,
+          appointmentIds: job.appointmentIds,
+          lockTime: moment(job.lockTime).tz(config.system.timezone).format('YYYY-MM-DD HH:mm:ss')
+        });
+      } else {
+        logger.error('Door could not be verified locked after appointment', {
+          lock: key,
+          appointmentIds: job.appointmentIds
+        });
+      }
+
+      // The open incident (if any) takes over retrying, so the job is done either way
+      stateStore.delete('lockJobs', key);
+
+      for (const appointmentId of job.appointmentIds) {
+        await this.settleWindow(appointmentId, serial, job, verification);
+      }
+    } catch (error) {
+      logger.error('Error during automatic lock', {
+        lock: key,
+        appointmentIds: job.appointmentIds,
+        error: error.message
+      });
+    }
+
+    this.recompute(serial);
+  }
+
+  /**
+   * Record a door's lock result on an appointment's window; once all of its
+   * doors are locked its codes are revoked and the appointment is noted
+   */
+  async settleWindow(appointmentId, serial, job, verification) {
+    const window = stateStore.get('lockWindows', appointmentId);
+    if (!window) {
+      return;
+    }
+
+    const key = this.getDoorKey(serial);
+    window.pendingLocks = window.pendingLocks.filter(pending => this.getDoorKey(pending) !== key);
+    window.results[key] = { locked: verification.locked, attempts: verification.attempts, lockTime: job.lockTime };
+
+    if (window.pendingLocks.length > 0) {
+      stateStore.set('lockWindows', appointmentId, window);
+      return;
+    }
+
+    stateStore.delete('lockWindows', appointmentId);
+
+    // The session is over - take its door codes off the lock
+    await this.codeProvisioning.revokeAppointmentCodes(appointmentId);
+
+    await this.bookingSource.addAppointmentNote(appointmentId, this.describeResults(window))
+      .catch(error => logger.error('Failed to add auto-lock note', { appointmentId, error: error.message }));
+  }
+
+  describeResults(window) {
+    const results = Object.entries(window.results);
+    const unverified = results.filter(([, result]) => !result.locked);
+    const lockTime = moment.max(results.map(([, result]) => moment(result.lockTime))).tz(config.system.timezone);
+
+    if (unverified.length > 0) {
+      const attempts = Math.max(...unverified.map(([, result]) => result.attempts));
+      return `WARNING: Door ${unverified.map(([key]) => key).join(', ')} did not confirm locked at ${lockTime.format('HH:mm')} after ${attempts} attempts - staff will be alerted if it stays unlocked.`;
+    }
+
+    if (lockTime.isAfter(moment(window.lockTime))) {
+      return `Door automatically locked at ${lockTime.format('HH:mm')}, after the following session on the same door ended.`;
+    }
+
+    return `Door automatically locked at ${lockTime.format('HH:mm')} (${config.automation.bufferTimeMinutes} min after session end).`;
+  }
+
+  /**
+   * Re-arm persisted door jobs after a restart and lock doors whose time passed
+   * @returns {Object} { rearmed, overdue }
+   */
+  async recover() {
+    const doors = new Map();
+    for (const window of stateStore.values('lockWindows')) {
+      window.pendingLocks.forEach(serial => doors.set(this.getDoorKey(serial), serial));
+    }
+
+    let rearmed = 0;
+    let overdue = 0;
+
+    for (const serial of doors.values()) {
+      const job = this.recompute(serial);
+
+      // The lock time passed while we were down - lock right away
+      if (job && !moment(job.lockTime).isAfter(moment())) {
+        overdue++;
+        await this.execute(serial);
+      } else if (job) {
+        rearmed++;
+      }
+    }
+
+    return { rearmed, overdue };
+  }
+
+  /**
+   * When a door will lock while an appointment occupies it. Back-to-back
+   * sessions push the lock past the appointment's own lock time.
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @param {string|number} appointmentId - Appointment using the door
+   * @returns {moment|null} Scheduled lock time, null if the appointment is not in the door's job
+   */
+  getLockTime(serial, appointmentId) {
+    const job = stateStore.get('lockJobs', this.getDoorKey(serial));
+
+    if (!job || !job.appointmentIds.some(id => String(id) === String(appointmentId))) {
+      return null;
+    }
+
+    return moment(job.lockTime);
+  }
+
+  /**
+   * Pending door locks for /status
+   * @returns {Array} Door lock jobs
+   */
+  getJobs() {
+    return stateStore.values('lockJobs');
+  }
+}
+
+module.exports = LockScheduler;
@@ -0,0 +1,277 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const auditLog = require('../utils/auditLog');
+
+/**
+ * Lock Verification Service
+ * Sends lock commands, confirms the lock actually reports locked and
+ * tracks a "door left unlocked" incident per lock until it is resolved,
+ * alerting staff when a door stays unlocked past the escalation threshold
+ */
+class LockVerificationService {
+  constructor(lockService, emailService) {
+    this.lockService = lockService;
+    this.emailService = emailService;
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Key an incident is stored under
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @returns {string} Incident key
+   */
+  getIncidentKey(serial) {
+    return serial || 'primary';
+  }
+
+  /**
+   * Read the lock state, treating read errors as "not confirmed locked"
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @returns {boolean} Whether the lock reports locked
+   */
+  async readLockState(serial) {
+    try {
+      return (await this.lockService.isLocked(serial)) === true;
+    } catch (error) {
+      logger.warn('Could not read lock state', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Lock the door and confirm the lock state, retrying the command a bounded
+   * number of times. Opens an incident if the door never reports locked.
+   * @param {Object} context - { serial, appointmentId, source, actor, scheduledLockTime }
+   * @returns {Object} { locked, attempts, result, error }
+   */
+  async lockAndVerify(context = {}) {
+    const maxAttempts = config.automation.lockVerifyAttempts;
+    let result = null;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        result = await this.lockService.lockDoor(context.serial);
+      } catch (error) {
+        lastError = error.message;
+        logger.warn('Lock command failed', { attempt, maxAttempts, serial: context.serial, source: context.source, error: error.message });
+      }
+
+      // The reported state can lag behind the command - re-read once after a short wait
+      let locked = await this.readLockState(context.serial);
+      if (!locked && config.automation.lockVerifyDelaySeconds > 0) {
+        await this.wait(config.automation.lockVerifyDelaySeconds * 1000);
+        locked = await this.readLockState(context.serial);
+      }
+
+      if (locked) {
+        logger.eufy('Door lock verified', { attempt, serial: context.serial, source: context.source, appointmentId: context.appointmentId });
+        this.resolveIncident(context.serial, 'Locked by verified lock command');
+        return { locked: true, attempts: attempt, result };
+      }
+
+      lastError = lastError || 'Lock did not report locked after command';
+    }
+
+    logger.security('Door still unlocked after lock commands', {
+      serial: context.serial,
+      attempts: maxAttempts,
+      source: context.source,
+      appointmentId: context.appointmentId,
+      error: lastError
+    });
+
+    this.openIncident(context, maxAttempts, lastError);
+    return { locked: false, attempts: maxAttempts, result, error: lastError };
+  }
+
+  /**
+   * Start (or extend) the "door left unlocked" incident of a lock
+   */
+  openIncident(context, attempts, error) {
+    const key = this.getIncidentKey(context.serial);
+    const existing = this.getOpenIncident(context.serial);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      stateStore.set('lockIncidents', key, {
+        ...existing,
+        appointmentIds: Array.from(new Set([...existing.appointmentIds, ...(context.appointmentId ? [String(context.appointmentId)] : [])])),
+        attempts: existing.attempts + attempts,
+        lastError: error,
+        lastCheckedAt: now
+      });
+      return;
+    }
+
+    const incident = {
+      status: 'door_left_unlocked',
+      serial: context.serial || null,
+      source: context.source || 'unknown',
+      actor: context.actor || null,
+      appointmentIds: context.appointmentId ? [String(context.appointmentId)] : [],
+      scheduledLockTime: context.scheduledLockTime || now,
+      openedAt: now,
+      lastCheckedAt: now,
+      attempts,
+      lastError: error,
+      escalatedAt: null
+    };
+
+    stateStore.set('lockIncidents', key, incident);
+
+    auditLog.record({
+      event: 'lock.incident',
+      channel: context.source || 'system',
+      outcome: 'opened',
+      actor: context.actor,
+      appointmentId: context.appointmentId,
+      reason: error,
+      details: { serial: incident.serial, attempts }
+    });
+  }
+
+  /**
+   * Close the open incident of a lock, if any
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @param {string} reason - How the incident was resolved
+   * @returns {boolean} Whether an incident was resolved
+   */
+  resolveIncident(serial, reason) {
+    const incident = this.getOpenIncident(serial);
+    if (!incident) {
+      return false;
+    }
+
+    stateStore.delete('lockIncidents', this.getIncidentKey(serial));
+
+    logger.security('Door left unlocked incident resolved', {
+      serial: incident.serial,
+      openedAt: incident.openedAt,
+      appointmentIds: incident.appointmentIds,
+      reason
+    });
+
+    auditLog.record({
+      event: 'lock.incident',
+      channel: 'system',
+      outcome: 'resolved',
+      appointmentId: incident.appointmentIds[0],
+      reason,
+      details: { serial: incident.serial, openedAt: incident.openedAt, escalatedAt: incident.escalatedAt }
+    });
+
+    return true;
+  }
+
+  getOpenIncident(serial) {
+    return stateStore.get('lockIncidents', this.getIncidentKey(serial)) || null;
+  }
+
+  getOpenIncidents() {
+    return stateStore.values('lockIncidents');
+  }
+
+  /**
+   * Re-check every open incident
+   * @returns {Array} Incidents that are still open
+   */
+  async checkIncidents() {
+    const stillOpen = [];
+
+    for (const incident of this.getOpenIncidents()) {
+      const result = await this.checkIncident(incident.serial);
+      if (result) {
+        stillOpen.push(result);
+      }
+    }
+
+    return stillOpen;
+  }
+
+  /**
+   * Re-check a lock's open incident: resolve it once the door reports locked,
+   * otherwise retry the lock and escalate to staff past the threshold
+   * @param {string} serial - Lock serial (null for the primary lock)
+   * @returns {Object|null} The incident if it is still open
+   */
+  async checkIncident(serial = null) {
+    const incident = this.getOpenIncident(serial);
+    if (!incident) {
+      return null;
+    }
+
+    if (await this.readLockState(serial)) {
+      this.resolveIncident(serial, 'Lock reported locked on re-check');
+      return null;
+    }
+
+    try {
+      await this.lockService.lockDoor(serial);
+      if (await this.readLockState(serial)) {
+        this.resolveIncident(serial, 'Locked on retry');
+        return null;
+      }
+    } catch (error) {
+      incident.lastError = error.message;
+    }
+
+    incident.attempts++;
+    incident.lastCheckedAt = new Date().toISOString();
+
+    const escalateAt = moment(incident.scheduledLockTime).add(config.automation.lockEscalationMinutes, 'minutes');
+    if (!incident.escalatedAt && moment().isSameOrAfter(escalateAt)) {
+      incident.escalatedAt = new Date().toISOString();
+      await this.escalate(incident);
+    }
+
+    stateStore.set('lockIncidents', this.getIncidentKey(serial), incident);
+    return incident;
+  }
+
+  /**
+   * Email staff that the door is still unlocked
+   * @param {Object} incident - Open incident
+   */
+  async escalate(incident) {
+    const minutesUnlocked = moment().diff(moment(incident.scheduledLockTime), 'minutes');
+
+    logger.security('Escalating door left unlocked incident', {
+      serial: incident.serial,
+      minutesUnlocked,
+      appointmentIds: incident.appointmentIds
+    });
+
+    auditLog.record({
+      event: 'lock.incident',
+      channel: 'system',
+      outcome: 'escalated',
+      appointmentId: incident.appointmentIds[0],
+      reason: incident.lastError,
+      details: { serial: incident.serial, minutesUnlocked, attempts: incident.attempts }
+    });
+
+    try {
+      await this.emailService.sendErrorNotification(
+        new Error(`Door still unlocked ${minutesUnlocked} minutes after scheduled lock time - please check the door`),
+        {
+          context: 'Door Left Unlocked',
+          lock: incident.serial || config.locks.primarySerial || 'primary',
+          scheduledLockTime: moment(incident.scheduledLockTime).tz(config.system.timezone).format('YYYY-MM-DD HH:mm'),
+          appointmentIds: incident.appointmentIds.join(', '),
+          lockAttempts: incident.attempts,
+          lastError: incident.lastError
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to send door left unlocked escalation', { error: error.message });
+    }
+  }
+}
+
+module.exports = LockVerificationService;
@@ -0,0 +1,394 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const auditLog = require('../utils/auditLog');
+const lockRouter = require('../utils/lockRouter');
+const i18n = require('../utils/i18n');
+const { normalizePhone } = require('./messagingService');
+const ScheduledCodeService = require('./scheduledCodeService');
+const { parseSchedule, getNextWindow } = ScheduledCodeService;
+
+// Statuses the membership sources use for a membership in force
+const ACTIVE_STATUSES = ['active', 'approved'];
+
+// Principal for changes that come from the membership source
+const SOURCE_PRINCIPAL = 'membership source';
+
+/**
+ * Membership Service
+ * Chill Club members keep one personal door code for the length of their
+ * membership instead of a new code for every daily booking. Memberships come
+ * from the membership source (Amelia package purchases or a CSV import) and
+ * are refreshed every MEMBERSHIP_REFRESH_MINUTES. A member's code is on the
+ * locks during opening hours (OPENING_HOURS), never outside the membership
+ * dates, and is taken off when the membership ends, is cancelled or is
+ * revoked by staff.
+ *
+ * Keypad unlocks with a member's code count towards MEMBERSHIP_DAILY_QUOTA;
+ * unlocks within MEMBERSHIP_VISIT_MINUTES of a visit's first unlock belong
+ * to that visit. Once the quota is used the code works until that visit is
+ * over and then not again before the next day.
+ *
+ * State: 'memberships' ({ id, source, name, email, phone, locale, plan,
+ * startsAt, endsAt, serials, code, provisioned, syncJob, usage: { date,
+ * visits }, welcomeSentAt, createdAt, revokedAt, revokedBy, revokedReason })
+ * by membership ID
+ */
+class MembershipService extends ScheduledCodeService {
+  /**
+   * @param {Object} lockService - Lock manager
+   * @param {CodeProvisioningService} codeProvisioning - Programs and verifies codes
+   * @param {JobScheduler} jobScheduler - Runs the sync jobs
+   * @param {Object} options - { source, outbox, getChannel }: the membership
+   *   source, the outbox the welcome message is queued on and a function
+   *   picking a customer's channel
+   */
+  constructor(lockService, codeProvisioning, jobScheduler, { source, outbox, getChannel }) {
+    // Member codes are stored on the lock as `Member #<id>`, which is how lock events name them
+    super(lockService, codeProvisioning, jobScheduler, {
+      collection: 'memberships',
+      jobType: 'membership.sync',
+      codeNamePrefix: 'Member #',
+      codeLength: config.memberships.codeLength,
+      label: 'Membership'
+    });
+
+    this.source = source;
+    this.outbox = outbox;
+    this.outbox.registerAccess('membership', access => this.resolveAccess(access));
+    this.getChannel = getChannel;
+    this.openingHours = parseSchedule(config.memberships.openingHours);
+  }
+
+  describe(membership) {
+    return { membershipId: membership.id, name: membership.name };
+  }
+
+  getDay(time = moment()) {
+    return moment(time).tz(config.system.timezone).format('YYYY-MM-DD');
+  }
+
+  /**
+   * Visits a member made today
+   * @returns {Array} ISO times of each visit's first unlock
+   */
+  getVisitsToday(membership) {
+    return membership.usage && membership.usage.date === this.getDay() ? membership.usage.visits : [];
+  }
+
+  /**
+   * The active membership of a customer, by email address
+   * @param {string} email - Customer email
+   * @returns {Object|null} Membership
+   */
+  findActiveByEmail(email) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!address) {
+      return null;
+    }
+
+    const now = moment();
+    return stateStore.values(this.collection).find(membership =>
+      !membership.revokedAt &&
+      membership.email.toLowerCase() === address &&
+      !now.isBefore(membership.startsAt) &&
+      (!membership.endsAt || now.isBefore(membership.endsAt))
+    ) || null;
+  }
+
+  /**
+   * Whether an appointment's service is one members book (MEMBERSHIP_SERVICES)
+   */
+  isMembershipService(appointment) {
+    const serviceName = appointment.service?.name || appointment.service;
+    return config.memberships.services.includes(serviceName);
+  }
+
+  /**
+   * Bring the memberships in line with the source: new memberships get a
+   * code and a welcome message, changed dates are applied, and memberships
+   * that ended, were cancelled or left the source are revoked. Memberships
+   * staff revoked stay revoked.
+   * @returns {Object} { added, updated, revoked }
+   */
+  async refresh() {
+    const entries = await this.source.getMemberships();
+    const now = moment();
+    const result = { added: 0, updated: 0, revoked: 0 };
+    const seen = new Set();
+
+    for (const entry of entries) {
+      const id = String(entry.id);
+      const status = String(entry.status || 'active').toLowerCase();
+      const ended = entry.endsAt && !now.isBefore(entry.endsAt);
+      const existing = this.get(id);
+      seen.add(id);
+
+      if (!ACTIVE_STATUSES.includes(status) || ended) {
+        if (existing && !existing.revokedAt) {
+          await this.end(id, ended ? 'Membership ended' : `Membership ${status}`);
+          result.revoked++;
+        }
+        continue;
+      }
+
+      if (existing && existing.revokedAt && existing.revokedBy !== SOURCE_PRINCIPAL) {
+        continue;
+      }
+
+      if (!existing || existing.revokedAt) {
+        await this.add(entry);
+        result.added++;
+        continue;
+      }
+
+      const details = this.getDetails(entry);
+      if (Object.keys(details).some(field => JSON.stringify(details[field]) !== JSON.stringify(existing[field]))) {
+        await this.requestSync(this.save({ ...existing, ...details }));
+        result.updated++;
+      }
+    }
+
+    // An empty source is more likely a broken export than every membership gone
+    if (entries.length > 0) {
+      for (const membership of stateStore.values(this.collection)) {
+        if (!membership.revokedAt && !seen.has(membership.id)) {
+          await this.end(membership.id, 'No longer in the membership source');
+          result.revoked++;
+        }
+      }
+    }
+
+    if (result.added || result.updated || result.revoked) {
+      logger.info('Memberships refreshed', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Revoke a membership the source no longer has in force
+   * @param {string} id - Membership ID
+   * @param {string} reason - Why it ended
+   * @returns {Object} { credential, removedFromLock }
+   */
+  async end(id, reason) {
+    const result = await this.revoke(id, SOURCE_PRINCIPAL, { revokedReason: reason });
+
+    auditLog.record({
+      event: 'membership.revoked',
+      channel: 'automation',
+      outcome: result.removedFromLock ? 'success' : 'failure',
+      actor: result.credential.name,
+      customerEmail: result.credential.email,
+      reason,
+      details: { membershipId: id }
+    });
+
+    return result;
+  }
+
+  /**
+   * Fields of a membership taken from its source entry
+   */
+  getDetails(entry) {
+    const customer = entry.customer || {};
+    return {
+      name: customer.fullName || customer.email || '',
+      email: customer.email || '',
+      phone: customer.phone || '',
+      locale: customer.locale || i18n.getDefaultLocale(),
+      plan: entry.plan,
+      startsAt: moment(entry.startsAt).toISOString(),
+      endsAt: entry.endsAt ? moment(entry.endsAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Give a new (or renewed) membership its code and put it on the locks.
+   * The welcome message goes out once the code is on the locks.
+   * @param {Object} entry - Membership from the source
+   * @returns {Object} { credential, error }
+   */
+  async add(entry) {
+    const previous = this.get(String(entry.id));
+    const membership = this.save({
+      id: String(entry.id),
+      source: config.memberships.source,
+      ...this.getDetails(entry),
+      serials: lockRouter.resolveLocks({ service: config.memberships.services[0] }),
+      code: this.generateCode(),
+      // A renewal's old code may still be on a lock that could not be reached; the sync removes it
+      provisioned: previous ? previous.provisioned : null,
+      syncJob: null,
+      usage: null,
+      welcomeSentAt: null,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      revokedBy: null,
+      revokedReason: null
+    });
+
+    logger.security('Membership code issued', { membershipId: membership.id, name: membership.name, plan: membership.plan });
+
+    auditLog.record({
+      event: 'membership.issued',
+      channel: 'automation',
+      outcome: 'success',
+      actor: membership.name,
+      customerEmail: membership.email,
+      details: { membershipId: membership.id, plan: membership.plan }
+    });
+
+    return this.requestSync(membership);
+  }
+
+  /**
+   * Opening hours open now or next, from the start of the membership and
+   * clipped to its end. With the daily quota used the code stays on until
+   * the current visit is over, then moves to the next day.
+   */
+  getWindow(membership) {
+    const now = moment();
+    const endsAt = membership.endsAt ? moment(membership.endsAt) : null;
+    if (endsAt && !now.isBefore(endsAt)) {
+      return null;
+    }
+
+    let earliest = moment(membership.startsAt);
+    const visits = this.getVisitsToday(membership);
+    const quota = config.memberships.dailyQuota;
+
+    if (quota > 0 && visits.length >= quota) {
+      const visitEnd = moment(visits[visits.length - 1]).add(config.memberships.visitMinutes, 'minutes');
+      const open = getNextWindow(this.openingHours, now);
+
+      if (now.isBefore(visitEnd) && open && !open.start.isAfter(now)) {
+        return { start: open.start, end: moment.min(open.end, visitEnd, ...(endsAt ? [endsAt] : [])) };
+      }
+      earliest = moment.max(earliest, now.clone().tz(config.system.timezone).add(1, 'day').startOf('day'));
+    }
+
+    const window = getNextWindow(this.openingHours, moment.max(now, earliest));
+    if (!window) {
+      return null;
+    }
+
+    const start = moment.max(window.start, earliest);
+    const end = endsAt ? moment.min(window.end, endsAt) : window.end;
+    return end.isAfter(start) ? { start, end } : null;
+  }
+
+  /**
+   * Sync the code, then send the welcome message the first time it is on the locks
+   */
+  async sync(membershipId) {
+    const result = await super.sync(membershipId);
+
+    const membership = this.get(membershipId);
+    if (membership && !membership.revokedAt && membership.provisioned && !membership.welcomeSentAt) {
+      await this.sendWelcome(membership);
+    }
+
+    return result;
+  }
+
+  /**
+   * Outbox resolver: the member's current code, unless it was revoked
+   * @returns {Object|null} { doorCode }
+   */
+  resolveAccess(access) {
+    const membership = this.get(access.membershipId);
+    return membership && !membership.revokedAt ? { doorCode: membership.code } : null;
+  }
+
+  /**
+   * Send a member their code, on their preferred channel
+   * @param {Object} membership - Membership
+   * @returns {Object} Outbox message
+   */
+  async sendWelcome(membership) {
+    const customer = { fullName: membership.name, email: membership.email, phone: membership.phone };
+    const format = time => i18n.formatDate(moment(time).tz(config.system.timezone), membership.locale);
+
+    const message = await this.outbox.send('sendMembershipCode', {
+      customerName: membership.name,
+      customerEmail: membership.email,
+      customerPhone: normalizePhone(membership.phone),
+      locale: membership.locale,
+      membershipId: membership.id,
+      planName: membership.plan,
+      service: membership.plan,
+      access: { kind: 'membership', membershipId: membership.id }, // The code is added when it is sent
+      membershipStarts: format(membership.startsAt),
+      membershipEnds: membership.endsAt ? format(membership.endsAt) : null,
+      openingHours: config.memberships.openingHours,
+      dailyQuota: config.memberships.dailyQuota
+    }, {
+      // Keyed like an appointment so staff follow up on a code that never reached the member
+      appointmentId: `membership-${membership.id}`,
+      alertOnFailure: true,
+      channel: this.getChannel(customer)
+    });
+
+    this.save({ ...this.get(membership.id), welcomeSentAt: new Date().toISOString() });
+    return message;
+  }
+
+  /**
+   * Count a keypad unlock with a member's code. Reaching the daily quota
+   * re-syncs the code so the lock stops accepting it after this visit.
+   * @param {Object} membership - Membership the code belongs to
+   * @param {Object} event - Keypad unlock event
+   * @returns {Object} { counted, visits } - whether it started a new visit, visits today
+   */
+  async recordVisit(membership, event) {
+    const time = moment(event.timestamp);
+    const date = this.getDay(time);
+    const visits = membership.usage && membership.usage.date === date ? [...membership.usage.visits] : [];
+    const last = visits[visits.length - 1];
+
+    if (last && time.diff(moment(last), 'minutes', true) < config.memberships.visitMinutes) {
+      return { counted: false, visits: visits.length };
+    }
+
+    visits.push(time.toISOString());
+    const updated = this.save({ ...membership, usage: { date, visits } });
+    const quota = config.memberships.dailyQuota;
+
+    if (quota > 0 && visits.length >= quota && !membership.revokedAt) {
+      if (visits.length === quota) {
+        auditLog.record({
+          event: 'membership.quota_reached',
+          channel: 'automation',
+          outcome: 'success',
+          actor: membership.name,
+          customerEmail: membership.email,
+          reason: `${visits.length} of ${quota} daily visit(s) used`,
+          details: { membershipId: membership.id }
+        });
+      } else {
+        // Only possible if the lock missed the shortened window, e.g. while offline
+        logger.security('Member visited over their daily quota', { membershipId: membership.id, name: membership.name, visits: visits.length, quota });
+      }
+
+      await this.requestSync(updated);
+    }
+
+    return { counted: true, visits: visits.length };
+  }
+
+  /**
+   * @returns {Array} Memberships with masked codes and today's visits, active ones first
+   */
+  getMemberships() {
+    return this.getCredentials().map(membership => ({
+      ...membership,
+      visitsToday: this.getVisitsToday(membership).length
+    }));
+  }
+}
+
+module.exports = MembershipService;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
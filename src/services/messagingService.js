@@ -0,0 +1,174 @@
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const i18n = require('../utils/i18n');
+const NotificationChannel = require('./notificationChannel');
+
+// Channels an HTTP messaging provider carries
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+/**
+ * Messaging Service
+ * SMS or WhatsApp notification channel behind an HTTP messaging provider
+ * (e.g. a Twilio or WhatsApp Business adapter). The provider exposes:
+ *
+ *   POST /messages  <- { channel, to, text, reference }  -> { id, status }
+ *
+ * `channel` is sms or whatsapp, `to` an E.164 number and `reference` the
+ * appointment ID. Requests carry `Authorization: Bearer <MESSAGING_TOKEN>`
+ * when a token is set. Texts come from the `sms` section of the customer's
+ * message catalog.
+ */
+class MessagingService extends NotificationChannel {
+  /**
+   * @param {string} channel - sms | whatsapp
+   */
+  constructor(channel) {
+    if (!PHONE_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown messaging channel: ${channel}`);
+    }
+
+    super(channel);
+    this.baseUrl = (config.messaging.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  getRecipient(data) {
+    return data.customerPhone || null;
+  }
+
+  async sendBookingConfirmation(confirmationData) {
+    return this.sendText(confirmationData, 'confirmation');
+  }
+
+  async sendBookingChangeNotice(changeData) {
+    return this.sendText(changeData, changeData.changeType === 'cancelled' ? 'cancelled' : 'rescheduled');
+  }
+
+  async sendBookingReminder(reminderData) {
+    return this.sendText(reminderData, 'reminder');
+  }
+
+  async sendCodeActiveNotice(activeData) {
+    return this.sendText(activeData, 'codeActive');
+  }
+
+  async sendMembershipCode(membershipData) {
+    return this.sendText(membershipData, 'membership');
+  }
+
+  /**
+   * Send one catalog text to the customer's phone
+   * @param {Object} data - Message data with customerPhone and locale
+   * @param {string} key - Key in the catalog's sms section
+   * @returns {Object} Provider response ({ id, status })
+   */
+  async sendText(data, key) {
+    if (!data.customerPhone) {
+      throw new Error(`No phone number found for ${this.name} message`);
+    }
+
+    const text = i18n.messages(data.locale, data).sms[key];
+    const result = await this.request('POST', '/messages', {
+      channel: this.name,
+      to: data.customerPhone,
+      text,
+      reference: data.appointmentId !== undefined ? String(data.appointmentId) : null
+    });
+
+    logger.info(`${this.name === 'sms' ? 'SMS' : 'WhatsApp message'} sent`, {
+      to: data.customerPhone,
+      message: key,
+      appointmentId: data.appointmentId,
+      providerId: result.id
+    });
+
+    return result;
+  }
+
+  /**
+   * Call the provider
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} body - JSON body
+   * @returns {Object} Parsed JSON response (empty object for empty responses)
+   */
+  async request(method, path, body = null) {
+    if (!this.baseUrl) {
+      throw new Error('MESSAGING_BASE_URL is required for SMS and WhatsApp messages');
+    }
+
+    const headers = { 'Accept': 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (config.messaging.token) headers['Authorization'] = `Bearer ${config.messaging.token}`;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.messaging.timeoutMs);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      const data = text ? JSON.parse(text) : {};
+
+      if (!response.ok || data.success === false) {
+        throw new Error(data.message || data.error || `Messaging provider responded with ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Messaging provider did not respond within ${config.messaging.timeoutMs} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+/**
+ * Phone number in E.164 form, or null if it does not look like one. Numbers
+ * without a country code (050 123 4567) get PHONE_COUNTRY_CODE.
+ * @param {string} phone - Number as the customer entered it
+ * @returns {string|null} e.g. +971501234567
+ */
+function normalizePhone(phone) {
+  if (!phone || typeof phone !== 'string') {
+    return null;
+  }
+
+  let digits = phone.trim().replace(/[\s().-]/g, '');
+
+  if (digits.startsWith('00')) {
+    digits = `+${digits.substring(2)}`;
+  } else if (digits.startsWith('0')) {
+    digits = `+${config.messaging.defaultCountryCode}${digits.substring(1)}`;
+  } else if (digits.startsWith(config.messaging.defaultCountryCode)) {
+    digits = `+${digits}`;
+  } else if (!digits.startsWith('+')) {
+    digits = `+${config.messaging.defaultCountryCode}${digits}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+}
+
+/**
+ * SMS and WhatsApp channels, if a messaging provider is configured
+ * @returns {Object} Channels by name
+ */
+function createMessagingChannels() {
+  if (!config.messaging.baseUrl) {
+    return {};
+  }
+
+  return Object.fromEntries(PHONE_CHANNELS.map(channel => [channel, new MessagingService(channel)]));
+}
+
+module.exports = MessagingService;
+module.exports.PHONE_CHANNELS = PHONE_CHANNELS;
+module.exports.normalizePhone = normalizePhone;
+module.exports.createMessagingChannels = createMessagingChannels;
@@ -0,0 +1,43 @@
+/**
+ * Notification Channel
+ * Interface every way of reaching a customer implements (email, SMS,
+ * WhatsApp). The email outbox queues a message for a channel and calls the
+ * method named in the message with its template data; the data carries the
+ * customer's email (customerEmail) and phone number (customerPhone), and each
+ * channel picks its recipient from it.
+ */
+class NotificationChannel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {Object} data - Message data
+   * @returns {string|null} Address this channel sends the message to
+   */
+  getRecipient(data) {
+    return data.customerEmail || null;
+  }
+
+  async sendBookingConfirmation(confirmationData) {
+    throw new Error(`${this.name} channel does not implement sendBookingConfirmation()`);
+  }
+
+  async sendBookingChangeNotice(changeData) {
+    throw new Error(`${this.name} channel does not implement sendBookingChangeNotice()`);
+  }
+
+  async sendBookingReminder(reminderData) {
+    throw new Error(`${this.name} channel does not implement sendBookingReminder()`);
+  }
+
+  async sendCodeActiveNotice(activeData) {
+    throw new Error(`${this.name} channel does not implement sendCodeActiveNotice()`);
+  }
+
+  async sendMembershipCode(membershipData) {
+    throw new Error(`${this.name} channel does not implement sendMembershipCode()`);
+  }
+}
+
+module.exports = NotificationChannel;
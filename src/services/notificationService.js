@@ -0,0 +1,301 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { getNotificationSchedule } = require('../config');
+const stateStore = require('../utils/stateStore');
+const { normalizePhone } = require('./messagingService');
+
+const REMINDER_JOB = 'notification.reminder';
+const CODE_ACTIVE_JOB = 'notification.codeActive';
+
+// Delivery records are kept this long after an appointment's last message
+const RECORD_RETENTION_DAYS = 7;
+
+/**
+ * Notification Service
+ * Customer messages sent after the booking confirmation: reminders some
+ * hours before the session and a "your code is active now" message when
+ * the access window opens, as configured per service by NOTIFICATION_SCHEDULE.
+ * Messages are persistent jobs, so they survive restarts and are re-checked
+ * against the booking source before sending; the message itself goes through
+ * the outbox on the customer's channel (email, SMS or WhatsApp), which
+ * retries it.
+ *
+ * Every message sent to a customer, including the confirmation and change
+ * notices the engine sends, is recorded per appointment from the outbox events.
+ *
+ * State: 'notifications' ({ appointmentId, messages: { <message>: { status,
+ * scheduledFor, recipients: { <recipient key>: { status, to, at, error } } } }, updatedAt }),
+ * message one of confirmation, reminder-<hours>h, code-active or change-<type>
+ */
+class NotificationService {
+  constructor(automationEngine) {
+    this.engine = automationEngine;
+    this.outbox = automationEngine.outbox;
+    this.codeProvisioning = automationEngine.codeProvisioning;
+    this.jobScheduler = automationEngine.jobScheduler;
+
+    this.jobScheduler.register(REMINDER_JOB, job => this.runMessageJob(job));
+    this.jobScheduler.register(CODE_ACTIVE_JOB, job => this.runMessageJob(job));
+  }
+
+  /**
+   * Record the delivery of outbox messages that belong to an appointment
+   * @param {EventEmitter} outbox - Email outbox
+   */
+  attach(outbox) {
+    const record = status => message => {
+      if (message.meta.appointmentId !== undefined && message.meta.notification) {
+        this.recordDelivery(message.meta.appointmentId, message.meta.notification, message.meta.recipient || message.to, status, message.lastError, message.to);
+      }
+    };
+
+    outbox.on('sent', record('sent'));
+    outbox.on('retry', record('queued'));
+    outbox.on('dead', record('failed'));
+    outbox.on('bounced', record('bounced'));
+  }
+
+  /**
+   * Schedule the reminders and code-active message of an appointment's
+   * service. Messages whose time already passed are left out.
+   * @param {Object} appointment - Formatted appointment
+   * @returns {Array} Scheduled jobs
+   */
+  schedule(appointment) {
+    const serviceName = appointment.service?.name || appointment.service;
+    const { reminderHours, codeActive } = getNotificationSchedule(serviceName);
+    const appointmentKey = this.engine.getAppointmentKey(appointment);
+    const now = moment();
+    const messages = [];
+
+    for (const hours of reminderHours) {
+      messages.push({
+        key: `${REMINDER_JOB}:${appointmentKey}:${hours}h`,
+        type: REMINDER_JOB,
+        message: `reminder-${hours}h`,
+        runAt: moment(appointment.startTime).subtract(hours, 'hours'),
+        hours
+      });
+    }
+
+    if (codeActive) {
+      messages.push({
+        key: `${CODE_ACTIVE_JOB}:${appointmentKey}`,
+        type: CODE_ACTIVE_JOB,
+        message: 'code-active',
+        runAt: this.codeProvisioning.getValidityWindow(appointment).validFrom
+      });
+    }
+
+    return messages
+      .filter(({ runAt }) => runAt.isAfter(now))
+      .map(({ key, type, message, runAt, hours }) => {
+        const job = this.jobScheduler.schedule({
+          key,
+          type,
+          runAt,
+          appointmentId: appointment.id,
+          data: { appointmentKey, message, hours }
+        });
+        if (job.status === 'pending') {
+          this.recordScheduled(appointment.id, message, runAt);
+        }
+        return job;
+      });
+  }
+
+  /**
+   * Cancel an appointment's pending messages, e.g. when it is cancelled or moved
+   * @param {string|number} appointmentId - Appointment ID
+   * @returns {number} Messages cancelled
+   */
+  cancel(appointmentId) {
+    const cancelled = this.jobScheduler.cancelAppointment(appointmentId, [REMINDER_JOB, CODE_ACTIVE_JOB]);
+
+    const record = stateStore.get('notifications', appointmentId);
+    if (record) {
+      for (const entry of Object.values(record.messages)) {
+        if (entry.status === 'scheduled') {
+          entry.status = 'cancelled';
+        }
+      }
+      this.saveRecord(record);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Scheduled job: re-read the appointment and queue the message for every
+   * customer holding a door code. Customers already sent this message are
+   * skipped, so running the job again does not send it twice.
+   * @param {Object} job - Scheduled job
+   * @returns {Object} Outcome stored on the job
+   */
+  async runMessageJob(job) {
+    const { message } = job.data;
+    const { appointment, skipped } = await this.engine.getScheduledAppointment(job);
+
+    if (skipped) {
+      this.updateMessage(job.appointmentId, message, { status: 'skipped', reason: skipped });
+      return { skipped };
+    }
+
+    const sentBefore = this.getMessage(appointment.id, message)?.recipients || {};
+    let queued = 0;
+
+    for (const customer of this.engine.getCustomers(appointment)) {
+      if (['sent', 'queued'].includes(sentBefore[this.getRecipientKey(customer)]?.status)) {
+        continue;
+      }
+
+      // Customers whose code never made it onto the lock are with staff already
+      const record = this.codeProvisioning.getRecord(this.engine.getCodeKey(appointment, customer));
+      if (!record) {
+        this.recordDelivery(appointment.id, message, this.getRecipientKey(customer), 'skipped', 'No door code issued');
+        continue;
+      }
+
+      await this.sendMessage(job.type, appointment, customer, record, job.data);
+      queued++;
+    }
+
+    return { queued };
+  }
+
+  async sendMessage(type, appointment, customer, record, data) {
+    const schedule = this.engine.getCustomerSchedule(appointment, customer);
+    const messageData = {
+      customerName: customer.fullName,
+      customerEmail: customer.email,
+      customerPhone: normalizePhone(customer.phone),
+      service: appointment.service,
+      ...schedule,
+      access: this.engine.getMessageAccess(appointment, customer), // The door code is added when it is sent
+      validFrom: this.engine.formatTime(record.validFrom, schedule.locale),
+      validUntil: this.engine.formatTime(record.validUntil, schedule.locale),
+      appointmentId: appointment.id
+    };
+
+    const meta = {
+      appointmentId: appointment.id,
+      notification: data.message,
+      recipient: this.getRecipientKey(customer),
+      channel: this.engine.getCustomerChannel(customer)
+    };
+
+    if (type === REMINDER_JOB) {
+      return this.outbox.send('sendBookingReminder', { ...messageData, hoursBefore: data.hours }, meta);
+    }
+    return this.outbox.send('sendCodeActiveNotice', messageData, meta);
+  }
+
+  /**
+   * Key a customer's deliveries are recorded under, the same whichever
+   * channel their messages go out on: their email, else their phone number
+   * @param {Object} customer - Customer from appointment.customers
+   * @returns {string} Recipient key
+   */
+  getRecipientKey(customer) {
+    return customer?.email || normalizePhone(customer?.phone) || 'unknown';
+  }
+
+  /**
+   * Record the outcome of one message to one customer
+   * @param {string|number} appointmentId - Appointment ID
+   * @param {string} message - Message name, e.g. confirmation or reminder-24h
+   * @param {string} recipient - Customer's key from getRecipientKey()
+   * @param {string} status - sent | queued (retrying) | failed | bounced | skipped
+   * @param {string} error - Failure reason
+   * @param {string} to - Address it went to (a phone number for SMS and WhatsApp)
+   */
+  recordDelivery(appointmentId, message, recipient, status, error = null, to = null) {
+    const record = this.getRecord(appointmentId);
+    const entry = record.messages[message] || { status: null, scheduledFor: null, recipients: {} };
+
+    entry.recipients[recipient || 'unknown'] = { status, to: to || recipient || null, at: new Date().toISOString(), error };
+    entry.status = this.summarize(entry.recipients);
+    record.messages[message] = entry;
+
+    this.saveRecord(record);
+
+    if (status === 'failed') {
+      logger.warn('Customer notification could not be delivered', { appointmentId, message, to: to || recipient, error });
+    }
+  }
+
+  recordScheduled(appointmentId, message, runAt) {
+    // A rescheduled appointment starts over, so its customers get the message again
+    this.updateMessage(appointmentId, message, {
+      status: 'scheduled',
+      scheduledFor: moment(runAt).toISOString(),
+      recipients: {}
+    });
+  }
+
+  updateMessage(appointmentId, message, changes) {
+    const record = this.getRecord(appointmentId);
+    record.messages[message] = { recipients: {}, scheduledFor: null, ...record.messages[message], ...changes };
+    this.saveRecord(record);
+  }
+
+  /**
+   * Overall status of a message from its recipients
+   * @returns {string} sent | queued | partial | failed | skipped
+   */
+  summarize(recipients) {
+    const statuses = Object.values(recipients).map(recipient => recipient.status);
+
+    if (statuses.every(status => status === 'sent')) return 'sent';
+    if (statuses.every(status => status === 'skipped')) return 'skipped';
+    if (statuses.includes('queued')) return 'queued';
+    if (statuses.includes('sent')) return 'partial';
+    return 'failed';
+  }
+
+  getRecord(appointmentId) {
+    return stateStore.get('notifications', appointmentId) || { appointmentId, messages: {} };
+  }
+
+  saveRecord(record) {
+    stateStore.set('notifications', record.appointmentId, { ...record, updatedAt: new Date().toISOString() });
+  }
+
+  getMessage(appointmentId, message) {
+    return this.getRecord(appointmentId).messages[message] || null;
+  }
+
+  /**
+   * Delivery status of every message of an appointment
+   * @param {string|number} appointmentId - Appointment ID
+   * @returns {Object|null} Notification record, null if nothing was sent or scheduled
+   */
+  getStatus(appointmentId) {
+    return stateStore.get('notifications', appointmentId) || null;
+  }
+
+  /**
+   * Forget delivery records of appointments with no recent activity
+   * @returns {number} Records removed
+   */
+  cleanup() {
+    const cutoff = moment().subtract(RECORD_RETENTION_DAYS, 'days');
+    let removed = 0;
+
+    for (const record of stateStore.values('notifications')) {
+      const pending = Object.values(record.messages).some(entry => entry.status === 'scheduled');
+      if (!pending && moment(record.updatedAt).isBefore(cutoff)) {
+        stateStore.delete('notifications', record.appointmentId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('Cleaned up notification records', { removed });
+    }
+
+    return removed;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,455 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const doorCodeGenerator = require('../utils/doorCodeGenerator');
+
+const DAYS = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
+const EVERY_DAY = [1, 2, 3, 4, 5, 6, 7];
+
+// State collections of every scheduled code service, so no two standing codes are the same
+const COLLECTIONS = new Set();
+
+function parseDay(text) {
+  const day = DAYS[text.trim().toLowerCase().substring(0, 3)];
+  if (!day) {
+    throw new Error(`Unknown day "${text.trim()}"`);
+  }
+  return day;
+}
+
+function parseTime(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw new Error(`Invalid time "${text}" (expected HH:mm)`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * @param {string} text - e.g. `Mon-Sat`, `Mon,Wed,Fri`, `Sat-Mon` or `Daily`
+ * @returns {Array} ISO weekdays (1 = Monday)
+ */
+function parseDays(text) {
+  if (!text || /^(daily|every ?day)$/i.test(text.trim())) {
+    return [...EVERY_DAY];
+  }
+
+  const days = new Set();
+  for (const part of text.split(',')) {
+    const [from, to] = part.split(/[-–]/);
+    const first = parseDay(from);
+    const last = to === undefined ? first : parseDay(to);
+
+    // Ranges may wrap around the week, e.g. Sat-Mon
+    for (let day = first; ; day = day % 7 + 1) {
+      days.add(day);
+      if (day === last) break;
+    }
+  }
+
+  return [...days].sort();
+}
+
+/**
+ * Parse a weekly schedule (staff shifts, opening hours). Entries are
+ * separated by ';' and look like `Mon-Sat 06:00-08:00`, `Mon,Wed 18:00-22:00`
+ * or `Daily 22:00-02:00`; the days can be left out for every day, and a
+ * window ending before it starts runs past midnight.
+ * @param {string|Array} value - Schedule text, or entries as returned here
+ * @returns {Array} Entries of { days, start, end }, days as ISO weekdays and times as HH:mm
+ * @throws {Error} When an entry cannot be read
+ */
+function parseSchedule(value) {
+  const entries = Array.isArray(value)
+    ? value.map(entry => ({
+      days: [...new Set((entry.days || EVERY_DAY).map(day => typeof day === 'string' ? parseDay(day) : parseInt(day)))].sort(),
+      start: parseTime(entry.start),
+      end: parseTime(entry.end)
+    }))
+    : String(value || '').split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const match = entry.match(/^(?:(.+?)\s+)?(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})$/);
+      if (!match) {
+        throw new Error(`Unreadable schedule entry "${entry}" (expected e.g. Mon-Sat 06:00-08:00)`);
+      }
+      return { days: parseDays(match[1]), start: parseTime(match[2]), end: parseTime(match[3]) };
+    });
+
+  if (entries.length === 0) {
+    throw new Error('Schedule has no entries');
+  }
+
+  for (const entry of entries) {
+    if (entry.days.length === 0 || entry.days.some(day => !EVERY_DAY.includes(day))) {
+      throw new Error('Schedule days must be ISO weekdays (1 = Monday ... 7 = Sunday)');
+    }
+    if (entry.start === entry.end) {
+      throw new Error(`Schedule window ${entry.start}-${entry.end} is empty`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Find the schedule window that is open now or opens next, in the venue's timezone
+ * @param {Array} schedule - Entries from parseSchedule()
+ * @param {moment} from - Time to look from (defaults to now)
+ * @returns {Object|null} { start, end } as moments
+ */
+function getNextWindow(schedule, from = moment()) {
+  const now = moment(from).tz(config.system.timezone);
+  let next = null;
+
+  // Start a day early for a window that opened yesterday and runs past midnight
+  for (let offset = -1; offset <= 7; offset++) {
+    const date = now.clone().startOf('day').add(offset, 'days');
+
+    for (const entry of schedule) {
+      if (!entry.days.includes(date.isoWeekday())) continue;
+
+      const start = moment.tz(`${date.format('YYYY-MM-DD')} ${entry.start}`, 'YYYY-MM-DD HH:mm', config.system.timezone);
+      const end = moment.tz(`${date.format('YYYY-MM-DD')} ${entry.end}`, 'YYYY-MM-DD HH:mm', config.system.timezone);
+      if (!end.isAfter(start)) {
+        end.add(1, 'day');
+      }
+
+      if (end.isAfter(now) && (!next || start.isBefore(next.start))) {
+        next = { start, end };
+      }
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Scheduled Code Service
+ * Base for standing door codes that belong to a person rather than an
+ * appointment (staff, members). A credential's code is kept on its locks for
+ * the window getWindow() returns - the one open now or opening next - and a
+ * job at the end of each window puts it on for the following one. Locks are
+ * programmed and verified like appointment codes.
+ *
+ * Subclasses pass the state collection, job type, lock code name prefix and
+ * code length, and implement getWindow(); prepareSync() may change a
+ * credential (e.g. rotate its code) before each sync. Credentials have at
+ * least { id, name, serials, code, provisioned: { code, serials, validFrom,
+ * validUntil, provisionedAt }, syncJob, revokedAt, revokedBy }.
+ */
+class ScheduledCodeService {
+  /**
+   * @param {Object} lockService - Lock manager
+   * @param {CodeProvisioningService} codeProvisioning - Programs and verifies codes
+   * @param {JobScheduler} jobScheduler - Runs the sync jobs
+   * @param {Object} options - { collection, jobType, codeNamePrefix, codeLength, label }
+   */
+  constructor(lockService, codeProvisioning, jobScheduler, { collection, jobType, codeNamePrefix, codeLength, label }) {
+    this.lockService = lockService;
+    this.codeProvisioning = codeProvisioning;
+    this.jobScheduler = jobScheduler;
+    this.collection = collection;
+    this.jobType = jobType;
+    this.codeNamePrefix = codeNamePrefix;
+    this.codeLength = codeLength;
+    this.label = label;
+
+    COLLECTIONS.add(collection);
+    this.jobScheduler.register(jobType, job => this.sync(job.data.credentialId));
+  }
+
+  getCodeName(id) {
+    return `${this.codeNamePrefix}${id}`;
+  }
+
+  get(id) {
+    return stateStore.get(this.collection, id) || null;
+  }
+
+  save(credential) {
+    stateStore.set(this.collection, credential.id, credential);
+    return credential;
+  }
+
+  /**
+   * Log context naming a credential
+   */
+  describe(credential) {
+    return { id: credential.id, name: credential.name };
+  }
+
+  /**
+   * The credential a lock code name belongs to, revoked ones included so
+   * their past unlocks keep the person's name
+   * @param {string} codeName - Code name reported by the lock
+   * @returns {Object|null} Credential
+   */
+  findByCodeName(codeName) {
+    if (!String(codeName || '').startsWith(this.codeNamePrefix)) {
+      return null;
+    }
+    return this.get(codeName.substring(this.codeNamePrefix.length));
+  }
+
+  /**
+   * Random code not in use by another active standing code
+   * @returns {string} Code
+   */
+  generateCode() {
+    const inUse = new Set();
+    for (const collection of COLLECTIONS) {
+      stateStore.values(collection).filter(credential => !credential.revokedAt).forEach(credential => inUse.add(credential.code));
+    }
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+      let code = '';
+      for (let i = 0; i < this.codeLength; i++) {
+        code += crypto.randomInt(10).toString();
+      }
+
+      if (!inUse.has(code) && new Set(code).size > 1 && !doorCodeGenerator.hasSimplePattern(code)) {
+        return code;
+      }
+    }
+
+    throw new Error(`Could not generate a unique ${this.label.toLowerCase()} code`);
+  }
+
+  /**
+   * Run a credential's sync job now; if the locks cannot be reached the job
+   * stays pending and the scheduler retries it
+   * @returns {Object} { credential, error }
+   */
+  async requestSync(credential) {
+    const job = this.jobScheduler.schedule({
+      key: `${this.jobType}:${credential.id}:requested-${crypto.randomBytes(4).toString('hex')}`,
+      type: this.jobType,
+      runAt: moment(),
+      data: { credentialId: credential.id }
+    });
+
+    await this.jobScheduler.execute(job);
+
+    const result = this.jobScheduler.get(job.key);
+    return {
+      credential: this.get(credential.id),
+      error: result.status === 'done' ? null : result.lastError
+    };
+  }
+
+  /**
+   * Change a credential before it is synced
+   * @returns {Object|Promise<Object>} Credential
+   */
+  prepareSync(credential) {
+    return credential;
+  }
+
+  /**
+   * The window the credential's code should be on the locks for
+   * @returns {Object|null} { start, end } as moments, null for none
+   */
+  getWindow() {
+    throw new Error(`${this.constructor.name} must implement getWindow()`);
+  }
+
+  /**
+   * Scheduled job: make sure the code is on the locks for the window open
+   * now or next, and schedule the next run for the end of that window. With
+   * no window left the code is taken off the locks.
+   * @param {string} credentialId - Credential ID
+   * @returns {Object} { validFrom, validUntil } of the provisioned window
+   */
+  async sync(credentialId) {
+    let credential = this.get(credentialId);
+    if (!credential || credential.revokedAt) {
+      return { skipped: true };
+    }
+
+    credential = await this.prepareSync(credential);
+
+    const window = this.getWindow(credential);
+    if (!window) {
+      credential = await this.unprovision(credential);
+      this.save({ ...credential, syncJob: null });
+      return { validFrom: null, validUntil: null };
+    }
+
+    const current = credential.provisioned;
+    const isCurrent = current &&
+      current.code === credential.code &&
+      current.validFrom === window.start.toISOString() &&
+      current.validUntil === window.end.toISOString() &&
+      credential.serials.every(serial => current.serials.includes(serial));
+
+    if (!isCurrent) {
+      credential = await this.unprovision(credential);
+      credential = await this.provision(credential, window);
+    }
+
+    const job = this.jobScheduler.schedule({
+      key: `${this.jobType}:${credential.id}:${window.end.valueOf()}`,
+      type: this.jobType,
+      runAt: window.end,
+      data: { credentialId: credential.id }
+    });
+    this.save({ ...credential, syncJob: job.key });
+
+    return { validFrom: window.start.toISOString(), validUntil: window.end.toISOString() };
+  }
+
+  /**
+   * Program the credential's code onto each of its locks for one window. A
+   * lock that rejects it rolls back the others, like appointment codes.
+   * @throws {Error} When a lock rejects the code
+   */
+  async provision(credential, window) {
+    const name = this.getCodeName(credential.id);
+    const programmed = [];
+
+    for (const serial of credential.serials) {
+      const result = await this.codeProvisioning.programLock({ id: name }, credential.code, name, window.start, window.end, serial);
+
+      if (!result.success) {
+        for (const programmedSerial of programmed) {
+          await this.lockService.removeTemporaryCode(credential.code, name, programmedSerial).catch(error => {
+            logger.error(`Failed to roll back ${this.label.toLowerCase()} code`, { ...this.describe(credential), serial: programmedSerial, error: error.message });
+          });
+        }
+        throw new Error(credential.serials.length > 1 ? `Lock ${serial}: ${result.error}` : result.error);
+      }
+
+      programmed.push(serial);
+    }
+
+    logger.info(`${this.label} code provisioned`, {
+      ...this.describe(credential),
+      validFrom: window.start.format('YYYY-MM-DD HH:mm'),
+      validUntil: window.end.format('YYYY-MM-DD HH:mm')
+    });
+
+    return this.save({
+      ...credential,
+      provisioned: {
+        code: credential.code,
+        serials: programmed,
+        validFrom: window.start.toISOString(),
+        validUntil: window.end.toISOString(),
+        provisionedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Take the credential's provisioned code off its locks. Locks that fail
+   * stay on the record so the next sync or cleanup tries them again.
+   * @throws {Error} When a lock could not be reached
+   */
+  async unprovision(credential) {
+    if (!credential.provisioned) {
+      return credential;
+    }
+
+    const name = this.getCodeName(credential.id);
+    const remaining = [];
+
+    for (const serial of credential.provisioned.serials) {
+      try {
+        await this.lockService.removeTemporaryCode(credential.provisioned.code, name, serial);
+      } catch (error) {
+        remaining.push(serial);
+        logger.error(`Failed to remove ${this.label.toLowerCase()} code from lock`, { ...this.describe(credential), serial, error: error.message });
+      }
+    }
+
+    const updated = this.save({
+      ...credential,
+      provisioned: remaining.length > 0 ? { ...credential.provisioned, serials: remaining } : null
+    });
+
+    if (remaining.length > 0) {
+      throw new Error(`${this.label} code could not be removed from ${remaining.map(serial => serial || 'the primary lock').join(', ')}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Revoke a credential and take its code off the locks now
+   * @param {string} id - Credential ID
+   * @param {string} revokedBy - Principal revoking it
+   * @param {Object} changes - Extra fields stored with the revocation
+   * @returns {Object|null} { credential, removedFromLock }
+   */
+  async revoke(id, revokedBy, changes = {}) {
+    const credential = this.get(id);
+    if (!credential || credential.revokedAt) {
+      return null;
+    }
+
+    if (credential.syncJob) {
+      this.jobScheduler.cancel(credential.syncJob);
+    }
+
+    // Marked first so a sync that is running cannot put the code back
+    const revoked = this.save({ ...credential, ...changes, revokedAt: new Date().toISOString(), revokedBy, syncJob: null });
+    let removedFromLock = true;
+
+    try {
+      await this.unprovision(revoked);
+    } catch (error) {
+      removedFromLock = false;
+    }
+
+    logger.security(`${this.label} code revoked`, { principal: revokedBy, ...this.describe(credential), removedFromLock });
+
+    return { credential: this.get(id), removedFromLock };
+  }
+
+  /**
+   * Retry taking revoked codes off locks that could not be reached
+   * @returns {number} Codes removed
+   */
+  async cleanup() {
+    let removed = 0;
+
+    for (const credential of stateStore.values(this.collection)) {
+      if (credential.revokedAt && credential.provisioned) {
+        try {
+          await this.unprovision(credential);
+          removed++;
+        } catch (error) {
+          // Logged by unprovision(); tried again on the next cleanup
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * A credential without its codes, for listings
+   */
+  mask(credential) {
+    const { provisioned, ...rest } = credential;
+    return {
+      ...rest,
+      code: credential.code.substring(0, 2) + '*'.repeat(credential.code.length - 2),
+      provisioned: provisioned ? { ...provisioned, code: undefined } : null
+    };
+  }
+
+  /**
+   * @returns {Array} Credentials with masked codes, active ones first
+   */
+  getCredentials() {
+    return stateStore.values(this.collection)
+      .sort((a, b) => Boolean(a.revokedAt) - Boolean(b.revokedAt) || a.name.localeCompare(b.name))
+      .map(credential => this.mask(credential));
+  }
+}
+
+module.exports = ScheduledCodeService;
+module.exports.parseSchedule = parseSchedule;
+module.exports.getNextWindow = getNextWindow;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const stateStore = require('../utils/stateStore');
+const auditLog = require('../utils/auditLog');
+const lockRouter = require('../utils/lockRouter');
+const ScheduledCodeService = require('./scheduledCodeService');
+const { parseSchedule, getNextWindow } = ScheduledCodeService;
+
+/**
+ * Staff Access Service
+ * Standing door codes for named staff (cleaners, therapists) with a weekly
+ * schedule. A credential's code is kept on its locks for the schedule window
+ * that is open now or opens next; a job at the end of each window puts it on
+ * for the following one. Codes are replaced every STAFF_CODE_ROTATION_DAYS,
+ * between windows so nobody is locked out mid-shift, and a revoked code is
+ * taken off the locks straight away. Staff have no contact details here, so
+ * the admin email is alerted when a code rotates on schedule and hands the
+ * new code on; an alert that could not be sent is retried on every cleanup. Keypad unlocks with a staff code are audited under the staff
+ * member's name (see LockEventService).
+ *
+ * State: 'staffCredentials' ({ id, name, role, schedule, serials, code,
+ * codeIssuedAt, rotateAt, rotationAlertPending, provisioned: { code, serials, validFrom,
+ * validUntil, provisionedAt }, syncJob, createdAt, createdBy, revokedAt,
+ * revokedBy }) by credential ID
+ */
+class StaffAccessService extends ScheduledCodeService {
+  /**
+   * @param {Object} options - { emailService } alerted about scheduled rotations
+   */
+  constructor(lockService, codeProvisioning, jobScheduler, { emailService = null } = {}) {
+    // Staff codes are stored on the lock as `Staff #<id>`, which is how lock events name them
+    super(lockService, codeProvisioning, jobScheduler, {
+      collection: 'staffCredentials',
+      jobType: 'staff.sync',
+      codeNamePrefix: 'Staff #',
+      codeLength: config.staffAccess.codeLength,
+      label: 'Staff'
+    });
+
+    this.emailService = emailService;
+  }
+
+  describe(credential) {
+    return { staffId: credential.id, name: credential.name };
+  }
+
+  getRotateAt(issuedAt) {
+    return config.staffAccess.rotationDays > 0
+      ? moment(issuedAt).add(config.staffAccess.rotationDays, 'days').toISOString()
+      : null;
+  }
+
+  /**
+   * Add a staff credential and put its code on the locks
+   * @param {Object} details - { name, role, schedule, locks }; locks default
+   *   to the LOCK_MAPPING default rule or the primary lock
+   * @param {string} createdBy - Principal adding the staff member
+   * @returns {Object} { credential, error } with the credential's code in clear;
+   *   error when the code could not be put on the locks yet (the job retries)
+   * @throws {Error} When the schedule cannot be read
+   */
+  async create({ name, role, schedule, locks }, createdBy) {
+    const now = new Date().toISOString();
+    const credential = this.save({
+      id: crypto.randomBytes(4).toString('hex'),
+      name,
+      role: role || 'staff',
+      schedule: parseSchedule(schedule),
+      serials: locks && locks.length > 0 ? locks : lockRouter.resolveLocks(),
+      code: this.generateCode(),
+      codeIssuedAt: now,
+      rotateAt: this.getRotateAt(now),
+      rotationAlertPending: false,
+      provisioned: null,
+      syncJob: null,
+      createdAt: now,
+      createdBy,
+      revokedAt: null,
+      revokedBy: null
+    });
+
+    logger.security('Staff credential created', { principal: createdBy, staffId: credential.id, name, role: credential.role });
+
+    return this.requestSync(credential);
+  }
+
+  /**
+   * Give a credential a new code right away
+   * @param {string} id - Credential ID
+   * @param {string} rotatedBy - Principal rotating the code
+   * @returns {Object|null} { credential, error } as for create()
+   */
+  async rotate(id, rotatedBy) {
+    const credential = this.get(id);
+    if (!credential || credential.revokedAt) {
+      return null;
+    }
+
+    return this.requestSync(this.replaceCode(credential, rotatedBy));
+  }
+
+  replaceCode(credential, rotatedBy, changes = {}) {
+    const now = new Date().toISOString();
+    const updated = this.save({
+      ...credential,
+      ...changes,
+      code: this.generateCode(),
+      codeIssuedAt: now,
+      rotateAt: this.getRotateAt(now)
+    });
+
+    logger.security('Staff code rotated', { principal: rotatedBy, staffId: credential.id, name: credential.name });
+    return updated;
+  }
+
+  /**
+   * Rotate the code if it is due; syncs run at the end of a window, so a
+   * code never changes mid-shift
+   */
+  async prepareSync(credential) {
+    if (!credential.rotateAt || moment().isBefore(credential.rotateAt)) {
+      return credential;
+    }
+
+    // Saved with the code so a failed alert is not forgotten
+    const rotated = this.replaceCode(credential, 'schedule', { rotationAlertPending: Boolean(this.emailService) });
+
+    auditLog.record({
+      event: 'staff.rotated',
+      channel: 'automation',
+      outcome: 'success',
+      actor: rotated.name,
+      reason: 'Rotation due',
+      details: { staffId: rotated.id, role: rotated.role }
+    });
+
+    return this.emailService ? this.sendRotationAlert(rotated) : rotated;
+  }
+
+  /**
+   * Tell the admin email a code was rotated on schedule. The code itself stays
+   * out of the email; admins read it from the staff endpoint.
+   * @param {Object} credential - Credential with rotationAlertPending set
+   * @returns {Object} The credential, with the flag cleared once the alert went out
+   */
+  async sendRotationAlert(credential) {
+    const sent = await this.emailService.sendErrorNotification(new Error(`Door code of ${credential.name} was rotated and needs handing on`), {
+      context: 'Staff Code Rotated',
+      staffId: credential.id,
+      name: credential.name,
+      role: credential.role,
+      lookup: `GET /admin/staff/${credential.id}`
+    }).catch(() => false);
+
+    if (!sent) {
+      logger.warn('Staff code rotation alert not sent, will retry', this.describe(credential));
+      return credential;
+    }
+
+    return this.save({ ...this.get(credential.id), rotationAlertPending: false });
+  }
+
+  /**
+   * Retry rotation alerts that could not be sent, then revoked code removals
+   * @returns {number} Codes removed
+   */
+  async cleanup() {
+    for (const credential of stateStore.values(this.collection)) {
+      if (credential.rotationAlertPending && !credential.revokedAt && this.emailService) {
+        await this.sendRotationAlert(credential);
+      }
+    }
+
+    return super.cleanup();
+  }
+
+  getWindow(credential) {
+    return getNextWindow(credential.schedule);
+  }
+}
+
+module.exports = StaffAccessService;
+module.exports.parseSchedule = parseSchedule;
+module.exports.getNextWindow = getNextWindow;
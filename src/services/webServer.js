@@ -2,22 +2,33 @@ const express = require('express');
 const moment = require('moment');
 const logger = require('../utils/logger');
 const accessTokenManager = require('../utils/accessTokens');
+const accessPass = require('../utils/accessPass');
 const doorCodeGenerator = require('../utils/doorCodeGenerator');
-const config = require('../config');
+const adminAuth = require('../utils/adminAuth');
+const attemptLimiter = require('../utils/attemptLimiter');
+const { loginLimiter } = attemptLimiter;
+const auditLog = require('../utils/auditLog');
+const lockRouter = require('../utils/lockRouter');
+const emailTemplates = require('../utils/emailTemplates');
+const i18n = require('../utils/i18n');
+const { config } = require('../config');
 
 class WebServer {
   constructor(automationEngine) {
     this.app = express();
     this.server = null;
     this.engine = automationEngine;
-    this.eufyService = automationEngine.eufyService;
+    this.locks = automationEngine.locks;
     this.emailService = automationEngine.emailService;
-    this.ameliaService = automationEngine.ameliaService;
+    this.bookingSource = automationEngine.bookingSource;
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   setupMiddleware() {
+    // Behind a reverse proxy req.ip is the proxy's address unless it is trusted
+    this.app.set('trust proxy', config.webServer.trustProxy);
+
     // Parse JSON bodies
     this.app.use(express.json());
     
@@ -42,6 +53,55 @@ class WebServer {
     });
   }
 
+  /**
+   * Middleware restricting a route to principals with at least the given role.
+   * Changes made through staff and admin routes are attributed to the principal
+   * in the security log.
+   * @param {string} role - viewer | staff | admin
+   * @returns {Function} Express middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      const principal = adminAuth.authenticate(req);
+
+      if (!principal) {
+        logger.security('Unauthenticated request to protected endpoint', {
+          method: req.method,
+          path: req.path,
+          ip: req.ip
+        });
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+
+      if (!adminAuth.hasRole(principal.role, role)) {
+        logger.security('Forbidden request to protected endpoint', {
+          principal: principal.name,
+          role: principal.role,
+          requiredRole: role,
+          method: req.method,
+          path: req.path,
+          ip: req.ip
+        });
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      req.principal = principal;
+
+      if (req.method !== 'GET') {
+        logger.security('Privileged action', {
+          principal: principal.name,
+          principalType: principal.type,
+          role: principal.role,
+          method: req.method,
+          path: req.path,
+          ip: req.ip
+        });
+      }
+
+      next();
+    };
+  }
+
   setupRoutes() {
     // Health check endpoint
     this.app.get('/health', (req, res) => {
@@ -51,13 +111,13 @@ class WebServer {
         services: {
           eufy: 'connected',
           email: 'connected',
-          amelia: this.ameliaService.isConnected ? 'connected' : 'disconnected'
+          amelia: this.bookingSource.isConnected ? 'connected' : 'disconnected'
         }
       });
     });
 
     // System status endpoint
-    this.app.get('/status', async (req, res) => {
+    this.app.get('/status', this.requireRole('viewer'), async (req, res) => {
       try {
         const status = await this.engine.getSystemStatus();
         res.json(status);
@@ -75,6 +135,12 @@ class WebServer {
           body: req.body 
         });
 
+        // Unsigned webhooks are only accepted outside production
+        if (!config.amelia.webhookSecret && config.system.nodeEnv === 'production') {
+          logger.error('Rejected Amelia webhook: AMELIA_WEBHOOK_SECRET is not set');
+          return res.status(503).json({ error: 'Webhook signing is not configured' });
+        }
+
         // Verify webhook if secret is configured
         if (config.amelia.webhookSecret) {
           const signature = req.headers['x-amelia-signature'] || req.headers['signature'];
@@ -85,34 +151,29 @@ class WebServer {
         }
 
         // Process the booking webhook
-        const result = this.ameliaService.processWebhookNotification(req.body);
+        const result = this.bookingSource.processWebhookNotification(req.body);
         
         if (result.success && result.appointment) {
-          // Check if this appointment is starting soon
-          if (result.appointment.isStartingSoon(5)) {
-            logger.info('Processing webhook appointment for immediate door access', {
-              appointmentId: result.appointment.id,
-              customer: result.appointment.customer.email,
-              startTime: result.appointment.startTimeFormatted
-            });
-
-            // Handle the booking appointment through automation engine
-            // This will unlock the door and send confirmation email
-            if (this.engine) {
-              await this.engine.handleBookingAppointment(result.appointment);
-            }
-          } else {
-            logger.info('Webhook appointment scheduled for future processing', {
-              appointmentId: result.appointment.id,
-              startTime: result.appointment.startTimeFormatted,
-              minutesUntilStart: result.appointment.startTime.diff(moment(), 'minutes')
-            });
-          }
+          // The payload only triggers a re-read of the booking source
+          const { outcome, job } = this.engine
+            ? await this.engine.handleBookingWebhook(result.appointment, result.action)
+            : { outcome: 'untracked' };
+          
+          logger.info('Webhook booking handled', {
+            appointmentId: result.appointment.id,
+            action: result.action,
+            outcome: outcome,
+            startTime: result.appointment.startTimeFormatted,
+            processAt: job?.status === 'pending' ? job.runAt : undefined
+          });
 
           res.json({ 
             success: true, 
             message: 'Webhook processed successfully',
-            appointmentId: result.appointment.id 
+            appointmentId: result.appointment.id,
+            action: result.action,
+            outcome: outcome,
+            processAt: job?.runAt
           });
         } else {
           logger.warn('Failed to process webhook', { error: result.error });
@@ -126,30 +187,55 @@ class WebServer {
     });
 
     // Door control endpoints
-    this.app.post('/door/unlock', async (req, res) => {
+    this.app.post('/door/unlock', this.requireRole('staff'), async (req, res) => {
       try {
-        const result = await this.eufyService.unlockDoor();
-        logger.info('Manual door unlock via API', { success: result.success });
-        res.json(result);
+        const { serial } = req.body || {};
+        // Providers resolve once the lock accepted the command and throw otherwise
+        await this.locks.unlockDoor(serial);
+        logger.info('Manual door unlock via API', { serial, principal: req.principal.name });
+        this.auditApiAction(req, 'door.unlock', 'success', { details: { serial } });
+        res.json({ success: true, message: 'Door unlocked successfully', serial: serial || null });
       } catch (error) {
         logger.error('Error unlocking door via API', { error: error.message });
+        this.auditApiAction(req, 'door.unlock', 'failure', { reason: error.message });
         res.status(500).json({ error: 'Failed to unlock door' });
       }
     });
 
-    this.app.post('/door/lock', async (req, res) => {
+    this.app.post('/door/lock', this.requireRole('staff'), async (req, res) => {
       try {
-        const result = await this.eufyService.lockDoor();
-        logger.info('Manual door lock via API', { success: result.success });
-        res.json(result);
+        const { serial } = req.body || {};
+        const verification = await this.engine.lockVerification.lockAndVerify({
+          serial,
+          source: 'api',
+          actor: req.principal.name
+        });
+        logger.info('Manual door lock via API', {
+          success: verification.locked,
+          serial,
+          attempts: verification.attempts,
+          principal: req.principal.name
+        });
+        this.auditApiAction(req, 'door.lock', verification.locked ? 'success' : 'failure', { reason: verification.error, details: { serial } });
+        
+        if (!verification.locked) {
+          return res.status(502).json({
+            success: false,
+            error: 'Door did not report locked after lock command',
+            attempts: verification.attempts
+          });
+        }
+        
+        res.json({ success: true, message: 'Door locked successfully', serial: serial || null, verified: true, attempts: verification.attempts });
       } catch (error) {
         logger.error('Error locking door via API', { error: error.message });
+        this.auditApiAction(req, 'door.lock', 'failure', { reason: error.message });
         res.status(500).json({ error: 'Failed to lock door' });
       }
     });
 
     // Email test endpoint
-    this.app.post('/email/test', async (req, res) => {
+    this.app.post('/email/test', this.requireRole('staff'), async (req, res) => {
       try {
         const { to } = req.body;
         if (!to) {
@@ -165,84 +251,303 @@ class WebServer {
       }
     });
 
-    // Magic access link endpoint
-    this.app.get('/access/unlock', async (req, res) => {
+    // Magic access link. Opening the link only shows a confirmation page, so
+    // email link scanners never unlock the door; its button POSTs the token.
+    this.app.get('/access/unlock', (req, res) => {
+      const { token } = req.query;
+      
+      if (!token) {
+        const locale = this.getRequestLocale(req);
+        return res.status(400).send(this.generateErrorPage(
+          i18n.translate(locale, 'unlockPage.deniedTitle'),
+          i18n.translate(locale, 'unlockPage.missingToken'),
+          locale
+        ));
+      }
+
+      const validation = accessTokenManager.validateAccessToken(token);
+      const locale = i18n.normalize(req.query.lang) || validation.eventData?.locale || this.getRequestLocale(req);
+
+      if (!validation.valid) {
+        this.recordMagicLinkDenial(req, token, validation);
+        return res.status(403).send(this.generateTokenErrorPage(validation, locale));
+      }
+
+      res.send(this.generateUnlockPage(token, validation.eventData, locale));
+    });
+
+    this.app.post('/access/unlock', async (req, res) => {
+      const { token } = req.body;
+      let locale = this.getRequestLocale(req);
+
       try {
-        const { token, booking } = req.query;
-        
         if (!token) {
-          return res.status(400).send(this.generateErrorPage('Missing access token', 'Please check your email for the correct access link.'));
+          return res.status(400).send(this.generateErrorPage(
+            i18n.translate(locale, 'unlockPage.deniedTitle'),
+            i18n.translate(locale, 'unlockPage.missingToken'),
+            locale
+          ));
         }
 
-        const validation = accessTokenManager.validateAccessToken(token);
+        const validation = accessTokenManager.validateAccessToken(token, { consume: true });
+        locale = i18n.normalize(req.body.locale) || validation.eventData?.locale || locale;
         
         if (!validation.valid) {
-          logger.warn('Invalid access attempt via link', {
-            token: token.substring(0, 8) + '...',
-            reason: validation.reason,
-            ip: req.ip
-          });
-          
-          return res.status(403).send(this.generateErrorPage('Access Denied', validation.reason));
+          this.recordMagicLinkDenial(req, token, validation);
+          return res.status(403).send(this.generateTokenErrorPage(validation, locale));
         }
 
-        // Token is valid, unlock the door
-        const unlockResult = await this.eufyService.unlockDoor(validation.eventData.title);
-        
-        if (unlockResult.success) {
-          logger.info('Door unlocked via magic link', {
-            eventId: validation.eventData.eventId,
-            attendeeEmail: validation.eventData.attendeeEmail,
-            ip: req.ip
+        const eventData = validation.eventData;
+
+        // Token is valid, unlock the door(s) of the appointment's room
+        try {
+          for (const serial of eventData.locks) {
+            await this.locks.unlockDoor(serial);
+          }
+        } catch (error) {
+          accessTokenManager.releaseAccessToken(token);
+          logger.error('Failed to unlock door via magic link', {
+            appointmentId: eventData.appointmentId,
+            error: error.message
           });
           
-          res.send(this.generateSuccessPage(validation.eventData, unlockResult.lockDurationMinutes));
-        } else {
-          logger.error('Failed to unlock door via magic link', {
-            eventId: validation.eventData.eventId,
-            error: unlockResult.error
+          auditLog.record({
+            event: 'door.unlock',
+            channel: 'magic_link',
+            outcome: 'failure',
+            actor: eventData.attendeeEmail,
+            appointmentId: eventData.appointmentId,
+            customerEmail: eventData.attendeeEmail,
+            ip: req.ip,
+            reason: error.message,
+            details: { locks: eventData.locks }
           });
           
-          res.status(500).send(this.generateErrorPage('Access System Error', 'Unable to unlock door. Please contact support.'));
+          return res.status(500).send(this.generateErrorPage(
+            i18n.translate(locale, 'unlockPage.unlockFailedTitle'),
+            i18n.translate(locale, 'unlockPage.unlockFailed'),
+            locale
+          ));
         }
         
+        auditLog.record({
+          event: 'door.unlock',
+          channel: 'magic_link',
+          outcome: 'granted',
+          actor: eventData.attendeeEmail,
+          appointmentId: eventData.appointmentId,
+          customerEmail: eventData.attendeeEmail,
+          ip: req.ip,
+          details: { locks: eventData.locks, uses: eventData.uses }
+        });
+        
+        logger.info('Door unlocked via magic link', {
+          appointmentId: eventData.appointmentId,
+          attendeeEmail: eventData.attendeeEmail,
+          locks: eventData.locks,
+          ip: req.ip
+        });
+        
+        res.send(this.generateSuccessPage(eventData, this.getAccessLockTime(eventData), locale));
+        
       } catch (error) {
         logger.error('Error processing magic link access', {
           error: error.message,
-          token: req.query.token ? req.query.token.substring(0, 8) + '...' : 'none',
+          token: token ? String(token).substring(0, 8) + '...' : 'none',
           ip: req.ip
         });
         
+        res.status(500).send(this.generateErrorPage(
+          i18n.translate(locale, 'unlockPage.errorTitle'),
+          i18n.translate(locale, 'access.unexpectedError'),
+          locale
+        ));
+      }
+    });
+
+    // QR access pass image for a customer's phone (the same code as in the email)
+    this.app.get('/access/pass/:code.:format(png|svg)', async (req, res) => {
+      try {
+        const token = accessPass.verify(req.params.code);
+        const validation = token ? accessTokenManager.validateAccessToken(token) : null;
+
+        // Passes that were never issued or have been replaced are not shown
+        if (!validation || ['not_found', 'revoked'].includes(validation.reasonCode)) {
+          const locale = validation?.eventData?.locale || this.getRequestLocale(req);
+          return res.status(404).send(this.generateErrorPage(
+            i18n.translate(locale, 'unlockPage.deniedTitle'),
+            i18n.translate(locale, validation?.reasonCode === 'revoked' ? 'unlockPage.revoked' : 'unlockPage.notFound'),
+            locale
+          ));
+        }
+
+        res.setHeader('Cache-Control', 'private, no-store');
+
+        if (req.params.format === 'svg') {
+          res.type('image/svg+xml').send(await accessPass.toSvg(req.params.code));
+        } else {
+          res.type('image/png').send(await accessPass.toPng(req.params.code));
+        }
+      } catch (error) {
+        logger.error('Error rendering QR pass', { error: error.message });
         res.status(500).send(this.generateErrorPage('System Error', 'An unexpected error occurred. Please contact support.'));
       }
     });
 
+    // Staff scanner at the door: check a QR pass and unlock the appointment's doors
+    this.app.post('/access/scan', this.requireRole('staff'), async (req, res) => {
+      const { code } = req.body || {};
+
+      if (!code) {
+        return res.status(400).json({ success: false, error: 'code is required' });
+      }
+
+      const token = accessPass.verify(code);
+      if (!token) {
+        auditLog.record({
+          event: 'door.unlock',
+          channel: 'qr_pass',
+          outcome: 'denied',
+          actor: req.principal.name,
+          ip: req.ip,
+          reason: 'Invalid pass signature'
+        });
+        return res.status(403).json({ success: false, reason: 'invalid_signature', error: 'Not a valid access pass' });
+      }
+
+      const validation = accessTokenManager.validateAccessToken(token, { consume: true });
+      const eventData = validation.eventData;
+
+      if (!validation.valid) {
+        auditLog.record({
+          event: 'door.unlock',
+          channel: 'qr_pass',
+          outcome: 'denied',
+          actor: req.principal.name,
+          appointmentId: eventData?.appointmentId,
+          customerEmail: eventData?.attendeeEmail,
+          ip: req.ip,
+          reason: validation.reason
+        });
+        return res.status(403).json({
+          success: false,
+          reason: validation.reasonCode,
+          error: validation.reason,
+          appointment: eventData ? this.describePassAppointment(eventData) : null
+        });
+      }
+
+      try {
+        for (const serial of eventData.locks) {
+          await this.locks.unlockDoor(serial);
+        }
+      } catch (error) {
+        accessTokenManager.releaseAccessToken(token);
+        logger.error('Failed to unlock door for QR pass', {
+          appointmentId: eventData.appointmentId,
+          error: error.message
+        });
+
+        auditLog.record({
+          event: 'door.unlock',
+          channel: 'qr_pass',
+          outcome: 'failure',
+          actor: req.principal.name,
+          appointmentId: eventData.appointmentId,
+          customerEmail: eventData.attendeeEmail,
+          ip: req.ip,
+          reason: error.message,
+          details: { locks: eventData.locks }
+        });
+
+        return res.status(502).json({ success: false, reason: 'unlock_failed', error: 'Door could not be unlocked' });
+      }
+
+      auditLog.record({
+        event: 'door.unlock',
+        channel: 'qr_pass',
+        outcome: 'granted',
+        actor: req.principal.name,
+        appointmentId: eventData.appointmentId,
+        customerEmail: eventData.attendeeEmail,
+        ip: req.ip,
+        details: { locks: eventData.locks }
+      });
+
+      logger.info('Door unlocked via QR pass', {
+        appointmentId: eventData.appointmentId,
+        attendeeEmail: eventData.attendeeEmail,
+        locks: eventData.locks,
+        principal: req.principal.name
+      });
+
+      const lockTime = this.getAccessLockTime(eventData);
+      res.json({
+        success: true,
+        appointment: this.describePassAppointment(eventData),
+        locks: eventData.locks,
+        lockTime: lockTime ? lockTime.toISOString() : null,
+        minutesRemaining: lockTime ? Math.max(0, Math.ceil(lockTime.diff(moment(), 'minutes', true))) : null
+      });
+    });
+
     // Amelia door code endpoint
     this.app.post('/access/code', async (req, res) => {
+      const locale = this.getRequestLocale(req);
+      const t = (key, data) => i18n.translate(locale, `access.${key}`, data);
+
       try {
         const { code } = req.body;
         
-        if (!code || code.length !== 4) {
+        const throttle = attemptLimiter.check(req.ip);
+        if (!throttle.allowed) {
+          logger.security('Throttled door code attempt', {
+            ip: req.ip,
+            reason: throttle.reason,
+            retryAfterSeconds: throttle.retryAfterSeconds
+          });
+          
+          auditLog.record({
+            event: 'door.unlock',
+            channel: 'keypad_code',
+            outcome: 'denied',
+            ip: req.ip,
+            reason: `Throttled (${throttle.reason})`
+          });
+          
+          res.setHeader('Retry-After', throttle.retryAfterSeconds);
+          return res.status(429).json({
+            success: false,
+            message: throttle.reason === 'backoff'
+              ? t('tooManyAttempts', { retryAfterSeconds: throttle.retryAfterSeconds })
+              : t('lockedOut'),
+            retryAfterSeconds: throttle.retryAfterSeconds
+          });
+        }
+        
+        if (typeof code !== 'string' || !/^\d{4}$/.test(code)) {
           return res.status(400).json({
             success: false,
-            message: 'Please enter a valid 4-digit door code'
+            message: t('invalidCodeFormat')
           });
         }
 
         // Get currently active appointments
         let activeAppointments = [];
-        if (this.ameliaService) {
+        if (this.bookingSource) {
           try {
-            activeAppointments = await this.ameliaService.getCurrentlyActiveAppointments();
+            activeAppointments = await this.bookingSource.getCurrentlyActiveAppointments();
           } catch (error) {
             logger.error('Failed to get active appointments', { error: error.message });
           }
         }
 
-        // Validate door code against active appointments
+        // Validate door code against every customer of the active appointments
         let validAppointment = null;
+        let validCustomer = null;
         for (const appointment of activeAppointments) {
-          if (doorCodeGenerator.validateCode(code, appointment.id.toString())) {
+          validCustomer = this.engine.matchDoorCode(appointment, code);
+          if (validCustomer) {
             validAppointment = appointment;
             break;
           }
@@ -255,30 +560,59 @@ class WebServer {
             activeAppointments: activeAppointments.length
           });
           
+          auditLog.record({
+            event: 'door.unlock',
+            channel: 'keypad_code',
+            outcome: 'denied',
+            ip: req.ip,
+            reason: 'Invalid door code'
+          });
+          
+          const lockout = attemptLimiter.recordFailure(req.ip);
+          if (lockout) {
+            await this.sendLockoutAlert(lockout);
+          }
+          
           return res.status(403).json({
             success: false,
-            message: 'Invalid door code or no active appointment found'
+            message: t('invalidCode')
           });
         }
 
-        // Code is valid, unlock the door
-        await this.eufyService.unlockDoor();
+        attemptLimiter.recordSuccess(req.ip);
+
+        // Code is valid, unlock the door(s) of the appointment's room
+        const serials = lockRouter.resolveLocks(validAppointment);
+        for (const serial of serials) {
+          await this.locks.unlockDoor(serial);
+        }
+        
+        auditLog.record({
+          event: 'door.unlock',
+          channel: 'keypad_code',
+          outcome: 'granted',
+          actor: validCustomer.email,
+          appointmentId: validAppointment.id,
+          customerEmail: validCustomer.email,
+          ip: req.ip,
+          details: { locks: serials }
+        });
         
         logger.info('Door unlocked via Amelia door code', {
           appointmentId: validAppointment.id,
           service: validAppointment.service,
-          customerEmail: validAppointment.customer.email,
+          customerEmail: validCustomer.email,
           ip: req.ip,
           doorCode: code
         });
         
         res.json({
           success: true,
-          message: 'Access granted! Door has been unlocked.',
+          message: t('granted'),
           appointment: {
             service: validAppointment.service,
-            startTime: validAppointment.startTimeFormatted,
-            endTime: validAppointment.endTimeFormatted
+            startTime: validAppointment.localized?.[locale]?.startTimeFormatted || validAppointment.startTimeFormatted,
+            endTime: validAppointment.localized?.[locale]?.endTimeFormatted || validAppointment.endTimeFormatted
           }
         });
         
@@ -291,19 +625,18 @@ class WebServer {
         
         res.status(500).json({
           success: false,
-          message: 'An unexpected error occurred. Please contact support.'
+          message: t('unexpectedError')
         });
       }
     });
 
-    // Access code entry page
+    // Access code entry page, in the language of ?lang= or the browser
     this.app.get('/access/code', (req, res) => {
-      res.send(this.generateCodeEntryPage());
+      res.send(this.generateCodeEntryPage(this.getRequestLocale(req)));
     });
 
     // Admin endpoints for debugging
-    this.app.get('/admin/tokens', (req, res) => {
-      // In production, add authentication here
+    this.app.get('/admin/tokens', this.requireRole('admin'), (req, res) => {
       res.json({
         activeTokens: accessTokenManager.getActiveTokens(),
         activeCodes: accessTokenManager.getActiveCodes()
@@ -311,7 +644,7 @@ class WebServer {
     });
 
     // Door code statistics endpoint
-    this.app.get('/admin/door-codes/stats', (req, res) => {
+    this.app.get('/admin/door-codes/stats', this.requireRole('viewer'), (req, res) => {
       try {
         const stats = doorCodeGenerator.getStats();
         res.json({
@@ -325,10 +658,378 @@ class WebServer {
       }
     });
 
+    // Appointments whose door code could not be delivered
+    this.app.get('/admin/follow-ups', this.requireRole('staff'), (req, res) => {
+      res.json({
+        success: true,
+        followUps: this.engine.getStaffFollowUps(),
+        provisionedCodes: this.engine.codeProvisioning.getProvisionedCodes()
+      });
+    });
+
+    // ?email= resolves only that customer's follow-up of a group appointment
+    this.app.delete('/admin/follow-ups/:appointmentId', this.requireRole('staff'), (req, res) => {
+      const resolved = this.engine.resolveStaffFollowUp(req.params.appointmentId, req.query.email || null);
+      if (!resolved) {
+        return res.status(404).json({ success: false, error: 'Follow-up not found' });
+      }
+
+      logger.info('Staff follow-up resolved', { appointmentId: req.params.appointmentId, customerEmail: req.query.email, resolved, principal: req.principal.name });
+      res.json({ success: true, message: 'Follow-up resolved', resolved });
+    });
+
+    // Delivery status of the confirmation, reminders and notices of an appointment
+    this.app.get('/admin/notifications/:appointmentId', this.requireRole('staff'), (req, res) => {
+      // Records are keyed by the booking source's ID, numeric for Amelia
+      const { appointmentId } = req.params;
+      const status = this.engine.notifications.getStatus(/^\d+$/.test(appointmentId) ? Number(appointmentId) : appointmentId);
+      if (!status) {
+        return res.status(404).json({ success: false, error: 'No notifications for this appointment' });
+      }
+
+      res.json({ success: true, ...status });
+    });
+
+    // Customer emails waiting for a retry or dead-lettered after too many failures
+    this.app.get('/admin/outbox', this.requireRole('staff'), (req, res) => {
+      res.json({
+        success: true,
+        messages: this.engine.outbox.listMessages(req.query.status || null)
+      });
+    });
+
+    this.app.post('/admin/outbox/:id/resend', this.requireRole('staff'), async (req, res) => {
+      try {
+        const message = await this.engine.outbox.resend(req.params.id);
+        if (!message) {
+          return res.status(404).json({ success: false, error: 'No unsent message with this ID' });
+        }
+
+        logger.info('Queued email resent by staff', { id: req.params.id, status: message.status, principal: req.principal.name });
+        res.json({ success: message.status === 'sent', status: message.status, error: message.lastError });
+      } catch (error) {
+        logger.error('Error resending queued email', { id: req.params.id, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/admin/outbox/:id', this.requireRole('staff'), (req, res) => {
+      if (!this.engine.outbox.cancel(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'No queued or dead-lettered message with this ID' });
+      }
+
+      logger.info('Queued email cancelled by staff', { id: req.params.id, principal: req.principal.name });
+      res.json({ success: true, message: 'Message cancelled' });
+    });
+
+    // Bounces the mail provider reports after accepting an email (or staff
+    // forward from the bounce message); door codes then go out by SMS
+    this.app.post('/webhook/email/bounce', this.requireRole('staff'), express.json(), async (req, res) => {
+      const { email, reason } = req.body || {};
+      if (!email) {
+        return res.status(400).json({ success: false, error: 'email is required' });
+      }
+
+      try {
+        const bounced = await this.engine.handleEmailBounce(email, reason);
+        logger.warn('Email bounce reported', { email, reason, messages: bounced.length, principal: req.principal.name });
+        res.json({
+          success: true,
+          bounced: bounced.map(message => ({ id: message.id, appointmentId: message.meta.appointmentId, notification: message.meta.notification }))
+        });
+      } catch (error) {
+        logger.error('Error handling email bounce', { email, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Render an email template with sample data or a real appointment, e.g.
+    // /admin/email/preview/booking-change?appointmentId=42&changeType=cancelled&locale=ar
+    this.app.get('/admin/email/preview/:template', this.requireRole('staff'), async (req, res) => {
+      const { template } = req.params;
+      if (!emailTemplates.getTemplateNames().includes(template)) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown email template "${template}"`,
+          templates: emailTemplates.getTemplateNames()
+        });
+      }
+
+      try {
+        const locale = i18n.normalize(req.query.locale);
+        let data = emailTemplates.getSampleData(locale || undefined);
+        if (req.query.appointmentId) {
+          const appointmentData = await this.engine.getEmailPreviewData(req.query.appointmentId, locale);
+          if (!appointmentData) {
+            return res.status(404).json({ success: false, error: 'Appointment not found' });
+          }
+          data = { ...data, ...appointmentData };
+        }
+        if (req.query.service) {
+          data.service = req.query.service;
+        }
+        if (req.query.changeType) {
+          data.changeType = req.query.changeType;
+        }
+        data.cancelled = data.changeType === 'cancelled';
+
+        let email;
+        try {
+          email = emailTemplates.render(template, data);
+        } catch (error) {
+          return res.status(422).json({ success: false, error: error.message });
+        }
+
+        if (req.query.format === 'text') {
+          return res.type('text/plain').send(email.text);
+        }
+        if (req.query.format === 'json') {
+          return res.json({ success: true, template, ...email });
+        }
+        res.type('html').send(email.html);
+      } catch (error) {
+        logger.error('Error rendering email preview', { template, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Admin login - issues a session token for the Authorization: Bearer header.
+    // Failed logins back off and lock out per IP like door code guesses.
+    this.app.post('/auth/login', (req, res) => {
+      const { username, password } = req.body || {};
+
+      if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return res.status(400).json({ success: false, error: 'username and password are required' });
+      }
+
+      const throttle = loginLimiter.check(req.ip);
+      if (!throttle.allowed) {
+        logger.security('Throttled admin login', { username, ip: req.ip, reason: throttle.reason, retryAfterSeconds: throttle.retryAfterSeconds });
+        res.setHeader('Retry-After', throttle.retryAfterSeconds);
+        return res.status(429).json({ success: false, error: 'Too many failed logins, try again later', retryAfterSeconds: throttle.retryAfterSeconds });
+      }
+
+      const session = adminAuth.login(username, password);
+
+      if (!session) {
+        loginLimiter.recordFailure(req.ip);
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      loginLimiter.recordSuccess(req.ip);
+      res.json({ success: true, ...session });
+    });
+
+    this.app.post('/auth/logout', this.requireRole('viewer'), (req, res) => {
+      const authorization = req.get('Authorization') || '';
+      adminAuth.logout(authorization.replace('Bearer ', '').trim());
+      res.json({ success: true });
+    });
+
+    this.app.get('/auth/me', this.requireRole('viewer'), (req, res) => {
+      res.json({ success: true, principal: req.principal });
+    });
+
+    // API key management
+    this.app.get('/admin/api-keys', this.requireRole('admin'), (req, res) => {
+      res.json({ success: true, apiKeys: adminAuth.listApiKeys() });
+    });
+
+    this.app.post('/admin/api-keys', this.requireRole('admin'), (req, res) => {
+      const { name, role } = req.body || {};
+
+      if (!name || !adminAuth.isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Missing required fields: name, role (${adminAuth.ROLES.join(', ')})`
+        });
+      }
+
+      const { key, record } = adminAuth.createApiKey(name, role, req.principal.name);
+      res.status(201).json({ success: true, key, apiKey: record });
+    });
+
+    this.app.post('/admin/api-keys/:id/rotate', this.requireRole('admin'), (req, res) => {
+      const rotated = adminAuth.rotateApiKey(req.params.id, req.principal.name);
+      if (!rotated) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+
+      res.json({ success: true, key: rotated.key, apiKey: rotated.record });
+    });
+
+    this.app.delete('/admin/api-keys/:id', this.requireRole('admin'), (req, res) => {
+      if (!adminAuth.revokeApiKey(req.params.id, req.principal.name)) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+
+      res.json({ success: true, message: 'API key revoked' });
+    });
+
+    // Door code brute-force lockouts
+    this.app.get('/admin/lockouts', this.requireRole('staff'), (req, res) => {
+      res.json({ success: true, ...attemptLimiter.getStatus() });
+    });
+
+    this.app.delete('/admin/lockouts', this.requireRole('admin'), (req, res) => {
+      const cleared = attemptLimiter.clearAll();
+      logger.security('All door code lockouts cleared', { principal: req.principal.name, cleared });
+      this.auditApiAction(req, 'lockout.cleared', 'success', { details: { cleared } });
+      res.json({ success: true, cleared });
+    });
+
+    this.app.delete('/admin/lockouts/:key', this.requireRole('admin'), (req, res) => {
+      if (!attemptLimiter.clearLockout(req.params.key)) {
+        return res.status(404).json({ success: false, error: 'Lockout not found' });
+      }
+
+      logger.security('Door code lockout cleared', { principal: req.principal.name, key: req.params.key });
+      this.auditApiAction(req, 'lockout.cleared', 'success', { details: { key: req.params.key } });
+      res.json({ success: true, message: 'Lockout cleared' });
+    });
+
+    // Access audit trail - filter with from, to, appointmentId, customer, actor,
+    // outcome, channel and event; export with format=csv or format=json
+    this.app.get('/admin/audit', this.requireRole('staff'), (req, res) => {
+      const { from, to, appointmentId, customer, actor, outcome, channel, event, limit, format } = req.query;
+      const entries = auditLog.query({ from, to, appointmentId, customer, actor, outcome, channel, event, limit });
+      const filename = `audit-${moment().format('YYYYMMDD-HHmmss')}`;
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(auditLog.toCSV(entries));
+      }
+
+      if (format === 'json') {
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      }
+
+      res.json({
+        success: true,
+        count: entries.length,
+        integrity: auditLog.verify(),
+        entries
+      });
+    });
+
+    this.app.get('/admin/audit/verify', this.requireRole('staff'), (req, res) => {
+      const integrity = auditLog.verify();
+      if (!integrity.valid) {
+        logger.security('Audit log integrity check failed', integrity);
+      }
+      res.json({ success: true, ...integrity });
+    });
+
+    // Staff standing codes - the code is only shown in full to admins
+    this.app.get('/admin/staff', this.requireRole('staff'), (req, res) => {
+      res.json({ success: true, credentials: this.engine.staffAccess.getCredentials() });
+    });
+
+    this.app.get('/admin/staff/:id', this.requireRole('admin'), (req, res) => {
+      const credential = this.engine.staffAccess.get(req.params.id);
+      if (!credential) {
+        return res.status(404).json({ success: false, error: 'Staff credential not found' });
+      }
+
+      res.json({ success: true, code: credential.code, credential: this.engine.staffAccess.mask(credential) });
+    });
+
+    this.app.post('/admin/staff', this.requireRole('admin'), async (req, res) => {
+      const { name, role, schedule, locks } = req.body || {};
+
+      if (!name || !schedule) {
+        return res.status(400).json({ success: false, error: 'Missing required fields: name, schedule' });
+      }
+
+      let result;
+      try {
+        result = await this.engine.staffAccess.create({ name, role, schedule, locks }, req.principal.name);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      this.auditStaffAction(req, 'staff.created', result);
+      res.status(201).json(this.describeStaffResult(result));
+    });
+
+    this.app.post('/admin/staff/:id/rotate', this.requireRole('admin'), async (req, res) => {
+      const result = await this.engine.staffAccess.rotate(req.params.id, req.principal.name);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Staff credential not found' });
+      }
+
+      this.auditStaffAction(req, 'staff.rotated', result);
+      res.json(this.describeStaffResult(result));
+    });
+
+    this.app.delete('/admin/staff/:id', this.requireRole('admin'), async (req, res) => {
+      const result = await this.engine.staffAccess.revoke(req.params.id, req.principal.name);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Staff credential not found' });
+      }
+
+      const { credential, removedFromLock } = result;
+      this.auditApiAction(req, 'staff.revoked', removedFromLock ? 'success' : 'failure', {
+        reason: removedFromLock ? null : 'Code could not be removed from every lock - retried hourly',
+        details: { staffId: credential.id, staff: credential.name, role: credential.role }
+      });
+      res.json({ success: true, removedFromLock, credential: this.engine.staffAccess.mask(credential) });
+    });
+
+    // Chill Club memberships - codes come from the membership source, staff can revoke them
+    const requireMemberships = (req, res, next) => {
+      if (!this.engine.memberships) {
+        return res.status(404).json({ success: false, error: 'Memberships are not enabled (set MEMBERSHIP_SOURCE)' });
+      }
+      next();
+    };
+
+    this.app.get('/admin/memberships', this.requireRole('staff'), requireMemberships, (req, res) => {
+      res.json({ success: true, memberships: this.engine.memberships.getMemberships() });
+    });
+
+    this.app.post('/admin/memberships/refresh', this.requireRole('admin'), requireMemberships, async (req, res) => {
+      try {
+        const result = await this.engine.memberships.refresh();
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logger.error('Membership refresh failed', { error: error.message });
+        res.status(502).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/admin/memberships/:id/resend', this.requireRole('admin'), requireMemberships, async (req, res) => {
+      const membership = this.engine.memberships.get(req.params.id);
+      if (!membership || membership.revokedAt) {
+        return res.status(404).json({ success: false, error: 'Active membership not found' });
+      }
+
+      const message = await this.engine.memberships.sendWelcome(membership);
+      this.auditApiAction(req, 'membership.code_resent', message.status === 'dead' ? 'failure' : 'success', {
+        details: { membershipId: membership.id, member: membership.name, channel: message.channel }
+      });
+      res.json({ success: true, status: message.status, channel: message.channel });
+    });
+
+    this.app.delete('/admin/memberships/:id', this.requireRole('admin'), requireMemberships, async (req, res) => {
+      const result = await this.engine.memberships.revoke(req.params.id, req.principal.name, { revokedReason: 'Revoked by staff' });
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Active membership not found' });
+      }
+
+      const { credential, removedFromLock } = result;
+      this.auditApiAction(req, 'membership.revoked', removedFromLock ? 'success' : 'failure', {
+        reason: removedFromLock ? null : 'Code could not be removed from every lock - retried hourly',
+        details: { membershipId: credential.id, member: credential.name }
+      });
+      res.json({ success: true, removedFromLock, membership: this.engine.memberships.mask(credential) });
+    });
+
     // Temporary codes management endpoints
-    this.app.get('/codes/list', async (req, res) => {
+    this.app.get('/codes/list', this.requireRole('staff'), async (req, res) => {
       try {
-        const codes = await this.eufyService.listTemporaryCodes();
+        const codes = await this.locks.listTemporaryCodes(req.query.serial);
         res.json({ 
           success: true, 
           codes: codes,
@@ -340,9 +1041,9 @@ class WebServer {
       }
     });
 
-    this.app.post('/codes/add', async (req, res) => {
+    this.app.post('/codes/add', this.requireRole('admin'), async (req, res) => {
       try {
-        const { code, name, startTime, endTime } = req.body;
+        const { code, name, startTime, endTime, serial } = req.body;
         
         if (!code || !name || !startTime || !endTime) {
           return res.status(400).json({ 
@@ -351,7 +1052,8 @@ class WebServer {
           });
         }
 
-        await this.eufyService.addTemporaryCode(code, name, startTime, endTime);
+        await this.locks.addTemporaryCode(code, name, startTime, endTime, serial);
+        this.auditApiAction(req, 'code.added', 'success', { details: { name, startTime, endTime, serial } });
         res.json({ 
           success: true, 
           message: 'Temporary code added successfully',
@@ -364,9 +1066,9 @@ class WebServer {
       }
     });
 
-    this.app.delete('/codes/remove', async (req, res) => {
+    this.app.delete('/codes/remove', this.requireRole('admin'), async (req, res) => {
       try {
-        const { code, name } = req.body;
+        const { code, name, serial } = req.body;
         
         if (!code || !name) {
           return res.status(400).json({ 
@@ -375,7 +1077,8 @@ class WebServer {
           });
         }
 
-        await this.eufyService.removeTemporaryCode(code, name);
+        await this.locks.removeTemporaryCode(code, name, serial);
+        this.auditApiAction(req, 'code.removed', 'success', { details: { name, serial } });
         res.json({ 
           success: true, 
           message: 'Temporary code removed successfully',
@@ -405,16 +1108,273 @@ class WebServer {
     });
   }
 
-  generateSuccessPage(eventData, lockDurationMinutes) {
-    const startTime = moment(eventData.startTime).format('MMMM Do YYYY, h:mm A');
+  /**
+   * Record an action taken through the control API against its principal
+   * @param {Object} req - Authenticated express request
+   * @param {string} event - Audit event name
+   * @param {string} outcome - success | failure
+   * @param {Object} extra - { reason, details }
+   */
+  auditApiAction(req, event, outcome, extra = {}) {
+    auditLog.record({
+      event,
+      channel: 'api',
+      outcome,
+      actor: req.principal ? req.principal.name : null,
+      ip: req.ip,
+      reason: extra.reason,
+      details: extra.details
+    });
+  }
+
+  /**
+   * Audit a staff credential change; failing to reach the locks is recorded
+   * as a failure although the credential itself was saved
+   * @param {Object} req - Authenticated express request
+   * @param {string} event - staff.created | staff.rotated
+   * @param {Object} result - { credential, error } from StaffAccessService
+   */
+  auditStaffAction(req, event, { credential, error }) {
+    this.auditApiAction(req, event, error ? 'failure' : 'success', {
+      reason: error,
+      details: { staffId: credential.id, staff: credential.name, role: credential.role }
+    });
+  }
+
+  /**
+   * Response for a new or rotated staff code, with the code in clear to hand over
+   * @param {Object} result - { credential, error } from StaffAccessService
+   * @returns {Object} Response body
+   */
+  describeStaffResult({ credential, error }) {
+    return {
+      success: true,
+      code: credential.code,
+      provisioned: !error,
+      error: error || undefined,
+      credential: this.engine.staffAccess.mask(credential)
+    };
+  }
+
+  /**
+   * Language of a customer-facing page or response: ?lang=, the page's
+   * locale in the request body, then the browser's Accept-Language
+   * @param {Object} req - Express request
+   * @returns {string} Locale code
+   */
+  getRequestLocale(req) {
+    const requested = i18n.normalize(req.query?.lang) || i18n.normalize(req.body?.locale);
+    if (requested) {
+      return requested;
+    }
+
+    // Offer the default first so it wins when the browser likes both equally
+    const defaultLocale = i18n.getDefaultLocale();
+    const locales = [defaultLocale, ...i18n.getLocales().filter(locale => locale !== defaultLocale)];
+    return (req.get('Accept-Language') && req.acceptsLanguages(...locales)) || defaultLocale;
+  }
+
+  /**
+   * Log and audit a magic link that was refused
+   * @param {Object} req - Express request
+   * @param {string} token - Token from the link
+   * @param {Object} validation - Result of validateAccessToken()
+   */
+  recordMagicLinkDenial(req, token, validation) {
+    logger.warn('Invalid access attempt via link', {
+      token: String(token).substring(0, 8) + '...',
+      reason: validation.reason,
+      ip: req.ip
+    });
     
+    auditLog.record({
+      event: 'door.unlock',
+      channel: 'magic_link',
+      outcome: 'denied',
+      appointmentId: validation.eventData?.appointmentId,
+      customerEmail: validation.eventData?.attendeeEmail,
+      ip: req.ip,
+      reason: validation.reason
+    });
+  }
+
+  /**
+   * When the first of a token's doors locks again: the door's scheduled lock
+   * (later if a back-to-back session follows), else the appointment's own
+   * @param {Object} eventData - Token record
+   * @returns {moment|null} Lock time
+   */
+  getAccessLockTime(eventData) {
+    const scheduled = eventData.locks
+      .map(serial => this.engine.lockScheduler?.getLockTime(serial, eventData.appointmentId))
+      .filter(Boolean);
+
+    if (scheduled.length > 0) {
+      return moment.min(scheduled);
+    }
+
+    return eventData.lockTime ? moment(eventData.lockTime) : null;
+  }
+
+  /**
+   * Alert staff that the door code endpoint tripped a lockout
+   * @param {Object} lockout - Lockout from the attempt limiter
+   */
+  async sendLockoutAlert(lockout) {
+    try {
+      await this.emailService.sendErrorNotification(
+        new Error(`Door code brute-force lockout (${lockout.scope}) after ${lockout.failures} failed attempts`),
+        {
+          context: 'Door Code Brute-Force Lockout',
+          scope: lockout.scope,
+          source: lockout.key,
+          failures: lockout.failures,
+          lockedUntil: lockout.lockedUntil
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to send lockout alert', { error: error.message });
+    }
+  }
+
+  /**
+   * The appointment of a scanned pass, for the staff scanner
+   * @param {Object} eventData - Token record
+   * @returns {Object} { id, service, customerName, customerEmail, startTime, endTime, validFrom, validUntil }
+   */
+  describePassAppointment(eventData) {
+    return {
+      id: eventData.appointmentId,
+      service: eventData.title,
+      customerName: eventData.attendeeName,
+      customerEmail: eventData.attendeeEmail,
+      startTime: eventData.startTime,
+      endTime: eventData.endTime,
+      validFrom: eventData.validFrom,
+      validUntil: eventData.validUntil
+    };
+  }
+
+  /**
+   * Values a magic link page shows, HTML-escaped and formatted for the locale
+   * @param {Object} eventData - Token record
+   * @param {string} locale - Page language
+   * @returns {Object} Placeholder data for the unlockPage messages
+   */
+  getUnlockPageData(eventData, locale) {
+    return {
+      service: escapeHtml(eventData.title),
+      customerName: escapeHtml(eventData.attendeeName || ''),
+      appointmentDate: i18n.formatDate(eventData.startTime, locale),
+      startTime: i18n.formatTime(eventData.startTime, locale),
+      endTime: i18n.formatTime(eventData.endTime, locale),
+      validFrom: i18n.formatTime(eventData.validFrom, locale),
+      validUntil: i18n.formatTime(eventData.validUntil, locale)
+    };
+  }
+
+  /**
+   * Page explaining why a magic link was refused
+   * @param {Object} validation - Result of validateAccessToken()
+   * @param {string} locale - Page language
+   * @returns {string} HTML
+   */
+  generateTokenErrorPage(validation, locale) {
+    const messageKeys = { not_found: 'notFound', revoked: 'revoked', too_early: 'tooEarly', expired: 'expired' };
+    const data = validation.eventData ? this.getUnlockPageData(validation.eventData, locale) : {};
+    const t = i18n.messages(locale, data).unlockPage;
+
+    return this.generateErrorPage(t.deniedTitle, t[messageKeys[validation.reasonCode] || 'notFound'], locale);
+  }
+
+  /**
+   * Confirmation page of a magic link with the button that unlocks the door
+   * @param {string} token - Token from the link
+   * @param {Object} eventData - Token record
+   * @param {string} locale - Page language
+   * @returns {string} HTML
+   */
+  generateUnlockPage(token, eventData, locale) {
+    const t = i18n.messages(locale, this.getUnlockPageData(eventData, locale)).unlockPage;
+    const { venue } = config;
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${locale}" dir="${i18n.direction(locale)}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Access Granted</title>
+        <meta name="robots" content="noindex">
+        <title>${t.title}</title>
+        <style>
+            body { 
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                margin: 0; padding: 20px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                min-height: 100vh; display: flex; align-items: center; justify-content: center;
+            }
+            .container { 
+                background: white; border-radius: 15px; padding: 40px; max-width: 500px; width: 100%;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1); text-align: center;
+            }
+            .lock-icon { font-size: 80px; margin-bottom: 20px; }
+            h1 { color: #333; margin-bottom: 10px; font-size: 2em; }
+            .event-info { 
+                background: #f8f9fa; padding: 20px; border-radius: 10px; margin: 20px 0;
+                border-left: 4px solid #667eea;
+            }
+            button {
+                width: 100%; padding: 15px; font-size: 1.2em; font-weight: bold; color: white;
+                background: #4CAF50; border: none; border-radius: 10px; cursor: pointer;
+            }
+            .help { color: #666; margin-top: 20px; }
+            .ltr { direction: ltr; unicode-bidi: embed; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="lock-icon">🔒</div>
+            <h1>${t.heading}</h1>
+            
+            <div class="event-info">
+                <p><strong>${t.session}</strong></p>
+                <p>${t.worksUntil}</p>
+            </div>
+            
+            <form method="POST" action="/access/unlock">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <input type="hidden" name="locale" value="${locale}">
+                <button type="submit">${t.button}</button>
+            </form>
+            
+            <p class="help">${i18n.translate(locale, 'codePage.needHelp')} <a href="https://wa.me/${venue.whatsapp.replace(/\D/g, '')}" class="ltr">${venue.whatsapp}</a></p>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * @param {Object} eventData - Token record
+   * @param {moment|null} lockTime - When the door locks again
+   * @param {string} locale - Page language
+   * @returns {string} HTML of the page shown after a magic link unlocked the door
+   */
+  generateSuccessPage(eventData, lockTime, locale = i18n.getDefaultLocale()) {
+    const minutesRemaining = lockTime ? Math.max(0, Math.ceil(lockTime.diff(moment(), 'minutes', true))) : null;
+    const t = i18n.messages(locale, {
+      ...this.getUnlockPageData(eventData, locale),
+      lockTime: lockTime ? i18n.formatTime(lockTime, locale) : '',
+      minutesRemaining
+    }).unlockPage;
+    
+    return `
+    <!DOCTYPE html>
+    <html lang="${locale}" dir="${i18n.direction(locale)}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="robots" content="noindex">
+        <title>${t.grantedTitle}</title>
         <style>
             body { 
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -444,26 +1404,19 @@ class WebServer {
     <body>
         <div class="container">
             <div class="success-icon">🔓</div>
-            <h1>Access Granted!</h1>
-            <p class="subtitle">The door has been successfully unlocked</p>
+            <h1>${t.grantedHeading}</h1>
+            <p class="subtitle">${t.welcome}</p>
             
             <div class="event-info">
-                <h3>${eventData.title}</h3>
-                <p><strong>Date & Time:</strong> ${startTime}</p>
-                <p><strong>Attendee:</strong> ${eventData.attendeeEmail}</p>
+                <p><strong>${t.session}</strong></p>
+                <p>${t.sessionEnds}</p>
             </div>
             
-            <div class="countdown">
-                Door will lock automatically in ${lockDurationMinutes} minutes
-            </div>
+            ${minutesRemaining !== null ? `<div class="countdown">${t.locksIn}</div>` : ''}
             
             <div class="warning">
-                <strong>Important:</strong>
-                <ul style="text-align: left; margin: 10px 0;">
-                    <li>Please ensure the door is properly closed when you leave</li>
-                    <li>This access link can only be used once</li>
-                    <li>Report any issues to support immediately</li>
-                </ul>
+                <p>${t.closeDoor}</p>
+                <p>${t.useAgain}</p>
             </div>
         </div>
     </body>
@@ -471,14 +1424,16 @@ class WebServer {
     `;
   }
 
-  generateErrorPage(title, message) {
+  generateErrorPage(title, message, locale = i18n.getDefaultLocale()) {
+    const t = i18n.messages(locale).unlockPage;
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${locale}" dir="${i18n.direction(locale)}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Access Error</title>
+        <title>${title}</title>
         <style>
             body { 
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -505,8 +1460,8 @@ class WebServer {
             <p class="message">${message}</p>
             
             <div class="support">
-                <h3>Need Help?</h3>
-                <p>If you believe this is an error, please contact support with your booking details.</p>
+                <h3>${t.needHelp}</h3>
+                <p>${t.needHelpText}</p>
             </div>
         </div>
     </body>
@@ -514,14 +1469,26 @@ class WebServer {
     `;
   }
 
-  generateCodeEntryPage() {
+  /**
+   * @param {string} locale - Page language
+   * @returns {string} HTML of the door code entry page
+   */
+  generateCodeEntryPage(locale = i18n.getDefaultLocale()) {
+    const t = i18n.messages(locale).codePage;
+    const dir = i18n.direction(locale);
+    const { venue } = config;
+    const languages = i18n.getLocales()
+      .filter(code => code !== locale)
+      .map(code => `<a href="?lang=${code}">${i18n.getCatalog(code).name}</a>`)
+      .join(' | ');
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${locale}" dir="${dir}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Enter Door Code - Euphorium</title>
+        <title>${t.title}</title>
         <style>
             body { 
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -552,25 +1519,28 @@ class WebServer {
             .message.success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
             .message.error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
             .euphorium { color: #007bff; font-weight: bold; margin-bottom: 5px; }
+            .code-input, .ltr { direction: ltr; }
+            .languages { margin-top: 15px; font-size: 0.9em; }
         </style>
     </head>
     <body>
         <div class="container">
             <div class="lock-icon">❄️</div>
-            <div class="euphorium">Euphorium</div>
-            <h1>Door Code</h1>
-            <p class="subtitle">Enter your 4-digit door code from your booking email</p>
+            <div class="euphorium">${venue.name}</div>
+            <h1>${t.heading}</h1>
+            <p class="subtitle">${t.subtitle}</p>
             
             <form id="codeForm">
                 <input type="text" id="codeInput" class="code-input" 
                        placeholder="0000" maxlength="4" pattern="[0-9]{4}" required>
-                <button type="submit" id="unlockBtn" class="unlock-btn">Unlock Door</button>
+                <button type="submit" id="unlockBtn" class="unlock-btn">${t.unlock}</button>
             </form>
             
             <div id="message" class="message"></div>
             
             <div style="margin-top: 30px; font-size: 0.9em; color: #666;">
-                <p>Need help? WhatsApp: <a href="https://wa.me/971559021829" style="color: #25D366;">+971-559021829</a></p>
+                <p>${t.needHelp} <a href="https://wa.me/${venue.whatsapp.replace(/\D/g, '')}" class="ltr" style="color: #25D366;">${venue.whatsapp}</a></p>
+                <p class="languages">${languages}</p>
             </div>
         </div>
         
@@ -579,6 +1549,7 @@ class WebServer {
             const input = document.getElementById('codeInput');
             const button = document.getElementById('unlockBtn');
             const message = document.getElementById('message');
+            const messages = ${JSON.stringify(t).replace(/</g, '\\u003c')};
             
             // Auto-format input to only allow numbers
             input.addEventListener('input', function(e) {
@@ -597,12 +1568,12 @@ class WebServer {
                 
                 const code = input.value.trim();
                 if (code.length !== 4) {
-                    showMessage('Please enter a valid 4-digit code', 'error');
+                    showMessage(messages.enterValidCode, 'error');
                     return;
                 }
                 
                 button.disabled = true;
-                button.textContent = 'Unlocking...';
+                button.textContent = messages.unlocking;
                 
                 try {
                     const response = await fetch('/access/code', {
@@ -610,7 +1581,7 @@ class WebServer {
                         headers: {
                             'Content-Type': 'application/json',
                         },
-                        body: JSON.stringify({ code: code })
+                        body: JSON.stringify({ code: code, locale: '${locale}' })
                     });
                     
                     const result = await response.json();
@@ -620,19 +1591,18 @@ class WebServer {
                         input.value = '';
                         if (result.appointment) {
                             setTimeout(() => {
-                                showMessage('Welcome to ' + result.appointment.service + '! ' +
-                                          'Door will lock automatically after your session.', 'success');
+                                showMessage(messages.welcome.replace('{service}', result.appointment.service), 'success');
                             }, 2000);
                         }
                     } else {
                         showMessage(result.message, 'error');
                     }
                 } catch (error) {
-                    showMessage('Network error. Please try again.', 'error');
+                    showMessage(messages.networkError, 'error');
                 }
                 
                 button.disabled = false;
-                button.textContent = 'Unlock Door';
+                button.textContent = messages.unlock;
             });
             
             function showMessage(text, type) {
@@ -654,6 +1624,10 @@ class WebServer {
 
   async start(port = config.webServer?.port || 3000) {
     try {
+      if (!adminAuth.isConfigured()) {
+        logger.security('No admin credentials configured - control endpoints will reject all requests (set ADMIN_API_KEY or AUTH_USERS)');
+      }
+
       this.server = this.app.listen(port, () => {
         logger.info('Web server started', { 
           port: port,
@@ -712,4 +1686,10 @@ class WebServer {
   }
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 module.exports = WebServer; 
\ No newline at end of file
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const logger = require('./logger');
+const { config } = require('../config');
+const accessTokenManager = require('./accessTokens');
+
+// Marks a scanned string as one of our passes (bump with the format)
+const PASS_PREFIX = 'EUPASS1';
+
+// Bytes of the HMAC kept in the pass; short enough for a small, easily scanned code
+const SIGNATURE_BYTES = 16;
+
+/**
+ * Access Pass Utility
+ * Signed QR passes for booking confirmations. A pass is a single-use access
+ * token (type 'pass', see AccessTokenManager) with an HMAC signature, encoded
+ * in the QR code as `EUPASS1.<token>.<signature>`. Staff scan it at the door;
+ * the signature rejects forged or damaged codes before the token is looked up.
+ * The PNG is attached to the email inline, and every pass can be opened as
+ * PNG or SVG at /access/pass/<pass>.png|svg.
+ */
+class AccessPass {
+  isEnabled() {
+    return Boolean(config.accessPasses.secret);
+  }
+
+  sign(token) {
+    return crypto.createHmac('sha256', config.accessPasses.secret)
+      .update(`${PASS_PREFIX}.${token}`)
+      .digest()
+      .subarray(0, SIGNATURE_BYTES)
+      .toString('base64url');
+  }
+
+  /**
+   * Issue a pass for an appointment customer
+   * @param {Object} event - Token details, as for generateAccessToken()
+   * @returns {Object|null} { code, url, svgUrl, cid }, null if passes are disabled
+   */
+  issue(event) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const token = accessTokenManager.generateAccessToken({ ...event, type: 'pass', singleUse: true });
+    const code = `${PASS_PREFIX}.${token}.${this.sign(token)}`;
+
+    return {
+      code,
+      url: this.getPassUrl(code, 'png'),
+      svgUrl: this.getPassUrl(code, 'svg'),
+      cid: `access-pass-${event.id}@${config.calendar.uidDomain}`
+    };
+  }
+
+  /**
+   * Check the signature of a scanned pass
+   * @param {string} code - Text read from the QR code
+   * @returns {string|null} The pass's access token, null if the pass is not genuine
+   */
+  verify(code) {
+    const [prefix, token, signature, ...rest] = String(code || '').trim().split('.');
+
+    if (!this.isEnabled() || prefix !== PASS_PREFIX || !token || !signature || rest.length > 0) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(token));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      logger.security('QR pass with an invalid signature', { token: token.substring(0, 8) + '...' });
+      return null;
+    }
+
+    return token;
+  }
+
+  getPassUrl(code, format) {
+    return `${config.webServer.baseUrl.replace(/\/+$/, '')}/access/pass/${encodeURIComponent(code)}.${format}`;
+  }
+
+  /**
+   * @param {string} code - Pass text
+   * @returns {Buffer} PNG of the QR code
+   */
+  async toPng(code) {
+    return QRCode.toBuffer(code, { type: 'png', width: config.accessPasses.size, margin: 2, errorCorrectionLevel: 'M' });
+  }
+
+  /**
+   * @param {string} code - Pass text
+   * @returns {string} SVG of the QR code
+   */
+  async toSvg(code) {
+    return QRCode.toString(code, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' });
+  }
+
+  /**
+   * Nodemailer attachments for an email: the pass PNG, shown inline through
+   * its content ID
+   * @param {Object} data - Email data with the issued pass as data.accessPass
+   * @returns {Array} Zero or one attachment
+   */
+  async attachments(data) {
+    if (!data.accessPass) {
+      return [];
+    }
+
+    return [{
+      filename: `access-pass-${data.appointmentId}.png`,
+      content: await this.toPng(data.accessPass.code),
+      contentType: 'image/png',
+      cid: data.accessPass.cid
+    }];
+  }
+}
+
+module.exports = new AccessPass();
+module.exports.AccessPass = AccessPass;
@@ -1,49 +1,238 @@
 const crypto = require('crypto');
 const moment = require('moment');
 const logger = require('./logger');
+const { config } = require('../config');
+const stateStore = require('./stateStore');
 
+// Tokens are forgotten this long after their window closes
+const TOKEN_RETENTION_DAYS = 7;
+
+/**
+ * Access Token Manager
+ * Magic unlock links, QR passes and 6-digit access codes. A token belongs
+ * to one appointment customer and opens that appointment's doors inside its
+ * access window: as often as needed for magic links (type 'link'), once for
+ * QR passes (type 'pass'). Only a hash of the token is stored, so the state
+ * file cannot be used to unlock the door.
+ *
+ * State: 'accessTokens' ({ type, singleUse, appointmentId, attendeeEmail,
+ * attendeeName, title, startTime, endTime, validFrom, validUntil, locks,
+ * lockTime, locale, uses, lastUsedAt, revoked }) by token hash
+ */
 class AccessTokenManager {
   constructor() {
-    // In-memory store for active tokens (in production, use Redis/database)
-    this.activeTokens = new Map();
+    // Access codes are short-lived and kept in memory only
     this.activeCodes = new Map();
   }
 
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
   /**
-   * Generate a secure access token for door unlock
+   * Generate an access token for an appointment customer
+   * @param {Object} event - { id, attendeeEmail, attendeeName, title, startTime,
+   *   endTime, validFrom, validUntil, locks, lockTime, locale, type, singleUse };
+   *   the window defaults to 15 minutes before the start until 30 minutes
+   *   after the end
+   * @returns {string} Token
    */
   generateAccessToken(event) {
-    const tokenData = {
-      eventId: event.id,
+    const token = crypto.randomBytes(32).toString('hex');
+    const record = {
+      type: event.type || 'link',
+      singleUse: Boolean(event.singleUse),
+      appointmentId: event.id,
       attendeeEmail: event.attendeeEmail,
-      startTime: event.startTime,
-      endTime: event.endTime,
+      attendeeName: event.attendeeName || null,
       title: event.title,
-      generated: new Date(),
-      used: false
+      startTime: moment(event.startTime).toISOString(),
+      endTime: moment(event.endTime).toISOString(),
+      validFrom: moment(event.validFrom || moment(event.startTime).subtract(15, 'minutes')).toISOString(),
+      validUntil: moment(event.validUntil || moment(event.endTime).add(30, 'minutes')).toISOString(),
+      locks: event.locks || [],
+      lockTime: event.lockTime ? moment(event.lockTime).toISOString() : null,
+      locale: event.locale || null,
+      tokenHint: token.substring(0, 8),
+      uses: 0,
+      lastUsedAt: null,
+      revoked: false,
+      generated: new Date().toISOString()
     };
 
-    // Generate random token
-    const token = crypto.randomBytes(32).toString('hex');
-    
-    // Store token with expiration
-    this.activeTokens.set(token, tokenData);
-    
-    // Auto-cleanup expired tokens
-    setTimeout(() => {
-      this.cleanupExpiredToken(token);
-    }, this.getTokenLifetime(event));
+    stateStore.set('accessTokens', this.hashToken(token), record);
 
     logger.info('Access token generated', {
-      token: token.substring(0, 8) + '...',
-      eventId: event.id,
-      attendeeEmail: event.attendeeEmail,
-      expiresAt: moment(event.endTime).add(30, 'minutes').toISOString()
+      token: record.tokenHint + '...',
+      type: record.type,
+      appointmentId: record.appointmentId,
+      attendeeEmail: record.attendeeEmail,
+      validFrom: record.validFrom,
+      expiresAt: record.validUntil
     });
 
     return token;
   }
 
+  /**
+   * Customer-facing URL of a magic link
+   * @param {string} token - Token from generateAccessToken()
+   * @returns {string} Unlock URL
+   */
+  getUnlockUrl(token) {
+    return `${config.webServer.baseUrl.replace(/\/+$/, '')}/access/unlock?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Check an access token against its access window (and single use for passes)
+   * @param {string} token - Token from the link or pass
+   * @param {Object} options - { consume } records a use when the token is valid
+   * @returns {Object} { valid, eventData, reason, reasonCode } with reasonCode
+   *   not_found | revoked | used | too_early | expired
+   */
+  validateAccessToken(token, options = {}) {
+    const hash = this.hashToken(token);
+    const tokenData = stateStore.get('accessTokens', hash);
+    const hint = String(token).substring(0, 8) + '...';
+
+    if (!tokenData) {
+      logger.warn('Invalid access token attempted', { token: hint });
+      return { valid: false, reason: 'Token not found', reasonCode: 'not_found' };
+    }
+
+    if (tokenData.revoked) {
+      logger.warn('Revoked access token attempted', {
+        token: hint,
+        appointmentId: tokenData.appointmentId
+      });
+      return { valid: false, eventData: tokenData, reason: 'Token revoked', reasonCode: 'revoked' };
+    }
+
+    if (tokenData.singleUse && tokenData.uses > 0) {
+      logger.warn('Already used access token attempted', {
+        token: hint,
+        appointmentId: tokenData.appointmentId,
+        usedAt: tokenData.lastUsedAt
+      });
+      return { valid: false, eventData: tokenData, reason: 'Token already used', reasonCode: 'used' };
+    }
+
+    const now = moment();
+
+    if (now.isBefore(tokenData.validFrom)) {
+      logger.warn('Access token used too early', {
+        token: hint,
+        currentTime: now.toISOString(),
+        allowedFrom: tokenData.validFrom
+      });
+      return { valid: false, eventData: tokenData, reason: 'Too early - access starts at ' + moment(tokenData.validFrom).format('HH:mm'), reasonCode: 'too_early' };
+    }
+
+    if (now.isAfter(tokenData.validUntil)) {
+      logger.warn('Access token expired', {
+        token: hint,
+        currentTime: now.toISOString(),
+        expiredAt: tokenData.validUntil
+      });
+      return { valid: false, eventData: tokenData, reason: 'Token expired', reasonCode: 'expired' };
+    }
+
+    if (options.consume) {
+      tokenData.uses += 1;
+      tokenData.lastUsedAt = now.toISOString();
+      stateStore.set('accessTokens', hash, tokenData);
+
+      logger.info('Access token validated and used', {
+        token: hint,
+        appointmentId: tokenData.appointmentId,
+        attendeeEmail: tokenData.attendeeEmail,
+        uses: tokenData.uses
+      });
+    }
+
+    return {
+      valid: true,
+      eventData: tokenData,
+      reason: 'Access granted'
+    };
+  }
+
+  /**
+   * Give back a use recorded by validateAccessToken({ consume: true }) when
+   * the doors could not be unlocked, so a single-use pass still works.
+   * Consuming first and releasing on failure keeps two scans of the same pass
+   * from both getting through.
+   * @param {string} token - Token from the link or pass
+   * @returns {boolean} Whether a use was given back
+   */
+  releaseAccessToken(token) {
+    const hash = this.hashToken(token);
+    const tokenData = stateStore.get('accessTokens', hash);
+    if (!tokenData || tokenData.uses === 0) {
+      return false;
+    }
+
+    tokenData.uses -= 1;
+    if (tokenData.uses === 0) {
+      tokenData.lastUsedAt = null;
+    }
+    stateStore.set('accessTokens', hash, tokenData);
+
+    logger.info('Access token use released after a failed unlock', {
+      token: String(token).substring(0, 8) + '...',
+      appointmentId: tokenData.appointmentId,
+      uses: tokenData.uses
+    });
+    return true;
+  }
+
+  /**
+   * Revoke the tokens of an appointment, optionally only one customer's or
+   * one type's
+   * @param {Object} filter - { appointmentId, attendeeEmail, type }
+   * @returns {number} Tokens revoked
+   */
+  revokeTokens({ appointmentId, attendeeEmail = null, type = null }) {
+    let revoked = 0;
+
+    for (const [hash, record] of stateStore.entries('accessTokens')) {
+      if (record.revoked || String(record.appointmentId) !== String(appointmentId)) continue;
+      if (attendeeEmail && record.attendeeEmail !== attendeeEmail) continue;
+      if (type && record.type !== type) continue;
+
+      stateStore.set('accessTokens', hash, { ...record, revoked: true, revokedAt: new Date().toISOString() });
+      revoked++;
+    }
+
+    if (revoked > 0) {
+      logger.info('Access tokens revoked', { appointmentId, attendeeEmail, type, revoked });
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Forget tokens whose window closed over TOKEN_RETENTION_DAYS ago
+   * @returns {number} Tokens removed
+   */
+  cleanup() {
+    const cutoff = moment().subtract(TOKEN_RETENTION_DAYS, 'days');
+    let removed = 0;
+
+    for (const [hash, record] of stateStore.entries('accessTokens')) {
+      if (moment(record.validUntil).isBefore(cutoff)) {
+        stateStore.delete('accessTokens', hash);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('Cleaned up expired access tokens', { removed });
+    }
+
+    return removed;
+  }
+
   /**
    * Generate a 6-digit access code
    */
@@ -77,70 +266,6 @@ class AccessTokenManager {
     return code;
   }
 
-  /**
-   * Validate and use an access token
-   */
-  validateAccessToken(token) {
-    const tokenData = this.activeTokens.get(token);
-    
-    if (!tokenData) {
-      logger.warn('Invalid access token attempted', { token: token.substring(0, 8) + '...' });
-      return { valid: false, reason: 'Token not found' };
-    }
-
-    if (tokenData.used) {
-      logger.warn('Already used access token attempted', { 
-        token: token.substring(0, 8) + '...',
-        eventId: tokenData.eventId 
-      });
-      return { valid: false, reason: 'Token already used' };
-    }
-
-    const now = new Date();
-    const startTime = new Date(tokenData.startTime);
-    const endTime = new Date(tokenData.endTime);
-    
-    // Allow access 15 minutes before booking and 30 minutes after
-    const accessStart = moment(startTime).subtract(15, 'minutes').toDate();
-    const accessEnd = moment(endTime).add(30, 'minutes').toDate();
-
-    if (now < accessStart) {
-      logger.warn('Access token used too early', {
-        token: token.substring(0, 8) + '...',
-        currentTime: now.toISOString(),
-        allowedFrom: accessStart.toISOString()
-      });
-      return { valid: false, reason: 'Too early - access starts at ' + moment(accessStart).format('HH:mm') };
-    }
-
-    if (now > accessEnd) {
-      logger.warn('Access token expired', {
-        token: token.substring(0, 8) + '...',
-        currentTime: now.toISOString(),
-        expiredAt: accessEnd.toISOString()
-      });
-      return { valid: false, reason: 'Token expired' };
-    }
-
-    // Mark as used
-    tokenData.used = true;
-    tokenData.usedAt = now;
-    this.activeTokens.set(token, tokenData);
-
-    logger.info('Access token validated and used', {
-      token: token.substring(0, 8) + '...',
-      eventId: tokenData.eventId,
-      attendeeEmail: tokenData.attendeeEmail,
-      title: tokenData.title
-    });
-
-    return { 
-      valid: true, 
-      eventData: tokenData,
-      reason: 'Access granted'
-    };
-  }
-
   /**
    * Validate and use an access code
    */
@@ -206,20 +331,6 @@ class AccessTokenManager {
     return expiry.diff(moment());
   }
 
-  /**
-   * Cleanup expired token
-   */
-  cleanupExpiredToken(token) {
-    if (this.activeTokens.has(token)) {
-      const tokenData = this.activeTokens.get(token);
-      this.activeTokens.delete(token);
-      logger.info('Expired access token cleaned up', {
-        token: token.substring(0, 8) + '...',
-        eventId: tokenData.eventId
-      });
-    }
-  }
-
   /**
    * Cleanup expired code
    */
@@ -235,24 +346,27 @@ class AccessTokenManager {
   }
 
   /**
-   * Get all active tokens (for admin/debugging)
+   * Get all tokens that still open a door or will (for admin/debugging)
    */
   getActiveTokens() {
-    const tokens = [];
-    for (const [token, data] of this.activeTokens.entries()) {
-      tokens.push({
-        token: token.substring(0, 8) + '...',
-        eventId: data.eventId,
+    const now = moment();
+    return stateStore.values('accessTokens')
+      .filter(data => !data.revoked && now.isBefore(data.validUntil) && !(data.singleUse && data.uses > 0))
+      .map(data => ({
+        token: data.tokenHint + '...',
+        type: data.type,
+        appointmentId: data.appointmentId,
         attendeeEmail: data.attendeeEmail,
         title: data.title,
         startTime: data.startTime,
         endTime: data.endTime,
-        used: data.used,
+        validFrom: data.validFrom,
+        validUntil: data.validUntil,
+        locks: data.locks,
+        uses: data.uses,
         generated: data.generated,
-        usedAt: data.usedAt
-      });
-    }
-    return tokens;
+        lastUsedAt: data.lastUsedAt
+      }));
   }
 
   /**
@@ -280,4 +394,5 @@ class AccessTokenManager {
 // Singleton instance
 const accessTokenManager = new AccessTokenManager();
 
-module.exports = accessTokenManager; 
\ No newline at end of file
+module.exports = accessTokenManager;
+module.exports.AccessTokenManager = AccessTokenManager; 
\ No newline at end of file
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const logger = require('./logger');
+const stateStore = require('./stateStore');
+const { config } = require('../config');
+
+// Roles in ascending order of privilege - each role includes the ones before it
+const ROLES = ['viewer', 'staff', 'admin'];
+
+/**
+ * Admin Authentication Manager
+ * Authenticates control API requests with API keys or username/password
+ * sessions and resolves them to a principal with a role
+ */
+class AdminAuthManager {
+  constructor() {
+    // Sessions only live in memory - a restart requires logging in again
+    this.sessions = new Map();
+  }
+
+  /**
+   * Hash a secret for storage and lookup (API keys and session tokens are random,
+   * so a plain SHA-256 is sufficient)
+   * @param {string} secret - API key or session token
+   * @returns {string} Hex digest
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Hash a password for AUTH_USERS
+   * @param {string} password - Plain password
+   * @returns {string} scrypt$salt$hash
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  /**
+   * Check whether a role grants at least the required role
+   * @param {string} role - Principal role
+   * @param {string} requiredRole - Minimum role
+   * @returns {boolean} Whether access is allowed
+   */
+  hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && this.isValidRole(role);
+  }
+
+  /**
+   * Users configured through AUTH_USERS
+   * @returns {Map} username -> { username, role, passwordHash }
+   */
+  getUsers() {
+    const users = new Map();
+
+    for (const entry of config.auth.users) {
+      const [username, role, passwordHash] = entry.split(':');
+      if (!username || !this.isValidRole(role) || !passwordHash) {
+        logger.warn('Ignoring malformed AUTH_USERS entry', { username });
+        continue;
+      }
+      users.set(username, { username, role, passwordHash });
+    }
+
+    return users;
+  }
+
+  /**
+   * Whether any way of authenticating has been configured
+   * @returns {boolean} True if at least one key or user exists
+   */
+  isConfigured() {
+    return Boolean(config.auth.adminApiKey) || this.getUsers().size > 0 || this.listApiKeys().length > 0;
+  }
+
+  /**
+   * Resolve the principal of a request from its X-API-Key or Bearer token
+   * @param {Object} req - Express request
+   * @returns {Object|null} { type, id, name, role } or null
+   */
+  authenticate(req) {
+    const authorization = req.get('Authorization') || '';
+    const secret = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null);
+
+    if (!secret) {
+      return null;
+    }
+
+    return this.authenticateApiKey(secret) || this.authenticateSession(secret);
+  }
+
+  authenticateApiKey(key) {
+    if (config.auth.adminApiKey && this.safeEqual(key, config.auth.adminApiKey)) {
+      return { type: 'apiKey', id: 'bootstrap', name: 'ADMIN_API_KEY', role: 'admin' };
+    }
+
+    const keyHash = this.hashSecret(key);
+    const record = stateStore.values('apiKeys').find(apiKey => apiKey.keyHash === keyHash);
+
+    if (!record || record.revokedAt || (record.expiresAt && moment(record.expiresAt).isBefore(moment()))) {
+      return null;
+    }
+
+    return { type: 'apiKey', id: record.id, name: record.name, role: record.role };
+  }
+
+  authenticateSession(token) {
+    const tokenHash = this.hashSecret(token);
+    const session = this.sessions.get(tokenHash);
+
+    if (!session) {
+      return null;
+    }
+
+    if (moment(session.expiresAt).isBefore(moment())) {
+      this.sessions.delete(tokenHash);
+      return null;
+    }
+
+    return { type: 'session', id: session.username, name: session.username, role: session.role };
+  }
+
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * Log a user in with username and password
+   * @param {string} username - Username from AUTH_USERS
+   * @param {string} password - Password
+   * @returns {Object|null} { token, username, role, expiresAt } or null
+   */
+  login(username, password) {
+    const user = typeof username === 'string' ? this.getUsers().get(username) : null;
+
+    if (!user || typeof password !== 'string' || !password || !this.verifyPassword(password, user.passwordHash)) {
+      logger.security('Failed admin login', { username });
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = moment().add(config.auth.sessionTtlMinutes, 'minutes').toISOString();
+
+    this.sessions.set(this.hashSecret(token), { username, role: user.role, expiresAt });
+    logger.security('Admin login', { principal: username, role: user.role });
+
+    return { token, username, role: user.role, expiresAt };
+  }
+
+  logout(token) {
+    return this.sessions.delete(this.hashSecret(token));
+  }
+
+  /**
+   * Create an API key - the plain key is only ever returned here
+   * @param {string} name - Label for the key
+   * @param {string} role - viewer | staff | admin
+   * @param {string} createdBy - Principal creating the key
+   * @returns {Object} { key, record }
+   */
+  createApiKey(name, role, createdBy, rotatedFrom = null) {
+    if (!this.isValidRole(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    const key = `eak_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      role,
+      keyHash: this.hashSecret(key),
+      prefix: key.substring(0, 8),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt: null,
+      revokedAt: null,
+      rotatedFrom
+    };
+
+    stateStore.set('apiKeys', record.id, record);
+    logger.security('API key created', { principal: createdBy, keyId: record.id, name, role });
+
+    return { key, record: this.maskApiKey(record) };
+  }
+
+  /**
+   * Replace an API key with a new one; the old key keeps working for
+   * the rotation grace period so clients can be switched over
+   * @param {string} id - API key ID
+   * @param {string} rotatedBy - Principal rotating the key
+   * @returns {Object|null} { key, record } of the new key
+   */
+  rotateApiKey(id, rotatedBy) {
+    const existing = stateStore.get('apiKeys', id);
+    if (!existing || existing.revokedAt) {
+      return null;
+    }
+
+    const rotated = this.createApiKey(existing.name, existing.role, rotatedBy, existing.id);
+
+    stateStore.set('apiKeys', id, {
+      ...existing,
+      expiresAt: moment().add(config.auth.keyRotationGraceMinutes, 'minutes').toISOString()
+    });
+    logger.security('API key rotated', { principal: rotatedBy, keyId: id, newKeyId: rotated.record.id });
+
+    return rotated;
+  }
+
+  revokeApiKey(id, revokedBy) {
+    const existing = stateStore.get('apiKeys', id);
+    if (!existing || existing.revokedAt) {
+      return false;
+    }
+
+    stateStore.set('apiKeys', id, { ...existing, revokedAt: new Date().toISOString() });
+    logger.security('API key revoked', { principal: revokedBy, keyId: id, name: existing.name });
+
+    return true;
+  }
+
+  maskApiKey(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * Get all API keys (for admin listing)
+   * @returns {Array} API key records without hashes
+   */
+  listApiKeys() {
+    return stateStore.values('apiKeys').map(record => this.maskApiKey(record));
+  }
+}
+
+// Singleton instance
+const adminAuth = new AdminAuthManager();
+
+module.exports = adminAuth;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,223 @@
+const moment = require('moment');
+const logger = require('./logger');
+const stateStore = require('./stateStore');
+const { config } = require('../config');
+
+const GLOBAL_KEY = 'global';
+
+/**
+ * Attempt Limiter Utility
+ * Throttles door code guesses per IP and across all IPs with exponential
+ * backoff, and locks out sources that keep failing. loginLimiter locks out
+ * IPs that keep failing admin logins, with its lockouts kept apart.
+ */
+class AttemptLimiter {
+  /**
+   * @param {Object} options - { collection } for the lockouts, { label } for
+   *   logs, { backoff } to make an IP wait longer after every failure,
+   *   { global } to lock everyone out when all IPs together keep failing
+   */
+  constructor({ collection = 'lockouts', label = 'Door code endpoint', backoff = true, global = true } = {}) {
+    this.collection = collection;
+    this.label = label;
+    this.backoff = backoff;
+    this.global = global;
+    // key (IP or 'global') -> failure timestamps within the window
+    this.failures = new Map();
+    // IP -> earliest time the next attempt is accepted
+    this.nextAttemptAt = new Map();
+  }
+
+  /**
+   * Check whether an IP may try a code right now
+   * @param {string} ip - Client IP
+   * @returns {Object} { allowed, reason, retryAfterSeconds }
+   */
+  check(ip) {
+    const now = moment();
+
+    for (const key of this.global ? [GLOBAL_KEY, ip] : [ip]) {
+      const lockout = stateStore.get(this.collection, key);
+      if (!lockout) continue;
+
+      if (moment(lockout.lockedUntil).isAfter(now)) {
+        return {
+          allowed: false,
+          reason: key === GLOBAL_KEY ? 'global_lockout' : 'lockout',
+          retryAfterSeconds: Math.ceil(moment(lockout.lockedUntil).diff(now) / 1000)
+        };
+      }
+
+      // Lockout has run out
+      stateStore.delete(this.collection, key);
+      this.failures.delete(key);
+    }
+
+    const nextAttemptAt = this.nextAttemptAt.get(ip);
+    if (nextAttemptAt && nextAttemptAt.isAfter(now)) {
+      return {
+        allowed: false,
+        reason: 'backoff',
+        retryAfterSeconds: Math.ceil(nextAttemptAt.diff(now) / 1000)
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a failed attempt and apply backoff and lockouts
+   * @param {string} ip - Client IP
+   * @returns {Object|null} The lockout that was just triggered, if any
+   */
+  recordFailure(ip) {
+    const now = moment();
+    const ipFailures = this.addFailure(ip, now);
+
+    if (this.backoff) {
+      const backoffSeconds = Math.min(
+        config.bruteForce.backoffBaseSeconds * Math.pow(2, ipFailures - 1),
+        config.bruteForce.backoffMaxSeconds
+      );
+      this.nextAttemptAt.set(ip, now.clone().add(backoffSeconds, 'seconds'));
+    }
+
+    let ipLockout = null;
+    let globalLockout = null;
+
+    if (ipFailures >= config.bruteForce.maxFailuresPerIp && !stateStore.has(this.collection, ip)) {
+      ipLockout = this.lockOut(ip, ipFailures);
+    }
+
+    if (this.global) {
+      const globalFailures = this.addFailure(GLOBAL_KEY, now);
+      if (globalFailures >= config.bruteForce.maxFailuresGlobal && !stateStore.has(this.collection, GLOBAL_KEY)) {
+        globalLockout = this.lockOut(GLOBAL_KEY, globalFailures);
+      }
+    }
+
+    return globalLockout || ipLockout;
+  }
+
+  /**
+   * Forget an IP's failures after a correct code
+   * @param {string} ip - Client IP
+   */
+  recordSuccess(ip) {
+    this.failures.delete(ip);
+    this.nextAttemptAt.delete(ip);
+  }
+
+  /**
+   * Forget failures older than the window, backoffs that have passed and
+   * lockouts that have run out, so IPs that never come back don't pile up
+   * @returns {number} Entries removed
+   */
+  prune() {
+    const now = moment();
+    const windowStart = now.clone().subtract(config.bruteForce.windowMinutes, 'minutes');
+    let removed = 0;
+
+    for (const [key, times] of this.failures.entries()) {
+      const recent = times.filter(time => time.isAfter(windowStart));
+      if (recent.length === 0) {
+        this.failures.delete(key);
+        removed++;
+      } else {
+        this.failures.set(key, recent);
+      }
+    }
+
+    for (const [ip, nextAttemptAt] of this.nextAttemptAt.entries()) {
+      if (!nextAttemptAt.isAfter(now)) {
+        this.nextAttemptAt.delete(ip);
+        removed++;
+      }
+    }
+
+    for (const [key, lockout] of stateStore.entries(this.collection)) {
+      if (!moment(lockout.lockedUntil).isAfter(now)) {
+        stateStore.delete(this.collection, key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  addFailure(key, now) {
+    const windowStart = now.clone().subtract(config.bruteForce.windowMinutes, 'minutes');
+    const recent = (this.failures.get(key) || []).filter(time => time.isAfter(windowStart));
+    recent.push(now);
+    this.failures.set(key, recent);
+    return recent.length;
+  }
+
+  lockOut(key, failures) {
+    const lockout = {
+      key,
+      scope: key === GLOBAL_KEY ? 'global' : 'ip',
+      failures,
+      lockedAt: new Date().toISOString(),
+      lockedUntil: moment().add(config.bruteForce.lockoutMinutes, 'minutes').toISOString()
+    };
+
+    stateStore.set(this.collection, key, lockout);
+    logger.security(`${this.label} locked out after repeated failures`, lockout);
+
+    return lockout;
+  }
+
+  /**
+   * Get active lockouts and IPs with recent failures (for admin)
+   * @returns {Object} { lockouts, recentFailures }
+   */
+  getStatus() {
+    const now = moment();
+    const windowStart = now.clone().subtract(config.bruteForce.windowMinutes, 'minutes');
+    const recentFailures = [];
+
+    for (const [key, times] of this.failures.entries()) {
+      const count = times.filter(time => time.isAfter(windowStart)).length;
+      if (count > 0) {
+        recentFailures.push({ key, failures: count });
+      }
+    }
+
+    return {
+      lockouts: stateStore.values(this.collection).filter(lockout => moment(lockout.lockedUntil).isAfter(now)),
+      recentFailures
+    };
+  }
+
+  /**
+   * Lift a lockout and reset its failure count
+   * @param {string} key - IP or 'global'
+   * @returns {boolean} Whether a lockout was cleared
+   */
+  clearLockout(key) {
+    this.failures.delete(key);
+    this.nextAttemptAt.delete(key);
+    return stateStore.delete(this.collection, key);
+  }
+
+  /**
+   * Lift every lockout
+   * @returns {number} Number of lockouts cleared
+   */
+  clearAll() {
+    const keys = stateStore.entries(this.collection).map(([key]) => key);
+    keys.forEach(key => stateStore.delete(this.collection, key));
+    this.failures.clear();
+    this.nextAttemptAt.clear();
+    return keys.length;
+  }
+}
+
+// Singleton instance
+const attemptLimiter = new AttemptLimiter();
+
+module.exports = attemptLimiter;
+module.exports.AttemptLimiter = AttemptLimiter;
+// A mistyped password is not held up, and one IP guessing cannot lock every admin out
+module.exports.loginLimiter = new AttemptLimiter({ collection: 'loginLockouts', label: 'Admin login', backoff: false, global: false });
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const logger = require('./logger');
+const { config } = require('../config');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Columns of the CSV export, in order
+const CSV_FIELDS = ['seq', 'timestamp', 'event', 'channel', 'outcome', 'actor', 'appointmentId', 'customerEmail', 'ip', 'reason', 'details', 'hash'];
+
+/**
+ * Audit Log Utility
+ * Append-only, hash-chained record of every access decision. Each entry
+ * includes the hash of the previous one, so editing or deleting a line
+ * breaks the chain and is detected by verify()
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(config.storage.dataDir, 'audit.jsonl');
+    // Tests run against memory only unless a log is created explicitly with persist: true
+    this.persist = options.persist !== undefined ? options.persist : config.system.nodeEnv !== 'test';
+    this.entries = [];
+    this.isLoaded = false;
+  }
+
+  /**
+   * Read existing entries from disk (only happens once)
+   * @returns {AuditLog} This log
+   */
+  load() {
+    if (this.isLoaded) {
+      return this;
+    }
+    this.isLoaded = true;
+
+    if (!this.persist || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (error) {
+        // Keep going - verify() reports the gap in the chain
+        logger.security('Unreadable audit log line', { file: this.filePath });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Compute the hash of an entry chained to its predecessor
+   * @param {Object} entry - Entry without its hash
+   * @returns {string} Hex digest
+   */
+  hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * Record an access decision
+   * @param {Object} fields - { event, channel, outcome, actor, appointmentId, customerEmail, ip, reason, details }
+   * @returns {Object} Stored entry
+   */
+  record(fields) {
+    this.load();
+
+    const previous = this.entries[this.entries.length - 1];
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: new Date().toISOString(),
+      event: fields.event,
+      channel: fields.channel || 'system',
+      outcome: fields.outcome,
+      actor: fields.actor || 'system',
+      appointmentId: fields.appointmentId !== undefined && fields.appointmentId !== null ? String(fields.appointmentId) : null,
+      customerEmail: fields.customerEmail || null,
+      ip: fields.ip || null,
+      reason: fields.reason || null,
+      details: fields.details || null,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = this.hashEntry(entry);
+
+    this.entries.push(entry);
+
+    if (this.persist) {
+      try {
+        fs.ensureDirSync(path.dirname(this.filePath));
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+      } catch (error) {
+        logger.error('Failed to write audit log entry', { error: error.message, event: entry.event });
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Walk the chain and check every hash and link
+   * @returns {Object} { valid, entries, brokenAt, reason }
+   */
+  verify() {
+    this.load();
+
+    let prevHash = GENESIS_HASH;
+    for (const entry of this.entries) {
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, entries: this.entries.length, brokenAt: entry.seq, reason: 'Chain link mismatch' };
+      }
+      if (this.hashEntry(entry) !== entry.hash) {
+        return { valid: false, entries: this.entries.length, brokenAt: entry.seq, reason: 'Entry hash mismatch' };
+      }
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: this.entries.length, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Filter audit entries
+   * @param {Object} filters - { from, to, appointmentId, customer, actor, outcome, channel, event, limit }
+   * @returns {Array} Matching entries, newest first
+   */
+  query(filters = {}) {
+    this.load();
+
+    const from = filters.from ? moment(filters.from) : null;
+    const to = filters.to ? moment(filters.to) : null;
+    const customer = filters.customer ? filters.customer.toLowerCase() : null;
+    const actor = filters.actor ? filters.actor.toLowerCase() : null;
+
+    const results = this.entries.filter(entry => {
+      const time = moment(entry.timestamp);
+      if (from && time.isBefore(from)) return false;
+      if (to && time.isAfter(to)) return false;
+      if (filters.appointmentId && entry.appointmentId !== String(filters.appointmentId)) return false;
+      if (customer && !(entry.customerEmail || '').toLowerCase().includes(customer)) return false;
+      if (actor && !(entry.actor || '').toLowerCase().includes(actor)) return false;
+      if (filters.outcome && entry.outcome !== filters.outcome) return false;
+      if (filters.channel && entry.channel !== filters.channel) return false;
+      if (filters.event && entry.event !== filters.event) return false;
+      return true;
+    }).reverse();
+
+    return filters.limit ? results.slice(0, parseInt(filters.limit)) : results;
+  }
+
+  /**
+   * Render entries as CSV
+   * @param {Array} entries - Audit entries
+   * @returns {string} CSV text with header row
+   */
+  toCSV(entries) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_FIELDS.map(field => escape(entry[field])).join(','));
+    return [CSV_FIELDS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+// Create singleton instance
+const auditLog = new AuditLog();
+
+module.exports = auditLog;
+module.exports.AuditLog = AuditLog;
@@ -0,0 +1,200 @@
+const moment = require('moment-timezone');
+const logger = require('./logger');
+const { config } = require('../config');
+const stateStore = require('./stateStore');
+const i18n = require('./i18n');
+
+// Invite records are kept this long after the session for late changes
+const RECORD_RETENTION_DAYS = 30;
+
+// RFC 5545 lines are at most 75 octets, longer ones are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Calendar Invite Utility
+ * iCalendar (.ics) invites attached to booking emails. Every appointment has
+ * one UID, so a customer's calendar replaces the event when the booking is
+ * moved (METHOD:REQUEST with a higher SEQUENCE) and removes it when the
+ * booking is cancelled (METHOD:CANCEL).
+ *
+ * The invite details are issued when an email is queued and stored with its
+ * outbox message, so a retried email carries the same invite.
+ *
+ * State: 'calendarInvites' ({ uid, sequence, method, startTime, endTime,
+ * updatedAt }) by appointment ID
+ */
+class CalendarInvite {
+  getUid(appointmentId) {
+    return `appointment-${appointmentId}@${config.calendar.uidDomain}`;
+  }
+
+  /**
+   * Next invite for an appointment
+   * @param {string|number} appointmentId - Appointment ID
+   * @param {string} method - REQUEST for new and moved bookings, CANCEL for cancelled ones
+   * @param {moment|string} startTime - Session start (the cancelled slot for CANCEL)
+   * @param {moment|string} endTime - Session end
+   * @returns {Object|null} { uid, sequence, method, startTime, endTime }, null if invites are disabled
+   */
+  issue(appointmentId, method, startTime, endTime) {
+    if (!config.calendar.enabled) {
+      return null;
+    }
+
+    const previous = stateStore.get('calendarInvites', appointmentId);
+    const invite = {
+      uid: previous?.uid || this.getUid(appointmentId),
+      sequence: previous ? previous.sequence + 1 : 0,
+      method,
+      startTime: moment(startTime).toISOString(),
+      endTime: moment(endTime).toISOString()
+    };
+
+    stateStore.set('calendarInvites', appointmentId, { ...invite, updatedAt: new Date().toISOString() });
+    return invite;
+  }
+
+  /**
+   * The .ics file for an email
+   * @param {Object} data - Email data with the issued invite as data.calendar,
+   *   plus service, doorCode, startTime, customerName, customerEmail and locale
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  build(data) {
+    const invite = data.calendar;
+    const cancelled = invite.method === 'CANCEL';
+    const t = i18n.messages(data.locale, data);
+
+    const description = cancelled
+      ? [t.change.cancelledText, t.calendar.help]
+      : [t.calendar.doorCode, t.common.findDoor, t.common.lockWithCode, t.common.lateArrivals, t.calendar.help];
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${escapeText(config.venue.name)}//Door Access//EN`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${invite.method}`,
+      'BEGIN:VEVENT',
+      `UID:${invite.uid}`,
+      `SEQUENCE:${invite.sequence}`,
+      `DTSTAMP:${formatUtc(moment())}`,
+      `DTSTART:${formatUtc(invite.startTime)}`,
+      `DTEND:${formatUtc(invite.endTime)}`,
+      `SUMMARY:${escapeText(cancelled ? t.calendar.summaryCancelled : t.calendar.summary)}`,
+      `LOCATION:${escapeText(config.venue.address)}`,
+      `DESCRIPTION:${escapeText(description.join('\n\n'))}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE'
+    ];
+
+    if (config.email.from) {
+      lines.push(`ORGANIZER;CN=${quoteParam(config.venue.name)}:mailto:${config.email.from}`);
+    }
+
+    if (data.customerEmail) {
+      lines.push(`ATTENDEE;CN=${quoteParam(data.customerName || data.customerEmail)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${data.customerEmail}`);
+    }
+
+    if (!cancelled) {
+      for (const minutes of config.calendar.alarmMinutes) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `TRIGGER:-PT${minutes}M`,
+          `DESCRIPTION:${escapeText(t.calendar.alarm)}`,
+          'END:VALARM'
+        );
+      }
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Nodemailer attachments for an email: the invite if one was issued
+   * @param {Object} data - Email data
+   * @returns {Array} Zero or one attachment
+   */
+  attachments(data) {
+    if (!data.calendar) {
+      return [];
+    }
+
+    return [{
+      filename: `booking-${data.appointmentId}.ics`,
+      content: this.build(data),
+      contentType: `text/calendar; charset=utf-8; method=${data.calendar.method}`
+    }];
+  }
+
+  /**
+   * Forget invites of sessions that ended over RECORD_RETENTION_DAYS ago
+   * @returns {number} Records removed
+   */
+  cleanup() {
+    const cutoff = moment().subtract(RECORD_RETENTION_DAYS, 'days');
+    let removed = 0;
+
+    for (const [appointmentId, record] of stateStore.entries('calendarInvites')) {
+      if (moment(record.endTime).isBefore(cutoff)) {
+        stateStore.delete('calendarInvites', appointmentId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('Cleaned up calendar invite records', { removed });
+    }
+
+    return removed;
+  }
+}
+
+function formatUtc(time) {
+  return moment(time).utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function quoteParam(value) {
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+/**
+ * Split a content line into 75-octet pieces, never inside a UTF-8 character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+module.exports = new CalendarInvite();
+module.exports.CalendarInvite = CalendarInvite;
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const logger = require('./logger');
+const stateStore = require('./stateStore');
 
 /**
  * Door Code Generator Utility
@@ -16,12 +17,13 @@ class DoorCodeGenerator {
   /**
    * Generate a random door code for an appointment
    * @param {string} appointmentId - Unique appointment identifier
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options (expiresAt: when the code stops validating)
    * @returns {string} Generated door code
    */
   generateCode(appointmentId, options = {}) {
     const {
       length = this.codeLength,
+      expiresAt = null,
       excludePatterns = ['0000', '1111', '2222', '3333', '4444', '5555', '6666', '7777', '8888', '9999'],
       maxAttempts = 100
     } = options;
@@ -35,12 +37,15 @@ class DoorCodeGenerator {
       
       // Check if code meets security criteria
       if (this.isCodeSecure(code, excludePatterns)) {
-        // Store the code mapping
-        this.codeHistory.set(appointmentId, {
+        // Store the code mapping (written through so it survives restarts)
+        const codeData = {
           code: code,
           generatedAt: new Date(),
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
           appointmentId: appointmentId
-        });
+        };
+        this.codeHistory.set(appointmentId, codeData);
+        stateStore.set('doorCodes', appointmentId, codeData);
         
         // Add to used codes (with cleanup)
         this.usedCodes.add(code);
@@ -174,6 +179,22 @@ class DoorCodeGenerator {
     return codeData && codeData.code === code;
   }
 
+  /**
+   * Revoke the code of an appointment so it no longer validates
+   * @param {string} appointmentId - Appointment identifier
+   * @returns {boolean} Whether a code was revoked
+   */
+  revokeCode(appointmentId) {
+    const removed = this.codeHistory.delete(appointmentId);
+    stateStore.delete('doorCodes', appointmentId);
+
+    if (removed) {
+      logger.info('Door code revoked', { appointmentId: appointmentId });
+    }
+
+    return removed;
+  }
+
   /**
    * Clean up old codes to prevent memory issues
    */
@@ -187,16 +208,42 @@ class DoorCodeGenerator {
       codesArray.slice(-keepCount).forEach(code => this.usedCodes.add(code));
     }
 
-    // Clean up old code history (older than 24 hours)
+    // Clean up expired codes; codes without an expiry are kept for 24 hours
+    const now = new Date();
     const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000);
     
     for (const [appointmentId, codeData] of this.codeHistory.entries()) {
-      if (codeData.generatedAt < cutoffTime) {
+      if (codeData.expiresAt ? codeData.expiresAt < now : codeData.generatedAt < cutoffTime) {
         this.codeHistory.delete(appointmentId);
+        stateStore.delete('doorCodes', appointmentId);
       }
     }
   }
 
+  /**
+   * Rehydrate code history from the persistent state store
+   * @returns {number} Number of codes restored
+   */
+  restore() {
+    for (const [appointmentId, codeData] of stateStore.entries('doorCodes')) {
+      this.codeHistory.set(appointmentId, {
+        ...codeData,
+        generatedAt: new Date(codeData.generatedAt),
+        expiresAt: codeData.expiresAt ? new Date(codeData.expiresAt) : null
+      });
+      this.usedCodes.add(codeData.code);
+    }
+
+    // Drop anything that expired while the system was down
+    this.cleanupOldCodes();
+
+    logger.info('Door codes restored from state store', {
+      restoredCodes: this.codeHistory.size
+    });
+
+    return this.codeHistory.size;
+  }
+
   /**
    * Get statistics about code generation
    * @returns {Object} Statistics
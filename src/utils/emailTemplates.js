@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const logger = require('./logger');
+const i18n = require('./i18n');
+const { config } = require('../config');
+
+// Every template needs a subject, an HTML and a text part
+const TEMPLATES = [
+  'access-confirmation',
+  'booking-confirmation',
+  'booking-change',
+  'booking-reminder',
+  'code-active',
+  'membership-code',
+  'error-notification'
+];
+const PARTS = { subject: '.subject', html: '.html', text: '.txt' };
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#/>!]?)\s*([^}]*?)\s*\}\}/g;
+// Block tags alone on a line take the line with them, as in Handlebars
+const STANDALONE = /^[ \t]*(\{\{\s*(?:[#/!][^}]*|else\s*)\}\})[ \t]*\r?\n/gm;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Data the preview renders when no appointment is given
+ */
+const SAMPLE_DATA = {
+  customerName: 'Sample Guest',
+  customerEmail: 'guest@example.com',
+  service: 'Traditional Sauna',
+  duration: 30,
+  doorCode: '4821',
+  groupSize: 1,
+  changeType: 'rescheduled',
+  cancelled: false,
+  hoursBefore: 24,
+  title: 'Traditional Sauna',
+  location: 'Euphorium Wellness Center',
+  description: '',
+  lockDurationMinutes: 30,
+  planName: 'Chill Club',
+  openingHours: 'Daily 06:00-22:00',
+  dailyQuota: 1,
+  errorMessage: 'Sample error',
+  time: '2025-06-01 09:00',
+  context: '{ "context": "Preview" }'
+};
+
+// Sample times, formatted in the previewed language: field -> [date | time, local time]
+const SAMPLE_TIMES = {
+  appointmentDate: ['date', '2025-06-01 10:00'],
+  startTime: ['time', '2025-06-01 10:00'],
+  endTime: ['time', '2025-06-01 10:30'],
+  validFrom: ['time', '2025-06-01 09:45'],
+  validUntil: ['time', '2025-06-01 10:35'],
+  previousDate: ['date', '2025-05-31 18:00'],
+  previousStartTime: ['time', '2025-05-31 18:00'],
+  previousEndTime: ['time', '2025-05-31 18:30'],
+  membershipStarts: ['date', '2025-06-01 00:00'],
+  membershipEnds: ['date', '2025-06-30 23:59']
+};
+
+/**
+ * Email Templates Utility
+ * Loads the subject, HTML and text of every email from the templates
+ * directory and renders them with a small Handlebars-like syntax:
+ *
+ *   {{name}} / {{venue.name}}   value (HTML-escaped in .html files)
+ *   {{{name}}}                  value without escaping
+ *   {{> name}}                  partials/name.html or partials/name.txt
+ *   {{#if name}}..{{else}}..{{/if}}, {{#unless name}}..{{/unless}}
+ *   {{! comment }}
+ *
+ * Files in services/<service-slug>/ (including partials/) replace the
+ * default ones for that service. Every template gets `venue`, `generatedAt`,
+ * the customer's `locale`, `dir` and `rtl`, and `t` - the locale's messages
+ * with their {placeholders} filled in from the same data.
+ * The templates are validated when loaded; edited files are picked up on the
+ * next render, and a broken edit keeps the last valid set in use.
+ */
+class EmailTemplates {
+  constructor(options = {}) {
+    this.dir = options.dir || config.email.templatesDir;
+    this.files = null; // relative path -> parsed template
+    this.signature = null;
+    this.failedSignature = null;
+  }
+
+  /**
+   * Read and validate every template file
+   * @returns {number} Files loaded
+   * @throws {Error} Listing every problem found
+   */
+  load() {
+    const signature = this.getSignature();
+    const files = new Map();
+    const errors = [];
+
+    for (const file of this.listFiles()) {
+      try {
+        const source = fs.readFileSync(path.join(this.dir, file), 'utf8');
+        // A partial's final newline would double the one after its tag
+        files.set(file, parse(isPartial(file) ? source.replace(/\r?\n$/, '') : source));
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+      }
+    }
+
+    errors.push(...this.validate(files));
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid email templates in ${this.dir}:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.files = files;
+    this.signature = signature;
+    return files.size;
+  }
+
+  /**
+   * Reload the templates if a file changed since they were loaded
+   */
+  refresh() {
+    const signature = this.getSignature();
+    if (this.files && (signature === this.signature || signature === this.failedSignature)) {
+      return;
+    }
+
+    try {
+      this.load();
+      this.failedSignature = null;
+    } catch (error) {
+      if (!this.files) {
+        throw error;
+      }
+      this.failedSignature = signature;
+      logger.error('Edited email templates are invalid - still using the previous ones', { error: error.message });
+    }
+  }
+
+  /**
+   * @param {Map} files - Parsed templates by relative path
+   * @returns {Array} Problems found: missing templates and partials
+   */
+  validate(files) {
+    const errors = [];
+
+    for (const name of TEMPLATES) {
+      for (const extension of Object.values(PARTS)) {
+        if (!files.has(`${name}${extension}`)) {
+          errors.push(`${name}${extension} is missing`);
+        }
+      }
+    }
+
+    for (const [file, nodes] of files) {
+      const extension = file.endsWith('.html') ? '.html' : '.txt';
+      const directory = file.startsWith('services/') ? file.split('/').slice(0, 2).join('/') : null;
+
+      for (const partial of findPartials(nodes)) {
+        const partialFile = `partials/${partial}${extension}`;
+        if (!files.has(partialFile) && !(directory && files.has(`${directory}/${partialFile}`))) {
+          errors.push(`${file}: partial "${partial}" not found (${partialFile})`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Render an email
+   * @param {string} name - Template name, e.g. booking-confirmation
+   * @param {Object} data - Template variables
+   * @param {Object} options - { service } to use that service's overrides,
+   *   { locale } for the language (defaults to data.locale, then DEFAULT_LOCALE)
+   * @returns {Object} { subject, html, text }
+   */
+  render(name, data = {}, { service = data.service, locale = data.locale } = {}) {
+    this.refresh();
+
+    if (!TEMPLATES.includes(name)) {
+      throw new Error(`Unknown email template "${name}"`);
+    }
+
+    const serviceDir = service ? `services/${slugify(service)}/` : null;
+    const resolve = file => (serviceDir && this.files.get(`${serviceDir}${file}`)) || this.files.get(file);
+    const language = i18n.normalize(locale) || i18n.getDefaultLocale();
+    const context = {
+      venue: { ...config.venue, whatsappLink: `https://wa.me/${config.venue.whatsapp.replace(/\D/g, '')}` },
+      generatedAt: moment().tz(config.system.timezone).format('YYYY-MM-DD HH:mm:ss'),
+      ...data,
+      locale: language,
+      dir: i18n.direction(language),
+      rtl: i18n.direction(language) === 'rtl'
+    };
+    context.t = i18n.messages(language, context);
+
+    const renderPart = (extension, escape) => renderNodes(resolve(`${name}${extension}`), context, {
+      escape,
+      partial: partialName => resolve(`partials/${partialName}${extension === '.html' ? '.html' : '.txt'}`)
+    });
+
+    return {
+      subject: renderPart(PARTS.subject, false).trim(),
+      html: renderPart(PARTS.html, true),
+      text: renderPart(PARTS.text, false).trim()
+    };
+  }
+
+  getTemplateNames() {
+    return [...TEMPLATES];
+  }
+
+  /**
+   * @param {string} locale - Language of the sample dates and times
+   * @returns {Object} Data with every field the templates use
+   */
+  getSampleData(locale = i18n.getDefaultLocale()) {
+    const times = Object.fromEntries(Object.entries(SAMPLE_TIMES).map(([field, [kind, time]]) => [
+      field,
+      i18n.format(moment.tz(time, config.system.timezone), locale, kind)
+    ]));
+    return { ...SAMPLE_DATA, ...times, locale };
+  }
+
+  listFiles(relative = '') {
+    const directory = path.join(this.dir, relative);
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+      const file = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        return this.listFiles(file);
+      }
+      return Object.values(PARTS).some(extension => entry.name.endsWith(extension)) ? [file] : [];
+    });
+  }
+
+  /**
+   * Names and modification times of every template file, to notice edits
+   */
+  getSignature() {
+    return this.listFiles()
+      .map(file => `${file}:${fs.statSync(path.join(this.dir, file)).mtimeMs}`)
+      .join('|');
+  }
+}
+
+/**
+ * Service name as used for override directories: "Ice Bath" -> ice-bath
+ */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse template source into nodes, checking that blocks are balanced
+ * @returns {Array} Nodes: strings, { type: 'value' | 'raw' | 'partial', name } and
+ *   { type: 'if' | 'unless', name, children, inverse }
+ */
+function parse(template) {
+  const source = template.replace(STANDALONE, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.inverse : block.children;
+  };
+
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > last) {
+      current().push(source.slice(last, match.index));
+    }
+    last = match.index + match[0].length;
+
+    const [, raw, prefix, body] = match;
+    if (raw) {
+      current().push({ type: 'raw', name: raw });
+    } else if (prefix === '!') {
+      continue;
+    } else if (prefix === '>') {
+      current().push({ type: 'partial', name: body });
+    } else if (prefix === '#') {
+      const [helper, name] = body.split(/\s+/);
+      if (!['if', 'unless'].includes(helper) || !name) {
+        throw new Error(`unsupported block "{{#${body}}}"`);
+      }
+      const block = { type: helper, name, children: [], inverse: [] };
+      current().push(block);
+      stack.push(block);
+    } else if (prefix === '/') {
+      const block = stack.pop();
+      if (block === root || block.type !== body) {
+        throw new Error(`unexpected "{{/${body}}}"`);
+      }
+    } else if (body === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        throw new Error('unexpected "{{else}}"');
+      }
+      block.inElse = true;
+    } else {
+      current().push({ type: 'value', name: body });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`"{{#${stack[stack.length - 1].type}}}" is not closed`);
+  }
+
+  if (last < source.length) {
+    root.children.push(source.slice(last));
+  }
+
+  return root.children;
+}
+
+function isPartial(file) {
+  return file.startsWith('partials/') || file.includes('/partials/');
+}
+
+function findPartials(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type === 'partial') return [node.name];
+    if (node.children) return [...findPartials(node.children), ...findPartials(node.inverse)];
+    return [];
+  });
+}
+
+function lookup(context, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function renderNodes(nodes, context, options) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node;
+    }
+
+    switch (node.type) {
+      case 'value': {
+        const value = lookup(context, node.name);
+        const text = value == null ? '' : String(value);
+        return options.escape ? text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]) : text;
+      }
+      case 'raw': {
+        const value = lookup(context, node.name);
+        return value == null ? '' : String(value);
+      }
+      case 'partial':
+        return renderNodes(options.partial(node.name), context, options);
+      case 'if':
+      case 'unless': {
+        const truthy = Boolean(lookup(context, node.name));
+        return renderNodes(truthy === (node.type === 'if') ? node.children : node.inverse, context, options);
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+module.exports = new EmailTemplates();
+module.exports.EmailTemplates = EmailTemplates;
+module.exports.slugify = slugify;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const logger = require('./logger');
+const { config } = require('../config');
+
+// Complete catalog that fills in keys a translation is missing
+const FALLBACK_LOCALE = 'en';
+
+const ARABIC_INDIC_DIGITS = /[٠-٩]/g;
+
+/**
+ * I18n Utility
+ * Message catalogs (src/locales/<locale>.js), customer language resolution
+ * and locale-aware date and time formatting for customer communications.
+ * A catalog holds { name, aliases, dir, momentLocale, digits, formats,
+ * messages }; its messages are plain strings with {name} placeholders.
+ */
+class I18n {
+  constructor(options = {}) {
+    this.catalogs = options.catalogs || loadCatalogs(options.dir || path.join(__dirname, '../locales'));
+    this.loadMomentLocales();
+  }
+
+  /**
+   * Moment sets every locale it loads as the global one - keep the global
+   * English so logs and notes are unaffected
+   */
+  loadMomentLocales() {
+    const globalLocale = moment.locale();
+
+    for (const catalog of Object.values(this.catalogs)) {
+      if (catalog.momentLocale && catalog.momentLocale !== 'en') {
+        require(`moment/locale/${catalog.momentLocale}`);
+      }
+    }
+
+    moment.locale(globalLocale);
+  }
+
+  getLocales() {
+    return Object.keys(this.catalogs);
+  }
+
+  getDefaultLocale() {
+    return this.normalize(config.locale.default) || FALLBACK_LOCALE;
+  }
+
+  /**
+   * Map a language value to a supported locale: codes (ar, ar-AE, ar_AE),
+   * names (Arabic, العربية) or catalog aliases
+   * @param {string} value - Language as entered or configured
+   * @returns {string|null} Locale code, null if unsupported
+   */
+  normalize(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+
+    const language = value.trim().toLowerCase();
+    const code = language.split(/[-_]/)[0];
+    if (this.catalogs[code]) {
+      return code;
+    }
+
+    const match = Object.entries(this.catalogs).find(([, catalog]) =>
+      catalog.name.toLowerCase() === language || (catalog.aliases || []).includes(language)
+    );
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Locale of a customer: the configured custom field (LOCALE_CUSTOM_FIELD),
+   * then the locale their booking was made in, then DEFAULT_LOCALE
+   * @param {Object} customer - { customFields, locale }
+   * @returns {string} Locale code
+   */
+  resolveCustomerLocale(customer = {}) {
+    const candidates = [getCustomFieldValue(customer.customFields, config.locale.customField), customer.locale];
+
+    for (const candidate of candidates) {
+      const locale = this.normalize(candidate);
+      if (locale) {
+        return locale;
+      }
+    }
+
+    return this.getDefaultLocale();
+  }
+
+  getCatalog(locale) {
+    return this.catalogs[this.normalize(locale) || this.getDefaultLocale()];
+  }
+
+  direction(locale) {
+    return this.getCatalog(locale).dir || 'ltr';
+  }
+
+  /**
+   * Every message of a locale, with placeholders filled in from data.
+   * Keys missing from the translation fall back to English.
+   * @param {string} locale - Locale code
+   * @param {Object} data - Values for the {name} placeholders ({venue.name} is always available)
+   * @returns {Object} Messages by section, e.g. messages.confirmation.subject
+   */
+  messages(locale, data = {}) {
+    const catalog = this.getCatalog(locale);
+    const merged = mergeMessages(this.catalogs[FALLBACK_LOCALE]?.messages || {}, catalog.messages);
+    return interpolateAll(merged, { venue: config.venue, ...data });
+  }
+
+  /**
+   * @param {string} locale - Locale code
+   * @param {string} key - Dotted key, e.g. access.invalidCode
+   * @param {Object} data - Values for the placeholders
+   * @returns {string} The message, or the key if no catalog has it
+   */
+  translate(locale, key, data = {}) {
+    const message = lookup(this.getCatalog(locale).messages, key) ?? lookup(this.catalogs[FALLBACK_LOCALE]?.messages, key);
+    if (typeof message !== 'string') {
+      logger.warn('Missing translation', { locale, key });
+      return key;
+    }
+    return interpolate(message, { venue: config.venue, ...data });
+  }
+
+  formatDate(time, locale) {
+    return this.format(time, locale, 'date');
+  }
+
+  formatTime(time, locale) {
+    return this.format(time, locale, 'time');
+  }
+
+  format(time, locale, kind) {
+    const catalog = this.getCatalog(locale);
+    const formatted = moment(time)
+      .tz(config.system.timezone)
+      .locale(catalog.momentLocale || 'en')
+      .format(catalog.formats[kind]);
+
+    return catalog.digits === 'latn'
+      ? formatted.replace(ARABIC_INDIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660))
+      : formatted;
+  }
+
+  /**
+   * Formatted times of an appointment in one locale, named like the
+   * appointment's own startTimeFormatted, endTimeFormatted and dateFormatted
+   * @returns {Object} { startTimeFormatted, endTimeFormatted, dateFormatted }
+   */
+  formatAppointmentTimes(startTime, endTime, locale) {
+    return {
+      startTimeFormatted: this.formatTime(startTime, locale),
+      endTimeFormatted: this.formatTime(endTime, locale),
+      dateFormatted: this.formatDate(startTime, locale)
+    };
+  }
+}
+
+function loadCatalogs(dir) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js'))) {
+    catalogs[path.basename(file, '.js')] = require(path.join(dir, file));
+  }
+  return catalogs;
+}
+
+/**
+ * Value of a custom field by label. Amelia stores custom fields as
+ * { "<id>": { label, value, type } }; other sources may use { label: value }.
+ */
+function getCustomFieldValue(customFields, label) {
+  if (!customFields || !label) {
+    return null;
+  }
+
+  const wanted = label.toLowerCase();
+  for (const [key, field] of Object.entries(customFields)) {
+    const value = field && typeof field === 'object' && !Array.isArray(field)
+      ? (String(field.label || '').toLowerCase() === wanted ? field.value : null)
+      : (key.toLowerCase() === wanted ? field : null);
+
+    if (value != null) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+
+  return null;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), messages);
+}
+
+function mergeMessages(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = value && typeof value === 'object' ? mergeMessages(base[key] || {}, value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Fill in {name} placeholders; unknown ones are left for the page script
+ */
+function interpolate(message, data) {
+  return message.replace(/\{([\w.]+)\}/g, (placeholder, name) => {
+    const value = lookup(data, name);
+    return value == null ? placeholder : String(value);
+  });
+}
+
+function interpolateAll(messages, data) {
+  return Object.fromEntries(Object.entries(messages).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? interpolate(value, data) : interpolateAll(value, data)
+  ]));
+}
+
+module.exports = new I18n();
+module.exports.I18n = I18n;
+module.exports.getCustomFieldValue = getCustomFieldValue;
@@ -0,0 +1,50 @@
+const { config } = require('../config');
+
+/**
+ * Lock Router Utility
+ * Resolves which lock(s) an appointment targets from the LOCK_MAPPING rules
+ * for its service, Amelia location and resources
+ */
+class LockRouter {
+  /**
+   * Get the lock serials for an appointment. Service, location and resource
+   * rules are combined; with no match the default rule or the primary lock
+   * (PRIMARY_LOCK_SERIAL / EUFY_DEVICE_SERIAL) is used.
+   * @param {Object} appointment - Formatted appointment (or tracked record)
+   * @returns {Array} Lock serials (null stands for the primary lock)
+   */
+  resolveLocks(appointment = {}) {
+    const { mapping } = config.locks;
+    const serviceName = appointment.service?.name || appointment.service;
+    const serials = [];
+
+    if (serviceName && mapping.services[serviceName]) {
+      serials.push(...mapping.services[serviceName]);
+    }
+
+    if (appointment.locationId !== undefined && appointment.locationId !== null && mapping.locations[String(appointment.locationId)]) {
+      serials.push(...mapping.locations[String(appointment.locationId)]);
+    }
+
+    for (const resource of appointment.resources || []) {
+      if (mapping.resources[resource]) {
+        serials.push(...mapping.resources[resource]);
+      }
+    }
+
+    if (serials.length > 0) {
+      return Array.from(new Set(serials));
+    }
+
+    if (mapping.default.length > 0) {
+      return [...mapping.default];
+    }
+
+    return [config.locks.primarySerial || null];
+  }
+}
+
+// Singleton instance
+const lockRouter = new LockRouter();
+
+module.exports = lockRouter;
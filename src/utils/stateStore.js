@@ -0,0 +1,215 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const { config } = require('../config');
+
+/**
+ * State Store Utility
+ * Durable key/value collections backed by an append-only JSON journal,
+ * so door codes, processed appointments and lock jobs survive restarts
+ */
+
+class StateStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(config.storage.dataDir, 'state.jsonl');
+    this.compactThreshold = options.compactThreshold || config.storage.compactThreshold;
+    // Tests run against memory only unless a store is created explicitly with persist: true
+    this.persist = options.persist !== undefined ? options.persist : config.system.nodeEnv !== 'test';
+    this.collections = new Map(); // collection name -> Map(key -> value)
+    this.journalEntries = 0;
+    this.isLoaded = false;
+  }
+
+  /**
+   * Replay the journal from disk into memory (only happens once)
+   * @returns {StateStore} This store
+   */
+  load() {
+    if (this.isLoaded) {
+      return this;
+    }
+    this.isLoaded = true;
+
+    if (!this.persist || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        this.applyEntry(JSON.parse(line));
+        this.journalEntries++;
+      } catch (error) {
+        // A torn write from a crash only affects the last line - skip it
+        skipped++;
+      }
+    }
+
+    logger.info('State journal loaded', {
+      file: this.filePath,
+      entries: this.journalEntries,
+      collections: Array.from(this.collections.keys()),
+      skipped: skipped
+    });
+
+    if (this.journalEntries > this.compactThreshold || skipped > 0) {
+      this.compact();
+    }
+
+    return this;
+  }
+
+  /**
+   * Apply a single journal entry to the in-memory collections
+   * @param {Object} entry - Journal entry ({ op, c, k, v })
+   */
+  applyEntry(entry) {
+    const collection = this.getCollection(entry.c);
+
+    if (entry.op === 'set') {
+      collection.set(entry.k, entry.v);
+    } else if (entry.op === 'del') {
+      collection.delete(entry.k);
+    }
+  }
+
+  /**
+   * Get (and lazily create) a collection map
+   * @param {string} name - Collection name
+   * @returns {Map} Collection
+   */
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Get a value from a collection
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @returns {*} Stored value or undefined
+   */
+  get(collection, key) {
+    return this.load().getCollection(collection).get(key);
+  }
+
+  /**
+   * Check whether a collection holds a key
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @returns {boolean} Whether the key exists
+   */
+  has(collection, key) {
+    return this.load().getCollection(collection).has(key);
+  }
+
+  /**
+   * Store a value and write it through to the journal
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @param {*} value - JSON-serialisable value
+   */
+  set(collection, key, value) {
+    this.load().getCollection(collection).set(key, value);
+    this.append({ op: 'set', c: collection, k: key, v: value });
+  }
+
+  /**
+   * Remove a value and record the deletion in the journal
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @returns {boolean} Whether anything was removed
+   */
+  delete(collection, key) {
+    const removed = this.load().getCollection(collection).delete(key);
+    if (removed) {
+      this.append({ op: 'del', c: collection, k: key });
+    }
+    return removed;
+  }
+
+  /**
+   * Get all [key, value] pairs of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array} Entries
+   */
+  entries(collection) {
+    return Array.from(this.load().getCollection(collection).entries());
+  }
+
+  /**
+   * Get all values of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array} Values
+   */
+  values(collection) {
+    return Array.from(this.load().getCollection(collection).values());
+  }
+
+  /**
+   * Append an entry to the journal file
+   * @param {Object} entry - Journal entry
+   */
+  append(entry) {
+    if (!this.persist) {
+      return;
+    }
+
+    try {
+      fs.ensureDirSync(path.dirname(this.filePath));
+      fs.appendFileSync(this.filePath, JSON.stringify({ ...entry, ts: Date.now() }) + '\n');
+      this.journalEntries++;
+
+      if (this.journalEntries > this.compactThreshold) {
+        this.compact();
+      }
+    } catch (error) {
+      logger.error('Failed to write state journal entry', {
+        error: error.message,
+        collection: entry.c,
+        key: entry.k
+      });
+    }
+  }
+
+  /**
+   * Rewrite the journal as a snapshot of the current state
+   */
+  compact() {
+    if (!this.persist) {
+      return;
+    }
+
+    try {
+      const lines = [];
+      for (const [name, collection] of this.collections.entries()) {
+        for (const [key, value] of collection.entries()) {
+          lines.push(JSON.stringify({ op: 'set', c: name, k: key, v: value, ts: Date.now() }));
+        }
+      }
+
+      // Write to a temp file first so a crash mid-compaction never loses the journal
+      const tempPath = `${this.filePath}.tmp`;
+      fs.ensureDirSync(path.dirname(this.filePath));
+      fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+      fs.renameSync(tempPath, this.filePath);
+
+      this.journalEntries = lines.length;
+      logger.info('State journal compacted', { file: this.filePath, entries: lines.length });
+    } catch (error) {
+      logger.error('Failed to compact state journal', { error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const stateStore = new StateStore();
+
+module.exports = stateStore;
+module.exports.StateStore = StateStore;
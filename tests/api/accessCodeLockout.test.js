@@ -0,0 +1,99 @@
+// API tests for brute-force protection on the door code endpoint
+const request = require('supertest');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('Door Code Brute-Force Protection', () => {
+  let app;
+  let automationEngine;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.initialize();
+    automationEngine.emailService.clearSentEmails();
+    app = automationEngine.webServer.app;
+  });
+
+  afterEach(async () => {
+    if (automationEngine) {
+      await automationEngine.stop();
+    }
+  });
+
+  const guess = () => request(app).post('/access/code').send({ code: '9999' });
+
+  const failRepeatedly = async (times) => {
+    for (let i = 0; i < times; i++) {
+      await guess().expect(403);
+      // Step past the backoff delay
+      jest.setSystemTime(Date.now() + 61 * 1000);
+    }
+  };
+
+  test('should throttle rapid guesses and lock out with an alert email', async () => {
+    await guess().expect(403);
+    const throttled = await guess().expect(429);
+    expect(throttled.headers['retry-after']).toBe('2');
+
+    jest.setSystemTime(Date.now() + 61 * 1000);
+    await failRepeatedly(4);
+
+    const locked = await guess().expect(429);
+    expect(locked.body.message).toContain('Too many failed attempts');
+
+    const alerts = automationEngine.emailService.getSentEmails();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].data.context).toBe('Door Code Brute-Force Lockout');
+  });
+
+  test('should let admins view and clear lockouts', async () => {
+    await failRepeatedly(5);
+
+    const status = await request(app)
+      .get('/admin/lockouts')
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+    expect(status.body.lockouts).toHaveLength(1);
+
+    await request(app)
+      .delete(`/admin/lockouts/${status.body.lockouts[0].key}`)
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+
+    await guess().expect(403);
+  });
+
+  test('should refuse codes that are not four digits without counting them', async () => {
+    for (const code of [['1', '2', '3', '4'], { length: 4 }, 1234, '12a4', '12345']) {
+      await request(app).post('/access/code').send({ code }).expect(400);
+    }
+
+    await guess().expect(403);
+  });
+});
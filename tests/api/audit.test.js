@@ -0,0 +1,97 @@
+// API tests for the access audit trail
+const request = require('supertest');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('Access Audit API', () => {
+  let app;
+  let automationEngine;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.initialize();
+    app = automationEngine.webServer.app;
+  });
+
+  afterEach(async () => {
+    if (automationEngine) {
+      await automationEngine.stop();
+    }
+  });
+
+  test('should record API overrides and denied codes with their principal', async () => {
+    await request(app).post('/door/unlock').set('X-API-Key', ADMIN_KEY).expect(200);
+    await request(app).post('/access/code').send({ code: '9999' }).expect(403);
+
+    const response = await request(app)
+      .get('/admin/audit')
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+
+    expect(response.body.integrity.valid).toBe(true);
+    expect(response.body.entries.map(entry => entry.channel)).toEqual(['keypad_code', 'api']);
+    expect(response.body.entries[1]).toMatchObject({ event: 'door.unlock', actor: 'ADMIN_API_KEY', outcome: 'success' });
+
+    const denied = await request(app)
+      .get('/admin/audit?outcome=denied')
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+    expect(denied.body.count).toBe(1);
+  });
+
+  test('should record a manual unlock by the result of the lock command', async () => {
+    // Real providers resolve to true
+    automationEngine.eufyService.unlockDoor.mockResolvedValueOnce(true);
+    const response = await request(app).post('/door/unlock').set('X-API-Key', ADMIN_KEY).expect(200);
+    expect(response.body).toEqual({ success: true, message: 'Door unlocked successfully', serial: null });
+
+    automationEngine.eufyService.unlockDoor.mockRejectedValueOnce(new Error('Lock offline'));
+    await request(app).post('/door/unlock').set('X-API-Key', ADMIN_KEY).expect(500);
+
+    const { entries } = (await request(app).get('/admin/audit?event=door.unlock').set('X-API-Key', ADMIN_KEY).expect(200)).body;
+    expect(entries.map(entry => [entry.outcome, entry.reason])).toEqual([['failure', 'Lock offline'], ['success', null]]);
+  });
+
+  test('should export CSV', async () => {
+    await request(app).post('/door/lock').set('X-API-Key', ADMIN_KEY).expect(200);
+
+    const response = await request(app)
+      .get('/admin/audit?format=csv&channel=api')
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toContain('attachment');
+    expect(response.text.trim().split('\n')).toHaveLength(2);
+  });
+
+  test('should require authentication', async () => {
+    await request(app).get('/admin/audit').expect(401);
+  });
+});
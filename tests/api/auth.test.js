@@ -0,0 +1,180 @@
+// API authentication and role tests
+const request = require('supertest');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: jest.fn()
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('Admin Authentication', () => {
+  let app;
+  let automationEngine;
+  let adminAuth;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.resetModules();
+    mockLogger.security.mockClear();
+
+    adminAuth = require('../../src/utils/adminAuth');
+    process.env.AUTH_USERS = `frontdesk:staff:${adminAuth.hashPassword('s3cret')}`;
+    jest.resetModules();
+
+    adminAuth = require('../../src/utils/adminAuth');
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.initialize();
+    app = automationEngine.webServer.app;
+  });
+
+  afterEach(async () => {
+    delete process.env.AUTH_USERS;
+    if (automationEngine) {
+      await automationEngine.stop();
+    }
+  });
+
+  const createKey = async (role) => {
+    const response = await request(app)
+      .post('/admin/api-keys')
+      .set('X-API-Key', ADMIN_KEY)
+      .send({ name: `${role} key`, role })
+      .expect(201);
+    return response.body;
+  };
+
+  test('should reject control endpoints without credentials', async () => {
+    await request(app).post('/door/unlock').expect(401);
+    await request(app).get('/status').set('X-API-Key', 'wrong-key').expect(401);
+    expect(automationEngine.eufyService.unlockDoor).not.toHaveBeenCalled();
+  });
+
+  test('should keep public endpoints open', async () => {
+    await request(app).get('/health').expect(200);
+    await request(app).post('/access/code').send({ code: '9999' }).expect(403);
+  });
+
+  test('should enforce role hierarchy for API keys', async () => {
+    const { key } = await createKey('viewer');
+
+    await request(app).get('/status').set('X-API-Key', key).expect(200);
+    await request(app).post('/door/unlock').set('X-API-Key', key).expect(403);
+    await request(app).get('/admin/tokens').set('Authorization', `Bearer ${key}`).expect(403);
+  });
+
+  test('should log in a configured user and attribute actions to them', async () => {
+    await request(app)
+      .post('/auth/login')
+      .send({ username: 'frontdesk', password: 'wrong' })
+      .expect(401);
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ username: 'frontdesk', password: 's3cret' })
+      .expect(200);
+    expect(login.body.role).toBe('staff');
+
+    await request(app)
+      .post('/door/unlock')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(200);
+    await request(app)
+      .post('/codes/add')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ code: '1234', name: 'Test', startTime: new Date().toISOString(), endTime: new Date().toISOString() })
+      .expect(403);
+
+    expect(mockLogger.security).toHaveBeenCalledWith('Privileged action', expect.objectContaining({
+      principal: 'frontdesk',
+      path: '/door/unlock'
+    }));
+
+    await request(app).post('/auth/logout').set('Authorization', `Bearer ${login.body.token}`).expect(200);
+    await request(app).get('/status').set('Authorization', `Bearer ${login.body.token}`).expect(401);
+  });
+
+  test('should refuse malformed logins and lock out an IP that keeps guessing', async () => {
+    const { config } = require('../../src/config');
+
+    await request(app).post('/auth/login').send({ username: 'frontdesk', password: { length: 6 } }).expect(400);
+    await request(app).post('/auth/login').send({ username: ['frontdesk'], password: 's3cret' }).expect(400);
+    await request(app).post('/auth/login').send({}).expect(400);
+
+    for (let attempt = 1; attempt <= config.bruteForce.maxFailuresPerIp; attempt++) {
+      await request(app).post('/auth/login').send({ username: 'frontdesk', password: `guess-${attempt}` }).expect(401);
+    }
+
+    const locked = await request(app)
+      .post('/auth/login')
+      .send({ username: 'frontdesk', password: 's3cret' })
+      .expect(429);
+    expect(Number(locked.headers['retry-after'])).toBe(config.bruteForce.lockoutMinutes * 60);
+
+    // Door codes are throttled separately
+    const attemptLimiter = require('../../src/utils/attemptLimiter');
+    expect(attemptLimiter.loginLimiter.getStatus().lockouts).toHaveLength(1);
+    expect(attemptLimiter.getStatus().lockouts).toEqual([]);
+  });
+
+  test('should tell clients behind a trusted proxy apart by their forwarded address', async () => {
+    await automationEngine.stop();
+    process.env.TRUST_PROXY = 'loopback';
+    jest.resetModules();
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.initialize();
+    delete process.env.TRUST_PROXY;
+    const { loginLimiter } = require('../../src/utils/attemptLimiter');
+
+    await request(automationEngine.webServer.app)
+      .post('/auth/login')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .send({ username: 'frontdesk', password: 'wrong' })
+      .expect(401);
+
+    expect(loginLimiter.getStatus().recentFailures).toEqual([{ key: '203.0.113.7', failures: 1 }]);
+  });
+
+  test('should rotate a key with a grace period and revoke keys', async () => {
+    const { key, apiKey } = await createKey('staff');
+    expect(apiKey.keyHash).toBeUndefined();
+
+    const rotated = await request(app)
+      .post(`/admin/api-keys/${apiKey.id}/rotate`)
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+
+    // Both keys work during the grace period
+    await request(app).get('/status').set('X-API-Key', key).expect(200);
+    await request(app).get('/status').set('X-API-Key', rotated.body.key).expect(200);
+
+    jest.setSystemTime(Date.now() + 61 * 60 * 1000);
+    await request(app).get('/status').set('X-API-Key', key).expect(401);
+    await request(app).get('/status').set('X-API-Key', rotated.body.key).expect(200);
+
+    await request(app)
+      .delete(`/admin/api-keys/${rotated.body.apiKey.id}`)
+      .set('X-API-Key', ADMIN_KEY)
+      .expect(200);
+    await request(app).get('/status').set('X-API-Key', rotated.body.key).expect(401);
+  });
+});
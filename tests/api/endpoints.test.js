@@ -26,6 +26,8 @@ jest.mock('node-cron', () => ({
 // Use fake timers to control setTimeout
 jest.useFakeTimers();
 
+const ADMIN_KEY = 'test-admin-key';
+
 const WebServer = require('../../src/services/webServer');
 const AutomationEngine = require('../../src/services/automationEngine');
 
@@ -37,6 +39,7 @@ describe('API Endpoint Tests', () => {
   beforeEach(async () => {
     // Force test environment
     process.env.NODE_ENV = 'test';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
     
     // Reset modules to ensure clean config
     jest.resetModules();
@@ -70,6 +73,7 @@ describe('API Endpoint Tests', () => {
     test('GET /status should return system status', async () => {
       const response = await request(app)
         .get('/status')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
       
       expect(response.body.engine).toBeDefined();
@@ -85,6 +89,7 @@ describe('API Endpoint Tests', () => {
     test('POST /door/unlock should unlock the door', async () => {
       const response = await request(app)
         .post('/door/unlock')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
       
       expect(response.body.success).toBe(true);
@@ -93,11 +98,12 @@ describe('API Endpoint Tests', () => {
 
     test('POST /door/lock should lock the door', async () => {
       // First unlock
-      await request(app).post('/door/unlock').expect(200);
+      await request(app).post('/door/unlock').set('X-API-Key', ADMIN_KEY).expect(200);
       
       // Then lock
       const response = await request(app)
         .post('/door/lock')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
       
       expect(response.body.success).toBe(true);
@@ -108,11 +114,13 @@ describe('API Endpoint Tests', () => {
   describe('Amelia Endpoints', () => {
     test('POST /webhook/amelia/booking should process a booking', async () => {
       const mockBooking = {
-        type: 'booking_completed',
+        type: 'appointment',
+        action: 'bookingAdded',
         appointment: {
           id: 123,
           serviceId: 1,
           bookingStart: new Date().toISOString(),
+          bookingEnd: moment().add(30, 'minutes').toISOString(),
           bookings: [{
             id: 456,
             customer: { id: 789, email: 'test@example.com', firstName: 'Test', lastName: 'User' }
@@ -129,6 +137,66 @@ describe('API Endpoint Tests', () => {
       expect(response.body.message).toContain('processed successfully');
     });
 
+    const aheadBooking = () => {
+      const bookingStart = moment().add(3, 'days');
+      return {
+        type: 'appointment',
+        action: 'bookingAdded',
+        appointment: {
+          id: 321,
+          status: 'approved',
+          service: { id: 2, name: 'Traditional Sauna' },
+          bookingStart: bookingStart.toISOString(),
+          bookingEnd: bookingStart.clone().add(30, 'minutes').toISOString(),
+          bookings: [{
+            id: 654,
+            status: 'approved',
+            customer: { id: 987, email: 'ahead@example.com', firstName: 'Ahead', lastName: 'Guest' }
+          }]
+        }
+      };
+    };
+
+    test('POST /webhook/amelia/booking should confirm a booking made further ahead and schedule its code', async () => {
+      const booking = aheadBooking();
+      automationEngine.ameliaService.mockAppointments = [automationEngine.ameliaService.processWebhookNotification(booking).appointment];
+
+      const response = await request(app)
+        .post('/webhook/amelia/booking')
+        .send(booking)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, appointmentId: 321, outcome: 'processed' });
+      expect(automationEngine.emailService.getSentEmails().some(email => email.to === 'ahead@example.com')).toBe(true);
+
+      const jobs = automationEngine.jobScheduler.getJobs().filter(job => job.appointmentId === 321);
+      expect(jobs.map(job => [job.type, job.status])).toEqual(expect.arrayContaining([['booking.process', 'done'], ['code.provision', 'pending']]));
+    });
+
+    test('POST /webhook/amelia/booking should not issue a code for a booking the booking source does not have', async () => {
+      automationEngine.ameliaService.mockAppointments = [];
+
+      const response = await request(app)
+        .post('/webhook/amelia/booking')
+        .send(aheadBooking())
+        .expect(200);
+
+      expect(response.body.outcome).toBe('cancelled');
+      expect(automationEngine.emailService.getSentEmails().some(email => email.to === 'ahead@example.com')).toBe(false);
+      expect(automationEngine.codeProvisioning.getRecord('321')).toBeFalsy();
+    });
+
+    test('POST /webhook/amelia/booking should refuse webhooks in production without a signing secret', async () => {
+      const { config } = require('../../src/config');
+      config.system.nodeEnv = 'production';
+
+      try {
+        await request(app).post('/webhook/amelia/booking').send(aheadBooking()).expect(503);
+      } finally {
+        config.system.nodeEnv = 'test';
+      }
+    });
+
     test('POST /access/code should unlock with a valid code', async () => {
       // This requires more setup to mock an active appointment and generate a valid code
       // For now, we'll test the invalid case
@@ -140,12 +208,244 @@ describe('API Endpoint Tests', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Invalid door code');
     });
+
+    test('should serve the door code page and its messages in the guest language', async () => {
+      const english = await request(app).get('/access/code').expect(200);
+      expect(english.text).toContain('<html lang="en" dir="ltr">');
+      expect(english.text).toContain('Unlock Door');
+
+      const arabic = await request(app).get('/access/code?lang=ar').expect(200);
+      expect(arabic.text).toContain('<html lang="ar" dir="rtl">');
+      expect(arabic.text).toContain('افتح الباب');
+
+      const negotiated = await request(app)
+        .get('/access/code')
+        .set('Accept-Language', 'ar-AE,ar;q=0.9,en;q=0.8')
+        .expect(200);
+      expect(negotiated.text).toContain('dir="rtl"');
+
+      const denied = await request(app)
+        .post('/access/code')
+        .send({ code: '9999', locale: 'ar' })
+        .expect(403);
+      expect(denied.body.message).toBe('رمز الباب غير صحيح أو لا يوجد حجز نشط');
+    });
+  });
+
+  describe('Magic Link Endpoints', () => {
+    let accessTokenManager;
+
+    const issueToken = (overrides = {}) => accessTokenManager.generateAccessToken({
+      id: 6100,
+      attendeeEmail: 'link@example.com',
+      attendeeName: 'Link Guest',
+      title: 'Traditional Sauna',
+      startTime: moment().subtract(5, 'minutes'),
+      endTime: moment().add(25, 'minutes'),
+      validFrom: moment().subtract(20, 'minutes'),
+      validUntil: moment().add(30, 'minutes'),
+      locks: ['SAUNA-1', 'SAUNA-2'],
+      lockTime: moment().add(30, 'minutes'),
+      locale: 'en',
+      ...overrides
+    });
+
+    beforeEach(() => {
+      accessTokenManager = require('../../src/utils/accessTokens');
+      jest.spyOn(automationEngine.locks, 'unlockDoor');
+    });
+
+    test('GET /access/unlock should only show the unlock button', async () => {
+      const token = issueToken();
+
+      const response = await request(app).get(`/access/unlock?token=${token}`).expect(200);
+
+      expect(response.text).toContain('<form method="POST" action="/access/unlock">');
+      expect(response.text).toContain(`name="token" value="${token}"`);
+      expect(automationEngine.locks.unlockDoor).not.toHaveBeenCalled();
+      expect(accessTokenManager.validateAccessToken(token).eventData.uses).toBe(0);
+    });
+
+    test('POST /access/unlock should open every door of the appointment and show when they lock', async () => {
+      const token = issueToken();
+      // A back-to-back session keeps the sauna open for longer
+      require('../../src/utils/stateStore').set('lockJobs', 'SAUNA-1', {
+        serial: 'SAUNA-1',
+        lockTime: moment().add(60, 'minutes').toISOString(),
+        appointmentIds: [6100, 6101]
+      });
+
+      const response = await request(app).post('/access/unlock').type('form').send({ token }).expect(200);
+
+      expect(automationEngine.locks.unlockDoor.mock.calls).toEqual([['SAUNA-1'], ['SAUNA-2']]);
+      expect(response.text).toContain('Door unlocked');
+      expect(response.text).toMatch(/locks automatically in 60 min/);
+      expect(accessTokenManager.validateAccessToken(token).eventData.uses).toBe(1);
+
+      const audit = require('../../src/utils/auditLog').query({ appointmentId: 6100 });
+      expect(audit[audit.length - 1]).toMatchObject({ channel: 'magic_link', outcome: 'granted' });
+    });
+
+    test('POST /access/unlock should not use up the link when the doors cannot be unlocked', async () => {
+      const token = issueToken();
+      automationEngine.locks.unlockDoor.mockRejectedValueOnce(new Error('Lock offline'));
+
+      await request(app).post('/access/unlock').type('form').send({ token }).expect(500);
+      expect(accessTokenManager.validateAccessToken(token).eventData.uses).toBe(0);
+
+      await request(app).post('/access/unlock').type('form').send({ token }).expect(200);
+      expect(accessTokenManager.validateAccessToken(token).eventData.uses).toBe(1);
+    });
+
+    test('should refuse links outside the access window in the guest language', async () => {
+      const token = issueToken({
+        validFrom: moment().add(2, 'hours'),
+        validUntil: moment().add(3, 'hours'),
+        locale: 'ar'
+      });
+
+      const response = await request(app).post('/access/unlock').type('form').send({ token }).expect(403);
+
+      expect(response.text).toContain('<html lang="ar" dir="rtl">');
+      expect(response.text).toContain('الوقت مبكر');
+      expect(automationEngine.locks.unlockDoor).not.toHaveBeenCalled();
+    });
+
+    test('should refuse revoked and unknown links', async () => {
+      const token = issueToken();
+      accessTokenManager.revokeTokens({ appointmentId: 6100 });
+
+      const revoked = await request(app).get(`/access/unlock?token=${token}`).expect(403);
+      expect(revoked.text).toContain('booking was changed or cancelled');
+
+      const unknown = await request(app).post('/access/unlock').type('form').send({ token: 'f'.repeat(64) }).expect(403);
+      expect(unknown.text).toContain('This link is not valid');
+
+      await request(app).get('/access/unlock').expect(400);
+      expect(automationEngine.locks.unlockDoor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('QR Pass Endpoints', () => {
+    let accessPass;
+    let accessTokenManager;
+
+    const issuePass = (overrides = {}) => accessPass.issue({
+      id: 6200,
+      attendeeEmail: 'pass@example.com',
+      attendeeName: 'Pass Guest',
+      title: 'Ice bath',
+      startTime: moment().subtract(2, 'minutes'),
+      endTime: moment().add(13, 'minutes'),
+      validFrom: moment().subtract(17, 'minutes'),
+      validUntil: moment().add(18, 'minutes'),
+      locks: ['ICE-1'],
+      lockTime: moment().add(18, 'minutes'),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      // The PNG encoder streams through setImmediate
+      jest.useRealTimers();
+      require('../../src/config').config.accessPasses.secret = 'test-pass-secret';
+      accessPass = require('../../src/utils/accessPass');
+      accessTokenManager = require('../../src/utils/accessTokens');
+      jest.spyOn(automationEngine.locks, 'unlockDoor');
+    });
+
+    afterEach(() => {
+      jest.useFakeTimers();
+    });
+
+    test('GET /access/pass should serve the pass as PNG or SVG until it is replaced', async () => {
+      const { code } = issuePass();
+
+      const png = await request(app).get(`/access/pass/${code}.png`).expect(200);
+      expect(png.headers['content-type']).toBe('image/png');
+      expect(png.headers['cache-control']).toBe('private, no-store');
+
+      const svg = await request(app).get(`/access/pass/${code}.svg`).expect(200);
+      expect(svg.headers['content-type']).toContain('image/svg+xml');
+
+      accessTokenManager.revokeTokens({ appointmentId: 6200 });
+      await request(app).get(`/access/pass/${code}.png`).expect(404);
+      await request(app).get(`/access/pass/${code.slice(0, -2)}xx.png`).expect(404);
+    });
+
+    test('POST /access/scan should unlock once for a valid pass', async () => {
+      const { code } = issuePass();
+
+      await request(app).post('/access/scan').send({ code }).expect(401);
+
+      const response = await request(app)
+        .post('/access/scan')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ code })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        appointment: { id: 6200, service: 'Ice bath', customerName: 'Pass Guest' },
+        locks: ['ICE-1'],
+        minutesRemaining: 18
+      });
+      expect(automationEngine.locks.unlockDoor).toHaveBeenCalledWith('ICE-1');
+
+      const again = await request(app)
+        .post('/access/scan')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ code })
+        .expect(403);
+      expect(again.body.reason).toBe('used');
+      expect(automationEngine.locks.unlockDoor).toHaveBeenCalledTimes(1);
+    });
+
+    test('POST /access/scan should keep the pass usable when the doors cannot be unlocked', async () => {
+      const { code } = issuePass();
+      automationEngine.locks.unlockDoor.mockRejectedValueOnce(new Error('Lock offline'));
+
+      const failed = await request(app)
+        .post('/access/scan')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ code })
+        .expect(502);
+      expect(failed.body.reason).toBe('unlock_failed');
+
+      await request(app)
+        .post('/access/scan')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ code })
+        .expect(200);
+      expect(automationEngine.locks.unlockDoor).toHaveBeenCalledTimes(2);
+    });
+
+    test('POST /access/scan should refuse forged passes and passes outside their window', async () => {
+      const forged = await request(app)
+        .post('/access/scan')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ code: `EUPASS1.${'a'.repeat(64)}.${'A'.repeat(22)}` })
+        .expect(403);
+      expect(forged.body.reason).toBe('invalid_signature');
+
+      const { code } = issuePass({ validFrom: moment().add(1, 'hour'), validUntil: moment().add(2, 'hours') });
+      const early = await request(app)
+        .post('/access/scan')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ code })
+        .expect(403);
+      expect(early.body).toMatchObject({ reason: 'too_early', appointment: { id: 6200 } });
+      expect(automationEngine.locks.unlockDoor).not.toHaveBeenCalled();
+
+      const audit = require('../../src/utils/auditLog').query({ channel: 'qr_pass' });
+      expect(audit.map(entry => entry.outcome)).toEqual(['denied', 'denied']);
+    });
   });
 
   describe('Code Management Endpoints', () => {
     test('GET /codes/list should return list of codes', async () => {
       const response = await request(app)
         .get('/codes/list')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
         
       expect(response.body.success).toBe(true);
@@ -162,6 +462,7 @@ describe('API Endpoint Tests', () => {
 
       const response = await request(app)
         .post('/codes/add')
+        .set('X-API-Key', ADMIN_KEY)
         .send(codeData)
         .expect(200);
         
@@ -185,6 +486,7 @@ describe('API Endpoint Tests', () => {
       
       const response = await request(app)
         .delete('/codes/remove')
+        .set('X-API-Key', ADMIN_KEY)
         .send(codeData)
         .expect(200);
         
@@ -193,6 +495,214 @@ describe('API Endpoint Tests', () => {
     });
   });
 
+  describe('Staff Access Endpoints', () => {
+    test('should issue, rotate and revoke a staff code', async () => {
+      const created = await request(app)
+        .post('/admin/staff')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: 'Fatima', role: 'cleaner', schedule: 'Mon-Sat 06:00-08:00' })
+        .expect(201);
+
+      const { id } = created.body.credential;
+      expect(created.body).toMatchObject({ success: true, provisioned: true, code: expect.stringMatching(/^\d{6}$/) });
+      expect(created.body.credential.code).toBe(created.body.code.substring(0, 2) + '****');
+      expect(automationEngine.eufyService.codes).toEqual([expect.objectContaining({ code: created.body.code, name: `Staff #${id}` })]);
+
+      const list = await request(app).get('/admin/staff').set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(list.body.credentials.map(credential => credential.name)).toEqual(['Fatima']);
+
+      const rotated = await request(app).post(`/admin/staff/${id}/rotate`).set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(rotated.body.code).not.toBe(created.body.code);
+      expect(automationEngine.eufyService.codes.map(code => code.code)).toEqual([rotated.body.code]);
+
+      const revoked = await request(app).delete(`/admin/staff/${id}`).set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(revoked.body.removedFromLock).toBe(true);
+      expect(automationEngine.eufyService.codes).toHaveLength(0);
+      await request(app).delete(`/admin/staff/${id}`).set('X-API-Key', ADMIN_KEY).expect(404);
+
+      const audit = await request(app).get('/admin/audit?event=staff.revoked').set('X-API-Key', ADMIN_KEY).expect(200);
+      expect(audit.body.entries[0].details).toMatchObject({ staffId: id, staff: 'Fatima', role: 'cleaner' });
+    });
+
+    test('should reject an unreadable schedule', async () => {
+      const response = await request(app)
+        .post('/admin/staff')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ name: 'Omar', schedule: 'Funday 06:00-08:00' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown day');
+    });
+  });
+
+  describe('Membership Endpoints', () => {
+    test('should say memberships are off without a membership source', async () => {
+      const response = await request(app).get('/admin/memberships').set('X-API-Key', ADMIN_KEY).expect(404);
+      expect(response.body.error).toContain('MEMBERSHIP_SOURCE');
+
+      await request(app).get('/admin/memberships').expect(401);
+    });
+  });
+
+  describe('Email Outbox Endpoints', () => {
+    const confirmation = { customerEmail: 'guest@example.com', customerName: 'Guest', service: 'Traditional Sauna', doorCode: '4821' };
+
+    test('should list, resend and cancel queued emails', async () => {
+      const send = jest.spyOn(automationEngine.emailService, 'sendBookingConfirmation').mockRejectedValue(new Error('SMTP unavailable'));
+      const first = await automationEngine.outbox.send('sendBookingConfirmation', confirmation);
+      const second = await automationEngine.outbox.send('sendBookingConfirmation', { ...confirmation, customerEmail: 'other@example.com' });
+
+      const list = await request(app)
+        .get('/admin/outbox?status=queued')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+
+      expect(list.body.messages.map(message => message.id)).toEqual([first.id, second.id]);
+      expect(list.body.messages[0].data).toBeUndefined();
+
+      send.mockResolvedValue(true);
+      const resent = await request(app)
+        .post(`/admin/outbox/${first.id}/resend`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(resent.body).toMatchObject({ success: true, status: 'sent' });
+
+      await request(app)
+        .delete(`/admin/outbox/${second.id}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      await request(app)
+        .delete(`/admin/outbox/${first.id}`)
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(404);
+
+      expect(automationEngine.outbox.get(second.id).status).toBe('cancelled');
+    });
+
+    test('should mark door code emails bounced when the mail provider reports it', async () => {
+      const validFrom = moment().add(1, 'day').toISOString();
+      require('../../src/utils/stateStore').set('provisionedCodes', '6001', { code: '4821', validFrom });
+      const access = { kind: 'appointment', codeKey: '6001', validFrom, tokenEvent: null };
+      const { doorCode, ...data } = confirmation;
+      const sent = await automationEngine.outbox.send('sendBookingConfirmation', { ...data, access }, { appointmentId: 6001, notification: 'confirmation' });
+
+      expect(automationEngine.outbox.get(sent.id).data).toEqual({ ...data, access });
+      expect(automationEngine.emailService.getSentEmails().pop().data.doorCode).toBe(doorCode);
+
+      await request(app)
+        .post('/webhook/email/bounce')
+        .send({ email: 'guest@example.com' })
+        .expect(401);
+      await request(app)
+        .post('/webhook/email/bounce')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post('/webhook/email/bounce')
+        .set('X-API-Key', ADMIN_KEY)
+        .send({ email: 'guest@example.com', reason: '550 Mailbox unavailable' })
+        .expect(200);
+
+      expect(response.body.bounced).toEqual([{ id: sent.id, appointmentId: 6001, notification: 'confirmation' }]);
+      expect(automationEngine.outbox.get(sent.id)).toMatchObject({ status: 'bounced', lastError: '550 Mailbox unavailable' });
+    });
+  });
+
+  describe('Notification Status Endpoint', () => {
+    test('GET /admin/notifications/:appointmentId should report the messages of a tracked appointment', async () => {
+      const startTime = moment().add(2, 'hours');
+      const appointment = {
+        id: 42,
+        service: 'Traditional Sauna',
+        actualDuration: 30,
+        status: 'approved',
+        startTime,
+        endTime: startTime.clone().add(30, 'minutes'),
+        startTimeFormatted: startTime.format('h:mm A'),
+        endTimeFormatted: startTime.clone().add(30, 'minutes').format('h:mm A'),
+        dateFormatted: startTime.format('MMMM Do, YYYY'),
+        customer: { fullName: 'Status Guest', email: 'status@example.com' }
+      };
+      automationEngine.ameliaService.mockAppointments = [appointment];
+      await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+      const response = await request(app)
+        .get('/admin/notifications/42')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(response.body).toMatchObject({ success: true, appointmentId: 42 });
+      expect(response.body.messages.confirmation.status).toBe('sent');
+
+      await request(app)
+        .get('/admin/notifications/43')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(404);
+    });
+  });
+
+  describe('Email Preview Endpoint', () => {
+    test('should render a template with sample data in every format', async () => {
+      const html = await request(app)
+        .get('/admin/email/preview/booking-confirmation')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(html.headers['content-type']).toContain('text/html');
+      expect(html.text).toContain('Welcome to Euphorium!');
+
+      const json = await request(app)
+        .get('/admin/email/preview/booking-change?changeType=cancelled&service=Ice%20Bath&format=json')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(json.body.subject).toBe('Your Euphorium booking was cancelled - Ice Bath');
+      expect(json.body.text).toContain('This session has been cancelled');
+
+      const arabic = await request(app)
+        .get('/admin/email/preview/booking-reminder?locale=ar&format=json')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(arabic.body.subject).toBe('نراك قريباً في Euphorium ❄️ - Traditional Sauna');
+      expect(arabic.body.html).toContain('dir="rtl"');
+
+      await request(app)
+        .get('/admin/email/preview/newsletter')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(404);
+    });
+
+    test('should preview with a real appointment and its door code', async () => {
+      const startTime = moment().add(2, 'hours');
+      const appointment = {
+        id: 7001,
+        service: 'Traditional Sauna',
+        actualDuration: 30,
+        status: 'approved',
+        startTime,
+        endTime: startTime.clone().add(30, 'minutes'),
+        startTimeFormatted: startTime.format('h:mm A'),
+        endTimeFormatted: startTime.clone().add(30, 'minutes').format('h:mm A'),
+        dateFormatted: startTime.format('MMMM Do, YYYY'),
+        customer: { fullName: 'Preview Guest', email: 'preview@example.com' }
+      };
+      automationEngine.ameliaService.mockAppointments = [appointment];
+      await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+      const [sent] = automationEngine.emailService.getSentEmails().filter(email => email.to === 'preview@example.com');
+
+      const response = await request(app)
+        .get('/admin/email/preview/code-active?appointmentId=7001&format=text')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(200);
+      expect(response.text).toContain('Hi Preview Guest,');
+      expect(response.text).toContain(`Door Code: ${sent.data.doorCode}`);
+
+      await request(app)
+        .get('/admin/email/preview/code-active?appointmentId=9999')
+        .set('X-API-Key', ADMIN_KEY)
+        .expect(404);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle 404 for unknown endpoints', async () => {
       await request(app).get('/unknown/route').expect(404);
@@ -212,6 +722,7 @@ describe('API Endpoint Tests', () => {
       // 1. Check initial door status
       let doorResponse = await request(app)
         .get('/status')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
       expect(doorResponse.body.services.eufy.isLocked).toBe(true);
 
@@ -241,6 +752,7 @@ describe('API Endpoint Tests', () => {
       // 4. Verify door was unlocked
       doorResponse = await request(app)
         .get('/status')
+        .set('X-API-Key', ADMIN_KEY)
         .expect(200);
       expect(doorResponse.body.services.eufy.isLocked).toBe(false);
 
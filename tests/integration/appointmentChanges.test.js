@@ -0,0 +1,194 @@
+// Integration tests for cancellation and reschedule handling with mock services
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Appointment Change Handling', () => {
+  let automationEngine;
+  let doorCodeGenerator;
+  let accessTokenManager;
+  let appointment;
+
+  const buildAppointment = (startOffsetMinutes, overrides = {}) => {
+    const startTime = moment().add(startOffsetMinutes, 'minutes');
+    const endTime = startTime.clone().add(30, 'minutes');
+    return {
+      id: 3001,
+      service: 'Traditional Sauna',
+      actualDuration: 30,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: { fullName: 'Test User', email: 'change@example.com' },
+      ...overrides
+    };
+  };
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    doorCodeGenerator = require('../../src/utils/doorCodeGenerator');
+    accessTokenManager = require('../../src/utils/accessTokens');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+
+    appointment = buildAppointment(3);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingAppointment(appointment);
+    automationEngine.emailService.clearSentEmails();
+  });
+
+  afterEach(() => {
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+  });
+
+  test('should revoke the code and lock job when an appointment is cancelled', async () => {
+    appointment.status = 'canceled';
+
+    await automationEngine.detectAppointmentChanges();
+
+    expect(doorCodeGenerator.getCodeForAppointment('3001')).toBeNull();
+    expect(automationEngine.eufyService.removeTemporaryCode).toHaveBeenCalled();
+    expect(automationEngine.activeLockTimers.has(3001)).toBe(false);
+
+    const notices = automationEngine.emailService.getSentEmails();
+    expect(notices).toHaveLength(1);
+    expect(notices[0].data.changeType).toBe('cancelled');
+    expect(notices[0].data.calendar).toMatchObject({
+      uid: 'appointment-3001@euphorium.access',
+      sequence: 1,
+      method: 'CANCEL',
+      startTime: appointment.startTime.toISOString()
+    });
+    expect(notices[0].data.unlockLink).toBeUndefined();
+    expect(accessTokenManager.getActiveTokens()).toEqual([]);
+  });
+
+  test('should treat a deleted appointment as cancelled', async () => {
+    automationEngine.ameliaService.mockAppointments = [];
+
+    await automationEngine.detectAppointmentChanges();
+
+    expect(doorCodeGenerator.getCodeForAppointment('3001')).toBeNull();
+    expect(automationEngine.emailService.getSentEmails()[0].data.changeType).toBe('cancelled');
+  });
+
+  test('should issue a new code and notice when an appointment is rescheduled', async () => {
+    const oldCode = doorCodeGenerator.getCodeForAppointment('3001').code;
+    const moved = buildAppointment(120);
+    automationEngine.ameliaService.mockAppointments = [moved];
+
+    await automationEngine.detectAppointmentChanges();
+
+    const newCode = doorCodeGenerator.getCodeForAppointment('3001').code;
+    expect(newCode).not.toBe(oldCode);
+
+    const notices = automationEngine.emailService.getSentEmails();
+    expect(notices).toHaveLength(1);
+    expect(notices[0].data.changeType).toBe('rescheduled');
+    expect(notices[0].data.doorCode).toBe(newCode);
+    // The customer's calendar moves the event it got with the confirmation
+    expect(notices[0].data.calendar).toMatchObject({
+      uid: 'appointment-3001@euphorium.access',
+      sequence: 1,
+      method: 'REQUEST',
+      startTime: moved.startTime.toISOString()
+    });
+    expect(automationEngine.processedAppointments.has(automationEngine.getAppointmentKey(moved))).toBe(true);
+  });
+
+  test('should replace the magic link when an appointment is rescheduled', async () => {
+    const [original] = accessTokenManager.getActiveTokens();
+    expect(original).toMatchObject({ appointmentId: 3001, attendeeEmail: 'change@example.com' });
+
+    const moved = buildAppointment(120);
+    automationEngine.ameliaService.mockAppointments = [moved];
+    await automationEngine.detectAppointmentChanges();
+
+    const [notice] = automationEngine.emailService.getSentEmails();
+    const token = new URL(notice.data.unlockLink).searchParams.get('token');
+
+    // The new link follows the moved slot's access window, the old one is gone
+    expect(accessTokenManager.validateAccessToken(token)).toMatchObject({ valid: false, reasonCode: 'too_early' });
+    expect(accessTokenManager.getActiveTokens()).toEqual([expect.objectContaining({
+      appointmentId: 3001,
+      validFrom: moved.startTime.clone().subtract(15, 'minutes').toISOString()
+    })]);
+  });
+
+  test('should send a new QR pass with a reschedule and revoke it on cancellation', async () => {
+    require('../../src/config').config.accessPasses.secret = 'test-pass-secret';
+    const accessPass = require('../../src/utils/accessPass');
+
+    const moved = buildAppointment(120);
+    automationEngine.ameliaService.mockAppointments = [moved];
+    await automationEngine.detectAppointmentChanges();
+
+    const [notice] = automationEngine.emailService.getSentEmails();
+    const token = accessPass.verify(notice.data.accessPass.code);
+    expect(accessTokenManager.validateAccessToken(token)).toMatchObject({
+      reasonCode: 'too_early',
+      eventData: { type: 'pass', singleUse: true, appointmentId: 3001 }
+    });
+
+    moved.status = 'canceled';
+    await automationEngine.detectAppointmentChanges();
+
+    expect(accessTokenManager.validateAccessToken(token).reasonCode).toBe('revoked');
+  });
+
+  test('should apply a cancellation webhook once the booking source confirms it', async () => {
+    const forged = { ...appointment, status: 'canceled' };
+    expect((await automationEngine.handleBookingWebhook(forged, 'booking_canceled')).outcome).toBe('customers_synced');
+    expect(doorCodeGenerator.getCodeForAppointment('3001')).not.toBeNull();
+
+    appointment.status = 'canceled';
+    expect((await automationEngine.handleBookingWebhook(appointment, 'booking_canceled')).outcome).toBe('cancelled');
+    expect(doorCodeGenerator.getCodeForAppointment('3001')).toBeNull();
+  });
+
+  test('should not take customers or schedule changes from the webhook payload', async () => {
+    const forged = {
+      ...appointment,
+      startTime: appointment.startTime.clone().add(1, 'day'),
+      endTime: appointment.endTime.clone().add(1, 'day'),
+      customers: [...automationEngine.getCustomers(appointment), { bookingId: 99, fullName: 'Intruder', email: 'intruder@example.com' }]
+    };
+
+    expect((await automationEngine.handleBookingWebhook(forged, 'booking_rescheduled')).outcome).toBe('customers_synced');
+    expect(automationEngine.emailService.getSentEmails()).toHaveLength(0);
+    expect(doorCodeGenerator.getCodeForAppointment('3001')).not.toBeNull();
+  });
+
+  test('should leave unchanged appointments alone', async () => {
+    await automationEngine.detectAppointmentChanges();
+
+    expect(doorCodeGenerator.getCodeForAppointment('3001')).not.toBeNull();
+    expect(automationEngine.emailService.getSentEmails()).toHaveLength(0);
+  });
+});
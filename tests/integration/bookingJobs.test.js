@@ -0,0 +1,161 @@
+// Integration tests for webhook-fed booking jobs with mock services
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Webhook Booking Jobs', () => {
+  let automationEngine;
+
+  const buildAppointment = (startOffsetMinutes, overrides = {}) => {
+    const startTime = moment().add(startOffsetMinutes, 'minutes');
+    const endTime = startTime.clone().add(30, 'minutes');
+    return {
+      id: 4001,
+      service: 'Traditional Sauna',
+      actualDuration: 30,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: { fullName: 'Future Guest', email: 'future@example.com' },
+      ...overrides
+    };
+  };
+
+  const confirmations = () => automationEngine.emailService.getSentEmails()
+    .filter(email => email.to === 'future@example.com' && email.subject.startsWith('Your Door Code'));
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+  });
+
+  afterEach(() => {
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+  });
+
+  const provisionJob = () => automationEngine.jobScheduler.getJobs().find(job => job.type === 'code.provision');
+
+  test('should confirm a booking made further ahead right away and program its code when the job is due', async () => {
+    const appointment = buildAppointment(7 * 24 * 60);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+
+    const { outcome, job } = await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    expect(outcome).toBe('processed');
+    expect(automationEngine.jobScheduler.get(job.key).status).toBe('done');
+    expect(confirmations()).toHaveLength(1);
+    const doorCode = confirmations()[0].data.doorCode;
+
+    // The lock only gets the code CODE_PROVISION_LEAD_HOURS before its window
+    expect(automationEngine.eufyService.codes).toHaveLength(0);
+    expect(automationEngine.codeProvisioning.getRecord('4001')).toMatchObject({ code: doorCode, provisionedAt: null });
+    expect(moment(provisionJob().runAt).isSame(appointment.startTime.clone().subtract(15, 'minutes').subtract(48, 'hours'))).toBe(true);
+
+    jest.setSystemTime(moment(provisionJob().runAt).add(1, 'second').toDate());
+    expect(await automationEngine.jobScheduler.run()).toBe(1);
+
+    expect(provisionJob()).toMatchObject({ status: 'done', result: { provisioned: 1 } });
+    expect(automationEngine.eufyService.codes).toEqual([expect.objectContaining({ code: doorCode, name: 'Amelia #4001' })]);
+    expect(confirmations()).toHaveLength(1);
+  });
+
+  test('should hand the customer to staff when the emailed code cannot be programmed', async () => {
+    const appointment = buildAppointment(7 * 24 * 60);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    automationEngine.eufyService.addTemporaryCode.mockRejectedValue(new Error('Lock offline'));
+    for (let attempt = 0; attempt < 3; attempt++) {
+      jest.setSystemTime(moment(provisionJob().runAt).add(1, 'second').toDate());
+      await automationEngine.jobScheduler.run();
+    }
+
+    expect(provisionJob()).toMatchObject({ status: 'failed', lastError: 'Lock offline' });
+    expect(automationEngine.codeProvisioning.getRecord('4001')).toBeFalsy();
+    expect(automationEngine.getStaffFollowUps()[0].reason).toContain('Lock offline');
+  });
+
+  test('should not process an appointment twice when the webhook repeats and the poll runs', async () => {
+    const appointment = buildAppointment(2);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+
+    expect((await automationEngine.handleBookingWebhook(appointment, 'booking_completed')).outcome).toBe('processed');
+    // A repeated webhook only re-syncs the tracked appointment
+    expect((await automationEngine.handleBookingWebhook(appointment, 'booking_completed')).outcome).toBe('customers_synced');
+    await automationEngine.processUpcomingAppointments();
+    await automationEngine.jobScheduler.run();
+
+    expect(confirmations()).toHaveLength(1);
+  });
+
+  test('should confirm a booking days ahead that only the poll saw', async () => {
+    const appointment = buildAppointment(5 * 24 * 60);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+
+    await automationEngine.processUpcomingAppointments();
+    expect(confirmations()).toHaveLength(1);
+
+    // The late webhook finds the appointment already handled
+    expect((await automationEngine.handleBookingWebhook(appointment, 'booking_completed')).outcome).toBe('customers_synced');
+    expect(confirmations()).toHaveLength(1);
+  });
+
+  test('should move the code job when a booking is rescheduled and drop it when cancelled', async () => {
+    const appointment = buildAppointment(72 * 60);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+    const first = provisionJob();
+
+    const moved = buildAppointment(96 * 60);
+    automationEngine.ameliaService.mockAppointments = [moved];
+    expect((await automationEngine.handleBookingWebhook(moved, 'booking_rescheduled')).outcome).toBe('rescheduled');
+
+    const second = automationEngine.jobScheduler.getJobs('pending').find(job => job.type === 'code.provision');
+    expect(automationEngine.jobScheduler.get(first.key).status).toBe('cancelled');
+    expect(second.key).not.toBe(first.key);
+
+    moved.status = 'canceled';
+    expect((await automationEngine.handleBookingWebhook(moved, 'booking_canceled')).outcome).toBe('cancelled');
+    expect(automationEngine.jobScheduler.get(second.key).status).toBe('cancelled');
+  });
+
+  test('should skip a code job whose appointment was cancelled before it ran', async () => {
+    const appointment = buildAppointment(72 * 60);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    automationEngine.ameliaService.mockAppointments = [];
+    jest.setSystemTime(moment(provisionJob().runAt).add(1, 'second').toDate());
+    await automationEngine.jobScheduler.run();
+
+    expect(automationEngine.eufyService.codes).toHaveLength(0);
+    expect(provisionJob().result).toEqual({ skipped: 'cancelled' });
+  });
+});
@@ -0,0 +1,155 @@
+// Integration tests for group appointments with several customers
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Group Appointment Handling', () => {
+  let automationEngine;
+  let doorCodeGenerator;
+  let accessTokenManager;
+
+  const customers = [
+    { bookingId: 11, fullName: 'First Guest', email: 'first@example.com' },
+    { bookingId: 12, fullName: 'Second Guest', email: 'second@example.com' }
+  ];
+
+  const buildAppointment = (service = 'Communal - Contrast Therapy - Ice Bath & Traditional Sauna') => {
+    const startTime = moment().add(3, 'minutes');
+    const endTime = startTime.clone().add(30, 'minutes');
+    return {
+      id: 4001,
+      service,
+      actualDuration: 30,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: customers[0],
+      customers: [...customers]
+    };
+  };
+
+  const setup = async (sharedCodeServices = '') => {
+    process.env.NODE_ENV = 'test';
+    process.env.SHARED_CODE_SERVICES = sharedCodeServices;
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    doorCodeGenerator = require('../../src/utils/doorCodeGenerator');
+    accessTokenManager = require('../../src/utils/accessTokens');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+  };
+
+  afterEach(() => {
+    delete process.env.SHARED_CODE_SERVICES;
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+  });
+
+  test('should issue and email a separate code to every customer', async () => {
+    await setup();
+    const appointment = buildAppointment();
+
+    await automationEngine.handleBookingAppointment(appointment);
+
+    const emails = automationEngine.emailService.getSentEmails();
+    expect(emails.map(email => email.to)).toEqual(['first@example.com', 'second@example.com']);
+    expect(emails[0].data.doorCode).not.toBe(emails[1].data.doorCode);
+    expect(emails[0].data.unlockLink).toMatch(/\/access\/unlock\?token=[0-9a-f]{64}$/);
+    expect(emails[0].data.unlockLink).not.toBe(emails[1].data.unlockLink);
+    expect(automationEngine.eufyService.addTemporaryCode).toHaveBeenCalledTimes(2);
+
+    expect(automationEngine.matchDoorCode(appointment, emails[1].data.doorCode).email).toBe('second@example.com');
+    expect(automationEngine.matchDoorCode(appointment, '0000')).toBeNull();
+  });
+
+  test('should share one code for configured services', async () => {
+    await setup('Communal - Contrast Therapy - Ice Bath & Traditional Sauna');
+    const appointment = buildAppointment();
+
+    await automationEngine.handleBookingAppointment(appointment);
+
+    const emails = automationEngine.emailService.getSentEmails();
+    expect(emails).toHaveLength(2);
+    expect(emails[0].data.doorCode).toBe(emails[1].data.doorCode);
+    expect(automationEngine.eufyService.addTemporaryCode).toHaveBeenCalledTimes(1);
+  });
+
+  test('should revoke only the code of a customer who leaves the session', async () => {
+    await setup();
+    const appointment = buildAppointment();
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingAppointment(appointment);
+    const secondCode = doorCodeGenerator.getCodeForAppointment('4001-12');
+    const tokens = automationEngine.emailService.getSentEmails().map(email => new URL(email.data.unlockLink).searchParams.get('token'));
+    automationEngine.emailService.clearSentEmails();
+
+    appointment.customers = [customers[0]];
+    await automationEngine.detectAppointmentChanges();
+
+    expect(doorCodeGenerator.getCodeForAppointment('4001-12')).toBeNull();
+    expect(doorCodeGenerator.getCodeForAppointment('4001-11')).not.toBeNull();
+    expect(automationEngine.matchDoorCode(appointment, secondCode)).toBeNull();
+    expect(accessTokenManager.validateAccessToken(tokens[1]).reasonCode).toBe('revoked');
+    expect(accessTokenManager.validateAccessToken(tokens[0]).reasonCode).not.toBe('revoked');
+
+    const notices = automationEngine.emailService.getSentEmails();
+    expect(notices).toHaveLength(1);
+    expect(notices[0].to).toBe('second@example.com');
+    expect(notices[0].data.changeType).toBe('cancelled');
+  });
+
+  test('should send a code to a customer who joins after processing', async () => {
+    await setup();
+    const appointment = buildAppointment();
+    appointment.customers = [customers[0]];
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingAppointment(appointment);
+    automationEngine.emailService.clearSentEmails();
+
+    appointment.customers = [...customers];
+    await automationEngine.detectAppointmentChanges();
+
+    const emails = automationEngine.emailService.getSentEmails();
+    expect(emails).toHaveLength(1);
+    expect(emails[0].to).toBe('second@example.com');
+    expect(doorCodeGenerator.getCodeForAppointment('4001-12')).not.toBeNull();
+  });
+
+  test('should keep a follow-up for every customer whose code failed', async () => {
+    await setup();
+    automationEngine.eufyService.addTemporaryCode.mockRejectedValue(new Error('Lock offline'));
+
+    await automationEngine.handleBookingAppointment(buildAppointment());
+
+    const followUps = automationEngine.getStaffFollowUps();
+    expect(followUps.map(followUp => followUp.customerEmail)).toEqual(['first@example.com', 'second@example.com']);
+
+    expect(automationEngine.resolveStaffFollowUp('4001', 'Second@Example.com')).toBe(1);
+    expect(automationEngine.getStaffFollowUps().map(followUp => followUp.customerEmail)).toEqual(['first@example.com']);
+    expect(automationEngine.resolveStaffFollowUp(4001)).toBe(1);
+    expect(automationEngine.getStaffFollowUps()).toEqual([]);
+  });
+});
@@ -0,0 +1,127 @@
+// Integration tests for real-time lock events from the Eufy device
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Lock Event Handling', () => {
+  let automationEngine;
+  let auditLog;
+  let appointment;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    auditLog = require('../../src/utils/auditLog');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+    jest.spyOn(automationEngine.ameliaService, 'addAppointmentNote');
+
+    const startTime = moment().add(3, 'minutes');
+    const endTime = startTime.clone().add(30, 'minutes');
+    appointment = {
+      id: 5001,
+      service: 'Infrared Sauna',
+      actualDuration: 30,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: { fullName: 'Arriving Guest', email: 'guest@example.com' }
+    };
+    await automationEngine.handleBookingAppointment(appointment);
+  });
+
+  afterEach(() => {
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+  });
+
+  const lockEvent = (type, extra = {}) => ({
+    type,
+    serial: null,
+    timestamp: new Date().toISOString(),
+    user: null,
+    source: 'push',
+    ...extra
+  });
+
+  test('should note the customer arrival once on a keypad unlock', async () => {
+    const stored = await automationEngine.lockEvents.handleEvent(lockEvent('unlocked_keypad', { user: 'Amelia #5001' }));
+
+    expect(stored.appointmentId).toBe(5001);
+    expect(automationEngine.ameliaService.addAppointmentNote).toHaveBeenCalledWith(5001, expect.stringMatching(/^Customer arrived at \d\d:\d\d/));
+
+    jest.setSystemTime(Date.now() + 5 * 60 * 1000);
+    await automationEngine.lockEvents.handleEvent(lockEvent('unlocked_keypad'));
+    expect(automationEngine.ameliaService.addAppointmentNote.mock.calls.filter(call => call[1].includes('arrived'))).toHaveLength(1);
+
+    const entries = auditLog.query({ event: 'lock.event' });
+    expect(entries[0]).toMatchObject({ outcome: 'unlocked_keypad', appointmentId: '5001' });
+  });
+
+  test('should audit keypad unlocks with a staff code under the staff member', async () => {
+    const { credential } = await automationEngine.staffAccess.create({ name: 'Fatima', role: 'cleaner', schedule: 'Daily 00:00-23:59' }, 'admin');
+
+    const stored = await automationEngine.lockEvents.handleEvent(lockEvent('unlocked_keypad', { user: `Staff #${credential.id}` }));
+
+    expect(stored).toMatchObject({ staff: 'Fatima', appointmentId: null });
+    expect(automationEngine.ameliaService.addAppointmentNote).not.toHaveBeenCalledWith(5001, expect.stringContaining('arrived'));
+    expect(auditLog.query({ event: 'lock.event', actor: 'fatima' })[0]).toMatchObject({
+      outcome: 'unlocked_keypad',
+      details: { staffId: credential.id, role: 'cleaner' }
+    });
+  });
+
+  test('should ignore the same event reported twice', async () => {
+    expect(await automationEngine.lockEvents.handleEvent(lockEvent('jammed'))).not.toBeNull();
+    expect(await automationEngine.lockEvents.handleEvent(lockEvent('jammed', { source: 'device' }))).toBeNull();
+  });
+
+  test('should show jams in status and alert staff', async () => {
+    await automationEngine.lockEvents.handleEvent(lockEvent('jammed'));
+
+    expect(automationEngine.getStatus().locksJammed).toHaveLength(1);
+    expect(automationEngine.emailService.getSentEmails().pop().data.context).toBe('Lock Jammed');
+
+    await automationEngine.lockEvents.handleEvent(lockEvent('locked_manually'));
+    expect(automationEngine.getStatus().locksJammed).toHaveLength(0);
+  });
+
+  test('should resolve a door left unlocked incident when locked by hand', async () => {
+    automationEngine.lockVerification.openIncident({ serial: null, source: 'auto_lock' }, 3, 'Lock did not report locked');
+
+    await automationEngine.lockEvents.handleEvent(lockEvent('locked_manually'));
+
+    expect(automationEngine.lockVerification.getOpenIncidents()).toHaveLength(0);
+  });
+
+  test('should receive events emitted by the lock service', async () => {
+    automationEngine.eufyService.emit('lock event', lockEvent('low_battery', { batteryLevel: 12 }));
+    await Promise.resolve();
+
+    expect(automationEngine.lockEvents.getStatus().locks[0].lowBatteryAt).not.toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+// Integration tests for Chill Club members booking with their personal code
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ start: jest.fn(), stop: jest.fn() })),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Chill Club Memberships', () => {
+  const CHILL_CLUB = 'Chill Club: 15-Min Daily Ice Bath Access';
+  let automationEngine;
+  let auditLog;
+  let member;
+
+  const booking = (id, email) => {
+    const startTime = moment().add(30, 'minutes');
+    const endTime = startTime.clone().add(15, 'minutes');
+    return {
+      id,
+      service: CHILL_CLUB,
+      actualDuration: 15,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: { fullName: 'Chill Guest', email }
+    };
+  };
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.MEMBERSHIP_SOURCE = 'amelia';
+    process.env.OPENING_HOURS = 'Daily 06:00-22:00';
+    jest.resetModules();
+    jest.setSystemTime(moment.tz('2026-10-19 10:00', 'Asia/Dubai').toDate());
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    auditLog = require('../../src/utils/auditLog');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+    jest.spyOn(automationEngine.ameliaService, 'addAppointmentNote');
+
+    automationEngine.ameliaService.mockMemberships = [{
+      id: '77',
+      plan: 'Chill Club',
+      startsAt: moment().subtract(3, 'days').toISOString(),
+      endsAt: moment().add(27, 'days').toISOString(),
+      status: 'approved',
+      customer: { fullName: 'Layla Member', email: 'Layla@Example.com', phone: '', locale: 'en' }
+    }];
+    await automationEngine.refreshMemberships();
+    member = automationEngine.memberships.get('77');
+  });
+
+  afterEach(() => {
+    delete process.env.MEMBERSHIP_SOURCE;
+    delete process.env.OPENING_HOURS;
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+  });
+
+  test('should send a member their personal code from the Amelia package', () => {
+    expect(member.code).toMatch(/^\d{6}$/);
+    expect(automationEngine.eufyService.codes).toEqual([expect.objectContaining({ code: member.code, name: 'Member #77' })]);
+    expect(automationEngine.emailService.getSentEmails().pop().data).toMatchObject({ membershipId: '77', doorCode: member.code });
+  });
+
+  test('should not issue a per-booking code for a member, but still for other guests', async () => {
+    await automationEngine.handleBookingAppointment(booking(6001, 'layla@example.com'));
+
+    expect(automationEngine.codeProvisioning.getRecord('6001')).toBeFalsy();
+    expect(automationEngine.ameliaService.addAppointmentNote).toHaveBeenCalledWith(6001, expect.stringContaining('Covered by membership 77'));
+    expect(automationEngine.emailService.getSentEmails().filter(email => email.data?.appointmentId === 6001)).toHaveLength(0);
+
+    await automationEngine.handleBookingAppointment(booking(6002, 'guest@example.com'));
+
+    expect(automationEngine.codeProvisioning.getRecord('6002')).toBeTruthy();
+  });
+
+  test('should count keypad unlocks with the member code towards the daily quota', async () => {
+    const stored = await automationEngine.lockEvents.handleEvent({
+      type: 'unlocked_keypad',
+      serial: null,
+      timestamp: new Date().toISOString(),
+      user: 'Member #77',
+      source: 'push'
+    });
+
+    expect(stored).toMatchObject({ member: 'Layla Member', appointmentId: null });
+    expect(auditLog.query({ event: 'lock.event', actor: 'layla' })[0].details).toMatchObject({ membershipId: '77' });
+    expect(automationEngine.memberships.get('77').usage.visits).toHaveLength(1);
+    expect(automationEngine.memberships.get('77').provisioned.validUntil).toBe(moment().add(30, 'minutes').toISOString());
+  });
+});
@@ -0,0 +1,162 @@
+// Integration tests for SMS/WhatsApp delivery and the SMS fallback for bounced door code emails
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Notification Channels', () => {
+  let automationEngine;
+  let fetchMock;
+
+  const buildAppointment = (customer) => {
+    const startTime = moment().add(3, 'hours');
+    const endTime = startTime.clone().add(30, 'minutes');
+    return {
+      id: 5001,
+      service: 'Traditional Sauna',
+      actualDuration: 30,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: { fullName: 'Phone Guest', email: 'phone@example.com', phone: '050 123 4567', customFields: {}, ...customer }
+    };
+  };
+
+  const providerMessages = () => fetchMock.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+  const nextPhoneMessage = () => new Promise(resolve => {
+    automationEngine.outbox.on('sent', message => message.channel !== 'email' && resolve(message));
+  });
+
+  const book = async (appointment) => {
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingAppointment(appointment);
+  };
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.MESSAGING_BASE_URL = 'http://sms-provider.local';
+    jest.resetModules();
+
+    fetchMock = jest.spyOn(global, 'fetch').mockImplementation(() => Promise.resolve({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve(JSON.stringify({ id: 'provider-1', status: 'queued' }))
+    }));
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+  });
+
+  afterEach(() => {
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+    fetchMock.mockRestore();
+    delete process.env.MESSAGING_BASE_URL;
+  });
+
+  test('should message customers on the channel of their Amelia contact preference', async () => {
+    const appointment = buildAppointment({ customFields: { 7: { label: 'Contact preference', value: 'WhatsApp' } } });
+
+    await book(appointment);
+
+    expect(automationEngine.emailService.getSentEmails()).toHaveLength(0);
+    const [confirmation] = providerMessages();
+    expect(confirmation).toMatchObject({ channel: 'whatsapp', to: '+971501234567', reference: '5001' });
+    expect(confirmation.text).toContain(`Door code ${automationEngine.codeProvisioning.getRecord(automationEngine.getCodeKey(appointment, appointment.customer)).code}`);
+
+    // The cancellation reaches them the same way, after the booking is gone
+    automationEngine.ameliaService.mockAppointments = [];
+    await automationEngine.detectAppointmentChanges();
+    expect(providerMessages()[1]).toMatchObject({ channel: 'whatsapp', to: '+971501234567' });
+    expect(providerMessages()[1].text).toContain('was cancelled');
+  });
+
+  test('should not send a phone customer the same message twice when its job runs again', async () => {
+    const appointment = buildAppointment({ customFields: { 7: { label: 'Contact preference', value: 'SMS' } } });
+    await book(appointment);
+
+    const job = automationEngine.jobScheduler.getJobs('pending').find(job => job.type === 'notification.codeActive');
+    jest.setSystemTime(moment(job.runAt).add(1, 'second').toDate());
+    expect(await automationEngine.notifications.runMessageJob(job)).toEqual({ queued: 1 });
+    expect(await automationEngine.notifications.runMessageJob(job)).toEqual({ queued: 0 });
+
+    expect(providerMessages().filter(message => message.text.includes('works now'))).toHaveLength(1);
+    expect(automationEngine.notifications.getRecord(5001).messages['code-active'].recipients['phone@example.com'])
+      .toMatchObject({ status: 'sent', to: '+971501234567' });
+  });
+
+  test('should fall back to email without a usable phone number', async () => {
+    await book(buildAppointment({ phone: 'n/a', customFields: { 7: { label: 'Contact preference', value: 'SMS' } } }));
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(automationEngine.emailService.getSentEmails()).toHaveLength(1);
+  });
+
+  test('should send the door code by SMS when its email bounces', async () => {
+    const appointment = buildAppointment();
+    automationEngine.emailService.sendBookingConfirmation = jest.fn()
+      .mockRejectedValue(Object.assign(new Error('550 5.1.1 No such user'), { bounced: true }));
+    const fallbackSent = nextPhoneMessage();
+
+    await book(appointment);
+    const fallback = await fallbackSent;
+
+    expect(fallback).toMatchObject({ channel: 'sms', to: '+971501234567' });
+    expect(automationEngine.outbox.get(fallback.meta.fallbackFor)).toMatchObject({ status: 'bounced', to: 'phone@example.com' });
+    expect(automationEngine.emailService.sendBookingConfirmation).toHaveBeenCalledTimes(1);
+    expect(fallback.data.doorCode).toBeUndefined();
+    expect(providerMessages()[0].text).toContain(`Door code ${automationEngine.codeProvisioning.getRecord('5001').code}`);
+
+    const { recipients } = automationEngine.notifications.getRecord(5001).messages.confirmation;
+    expect(recipients['phone@example.com']).toMatchObject({ status: 'sent', to: '+971501234567' });
+    expect(automationEngine.getStaffFollowUps()).toHaveLength(0);
+  });
+
+  test('should apply bounces reported after the email was accepted', async () => {
+    await book(buildAppointment());
+    const fallbackSent = nextPhoneMessage();
+
+    const bounced = await automationEngine.handleEmailBounce('Phone@Example.com', 'Mailbox does not exist');
+
+    expect(bounced).toHaveLength(1);
+    await fallbackSent;
+    expect(bounced[0].data.doorCode).toBeUndefined();
+    expect(providerMessages()[0].text).toContain(`Door code ${automationEngine.codeProvisioning.getRecord('5001').code}`);
+    expect(await automationEngine.handleEmailBounce('someone@example.com', 'Unknown')).toEqual([]);
+  });
+
+  test('should flag the booking for staff when a bounced door code has no phone to go to', async () => {
+    automationEngine.emailService.sendBookingConfirmation = jest.fn()
+      .mockRejectedValue(Object.assign(new Error('550 No such user'), { bounced: true }));
+
+    await book(buildAppointment({ phone: '' }));
+    const [message] = automationEngine.outbox.getMessages('bounced');
+    await automationEngine.handleBounce(message);
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(automationEngine.getStaffFollowUps()[0].reason).toContain('bounced and no phone number');
+  });
+});
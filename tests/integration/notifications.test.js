@@ -0,0 +1,165 @@
+// Integration tests for booking reminders and code-active notices with mock services
+const moment = require('moment-timezone');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  calendar: () => {},
+  eufy: () => {},
+  email: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+// Mock cron to avoid actual scheduling during tests
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  destroy: jest.fn()
+}));
+
+jest.useFakeTimers();
+
+describe('Customer Notifications', () => {
+  let automationEngine;
+
+  const buildAppointment = (startOffsetHours, overrides = {}) => {
+    const startTime = moment().add(startOffsetHours, 'hours');
+    const endTime = startTime.clone().add(30, 'minutes');
+    return {
+      id: 5001,
+      service: 'Traditional Sauna',
+      actualDuration: 30,
+      status: 'approved',
+      startTime,
+      endTime,
+      startTimeFormatted: startTime.format('h:mm A'),
+      endTimeFormatted: endTime.format('h:mm A'),
+      dateFormatted: startTime.format('MMMM Do, YYYY'),
+      customer: { fullName: 'Reminder Guest', email: 'guest@example.com' },
+      ...overrides
+    };
+  };
+
+  const sentTo = (prefix) => automationEngine.emailService.getSentEmails()
+    .filter(email => email.to === 'guest@example.com' && email.subject.startsWith(prefix));
+
+  const runJobsAt = async (time) => {
+    jest.setSystemTime(moment(time).add(1, 'second').toDate());
+    return automationEngine.jobScheduler.run();
+  };
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+
+    const AutomationEngine = require('../../src/services/automationEngine');
+    automationEngine = new AutomationEngine();
+    await automationEngine.eufyService.initialize();
+    await automationEngine.ameliaService.connect();
+  });
+
+  afterEach(() => {
+    automationEngine.activeLockTimers.forEach(timer => clearTimeout(timer));
+  });
+
+  test('should confirm at booking time, then send the reminder and code-active notice', async () => {
+    const appointment = buildAppointment(30);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+
+    expect((await automationEngine.handleBookingWebhook(appointment, 'booking_completed')).outcome).toBe('processed');
+    expect(sentTo('Your Door Code')).toHaveLength(1);
+
+    const doorCode = sentTo('Your Door Code')[0].data.doorCode;
+    let status = automationEngine.notifications.getStatus(5001);
+    expect(status.messages.confirmation.status).toBe('sent');
+    expect(status.messages['reminder-24h'].status).toBe('scheduled');
+    expect(status.messages['code-active'].status).toBe('scheduled');
+
+    await runJobsAt(appointment.startTime.clone().subtract(24, 'hours'));
+    expect(sentTo('Reminder')).toHaveLength(1);
+    expect(sentTo('Reminder')[0].data.doorCode).toBe(doorCode);
+
+    await runJobsAt(appointment.startTime.clone().subtract(15, 'minutes'));
+    expect(sentTo('Your door code is active')).toHaveLength(1);
+
+    status = automationEngine.notifications.getStatus(5001);
+    expect(status.messages['reminder-24h'].recipients['guest@example.com'].status).toBe('sent');
+    expect(status.messages['code-active'].status).toBe('sent');
+  });
+
+  test('should leave out reminders whose time already passed', async () => {
+    const appointment = buildAppointment(3);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    const status = automationEngine.notifications.getStatus(5001);
+    expect(status.messages['reminder-24h']).toBeUndefined();
+    expect(status.messages['code-active'].status).toBe('scheduled');
+  });
+
+  test('should cancel pending messages when the booking is cancelled', async () => {
+    const appointment = buildAppointment(30);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    const cancelled = { ...appointment, status: 'canceled' };
+    automationEngine.ameliaService.mockAppointments = [cancelled];
+    expect((await automationEngine.handleBookingWebhook(cancelled, 'booking_canceled')).outcome).toBe('cancelled');
+
+    await runJobsAt(appointment.startTime.clone().subtract(24, 'hours'));
+
+    const status = automationEngine.notifications.getStatus(5001);
+    expect(sentTo('Reminder')).toHaveLength(0);
+    expect(status.messages['reminder-24h'].status).toBe('cancelled');
+    expect(status.messages['change-cancelled'].status).toBe('sent');
+  });
+
+  test('should record a failed reminder and deliver it on the outbox retry', async () => {
+    const appointment = buildAppointment(30);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    const sendBookingReminder = automationEngine.emailService.sendBookingReminder.bind(automationEngine.emailService);
+    jest.spyOn(automationEngine.emailService, 'sendBookingReminder')
+      .mockRejectedValueOnce(new Error('SMTP unavailable'))
+      .mockImplementation(sendBookingReminder);
+
+    await runJobsAt(appointment.startTime.clone().subtract(24, 'hours'));
+    let reminder = automationEngine.notifications.getStatus(5001).messages['reminder-24h'];
+    expect(reminder.status).toBe('queued');
+    expect(reminder.recipients['guest@example.com'].error).toBe('SMTP unavailable');
+
+    jest.setSystemTime(appointment.startTime.clone().subtract(23, 'hours').toDate());
+    await automationEngine.outbox.run();
+    reminder = automationEngine.notifications.getStatus(5001).messages['reminder-24h'];
+    expect(reminder.status).toBe('sent');
+    expect(sentTo('Reminder')).toHaveLength(1);
+  });
+
+  test('should flag staff when a door code email is dead-lettered', async () => {
+    const { config } = require('../../src/config');
+    jest.spyOn(automationEngine.emailService, 'sendBookingConfirmation').mockRejectedValue(new Error('Mailbox unavailable'));
+
+    const appointment = buildAppointment(2);
+    automationEngine.ameliaService.mockAppointments = [appointment];
+    await automationEngine.handleBookingWebhook(appointment, 'booking_completed');
+
+    // Queued for retry - not a staff problem yet
+    expect(automationEngine.getStaffFollowUps()).toHaveLength(0);
+
+    for (let attempt = 2; attempt <= config.email.maxAttempts; attempt++) {
+      jest.setSystemTime(moment().add(1, 'hour').toDate());
+      await automationEngine.outbox.run();
+    }
+
+    const [followUp] = automationEngine.getStaffFollowUps();
+    expect(followUp).toMatchObject({ appointmentId: 5001, customerEmail: 'guest@example.com' });
+    expect(followUp.reason).toContain('Mailbox unavailable');
+    expect(automationEngine.notifications.getStatus(5001).messages.confirmation.status).toBe('failed');
+    expect(automationEngine.outbox.getMessages('dead')).toHaveLength(1);
+  });
+});
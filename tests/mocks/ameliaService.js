@@ -1,11 +1,13 @@
 const moment = require('moment-timezone');
 const logger = require('../../src/utils/logger');
 const { config } = require('../../src/config');
+const AmeliaService = require('../../src/services/ameliaService');
 
 class MockAmeliaService {
   constructor() {
     this.isConnected = false;
     this.mockAppointments = this.generateMockAppointments();
+    this.mockMemberships = [];
     logger.info('Mock Amelia Service initialized');
   }
 
@@ -133,6 +135,10 @@ class MockAmeliaService {
     return active;
   }
 
+  async getAppointmentsByIds(appointmentIds) {
+    return this.mockAppointments.filter(appointment => appointmentIds.includes(appointment.id));
+  }
+
   async updateAppointmentStatus(appointmentId, status) {
     const appointment = this.mockAppointments.find(apt => apt.id === appointmentId);
     if (appointment) {
@@ -154,6 +160,13 @@ class MockAmeliaService {
     return false;
   }
 
+  /**
+   * Webhook payloads are parsed exactly like the real Amelia service does
+   */
+  processWebhookNotification(webhookData) {
+    return new AmeliaService().processWebhookNotification(webhookData);
+  }
+
   async handleWebhook(payload) {
     // In the mock, we just validate the payload and return the appointment
     if (payload && payload.appointment) {
@@ -174,6 +187,10 @@ class MockAmeliaService {
     };
   }
 
+  async getMemberships() {
+    return this.mockMemberships;
+  }
+
   async getServices() {
     return [
       {
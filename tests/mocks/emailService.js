@@ -24,11 +24,67 @@ class MockEmailService {
     return this.transporter.sendMail(email);
   }
 
+  async sendBookingConfirmation(confirmationData) {
+    const email = {
+      to: confirmationData.customerEmail,
+      subject: `Your Door Code for ${confirmationData.service}`,
+      html: `Hello ${confirmationData.customerName}, your code is ${confirmationData.doorCode}`,
+      data: confirmationData
+    };
+    this.sentEmails.push(email);
+    return this.transporter.sendMail(email);
+  }
+
+  async sendBookingChangeNotice(changeData) {
+    const email = {
+      to: changeData.customerEmail,
+      subject: `Your booking was ${changeData.changeType}: ${changeData.service}`,
+      html: changeData.doorCode ? `Your new code is ${changeData.doorCode}` : 'Your booking was cancelled',
+      data: changeData
+    };
+    this.sentEmails.push(email);
+    return this.transporter.sendMail(email);
+  }
+
+  async sendBookingReminder(reminderData) {
+    const email = {
+      to: reminderData.customerEmail,
+      subject: `Reminder: ${reminderData.service}`,
+      html: `Your session starts at ${reminderData.startTime}, your code is ${reminderData.doorCode}`,
+      data: reminderData
+    };
+    this.sentEmails.push(email);
+    return this.transporter.sendMail(email);
+  }
+
+  async sendCodeActiveNotice(activeData) {
+    const email = {
+      to: activeData.customerEmail,
+      subject: `Your door code is active: ${activeData.service}`,
+      html: `Your code ${activeData.doorCode} works until ${activeData.validUntil}`,
+      data: activeData
+    };
+    this.sentEmails.push(email);
+    return this.transporter.sendMail(email);
+  }
+
+  async sendMembershipCode(membershipData) {
+    const email = {
+      to: membershipData.customerEmail,
+      subject: `Your membership code: ${membershipData.planName}`,
+      html: `Your code ${membershipData.doorCode} works during opening hours`,
+      data: membershipData
+    };
+    this.sentEmails.push(email);
+    return this.transporter.sendMail(email);
+  }
+
   async sendErrorNotification(error, context) {
     const email = {
       to: 'admin@example.com',
       subject: 'Automation Engine Error',
-      html: `Error: ${error.message}`
+      html: `Error: ${error.message}`,
+      data: context
     };
     this.sentEmails.push(email);
     return this.transporter.sendMail(email);
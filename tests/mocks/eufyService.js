@@ -1,10 +1,12 @@
 // Mock Eufy Service for testing without real hardware
+const EventEmitter = require('events');
 const logger = require('../../src/utils/logger');
 const { config } = require('../../src/config');
 
-class MockEufyService {
+class MockEufyService extends EventEmitter {
   constructor() {
-    this.isLocked = true;
+    super();
+    this.locked = true;
     this.isConnected = false;
     this.codes = [];
     
@@ -18,29 +20,32 @@ class MockEufyService {
       return Promise.resolve(true);
     });
     this.unlockDoor = jest.fn().mockImplementation(() => {
-      this.isLocked = false;
-      return Promise.resolve({ success: true, message: 'Mock door unlocked successfully' });
+      this.locked = false;
+      return Promise.resolve(true);
     });
     this.lockDoor = jest.fn().mockImplementation(() => {
-      this.isLocked = true;
-      return Promise.resolve({ success: true, message: 'Mock door locked successfully' });
+      this.locked = true;
+      return Promise.resolve(true);
     });
-    this.addTemporaryCode = jest.fn().mockImplementation((code, name) => {
-      this.codes.push({ code, name });
+    this.isLocked = jest.fn().mockImplementation(() => Promise.resolve(this.locked));
+    this.addTemporaryCode = jest.fn().mockImplementation((code, name, startTime, endTime, serial = null) => {
+      this.codes.push({ code, name, startTime, endTime, serial });
       return Promise.resolve(true);
     });
-    this.removeTemporaryCode = jest.fn().mockImplementation((code, name) => {
-      this.codes = this.codes.filter(c => c.code !== code || c.name !== name);
+    this.removeTemporaryCode = jest.fn().mockImplementation((code, name, serial = null) => {
+      this.codes = this.codes.filter(c => c.code !== code || c.name !== name || c.serial !== serial);
       return Promise.resolve(true);
     });
-    this.listTemporaryCodes = jest.fn().mockResolvedValue(this.codes);
+    this.listTemporaryCodes = jest.fn().mockImplementation((serial = null) => {
+      return Promise.resolve(this.codes.filter(c => c.serial === serial));
+    });
     this.cleanup = jest.fn().mockResolvedValue(true);
   }
 
   getDoorStatus() {
     return Promise.resolve({
       available: true,
-      isLocked: this.isLocked,
+      isLocked: this.locked,
       batteryLevel: 95,
       mockMode: true
     });
@@ -0,0 +1,99 @@
+// Unit tests for signed QR access passes
+const moment = require('moment');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  security: () => {}
+}));
+
+describe('AccessPass', () => {
+  let accessPass;
+  let accessTokenManager;
+
+  const event = (overrides = {}) => ({
+    id: 5300,
+    attendeeEmail: 'jane@example.com',
+    title: 'Ice bath',
+    startTime: moment().add(5, 'minutes'),
+    endTime: moment().add(20, 'minutes'),
+    validFrom: moment().subtract(10, 'minutes'),
+    validUntil: moment().add(25, 'minutes'),
+    locks: ['T8520P-ICE'],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.QR_PASS_SECRET = 'test-pass-secret';
+    process.env.WEB_SERVER_BASE_URL = 'https://door.euphorium.ae';
+    jest.resetModules();
+    accessPass = require('../../src/utils/accessPass');
+    accessTokenManager = require('../../src/utils/accessTokens');
+  });
+
+  afterEach(() => {
+    delete process.env.QR_PASS_SECRET;
+    delete process.env.WEB_SERVER_BASE_URL;
+  });
+
+  test('should issue a signed pass with its image URLs', () => {
+    const pass = accessPass.issue(event());
+
+    expect(pass.code).toMatch(/^EUPASS1\.[0-9a-f]{64}\.[\w-]{22}$/);
+    expect(pass.url).toBe(`https://door.euphorium.ae/access/pass/${pass.code}.png`);
+    expect(pass.svgUrl).toBe(`https://door.euphorium.ae/access/pass/${pass.code}.svg`);
+    expect(pass.cid).toBe('access-pass-5300@euphorium.access');
+    expect(accessPass.verify(pass.code)).toBe(pass.code.split('.')[1]);
+  });
+
+  test('should reject forged, altered and foreign codes', () => {
+    const { code } = accessPass.issue(event());
+    const [, token, signature] = code.split('.');
+    const otherToken = 'a'.repeat(64);
+
+    expect(accessPass.verify(`EUPASS1.${otherToken}.${signature}`)).toBeNull();
+    expect(accessPass.verify(`EUPASS1.${token}.${signature.replace(/^./, signature[0] === 'A' ? 'B' : 'A')}`)).toBeNull();
+    expect(accessPass.verify(token)).toBeNull();
+    expect(accessPass.verify('https://example.com')).toBeNull();
+  });
+
+  test('should only be accepted once', () => {
+    const token = accessPass.verify(accessPass.issue(event()).code);
+
+    expect(accessTokenManager.validateAccessToken(token, { consume: true }).valid).toBe(true);
+    expect(accessTokenManager.validateAccessToken(token, { consume: true })).toMatchObject({ valid: false, reasonCode: 'used' });
+  });
+
+  test('should be accepted again once a failed unlock gives its use back', () => {
+    const token = accessPass.verify(accessPass.issue(event()).code);
+
+    expect(accessTokenManager.releaseAccessToken(token)).toBe(false);
+    accessTokenManager.validateAccessToken(token, { consume: true });
+    expect(accessTokenManager.releaseAccessToken(token)).toBe(true);
+    expect(accessTokenManager.validateAccessToken(token, { consume: true }).valid).toBe(true);
+  });
+
+  test('should render the pass as PNG and SVG', async () => {
+    const { code } = accessPass.issue(event());
+
+    const png = await accessPass.toPng(code);
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+
+    const svg = await accessPass.toSvg(code);
+    expect(svg).toContain('<svg');
+
+    const [attachment] = await accessPass.attachments({ appointmentId: 5300, accessPass: accessPass.issue(event()) });
+    expect(attachment).toMatchObject({ filename: 'access-pass-5300.png', contentType: 'image/png', cid: 'access-pass-5300@euphorium.access' });
+  });
+
+  test('should be off without a signing secret', () => {
+    delete process.env.QR_PASS_SECRET;
+    jest.resetModules();
+    accessPass = require('../../src/utils/accessPass');
+
+    expect(accessPass.issue(event())).toBeNull();
+    expect(accessPass.verify('EUPASS1.abc.def')).toBeNull();
+  });
+});
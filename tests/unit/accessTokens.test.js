@@ -0,0 +1,109 @@
+// Unit tests for magic unlock link tokens
+const moment = require('moment');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+describe('AccessTokenManager', () => {
+  let accessTokenManager;
+  let stateStore;
+
+  const event = (overrides = {}) => ({
+    id: 5200,
+    attendeeEmail: 'jane@example.com',
+    attendeeName: 'Jane Doe',
+    title: 'Traditional Sauna',
+    startTime: moment().add(5, 'minutes'),
+    endTime: moment().add(35, 'minutes'),
+    validFrom: moment().subtract(10, 'minutes'),
+    validUntil: moment().add(40, 'minutes'),
+    locks: ['T8520P-SAUNA'],
+    lockTime: moment().add(40, 'minutes'),
+    locale: 'ar',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.WEB_SERVER_BASE_URL = 'https://door.euphorium.ae/';
+    jest.resetModules();
+    accessTokenManager = require('../../src/utils/accessTokens');
+    stateStore = require('../../src/utils/stateStore');
+  });
+
+  afterEach(() => {
+    delete process.env.WEB_SERVER_BASE_URL;
+  });
+
+  test('should store only a hash of the token and build the unlock URL', () => {
+    const token = accessTokenManager.generateAccessToken(event());
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(stateStore.get('accessTokens', token)).toBeUndefined();
+    expect(stateStore.get('accessTokens', accessTokenManager.hashToken(token))).toMatchObject({
+      appointmentId: 5200,
+      locks: ['T8520P-SAUNA'],
+      locale: 'ar',
+      uses: 0
+    });
+    expect(accessTokenManager.getUnlockUrl(token)).toBe(`https://door.euphorium.ae/access/unlock?token=${token}`);
+  });
+
+  test('should accept a token repeatedly inside its window and count the uses', () => {
+    const token = accessTokenManager.generateAccessToken(event());
+
+    expect(accessTokenManager.validateAccessToken(token).valid).toBe(true);
+    expect(accessTokenManager.validateAccessToken(token).eventData.uses).toBe(0);
+
+    accessTokenManager.validateAccessToken(token, { consume: true });
+    const second = accessTokenManager.validateAccessToken(token, { consume: true });
+
+    expect(second.valid).toBe(true);
+    expect(second.eventData.uses).toBe(2);
+    expect(second.eventData.lastUsedAt).toBeDefined();
+  });
+
+  test('should refuse tokens outside the access window', () => {
+    const early = accessTokenManager.generateAccessToken(event({
+      validFrom: moment().add(1, 'hour'),
+      validUntil: moment().add(2, 'hours')
+    }));
+    const expired = accessTokenManager.generateAccessToken(event({
+      validFrom: moment().subtract(2, 'hours'),
+      validUntil: moment().subtract(1, 'hour')
+    }));
+
+    expect(accessTokenManager.validateAccessToken(early)).toMatchObject({ valid: false, reasonCode: 'too_early' });
+    expect(accessTokenManager.validateAccessToken(expired)).toMatchObject({ valid: false, reasonCode: 'expired' });
+    expect(accessTokenManager.validateAccessToken('f'.repeat(64))).toMatchObject({ valid: false, reasonCode: 'not_found' });
+  });
+
+  test('should revoke the tokens of an appointment or of one customer', () => {
+    const jane = accessTokenManager.generateAccessToken(event());
+    const omar = accessTokenManager.generateAccessToken(event({ attendeeEmail: 'omar@example.com' }));
+    const other = accessTokenManager.generateAccessToken(event({ id: 5201 }));
+
+    expect(accessTokenManager.revokeTokens({ appointmentId: 5200, attendeeEmail: 'jane@example.com' })).toBe(1);
+    expect(accessTokenManager.validateAccessToken(jane)).toMatchObject({ valid: false, reasonCode: 'revoked' });
+    expect(accessTokenManager.validateAccessToken(omar).valid).toBe(true);
+
+    expect(accessTokenManager.revokeTokens({ appointmentId: '5200' })).toBe(1);
+    expect(accessTokenManager.validateAccessToken(omar).reasonCode).toBe('revoked');
+    expect(accessTokenManager.validateAccessToken(other).valid).toBe(true);
+    expect(accessTokenManager.getActiveTokens().map(token => token.appointmentId)).toEqual([5201]);
+  });
+
+  test('should forget tokens a week after their window closed', () => {
+    accessTokenManager.generateAccessToken(event({
+      validFrom: moment().subtract(9, 'days'),
+      validUntil: moment().subtract(8, 'days')
+    }));
+    accessTokenManager.generateAccessToken(event());
+
+    expect(accessTokenManager.cleanup()).toBe(1);
+    expect(stateStore.values('accessTokens')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,106 @@
+// Unit tests for the Amelia REST API booking source
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+jest.mock('mysql2/promise', () => ({ createConnection: jest.fn() }));
+
+describe('AmeliaApiService', () => {
+  let service;
+  let fetchMock;
+  let moment;
+
+  const respond = (status, body) => Promise.resolve({
+    ok: status < 400,
+    status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(body)
+  });
+
+  const apiAppointment = (id, bookingStart, status = 'approved') => ({
+    id,
+    bookingStart,
+    bookingEnd: moment(bookingStart).add(30, 'minutes').toISOString(),
+    status,
+    service: { name: 'Traditional Sauna' },
+    bookings: [{ id: id * 10, status: 'approved', customer: { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' } }]
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.TIMEZONE = 'Asia/Dubai';
+    process.env.AMELIA_API_BASE_URL = 'https://spa.example.com/';
+    process.env.AMELIA_API_KEY = 'api-key';
+    process.env.AMELIA_API_RETRY_DELAY_MS = '0';
+    delete process.env.AMELIA_DB_USER;
+    jest.resetModules();
+
+    moment = require('moment-timezone');
+    fetchMock = jest.spyOn(global, 'fetch').mockImplementation(() => respond(200, { data: { services: [] } }));
+    const AmeliaApiService = require('../../src/services/ameliaApiService');
+    service = new AmeliaApiService();
+  });
+
+  afterEach(() => {
+    fetchMock.mockRestore();
+    delete process.env.AMELIA_API_BASE_URL;
+    delete process.env.AMELIA_API_KEY;
+    delete process.env.AMELIA_API_RETRY_DELAY_MS;
+  });
+
+  test('should connect without database credentials', async () => {
+    expect(await service.connect()).toBe(true);
+    expect(require('mysql2/promise').createConnection).not.toHaveBeenCalled();
+    expect(fetchMock.mock.calls[0][1].headers.Amelia).toBe('api-key');
+  });
+
+  test('should filter appointments by date on the server and follow pages', async () => {
+    const soon = moment().add(3, 'minutes').toISOString();
+    fetchMock.mockImplementation(url => {
+      if (url.includes('page=1')) {
+        return respond(200, { data: { appointments: { today: { appointments: [apiAppointment(1, soon), apiAppointment(2, soon, 'canceled')] } }, count: 3 } });
+      }
+      return respond(200, { data: { appointments: [apiAppointment(3, moment().add(2, 'hours').toISOString())], count: 3 } });
+    });
+
+    const appointments = await service.getAppointmentsStartingSoon(5);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).toContain('call=/api/v1/appointments&dates=');
+    expect(appointments.map(appointment => appointment.id)).toEqual([1]);
+    expect(appointments[0].customer.email).toBe('jane@example.com');
+  });
+
+  test('should retry server errors but not rejected API keys', async () => {
+    fetchMock
+      .mockImplementationOnce(() => respond(503, {}))
+      .mockImplementationOnce(() => Promise.reject(new Error('socket hang up')))
+      .mockImplementationOnce(() => respond(200, { data: { appointment: apiAppointment(7, moment().toISOString()) } }));
+
+    const [appointment] = await service.getAppointmentsByIds([7]);
+    expect(appointment.id).toBe(7);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+
+    fetchMock.mockClear();
+    fetchMock.mockImplementation(() => respond(401, {}));
+    await expect(service.getAppointmentsByIds([7])).rejects.toThrow('rejected the API key');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('should write notes and statuses through the API', async () => {
+    fetchMock.mockImplementation((url, options) => respond(200, options.method === 'GET'
+      ? { data: { appointment: { ...apiAppointment(9, moment().toISOString()), internalNotes: 'Earlier note' } } }
+      : { message: 'ok' }));
+
+    expect(await service.addAppointmentNote(9, 'Door automatically locked')).toBe(true);
+    const [url, options] = fetchMock.mock.calls[1];
+    expect(url).toContain('call=/api/v1/appointments/9');
+    expect(options.method).toBe('POST');
+    expect(JSON.parse(options.body).internalNotes).toMatch(/^Earlier note\n\[.+\] Door automatically locked$/);
+
+    expect(await service.updateAppointmentStatus(9, 'canceled')).toBe(true);
+    expect(fetchMock.mock.calls[2][0]).toContain('call=/api/v1/appointments/status/9');
+  });
+});
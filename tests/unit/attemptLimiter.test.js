@@ -0,0 +1,95 @@
+// Unit tests for door code attempt throttling
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  security: () => {}
+}));
+
+describe('AttemptLimiter', () => {
+  let attemptLimiter;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-06-01T10:00:00Z'));
+    attemptLimiter = require('../../src/utils/attemptLimiter');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const advanceSeconds = (seconds) => jest.setSystemTime(Date.now() + seconds * 1000);
+
+  test('should back off exponentially after failures', () => {
+    expect(attemptLimiter.check('1.1.1.1').allowed).toBe(true);
+
+    attemptLimiter.recordFailure('1.1.1.1');
+    expect(attemptLimiter.check('1.1.1.1')).toMatchObject({ allowed: false, reason: 'backoff', retryAfterSeconds: 2 });
+
+    advanceSeconds(2);
+    attemptLimiter.recordFailure('1.1.1.1');
+    expect(attemptLimiter.check('1.1.1.1').retryAfterSeconds).toBe(4);
+
+    // Other IPs are not affected
+    expect(attemptLimiter.check('2.2.2.2').allowed).toBe(true);
+  });
+
+  test('should lock out an IP after the maximum failures and expire the lockout', () => {
+    let lockout = null;
+    for (let i = 0; i < 5; i++) {
+      lockout = attemptLimiter.recordFailure('1.1.1.1');
+      advanceSeconds(60);
+    }
+
+    expect(lockout).toMatchObject({ scope: 'ip', key: '1.1.1.1', failures: 5 });
+    expect(attemptLimiter.check('1.1.1.1').reason).toBe('lockout');
+    expect(attemptLimiter.getStatus().lockouts).toHaveLength(1);
+
+    advanceSeconds(30 * 60);
+    expect(attemptLimiter.check('1.1.1.1').allowed).toBe(true);
+  });
+
+  test('should lock out everyone when failures across IPs exceed the global limit', () => {
+    let lockout = null;
+    for (let i = 0; i < 30; i++) {
+      lockout = attemptLimiter.recordFailure(`10.0.0.${i}`) || lockout;
+    }
+
+    expect(lockout.scope).toBe('global');
+    expect(attemptLimiter.check('192.168.1.1').reason).toBe('global_lockout');
+  });
+
+  test('should clear lockouts and reset failures after success', () => {
+    for (let i = 0; i < 5; i++) {
+      attemptLimiter.recordFailure('1.1.1.1');
+    }
+
+    expect(attemptLimiter.clearLockout('1.1.1.1')).toBe(true);
+    expect(attemptLimiter.check('1.1.1.1').allowed).toBe(true);
+
+    attemptLimiter.recordFailure('3.3.3.3');
+    attemptLimiter.recordSuccess('3.3.3.3');
+    expect(attemptLimiter.check('3.3.3.3').allowed).toBe(true);
+    expect(attemptLimiter.getStatus().recentFailures.find(entry => entry.key === '3.3.3.3')).toBeUndefined();
+  });
+
+  test('should forget failures, backoffs and lockouts once they run out', () => {
+    for (let i = 0; i < 5; i++) {
+      attemptLimiter.recordFailure('1.1.1.1');
+    }
+    attemptLimiter.recordFailure('2.2.2.2');
+
+    // 1.1.1.1 and global failures, 2.2.2.2's backoff and failures are still current
+    expect(attemptLimiter.prune()).toBe(0);
+
+    advanceSeconds(31 * 60);
+    // Failures of 1.1.1.1, 2.2.2.2 and global, both backoffs and the lockout
+    expect(attemptLimiter.prune()).toBe(6);
+    expect(attemptLimiter.failures.size).toBe(0);
+    expect(attemptLimiter.nextAttemptAt.size).toBe(0);
+    expect(attemptLimiter.getStatus()).toEqual({ lockouts: [], recentFailures: [] });
+  });
+});
@@ -0,0 +1,86 @@
+// Unit tests for the hash-chained audit log
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Mock logger to avoid console output during tests
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+const { AuditLog } = require('../../src/utils/auditLog');
+
+describe('Audit Log Tests', () => {
+  let dataDir;
+  let filePath;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eufy-audit-'));
+    filePath = path.join(dataDir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dataDir);
+  });
+
+  const recordSample = (log) => {
+    log.record({ event: 'door.unlock', channel: 'keypad_code', outcome: 'granted', appointmentId: 1001, customerEmail: 'a@example.com' });
+    log.record({ event: 'door.unlock', channel: 'keypad_code', outcome: 'denied', reason: 'Invalid door code', ip: '1.1.1.1' });
+    log.record({ event: 'door.lock', channel: 'auto_lock', outcome: 'success', appointmentId: 1001 });
+  };
+
+  test('should chain entries and survive a reload', () => {
+    const log = new AuditLog({ filePath, persist: true });
+    recordSample(log);
+
+    const entries = log.query();
+    expect(entries[0].seq).toBe(3);
+    expect(entries[0].prevHash).toBe(entries[1].hash);
+
+    const restored = new AuditLog({ filePath, persist: true });
+    expect(restored.verify()).toMatchObject({ valid: true, entries: 3 });
+
+    const next = restored.record({ event: 'door.unlock', channel: 'api', outcome: 'success', actor: 'admin' });
+    expect(next.seq).toBe(4);
+    expect(restored.verify().valid).toBe(true);
+  });
+
+  test('should detect edited and deleted entries', () => {
+    recordSample(new AuditLog({ filePath, persist: true }));
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+
+    const edited = JSON.parse(lines[1]);
+    edited.outcome = 'granted';
+    fs.writeFileSync(filePath, [lines[0], JSON.stringify(edited), lines[2]].join('\n') + '\n');
+    expect(new AuditLog({ filePath, persist: true }).verify()).toMatchObject({ valid: false, brokenAt: 2 });
+
+    fs.writeFileSync(filePath, [lines[0], lines[2]].join('\n') + '\n');
+    expect(new AuditLog({ filePath, persist: true }).verify()).toMatchObject({ valid: false, brokenAt: 3 });
+  });
+
+  test('should filter by appointment, customer, outcome and channel', () => {
+    const log = new AuditLog({ persist: false });
+    recordSample(log);
+
+    expect(log.query({ appointmentId: 1001 })).toHaveLength(2);
+    expect(log.query({ customer: 'A@EXAMPLE' })).toHaveLength(1);
+    expect(log.query({ outcome: 'denied' })[0].reason).toBe('Invalid door code');
+    expect(log.query({ channel: 'auto_lock' })).toHaveLength(1);
+    expect(log.query({ from: new Date(Date.now() + 60000).toISOString() })).toHaveLength(0);
+    expect(log.query({ limit: 1 })).toHaveLength(1);
+  });
+
+  test('should export CSV with escaped values', () => {
+    const log = new AuditLog({ persist: false });
+    log.record({ event: 'code.added', channel: 'api', outcome: 'success', details: { name: 'Guest, "VIP"' } });
+
+    const csv = log.toCSV(log.query()).trim().split('\n');
+    expect(csv[0]).toBe('seq,timestamp,event,channel,outcome,actor,appointmentId,customerEmail,ip,reason,details,hash');
+    expect(csv[1]).toContain('"{""name"":""Guest, \\""VIP\\""""}"');
+  });
+});
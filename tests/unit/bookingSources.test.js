@@ -0,0 +1,152 @@
+// Unit tests for the ICS and CSV booking sources
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+describe('Booking sources', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.TIMEZONE = 'Asia/Dubai';
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+    jest.resetModules();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.ICS_URL;
+    delete process.env.CSV_FILE;
+  });
+
+  describe('IcsBookingSource', () => {
+    const feed = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:booking_1@example.com',
+      'SUMMARY:Ice bath',
+      'DTSTART:20261018T060000Z',
+      'DTEND:20261018T061500Z',
+      'LOCATION:Cold Room',
+      'ATTENDEE;CN="Doe, Jane";LANGUAGE=ar-AE;PARTSTAT=ACCEPTED:mailto:jane@example.com',
+      'ATTENDEE;CN=Sam Lee;PARTSTAT=DECLINED:mailto:sam@example.com',
+      'DESCRIPTION:Bring a towel\\, please',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:booking-2',
+      'SUMMARY:Traditional',
+      '  Sauna',
+      'DTSTART;TZID=Asia/Dubai:20261018T120000',
+      'DTEND;TZID=Asia/Dubai:20261018T123000',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:all-day',
+      'DTSTART;VALUE=DATE:20261018',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const createSource = () => {
+      const file = path.join(tmpDir, 'bookings.ics');
+      fs.writeFileSync(file, feed);
+      process.env.ICS_URL = file;
+      const IcsBookingSource = require('../../src/services/icsBookingSource');
+      return new IcsBookingSource();
+    };
+
+    test('should parse events into normalized appointments', async () => {
+      const source = createSource();
+      expect(await source.connect()).toBe(true);
+
+      const [iceBath, sauna] = source.appointments;
+      expect(source.appointments).toHaveLength(2);
+      expect(iceBath.id).toMatch(/^ics-[0-9a-f]{12}$/);
+      expect(iceBath.externalId).toBe('booking_1@example.com');
+      expect(iceBath.service).toBe('Ice bath');
+      expect(iceBath.locationId).toBe('Cold Room');
+      expect(iceBath.description).toBe('Bring a towel, please');
+      expect(iceBath.startTime.format('HH:mm')).toBe('10:00');
+      expect(iceBath.actualDuration).toBe(15);
+      expect(iceBath.customers).toHaveLength(1);
+      expect(iceBath.customer.email).toBe('jane@example.com');
+      expect(iceBath.customer.fullName).toBe('Doe, Jane');
+      expect(iceBath.customer.locale).toBe('ar');
+      expect(iceBath.startTimeFormatted).toBe('10:00 AM');
+      expect(iceBath.localized.ar).toEqual({ startTimeFormatted: '10:00 ص', endTimeFormatted: '10:15 ص', dateFormatted: 'الأحد 18 أكتوبر 2026' });
+
+      expect(sauna.service).toBe('Traditional Sauna');
+      expect(sauna.startTime.format('HH:mm')).toBe('12:00');
+      expect(sauna.status).toBe('canceled');
+    });
+
+    test('should only return active appointments in range but find cancelled ones by ID', async () => {
+      const source = createSource();
+      await source.connect();
+      const moment = require('moment-timezone');
+
+      const inRange = await source.getAppointmentsBetween(moment('2026-10-18T00:00:00Z'), moment('2026-10-19T00:00:00Z'));
+      expect(inRange.map(appointment => appointment.service)).toEqual(['Ice bath']);
+
+      const [sauna] = await source.getAppointmentsByIds([source.appointments[1].id]);
+      expect(sauna.status).toBe('canceled');
+    });
+  });
+
+  describe('CsvBookingSource', () => {
+    const createSource = (csv) => {
+      const file = path.join(tmpDir, 'bookings.csv');
+      fs.writeFileSync(file, csv);
+      process.env.CSV_FILE = file;
+      const CsvBookingSource = require('../../src/services/csvBookingSource');
+      return { source: new CsvBookingSource(), file };
+    };
+
+    test('should group rows sharing an id into one group appointment', async () => {
+      const { source } = createSource([
+        'id,service,start,end,status,customer_name,customer_email,customer_phone,location,resources',
+        'B_100,"Communal - Contrast Therapy - Ice Bath & Traditional Sauna",2026-10-18 10:00,2026-10-18 10:30,approved,Jane Doe,jane@example.com,+971501234567,Main,Sauna|Cold plunge',
+        'B_100,"Communal - Contrast Therapy - Ice Bath & Traditional Sauna",2026-10-18 10:00,2026-10-18 10:30,approved,"Lee, Sam",sam@example.com,,Main,Sauna|Cold plunge',
+        'B_101,Ice bath,2026-10-18T11:00:00+04:00,2026-10-18T11:15:00+04:00,canceled,Max Roe,max@example.com,,,'
+      ].join('\n'));
+
+      expect(await source.connect()).toBe(true);
+      const [group, cancelled] = source.appointments;
+
+      expect(source.appointments).toHaveLength(2);
+      expect(group.id).toBe('B_100');
+      expect(group.customers.map(customer => customer.email)).toEqual(['jane@example.com', 'sam@example.com']);
+      expect(group.customers[1].fullName).toBe('Lee, Sam');
+      expect(group.customer.firstName).toBe('Jane');
+      expect(group.resources).toEqual(['Sauna', 'Cold plunge']);
+      expect(group.locationId).toBe('Main');
+      expect(group.startTime.format('YYYY-MM-DD HH:mm')).toBe('2026-10-18 10:00');
+      expect(cancelled.status).toBe('canceled');
+    });
+
+    test('should reload the file when it changes', async () => {
+      const header = 'id,service,start,end,customer_email';
+      const { source, file } = createSource(`${header}\n1,Ice bath,2026-10-18 10:00,2026-10-18 10:15,a@example.com\n`);
+      await source.connect();
+      expect(source.appointments).toHaveLength(1);
+
+      fs.writeFileSync(file, `${header}\n1,Ice bath,2026-10-18 10:00,2026-10-18 10:15,a@example.com\n2,Ice bath,2026-10-18 11:00,2026-10-18 11:15,b@example.com\n`);
+      fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+      const appointments = await source.getAppointmentsByIds(['2']);
+      expect(appointments).toHaveLength(1);
+      expect(appointments[0].customer.email).toBe('b@example.com');
+    });
+
+    test('should reject files without the required columns', async () => {
+      const { source } = createSource('service,start\nIce bath,2026-10-18 10:00\n');
+      expect(await source.connect()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+// Unit tests for iCalendar invites attached to booking emails
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+describe('CalendarInvite', () => {
+  let calendarInvite;
+  const start = moment.tz('2026-10-20 18:00', 'Asia/Dubai');
+  const end = start.clone().add(30, 'minutes');
+
+  const emailData = (calendar, overrides = {}) => ({
+    appointmentId: 4100,
+    service: 'Traditional Sauna',
+    customerName: 'Doe, Jane',
+    customerEmail: 'jane@example.com',
+    doorCode: '4821',
+    startTime: '6:00 PM',
+    locale: 'en',
+    calendar,
+    ...overrides
+  });
+
+  // Undo line folding so assertions can look at whole properties
+  const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.EMAIL_FROM = 'bookings@euphorium.ae';
+    jest.resetModules();
+    calendarInvite = require('../../src/utils/calendarInvite');
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_FROM;
+  });
+
+  test('should build a confirmed event with the door code and alarms', () => {
+    const invite = calendarInvite.issue(4100, 'REQUEST', start, end);
+    expect(invite).toEqual({
+      uid: 'appointment-4100@euphorium.access',
+      sequence: 0,
+      method: 'REQUEST',
+      startTime: '2026-10-20T14:00:00.000Z',
+      endTime: '2026-10-20T14:30:00.000Z'
+    });
+
+    const ics = calendarInvite.build(emailData(invite));
+    const lines = unfold(ics).split('\r\n');
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toEqual(expect.arrayContaining([
+      'METHOD:REQUEST',
+      'UID:appointment-4100@euphorium.access',
+      'SEQUENCE:0',
+      'DTSTART:20261020T140000Z',
+      'DTEND:20261020T143000Z',
+      'SUMMARY:Traditional Sauna at Euphorium',
+      'STATUS:CONFIRMED',
+      'ORGANIZER;CN="Euphorium":mailto:bookings@euphorium.ae',
+      'ATTENDEE;CN="Doe, Jane";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:jane@example.com',
+      'TRIGGER:-PT60M',
+      'TRIGGER:-PT15M'
+    ]));
+    expect(lines.find(line => line.startsWith('DESCRIPTION:Door code'))).toContain('Door code: 4821 - it unlocks the door from 6:00 PM.\\n\\nFind the BRIGHT BLUE DOOR');
+    expect(lines.find(line => line.startsWith('LOCATION:'))).toBe('LOCATION:Euphorium\\, P2 Parking #25\\, Al Sufouh Suites\\, Dubai');
+  });
+
+  test('should fold long lines at 75 octets without splitting characters', () => {
+    const invite = calendarInvite.issue(4100, 'REQUEST', start, end);
+    const ics = calendarInvite.build(emailData(invite, { locale: 'ar' }));
+
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    }
+    expect(unfold(ics)).toContain('SUMMARY:Traditional Sauna في Euphorium');
+  });
+
+  test('should keep the UID and raise the sequence for updates and cancellations', () => {
+    calendarInvite.issue(4100, 'REQUEST', start, end);
+    const moved = calendarInvite.issue(4100, 'REQUEST', start.clone().add(1, 'day'), end.clone().add(1, 'day'));
+    const cancelled = calendarInvite.issue(4100, 'CANCEL', moved.startTime, moved.endTime);
+
+    expect(moved.sequence).toBe(1);
+    expect(cancelled).toMatchObject({ uid: 'appointment-4100@euphorium.access', sequence: 2, method: 'CANCEL' });
+
+    const ics = unfold(calendarInvite.build(emailData(cancelled, { doorCode: null })));
+    expect(ics).toContain('METHOD:CANCEL');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics).toContain('SUMMARY:Cancelled: Traditional Sauna at Euphorium');
+    expect(ics).toContain('DTSTART:20261021T140000Z');
+    expect(ics).not.toContain('BEGIN:VALARM');
+
+    const [attachment] = calendarInvite.attachments(emailData(cancelled));
+    expect(attachment.filename).toBe('booking-4100.ics');
+    expect(attachment.contentType).toBe('text/calendar; charset=utf-8; method=CANCEL');
+    expect(calendarInvite.attachments(emailData(undefined))).toEqual([]);
+  });
+
+  test('should issue nothing when calendar invites are disabled', () => {
+    process.env.CALENDAR_INVITES = 'false';
+    jest.resetModules();
+
+    try {
+      expect(require('../../src/utils/calendarInvite').issue(4100, 'REQUEST', start, end)).toBeNull();
+    } finally {
+      delete process.env.CALENDAR_INVITES;
+    }
+  });
+
+  test('should forget invites of sessions long past', () => {
+    calendarInvite.issue(4100, 'REQUEST', moment().subtract(40, 'days'), moment().subtract(40, 'days').add(30, 'minutes'));
+    calendarInvite.issue(4101, 'REQUEST', start, end);
+
+    expect(calendarInvite.cleanup()).toBe(1);
+    expect(calendarInvite.issue(4100, 'REQUEST', start, end).sequence).toBe(0);
+    expect(calendarInvite.issue(4101, 'REQUEST', start, end).sequence).toBe(1);
+  });
+});
@@ -0,0 +1,125 @@
+// Unit tests for programming appointment door codes onto the lock
+const moment = require('moment-timezone');
+
+// Mock logger to avoid console output during tests
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  eufy: () => {},
+  security: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+const MockEufyService = require('../mocks/eufyService');
+const CodeProvisioningService = require('../../src/services/codeProvisioningService');
+const stateStore = require('../../src/utils/stateStore');
+const { config, parseLockMapping } = require('../../src/config');
+
+describe('Code Provisioning Service Tests', () => {
+  let eufyService;
+  let provisioning;
+  const appointment = {
+    id: 2001,
+    startTime: moment('2024-06-01T10:00:00Z'),
+    endTime: moment('2024-06-01T10:30:00Z')
+  };
+
+  beforeEach(() => {
+    eufyService = new MockEufyService();
+    provisioning = new CodeProvisioningService(eufyService);
+    stateStore.delete('provisionedCodes', '2001');
+  });
+
+  test('should program the code with a start-minus-grace to end-plus-buffer window', async () => {
+    const result = await provisioning.provisionCode(appointment, '4821');
+
+    expect(result.success).toBe(true);
+    expect(eufyService.addTemporaryCode).toHaveBeenCalledWith(
+      '4821',
+      'Amelia #2001',
+      '2024-06-01T09:45:00.000Z',
+      '2024-06-01T10:35:00.000Z',
+      null // Primary lock
+    );
+    expect(stateStore.get('provisionedCodes', '2001').code).toBe('4821');
+  });
+
+  test('should fail when the code cannot be verified on the lock', async () => {
+    eufyService.listTemporaryCodes.mockResolvedValue([]);
+
+    const result = await provisioning.provisionCode(appointment, '4821');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('not found on lock');
+    expect(eufyService.addTemporaryCode).toHaveBeenCalledTimes(2);
+    expect(stateStore.has('provisionedCodes', '2001')).toBe(false);
+  });
+
+  test('should remove expired codes from the lock', async () => {
+    await provisioning.provisionCode(appointment, '4821');
+
+    const removed = await provisioning.removeExpiredCodes();
+
+    expect(removed).toBe(1);
+    expect(eufyService.removeTemporaryCode).toHaveBeenCalledWith('4821', 'Amelia #2001', null);
+    expect(stateStore.has('provisionedCodes', '2001')).toBe(false);
+  });
+
+  test('should revoke every code of a group appointment', async () => {
+    await provisioning.provisionCode(appointment, '4821', '2001-1');
+    await provisioning.provisionCode(appointment, '5932', '2001-2');
+
+    expect(await provisioning.revokeAppointmentCodes(2001)).toBe(2);
+    expect(eufyService.removeTemporaryCode).toHaveBeenCalledWith('5932', 'Amelia #2001-2', null);
+  });
+
+  test('should keep the record when removal fails so it can be retried', async () => {
+    await provisioning.provisionCode(appointment, '4821');
+    eufyService.removeTemporaryCode.mockRejectedValue(new Error('Lock offline'));
+
+    expect(await provisioning.revokeCode('2001')).toBe(false);
+    expect(stateStore.has('provisionedCodes', '2001')).toBe(true);
+  });
+
+  describe('with several mapped locks', () => {
+    const originalMapping = config.locks.mapping;
+
+    beforeEach(() => {
+      config.locks.mapping = parseLockMapping('default=FRONT,SAUNA');
+    });
+
+    afterEach(() => {
+      config.locks.mapping = originalMapping;
+    });
+
+    test('should program and revoke the code on every lock', async () => {
+      const result = await provisioning.provisionCode(appointment, '4821');
+
+      expect(result.serials).toEqual(['FRONT', 'SAUNA']);
+      expect(eufyService.codes.map(c => c.serial)).toEqual(['FRONT', 'SAUNA']);
+
+      expect(await provisioning.revokeCode('2001')).toBe(true);
+      expect(eufyService.codes).toHaveLength(0);
+    });
+
+    test('should roll back programmed locks when another lock fails', async () => {
+      eufyService.addTemporaryCode.mockImplementation((code, name, startTime, endTime, serial) => {
+        if (serial === 'SAUNA') {
+          return Promise.reject(new Error('Lock offline'));
+        }
+        eufyService.codes.push({ code, name, startTime, endTime, serial });
+        return Promise.resolve(true);
+      });
+
+      const result = await provisioning.provisionCode(appointment, '4821');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Lock SAUNA');
+      expect(eufyService.removeTemporaryCode).toHaveBeenCalledWith('4821', 'Amelia #2001', 'FRONT');
+      expect(eufyService.codes).toHaveLength(0);
+      expect(stateStore.has('provisionedCodes', '2001')).toBe(false);
+    });
+  });
+});
@@ -84,6 +84,19 @@ describe('Configuration Tests', () => {
     expect(config.email.port).toBe(465);
   });
 
+  test('should read TRUST_PROXY as a flag, hop count or address list', () => {
+    const load = (value) => {
+      process.env.TRUST_PROXY = value;
+      jest.resetModules();
+      return require('../../src/config/index.js').config.webServer.trustProxy;
+    };
+
+    expect(load('')).toBe(false);
+    expect(load('true')).toBe(true);
+    expect(load('2')).toBe(2);
+    expect(load('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+  });
+
   test('should validate required Eufy credentials', () => {
     process.env.EUFY_USERNAME = 'test@example.com';
     process.env.EUFY_PASSWORD = 'password';
@@ -181,4 +194,16 @@ describe('Configuration Tests', () => {
 
     expect(isTestMode()).toBe(false);
   });
+
+  test('should parse per-service notification schedules', () => {
+    delete require.cache[require.resolve('../../src/config/index.js')];
+    const { parseNotificationSchedule } = require('../../src/config/index.js');
+
+    const schedule = parseNotificationSchedule('default=reminder:24,reminder:2,active; Ice Bath=reminder:3; Chill Club=none');
+
+    expect(schedule.default).toEqual({ reminderHours: [24, 2], codeActive: true });
+    expect(schedule.services['Ice Bath']).toEqual({ reminderHours: [3], codeActive: false });
+    expect(schedule.services['Chill Club']).toEqual({ reminderHours: [], codeActive: false });
+    expect(parseNotificationSchedule('').default).toEqual({ reminderHours: [24], codeActive: true });
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,126 @@
+// Unit tests for the durable email outbox
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+jest.useFakeTimers();
+
+describe('EmailOutbox', () => {
+  let outbox;
+  let emailService;
+
+  const confirmation = { customerEmail: 'guest@example.com', customerName: 'Guest', service: 'Traditional Sauna', doorCode: '4821' };
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+
+    const EmailOutbox = require('../../src/services/emailOutbox');
+    emailService = { sendBookingConfirmation: jest.fn().mockResolvedValue(true) };
+    outbox = new EmailOutbox(emailService);
+  });
+
+  test('should send right away and remember the message', async () => {
+    const sent = jest.fn();
+    outbox.on('sent', sent);
+
+    const message = await outbox.send('sendBookingConfirmation', confirmation, { appointmentId: 1 });
+
+    expect(message).toMatchObject({ status: 'sent', attempts: 1, to: 'guest@example.com' });
+    expect(emailService.sendBookingConfirmation).toHaveBeenCalledWith(confirmation);
+    expect(sent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry with exponential backoff and dead-letter after the attempt limit', async () => {
+    const { config } = require('../../src/config');
+    emailService.sendBookingConfirmation.mockRejectedValue(new Error('SMTP unavailable'));
+    const dead = jest.fn();
+    outbox.on('dead', dead);
+
+    let message = await outbox.send('sendBookingConfirmation', confirmation);
+    expect(message.status).toBe('queued');
+    expect(moment(message.nextAttemptAt).diff(moment(), 'seconds')).toBe(config.email.retryDelaySeconds);
+
+    // Not due yet
+    expect(await outbox.run()).toBe(0);
+
+    for (let attempt = 2; attempt <= config.email.maxAttempts; attempt++) {
+      jest.setSystemTime(moment(outbox.get(message.id).nextAttemptAt).add(1, 'second').toDate());
+      expect(await outbox.run()).toBe(1);
+    }
+
+    message = outbox.get(message.id);
+    expect(message).toMatchObject({ status: 'dead', attempts: config.email.maxAttempts, lastError: 'SMTP unavailable' });
+    expect(dead).toHaveBeenCalledTimes(1);
+    expect(outbox.listMessages('dead')[0].data).toBeUndefined();
+  });
+
+  test('should resend a dead message and cancel a queued one', async () => {
+    emailService.sendBookingConfirmation.mockRejectedValue(new Error('SMTP unavailable'));
+    const first = await outbox.send('sendBookingConfirmation', confirmation);
+    const second = await outbox.send('sendBookingConfirmation', { ...confirmation, customerEmail: 'other@example.com' });
+
+    emailService.sendBookingConfirmation.mockResolvedValue(true);
+    expect((await outbox.resend(first.id)).status).toBe('sent');
+    expect(await outbox.resend(first.id)).toBeNull();
+
+    expect(outbox.cancel(second.id)).toBe(true);
+    jest.setSystemTime(moment().add(1, 'hour').toDate());
+    await outbox.run();
+    expect(outbox.get(second.id).status).toBe('cancelled');
+    expect(emailService.sendBookingConfirmation).toHaveBeenCalledTimes(3);
+  });
+
+  test('should send on the channel of the message to its recipient there', async () => {
+    const EmailOutbox = require('../../src/services/emailOutbox');
+    const sms = { getRecipient: data => data.customerPhone, sendBookingConfirmation: jest.fn().mockResolvedValue({ id: 'sms-1' }) };
+    outbox = new EmailOutbox(emailService, { sms });
+
+    const message = await outbox.send('sendBookingConfirmation', { ...confirmation, customerPhone: '+971501234567' }, { channel: 'sms' });
+
+    expect(message).toMatchObject({ status: 'sent', channel: 'sms', to: '+971501234567' });
+    expect(sms.sendBookingConfirmation).toHaveBeenCalledTimes(1);
+    expect(emailService.sendBookingConfirmation).not.toHaveBeenCalled();
+    await expect(outbox.send('sendBookingConfirmation', confirmation, { channel: 'whatsapp' })).rejects.toThrow('No whatsapp notification channel configured');
+  });
+
+  test('should not retry bounced emails and record bounces reported later', async () => {
+    const bounced = jest.fn();
+    outbox.on('bounced', bounced);
+    emailService.sendBookingConfirmation.mockRejectedValueOnce(Object.assign(new Error('550 No such user'), { bounced: true }));
+
+    const message = await outbox.send('sendBookingConfirmation', confirmation);
+    expect(message).toMatchObject({ status: 'bounced', attempts: 1, lastError: '550 No such user' });
+
+    jest.setSystemTime(moment().add(1, 'day').toDate());
+    expect(await outbox.run()).toBe(0);
+
+    const delivered = await outbox.send('sendBookingConfirmation', confirmation);
+    expect(outbox.markBounced(delivered.id, 'Mailbox full')).toMatchObject({ status: 'bounced', lastError: 'Mailbox full' });
+    expect(outbox.markBounced(delivered.id, 'Mailbox full')).toBeNull();
+    expect(bounced).toHaveBeenCalledTimes(2);
+  });
+
+  test('should look up the door code on every attempt instead of storing it', async () => {
+    const codes = new Map([['1001', '4821']]);
+    outbox.registerAccess('appointment', access => codes.has(access.codeKey) ? { doorCode: codes.get(access.codeKey) } : null);
+    emailService.sendBookingConfirmation.mockRejectedValueOnce(new Error('SMTP unavailable'));
+    const { doorCode, ...data } = confirmation;
+
+    const message = await outbox.send('sendBookingConfirmation', { ...data, access: { kind: 'appointment', codeKey: '1001' } });
+    expect(outbox.get(message.id).data).not.toHaveProperty('doorCode');
+    expect(emailService.sendBookingConfirmation).toHaveBeenLastCalledWith({ ...data, doorCode });
+
+    codes.delete('1001');
+    jest.setSystemTime(moment(message.nextAttemptAt).add(1, 'second').toDate());
+    await outbox.run();
+    expect(outbox.get(message.id)).toMatchObject({ status: 'cancelled', lastError: 'Access was revoked before the message went out' });
+    expect(emailService.sendBookingConfirmation).toHaveBeenCalledTimes(1);
+
+    await expect(outbox.resend(message.id)).resolves.toMatchObject({ status: 'cancelled' });
+  });
+});
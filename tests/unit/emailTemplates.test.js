@@ -0,0 +1,132 @@
+// Unit tests for file-based email templates
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: jest.fn(),
+  warn: () => {}
+}));
+
+describe('EmailTemplates', () => {
+  const { EmailTemplates } = require('../../src/utils/emailTemplates');
+  const defaultDir = path.join(__dirname, '../../templates/email');
+  let dir;
+  let mtime = Date.now();
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+
+  const touch = (file, content) => {
+    write(file, content);
+    // Make sure the edit changes the modification time on coarse filesystems
+    mtime += 5000;
+    fs.utimesSync(path.join(dir, file), new Date(mtime), new Date(mtime));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+    fs.cpSync(defaultDir, dir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should render every shipped template with the sample data', () => {
+    const templates = new EmailTemplates({ dir: defaultDir });
+    templates.load();
+
+    for (const name of templates.getTemplateNames()) {
+      const email = templates.render(name, templates.getSampleData());
+      expect(email.subject).not.toBe('');
+      expect(email.html).toContain('</html>');
+      expect(email.text).not.toMatch(/\{\{|\}\}/);
+    }
+
+    const confirmation = templates.render('booking-confirmation', templates.getSampleData());
+    expect(confirmation.subject).toBe('Welcome to Euphorium! ❄️ - Traditional Sauna');
+    expect(confirmation.html).toContain('https://wa.me/971559021829');
+    expect(confirmation.text).toContain('Door Code: 4821');
+  });
+
+  test('should escape values in HTML and pick the if/else branch', () => {
+    const templates = new EmailTemplates({ dir });
+    templates.load();
+    const data = { ...templates.getSampleData(), customerName: '<b>Sam</b>', cancelled: true };
+
+    const email = templates.render('booking-change', data);
+    expect(email.subject).toBe('Your Euphorium booking was cancelled - Traditional Sauna');
+    expect(email.html).toContain('Hi &lt;b&gt;Sam&lt;/b&gt;,');
+    expect(email.text).toContain('Hi <b>Sam</b>,');
+    expect(email.text).not.toContain('New Door Code');
+
+    const changed = templates.render('booking-change', { ...data, customerName: '', cancelled: false });
+    expect(changed.text).toContain('Hi there,');
+    expect(changed.text).toContain('New Door Code: 4821');
+  });
+
+  test('should render Arabic emails right-to-left with localized times', () => {
+    const templates = new EmailTemplates({ dir: defaultDir });
+    templates.load();
+
+    const email = templates.render('booking-confirmation', templates.getSampleData('ar'));
+    expect(email.subject).toBe('أهلاً بك في Euphorium! ❄️ - Traditional Sauna');
+    expect(email.html).toContain('<html lang="ar" dir="rtl">');
+    expect(email.html).toContain('📱 قبل زيارتك');
+    expect(email.text).toContain('رمز الباب: 4821');
+    expect(email.text).toMatch(/\d{1,2}:\d{2} [صم]/);
+
+    const english = templates.render('booking-confirmation', templates.getSampleData(), { locale: 'en' });
+    expect(english.html).toContain('<html lang="en" dir="ltr">');
+  });
+
+  test('should use service overrides, including partials', () => {
+    write('services/ice-bath/booking-reminder.subject', 'Brr! {{service}} at {{startTime}}\n');
+    write('services/ice-bath/partials/contact.txt', 'Ice bath help: {{venue.whatsapp}}\n');
+    const templates = new EmailTemplates({ dir });
+    templates.load();
+    const data = templates.getSampleData();
+
+    const iceBath = templates.render('booking-reminder', { ...data, service: 'Ice Bath' });
+    expect(iceBath.subject).toBe('Brr! Ice Bath at 10:00 AM');
+    expect(iceBath.text).toContain('Ice bath help: +971-559021829');
+
+    const sauna = templates.render('booking-reminder', data);
+    expect(sauna.subject).toBe('See you soon at Euphorium ❄️ - Traditional Sauna');
+    expect(sauna.text).toContain('Questions? WhatsApp');
+  });
+
+  test('should list every problem when the templates are invalid', () => {
+    fs.unlinkSync(path.join(dir, 'code-active.txt'));
+    write('booking-reminder.html', '{{#if doorCode}}<p>{{doorCode}}</p>');
+    write('booking-change.txt', '{{> signature}}');
+
+    let message = null;
+    try {
+      new EmailTemplates({ dir }).load();
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message).toContain('code-active.txt is missing');
+    expect(message).toContain('booking-reminder.html: "{{#if}}" is not closed');
+    expect(message).toContain('booking-change.txt: partial "signature" not found');
+  });
+
+  test('should pick up edits and keep the last valid templates when an edit breaks them', () => {
+    const logger = require('../../src/utils/logger');
+    const templates = new EmailTemplates({ dir });
+    templates.load();
+
+    touch('code-active.subject', 'Door open for {{customerName}}\n');
+    expect(templates.render('code-active', templates.getSampleData()).subject).toBe('Door open for Sample Guest');
+
+    touch('code-active.subject', 'Door open {{#unless customerName}}\n');
+    expect(templates.render('code-active', templates.getSampleData()).subject).toBe('Door open for Sample Guest');
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('still using the previous ones'), expect.any(Object));
+  });
+});
@@ -0,0 +1,83 @@
+// Unit tests for the local HTTP lock bridge provider
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  security: () => {}
+}));
+
+describe('HttpLockService', () => {
+  let service;
+  let fetchMock;
+
+  const respond = (status, body) => Promise.resolve({
+    ok: status < 400,
+    status,
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body))
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.HTTP_LOCK_BASE_URL = 'http://bridge.local:8080/';
+    process.env.HTTP_LOCK_TOKEN = 'bridge-token';
+    jest.resetModules();
+
+    fetchMock = jest.spyOn(global, 'fetch').mockImplementation(() => respond(200, { locked: true, name: 'Sauna' }));
+    const HttpLockService = require('../../src/services/httpLockService');
+    service = new HttpLockService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+    fetchMock.mockRestore();
+    delete process.env.HTTP_LOCK_BASE_URL;
+    delete process.env.HTTP_LOCK_TOKEN;
+  });
+
+  test('should send authenticated lock commands to the bridge', async () => {
+    await service.initialize(['SAUNA']);
+    await service.lockDoor('SAUNA');
+
+    const [url, options] = fetchMock.mock.calls[1];
+    expect(url).toBe('http://bridge.local:8080/locks/SAUNA/lock');
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer bridge-token');
+    expect(await service.isLocked('SAUNA')).toBe(true);
+  });
+
+  test('should manage temporary codes', async () => {
+    await service.initialize(['SAUNA']);
+    fetchMock.mockImplementation(() => respond(200, [{ code: '4821', name: 'Amelia #1' }]));
+
+    await service.addTemporaryCode('4821', 'Amelia #1', 'from', 'until', 'SAUNA');
+    await service.removeTemporaryCode('4821', 'Amelia #1', 'SAUNA');
+
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ code: '4821', name: 'Amelia #1', startTime: 'from', endTime: 'until' });
+    expect(fetchMock.mock.calls[2][0]).toBe('http://bridge.local:8080/locks/SAUNA/codes/Amelia%20%231');
+    expect(await service.listTemporaryCodes('SAUNA')).toHaveLength(1);
+  });
+
+  test('should surface bridge errors', async () => {
+    await service.initialize(['SAUNA']);
+    fetchMock.mockImplementation(() => respond(503, { message: 'Lock offline' }));
+
+    await expect(service.unlockDoor('SAUNA')).rejects.toThrow('Lock offline');
+  });
+
+  test('should emit polled events once', async () => {
+    await service.initialize(['SAUNA']);
+    const events = [];
+    service.on('lock event', event => events.push(event));
+
+    const later = new Date(Date.now() + 1000).toISOString();
+    fetchMock.mockImplementation(() => respond(200, [
+      { type: 'unlocked_keypad', timestamp: later, user: 'Amelia #1' },
+      { type: 'door_opened', timestamp: later }
+    ]));
+    await service.pollEvents();
+    await service.pollEvents();
+
+    expect(events).toEqual([{ type: 'unlocked_keypad', serial: 'SAUNA', timestamp: later, user: 'Amelia #1', source: 'http' }]);
+    expect(fetchMock.mock.calls[1][0]).toContain('/locks/SAUNA/events?since=');
+  });
+});
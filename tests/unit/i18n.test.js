@@ -0,0 +1,90 @@
+// Unit tests for locale resolution, message catalogs and localized formatting
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+describe('I18n', () => {
+  let i18n;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.TIMEZONE = 'Asia/Dubai';
+    delete process.env.DEFAULT_LOCALE;
+    jest.resetModules();
+    i18n = require('../../src/utils/i18n');
+  });
+
+  afterEach(() => {
+    delete process.env.DEFAULT_LOCALE;
+  });
+
+  test('should map codes, names and aliases to supported locales', () => {
+    expect(i18n.normalize('ar_AE')).toBe('ar');
+    expect(i18n.normalize('ar-ae')).toBe('ar');
+    expect(i18n.normalize('Arabic')).toBe('ar');
+    expect(i18n.normalize('العربية')).toBe('ar');
+    expect(i18n.normalize('en-GB')).toBe('en');
+    expect(i18n.normalize('fr')).toBeNull();
+    expect(i18n.normalize('')).toBeNull();
+  });
+
+  test('should resolve the customer locale from the custom field, then the booking, then the default', () => {
+    const ameliaField = { 4: { label: 'Language', value: 'Arabic', type: 'select' } };
+
+    expect(i18n.resolveCustomerLocale({ customFields: ameliaField, locale: 'en_US' })).toBe('ar');
+    expect(i18n.resolveCustomerLocale({ customFields: { language: 'ar' } })).toBe('ar');
+    expect(i18n.resolveCustomerLocale({ customFields: { 4: { label: 'Language', value: 'Klingon' } }, locale: 'ar_AE' })).toBe('ar');
+    expect(i18n.resolveCustomerLocale({ locale: 'de_DE' })).toBe('en');
+
+    process.env.DEFAULT_LOCALE = 'ar';
+    jest.resetModules();
+    expect(require('../../src/utils/i18n').resolveCustomerLocale({})).toBe('ar');
+  });
+
+  test('should format dates and times per locale with Western digits in Arabic', () => {
+    const start = moment.tz('2026-10-18 18:30', 'Asia/Dubai');
+
+    expect(i18n.formatAppointmentTimes(start, start.clone().add(30, 'minutes'), 'en')).toEqual({
+      startTimeFormatted: '6:30 PM',
+      endTimeFormatted: '7:00 PM',
+      dateFormatted: 'October 18th, 2026'
+    });
+    expect(i18n.formatTime(start, 'ar')).toBe('6:30 م');
+    expect(i18n.formatDate(start, 'ar')).toBe('الأحد 18 أكتوبر 2026');
+    // Loading the Arabic moment locale must not change the global one
+    expect(moment().locale()).toBe('en');
+  });
+
+  test('should fill in placeholders and fall back to English for missing keys', () => {
+    const { I18n } = require('../../src/utils/i18n');
+    const partial = new I18n({
+      catalogs: {
+        en: require('../../src/locales/en'),
+        ar: { ...require('../../src/locales/ar'), messages: { access: { granted: 'تم فتح الباب' } } }
+      }
+    });
+
+    expect(partial.translate('ar', 'access.granted')).toBe('تم فتح الباب');
+    expect(partial.translate('ar', 'access.tooManyAttempts', { retryAfterSeconds: 30 }))
+      .toBe('Too many attempts. Please wait 30 seconds and try again.');
+    expect(partial.messages('ar', { startTime: '10:00' }).confirmation.unlockAt).toBe('Use it to unlock the door at 10:00.');
+    expect(i18n.translate('ar', 'access.lockedOut')).toContain('+971-559021829');
+    expect(i18n.direction('ar')).toBe('rtl');
+    expect(i18n.direction('en')).toBe('ltr');
+  });
+
+  test('should ship the same message keys in every catalog', () => {
+    const keys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) =>
+      typeof value === 'string' ? [`${prefix}${key}`] : keys(value, `${prefix}${key}.`)
+    );
+    const english = keys(require('../../src/locales/en').messages).sort();
+
+    for (const locale of i18n.getLocales()) {
+      expect(keys(require(`../../src/locales/${locale}`).messages).sort()).toEqual(english);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+// Unit tests for the persistent job scheduler
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+jest.useFakeTimers();
+
+describe('JobScheduler', () => {
+  let scheduler;
+  let stateStore;
+  let handler;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+
+    stateStore = require('../../src/utils/stateStore');
+    const JobScheduler = require('../../src/services/jobScheduler');
+    scheduler = new JobScheduler();
+    handler = jest.fn().mockResolvedValue({ sent: true });
+    scheduler.register('test.job', handler);
+  });
+
+  test('should run due jobs once and keep the key handled', async () => {
+    scheduler.schedule({ key: 'a', type: 'test.job', runAt: moment().add(10, 'minutes'), appointmentId: 1 });
+
+    expect(await scheduler.run()).toBe(0);
+
+    jest.setSystemTime(moment().add(11, 'minutes').toDate());
+    expect(await scheduler.run()).toBe(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(scheduler.get('a')).toMatchObject({ status: 'done', result: { sent: true }, attempts: 1 });
+
+    // Scheduling a handled key again is a no-op
+    scheduler.schedule({ key: 'a', type: 'test.job', runAt: moment() });
+    await scheduler.run();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(scheduler.get('a').status).toBe('done');
+  });
+
+  test('should retry failed jobs with a growing delay until the attempt limit', async () => {
+    handler.mockRejectedValue(new Error('SMTP down'));
+    scheduler.schedule({ key: 'b', type: 'test.job', runAt: moment() });
+
+    await scheduler.run();
+    expect(scheduler.get('b')).toMatchObject({ status: 'pending', attempts: 1, lastError: 'SMTP down' });
+    expect(moment(scheduler.get('b').runAt).diff(moment(), 'seconds')).toBe(60);
+
+    jest.setSystemTime(moment().add(1, 'minute').toDate());
+    await scheduler.run();
+    jest.setSystemTime(moment().add(2, 'minutes').toDate());
+    await scheduler.run();
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(scheduler.get('b').status).toBe('failed');
+
+    // A later request arms the failed job again with fresh attempts
+    handler.mockResolvedValue({ sent: true });
+    expect(scheduler.schedule({ key: 'b', type: 'test.job', runAt: moment() })).toMatchObject({ status: 'pending', attempts: 0, lastError: null });
+    await scheduler.run();
+    expect(scheduler.get('b')).toMatchObject({ status: 'done', attempts: 1 });
+  });
+
+  test('should requeue jobs interrupted by a restart and cancel pending jobs per appointment', () => {
+    scheduler.schedule({ key: 'c', type: 'test.job', runAt: moment(), appointmentId: 7 });
+    scheduler.schedule({ key: 'd', type: 'test.job', runAt: moment(), appointmentId: 8 });
+    stateStore.set('scheduledJobs', 'c', { ...scheduler.get('c'), status: 'running' });
+
+    expect(scheduler.recover()).toEqual({ pending: 2, requeued: 1 });
+    expect(scheduler.cancelAppointment(8)).toBe(1);
+    expect(scheduler.get('d').status).toBe('cancelled');
+    expect(scheduler.getJobs('pending').map(job => job.key)).toEqual(['c']);
+  });
+});
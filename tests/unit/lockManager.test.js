@@ -0,0 +1,68 @@
+// Unit tests for routing lock calls to the provider configured per lock
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  eufy: () => {},
+  security: () => {}
+}));
+
+describe('LockManager', () => {
+  let manager;
+  let eufy;
+  let http;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.PRIMARY_LOCK_SERIAL = 'FRONT';
+    process.env.LOCK_MAPPING = 'service:Traditional Sauna=FRONT,SAUNA';
+    process.env.LOCK_PROVIDERS = 'SAUNA=http';
+    jest.resetModules();
+
+    const MockEufyService = require('../mocks/eufyService');
+    const LockManager = require('../../src/services/lockManager');
+    eufy = new MockEufyService();
+    http = new MockEufyService();
+    manager = new LockManager({ eufy, http });
+  });
+
+  afterEach(() => {
+    delete process.env.PRIMARY_LOCK_SERIAL;
+    delete process.env.LOCK_MAPPING;
+    delete process.env.LOCK_PROVIDERS;
+  });
+
+  test('should initialize each provider with its own locks', async () => {
+    await manager.initialize();
+
+    expect(eufy.initialize).toHaveBeenCalledWith(['FRONT']);
+    expect(http.initialize).toHaveBeenCalledWith(['SAUNA']);
+  });
+
+  test('should route calls to the provider of the lock', async () => {
+    await manager.unlockDoor('SAUNA');
+    await manager.addTemporaryCode('4821', 'Amelia #1', 'from', 'until', 'SAUNA');
+    await manager.lockDoor();
+
+    expect(http.unlockDoor).toHaveBeenCalledWith('SAUNA');
+    expect(http.addTemporaryCode).toHaveBeenCalledWith('4821', 'Amelia #1', 'from', 'until', 'SAUNA');
+    expect(eufy.lockDoor).toHaveBeenCalledWith('FRONT');
+    expect(eufy.unlockDoor).not.toHaveBeenCalled();
+  });
+
+  test('should re-emit lock events from every provider', () => {
+    const events = [];
+    manager.on('lock event', event => events.push(event));
+
+    http.emit('lock event', { type: 'jammed', serial: 'SAUNA' });
+
+    expect(events).toEqual([{ type: 'jammed', serial: 'SAUNA' }]);
+  });
+
+  test('should reject locks assigned to an unknown provider', async () => {
+    const { config } = require('../../src/config');
+    config.locks.providers.SAUNA = 'nuki';
+
+    await expect(manager.lockDoor('SAUNA')).rejects.toThrow('Unknown lock provider "nuki"');
+  });
+});
@@ -0,0 +1,43 @@
+// Unit tests for routing appointments to locks
+const { config, parseLockMapping } = require('../../src/config');
+const lockRouter = require('../../src/utils/lockRouter');
+
+describe('Lock Router Tests', () => {
+  const originalMapping = config.locks.mapping;
+  const originalSerial = config.locks.primarySerial;
+
+  afterEach(() => {
+    config.locks.mapping = originalMapping;
+    config.locks.primarySerial = originalSerial;
+  });
+
+  test('should parse service, location, resource and default rules', () => {
+    const mapping = parseLockMapping('service:Sauna Session=T8520A, T8520B; location:3=T8520C;resource:Room 2=T8520D;default=T8520A;bogus');
+
+    expect(mapping.services['Sauna Session']).toEqual(['T8520A', 'T8520B']);
+    expect(mapping.locations['3']).toEqual(['T8520C']);
+    expect(mapping.resources['Room 2']).toEqual(['T8520D']);
+    expect(mapping.default).toEqual(['T8520A']);
+  });
+
+  test('should combine every matching rule without duplicates', () => {
+    config.locks.mapping = parseLockMapping('service:Sauna Session=FRONT,SAUNA;location:3=FRONT;resource:Cold Plunge=PLUNGE');
+
+    const serials = lockRouter.resolveLocks({
+      service: 'Sauna Session',
+      locationId: 3,
+      resources: ['Cold Plunge']
+    });
+
+    expect(serials).toEqual(['FRONT', 'SAUNA', 'PLUNGE']);
+  });
+
+  test('should fall back to the default rule, then the primary lock', () => {
+    config.locks.mapping = parseLockMapping('service:Sauna Session=SAUNA;default=FRONT');
+    expect(lockRouter.resolveLocks({ service: 'Massage' })).toEqual(['FRONT']);
+
+    config.locks.mapping = parseLockMapping('');
+    config.locks.primarySerial = undefined;
+    expect(lockRouter.resolveLocks({ service: 'Massage' })).toEqual([null]);
+  });
+});
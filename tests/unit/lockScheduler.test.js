@@ -0,0 +1,106 @@
+// Unit tests for occupancy-aware auto-lock scheduling
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  security: () => {}
+}));
+
+describe('LockScheduler', () => {
+  let scheduler;
+  let lockVerification;
+  let codeProvisioning;
+  let ameliaService;
+
+  const at = (time) => moment(`2024-06-01T${time}:00Z`);
+
+  const appointment = (id, service, start, end) => ({
+    id,
+    service,
+    startTime: at(start),
+    endTime: at(end)
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    jest.resetModules();
+    jest.useFakeTimers();
+    jest.setSystemTime(at('09:00').toDate());
+
+    const LockScheduler = require('../../src/services/lockScheduler');
+    lockVerification = { lockAndVerify: jest.fn().mockResolvedValue({ locked: true, attempts: 1 }) };
+    codeProvisioning = { revokeAppointmentCodes: jest.fn().mockResolvedValue(1) };
+    ameliaService = { addAppointmentNote: jest.fn().mockResolvedValue(true) };
+    scheduler = new LockScheduler(lockVerification, codeProvisioning, ameliaService);
+  });
+
+  afterEach(() => {
+    scheduler.timers.forEach(timer => clearTimeout(timer));
+    jest.useRealTimers();
+  });
+
+  const lockTime = () => scheduler.getJobs()[0].lockTime;
+
+  test('should lock at session end plus buffer', () => {
+    scheduler.schedule(appointment(1, 'Traditional Sauna', '10:00', '10:30'));
+
+    expect(lockTime()).toBe(at('10:35').toISOString());
+  });
+
+  test('should keep the door open until the last overlapping session ends', async () => {
+    scheduler.schedule(appointment(1, 'Ice bath', '10:00', '10:15'));
+    scheduler.schedule(appointment(2, 'Traditional Sauna', '10:15', '10:45'));
+
+    expect(scheduler.getJobs()).toHaveLength(1);
+    expect(scheduler.getJobs()[0]).toMatchObject({ lockTime: at('10:50').toISOString(), appointmentIds: [1, 2] });
+
+    jest.setSystemTime(at('10:50').toDate());
+    await scheduler.execute(null);
+
+    expect(lockVerification.lockAndVerify).toHaveBeenCalledTimes(1);
+    expect(codeProvisioning.revokeAppointmentCodes).toHaveBeenCalledWith(1);
+    expect(codeProvisioning.revokeAppointmentCodes).toHaveBeenCalledWith(2);
+    expect(ameliaService.addAppointmentNote).toHaveBeenCalledWith(1, expect.stringContaining('after the following session'));
+    expect(scheduler.getJobs()).toHaveLength(0);
+  });
+
+  test('should lock separately between sessions with a gap', async () => {
+    scheduler.schedule(appointment(1, 'Traditional Sauna', '10:00', '10:30'));
+    scheduler.schedule(appointment(2, 'Traditional Sauna', '11:00', '11:30'));
+
+    expect(lockTime()).toBe(at('10:35').toISOString());
+
+    jest.setSystemTime(at('10:35').toDate());
+    await scheduler.execute(null);
+
+    expect(scheduler.getJobs()[0]).toMatchObject({ lockTime: at('11:35').toISOString(), appointmentIds: [2] });
+  });
+
+  test('should recompute when an overlapping session is cancelled', () => {
+    scheduler.schedule(appointment(1, 'Ice bath', '10:00', '10:15'));
+    scheduler.schedule(appointment(2, 'Traditional Sauna', '10:15', '10:45'));
+
+    scheduler.cancel(2);
+
+    expect(scheduler.getJobs()[0]).toMatchObject({ lockTime: at('10:20').toISOString(), appointmentIds: [1] });
+    expect(scheduler.timers.size).toBe(1);
+
+    scheduler.cancel(1);
+    expect(scheduler.getJobs()).toHaveLength(0);
+    expect(scheduler.timers.size).toBe(0);
+  });
+
+  test('should schedule each mapped door on its own', () => {
+    const { config, parseLockMapping } = require('../../src/config');
+    config.locks.mapping = parseLockMapping('service:Traditional Sauna=FRONT,SAUNA;default=FRONT');
+
+    scheduler.schedule(appointment(1, 'Traditional Sauna', '10:00', '10:30'));
+    scheduler.schedule(appointment(2, 'Ice bath', '10:30', '10:45'));
+
+    const jobs = Object.fromEntries(scheduler.getJobs().map(job => [job.serial, job]));
+    expect(jobs.FRONT).toMatchObject({ lockTime: at('10:50').toISOString(), appointmentIds: [1, 2] });
+    expect(jobs.SAUNA).toMatchObject({ lockTime: at('10:35').toISOString(), appointmentIds: [1] });
+  });
+});
@@ -0,0 +1,185 @@
+// Unit tests for Chill Club memberships with a personal door code
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  email: () => {},
+  security: () => {}
+}));
+
+jest.useFakeTimers();
+
+describe('MembershipService', () => {
+  let memberships;
+  let source;
+  let eufyService;
+  let emailService;
+  let jobScheduler;
+  let auditLog;
+
+  // Monday 19 October 2026, 05:00 in Dubai
+  const MONDAY_5AM = moment.tz('2026-10-19 05:00', 'Asia/Dubai');
+  const dubai = (time) => moment.tz(time, 'Asia/Dubai').toISOString();
+  const at = (time) => jest.setSystemTime(moment.tz(time, 'Asia/Dubai').toDate());
+
+  const entry = (overrides = {}) => ({
+    id: 'M-1',
+    plan: 'Chill Club',
+    startsAt: dubai('2026-10-19 00:00'),
+    endsAt: moment.tz('2026-10-21', 'Asia/Dubai').endOf('day').toISOString(),
+    status: 'active',
+    customer: { fullName: 'Layla Member', email: 'layla@example.com', phone: '', locale: 'en' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.TIMEZONE = 'Asia/Dubai';
+    process.env.OPENING_HOURS = 'Daily 06:00-22:00';
+    process.env.MEMBERSHIP_DAILY_QUOTA = '1';
+    process.env.MEMBERSHIP_VISIT_MINUTES = '30';
+    jest.resetModules();
+    jest.setSystemTime(MONDAY_5AM.toDate());
+
+    const MockEufyService = require('../mocks/eufyService');
+    const MockEmailService = require('../mocks/emailService');
+    const CodeProvisioningService = require('../../src/services/codeProvisioningService');
+    const JobScheduler = require('../../src/services/jobScheduler');
+    const EmailOutbox = require('../../src/services/emailOutbox');
+    const MembershipService = require('../../src/services/membershipService');
+    auditLog = require('../../src/utils/auditLog');
+
+    eufyService = new MockEufyService();
+    emailService = new MockEmailService();
+    jobScheduler = new JobScheduler();
+    source = { getMemberships: jest.fn().mockResolvedValue([entry()]) };
+    memberships = new MembershipService(eufyService, new CodeProvisioningService(eufyService), jobScheduler, {
+      source,
+      outbox: new EmailOutbox(emailService),
+      getChannel: () => 'email'
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.TIMEZONE;
+    delete process.env.OPENING_HOURS;
+    delete process.env.MEMBERSHIP_DAILY_QUOTA;
+    delete process.env.MEMBERSHIP_VISIT_MINUTES;
+  });
+
+  test('should give a new member one code for opening hours and email it once', async () => {
+    expect(await memberships.refresh()).toEqual({ added: 1, updated: 0, revoked: 0 });
+
+    const member = memberships.get('M-1');
+    expect(member.code).toMatch(/^\d{6}$/);
+    expect(eufyService.addTemporaryCode).toHaveBeenLastCalledWith(member.code, 'Member #M-1', dubai('2026-10-19 06:00'), dubai('2026-10-19 22:00'), null);
+
+    const welcome = emailService.getSentEmails().filter(email => email.data?.membershipId === 'M-1');
+    expect(welcome).toHaveLength(1);
+    expect(welcome[0].data).toMatchObject({ doorCode: member.code, planName: 'Chill Club', dailyQuota: 1 });
+
+    // The same code moves on to the next day's opening hours
+    at('2026-10-20 22:00');
+    await jobScheduler.run();
+
+    expect(memberships.get('M-1').code).toBe(member.code);
+    expect(eufyService.codes).toEqual([expect.objectContaining({
+      code: member.code,
+      startTime: dubai('2026-10-21 06:00'),
+      endTime: dubai('2026-10-21 22:00')
+    })]);
+    expect(await memberships.refresh()).toEqual({ added: 0, updated: 0, revoked: 0 });
+    expect(emailService.getSentEmails().filter(email => email.data?.membershipId === 'M-1')).toHaveLength(1);
+  });
+
+  test('should keep the code within the membership dates', async () => {
+    source.getMemberships.mockResolvedValue([entry({
+      startsAt: dubai('2026-10-19 09:00'),
+      endsAt: dubai('2026-10-19 18:00')
+    })]);
+    await memberships.refresh();
+
+    expect(eufyService.codes[0]).toMatchObject({ startTime: dubai('2026-10-19 09:00'), endTime: dubai('2026-10-19 18:00') });
+
+    at('2026-10-19 18:00');
+    await jobScheduler.run();
+
+    expect(eufyService.codes).toHaveLength(0);
+    expect(memberships.get('M-1').provisioned).toBeNull();
+  });
+
+  test('should stop the code for the day once the daily quota is used', async () => {
+    await memberships.refresh();
+    const member = memberships.get('M-1');
+
+    at('2026-10-19 07:00');
+    expect(await memberships.recordVisit(member, { timestamp: new Date().toISOString() })).toEqual({ counted: true, visits: 1 });
+
+    // The code works until the visit is over
+    expect(eufyService.codes[0]).toMatchObject({ startTime: dubai('2026-10-19 06:00'), endTime: dubai('2026-10-19 07:30') });
+    expect(auditLog.query({ event: 'membership.quota_reached' })[0]).toMatchObject({ actor: 'Layla Member', reason: '1 of 1 daily visit(s) used' });
+
+    // Coming back in during the same visit does not count
+    at('2026-10-19 07:10');
+    expect(await memberships.recordVisit(memberships.get('M-1'), { timestamp: new Date().toISOString() })).toEqual({ counted: false, visits: 1 });
+
+    at('2026-10-19 07:30');
+    await jobScheduler.run();
+
+    expect(eufyService.codes).toEqual([expect.objectContaining({
+      code: member.code,
+      startTime: dubai('2026-10-20 06:00'),
+      endTime: dubai('2026-10-20 22:00')
+    })]);
+    expect(memberships.getMemberships()[0]).toMatchObject({ visitsToday: 1, code: expect.stringMatching(/^\d{2}\*{4}$/) });
+  });
+
+  test('should revoke memberships that were cancelled or left the source, but not undo staff revocations', async () => {
+    source.getMemberships.mockResolvedValue([entry(), entry({ id: 'M-2', customer: { fullName: 'Omar', email: 'omar@example.com' } })]);
+    await memberships.refresh();
+    expect(eufyService.codes).toHaveLength(2);
+
+    source.getMemberships.mockResolvedValue([entry({ status: 'canceled' })]);
+    expect(await memberships.refresh()).toEqual({ added: 0, updated: 0, revoked: 2 });
+
+    expect(eufyService.codes).toHaveLength(0);
+    expect(memberships.get('M-1')).toMatchObject({ revokedBy: 'membership source', revokedReason: 'Membership canceled' });
+    expect(memberships.get('M-2').revokedReason).toBe('No longer in the membership source');
+
+    // Renewed in the source: a new code
+    source.getMemberships.mockResolvedValue([entry()]);
+    await memberships.refresh();
+    expect(memberships.get('M-1').revokedAt).toBeNull();
+    expect(eufyService.codes).toHaveLength(1);
+
+    // Revoked by staff: stays revoked
+    await memberships.revoke('M-1', 'admin');
+    expect(await memberships.refresh()).toEqual({ added: 0, updated: 0, revoked: 0 });
+    expect(eufyService.codes).toHaveLength(0);
+  });
+
+  test('should read memberships from a CSV export', () => {
+    const CsvMembershipSource = require('../../src/services/csvMembershipSource');
+    const csv = new CsvMembershipSource('unused.csv');
+
+    const [member, cancelled] = csv.parse([
+      'id,name,email,phone,plan,start,end,status,language',
+      'M-1,"Layla Member",layla@example.com,+971501234567,Chill Club Monthly,2026-10-01,2026-10-31,,Arabic',
+      'M-2,Omar,omar@example.com,,,2026-10-01,,cancelled,',
+      'M-3,Broken,broken@example.com,,,not a date,,,'
+    ].join('\n'));
+
+    expect(member).toMatchObject({
+      id: 'M-1',
+      plan: 'Chill Club Monthly',
+      startsAt: dubai('2026-10-01 00:00'),
+      endsAt: moment.tz('2026-10-31', 'Asia/Dubai').endOf('day').toISOString(),
+      status: 'active',
+      customer: { fullName: 'Layla Member', email: 'layla@example.com', locale: 'ar' }
+    });
+    expect(cancelled).toMatchObject({ id: 'M-2', plan: 'Chill Club', endsAt: null, status: 'cancelled' });
+    expect(() => csv.parse('name,start\nLayla,2026-10-01')).toThrow('missing the "id" column');
+  });
+});
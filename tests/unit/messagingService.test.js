@@ -0,0 +1,117 @@
+// Unit tests for the SMS/WhatsApp channel against a local stub provider
+const http = require('http');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+}));
+
+describe('MessagingService', () => {
+  let server;
+  let requests;
+  let reply;
+
+  const reminder = {
+    appointmentId: 42,
+    service: 'Ice Bath',
+    customerPhone: '+971501234567',
+    doorCode: '4821',
+    appointmentDate: 'October 20th, 2026',
+    startTime: '6:00 PM',
+    validFrom: '5:45 PM',
+    locale: 'en'
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.MESSAGING_BASE_URL = `http://127.0.0.1:${server.address().port}/`;
+    process.env.MESSAGING_TOKEN = 'provider-token';
+    jest.resetModules();
+    requests = [];
+    reply = { status: 200, body: { id: 'msg-1', status: 'queued' } };
+  });
+
+  afterEach(() => {
+    delete process.env.MESSAGING_BASE_URL;
+    delete process.env.MESSAGING_TOKEN;
+    delete process.env.PHONE_COUNTRY_CODE;
+  });
+
+  test('should post catalog texts to the provider', async () => {
+    const MessagingService = require('../../src/services/messagingService');
+    const sms = new MessagingService('sms');
+
+    expect(await sms.sendBookingReminder(reminder)).toEqual({ id: 'msg-1', status: 'queued' });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ method: 'POST', url: '/messages' });
+    expect(requests[0].headers.authorization).toBe('Bearer provider-token');
+    expect(requests[0].body).toEqual({
+      channel: 'sms',
+      to: '+971501234567',
+      text: 'Euphorium reminder: Ice Bath on October 20th, 2026 at 6:00 PM. Door code 4821, works from 5:45 PM.',
+      reference: '42'
+    });
+    expect(sms.getRecipient(reminder)).toBe('+971501234567');
+  });
+
+  test('should send WhatsApp messages in the customer language', async () => {
+    const MessagingService = require('../../src/services/messagingService');
+    const whatsapp = new MessagingService('whatsapp');
+
+    await whatsapp.sendBookingChangeNotice({ ...reminder, changeType: 'cancelled', previousDate: 'الأحد 18 أكتوبر 2026', previousStartTime: '6:00 م', locale: 'ar' });
+
+    expect(requests[0].body.channel).toBe('whatsapp');
+    expect(requests[0].body.text).toBe('Euphorium: تم إلغاء جلسة Ice Bath يوم الأحد 18 أكتوبر 2026 في 6:00 م ولم يعد رمز الباب يعمل.');
+  });
+
+  test('should surface provider errors and missing numbers', async () => {
+    const MessagingService = require('../../src/services/messagingService');
+    const sms = new MessagingService('sms');
+    reply = { status: 422, body: { error: 'Number is not reachable' } };
+
+    await expect(sms.sendCodeActiveNotice(reminder)).rejects.toThrow('Number is not reachable');
+    await expect(sms.sendBookingConfirmation({ ...reminder, customerPhone: null })).rejects.toThrow('No phone number');
+    expect(requests).toHaveLength(1);
+    expect(() => new MessagingService('pager')).toThrow('Unknown messaging channel');
+  });
+
+  test('should normalize phone numbers to E.164', () => {
+    const { normalizePhone } = require('../../src/services/messagingService');
+
+    expect(normalizePhone('+971-50-123 4567')).toBe('+971501234567');
+    expect(normalizePhone('050 123 4567')).toBe('+971501234567');
+    expect(normalizePhone('00447911123456')).toBe('+447911123456');
+    expect(normalizePhone('971501234567')).toBe('+971501234567');
+    expect(normalizePhone('(50) 123-4567')).toBe('+971501234567');
+    expect(normalizePhone('n/a')).toBeNull();
+    expect(normalizePhone('123')).toBeNull();
+    expect(normalizePhone('')).toBeNull();
+  });
+
+  test('should only create phone channels when a provider is configured', () => {
+    expect(Object.keys(require('../../src/services/messagingService').createMessagingChannels())).toEqual(['sms', 'whatsapp']);
+
+    delete process.env.MESSAGING_BASE_URL;
+    jest.resetModules();
+    expect(require('../../src/services/messagingService').createMessagingChannels()).toEqual({});
+  });
+});
@@ -0,0 +1,173 @@
+// Unit tests for scheduled staff door codes
+const moment = require('moment-timezone');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  security: () => {}
+}));
+
+jest.useFakeTimers();
+
+describe('StaffAccessService', () => {
+  let staffAccess;
+  let eufyService;
+  let jobScheduler;
+  let auditLog;
+  let emailService;
+  let StaffAccessService;
+
+  // Monday 19 October 2026, 05:00 in Dubai
+  const MONDAY_5AM = moment.tz('2026-10-19 05:00', 'Asia/Dubai');
+  const dubai = (time) => moment.tz(time, 'Asia/Dubai').toISOString();
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.TIMEZONE = 'Asia/Dubai';
+    process.env.STAFF_CODE_ROTATION_DAYS = '7';
+    jest.resetModules();
+    jest.setSystemTime(MONDAY_5AM.toDate());
+
+    const MockEufyService = require('../mocks/eufyService');
+    const CodeProvisioningService = require('../../src/services/codeProvisioningService');
+    const JobScheduler = require('../../src/services/jobScheduler');
+    StaffAccessService = require('../../src/services/staffAccessService');
+    auditLog = require('../../src/utils/auditLog');
+
+    eufyService = new MockEufyService();
+    jobScheduler = new JobScheduler();
+    emailService = { sendErrorNotification: jest.fn().mockResolvedValue(true) };
+    staffAccess = new StaffAccessService(eufyService, new CodeProvisioningService(eufyService), jobScheduler, { emailService });
+  });
+
+  afterEach(() => {
+    delete process.env.TIMEZONE;
+    delete process.env.STAFF_CODE_ROTATION_DAYS;
+  });
+
+  test('should parse weekly schedules', () => {
+    const { parseSchedule } = StaffAccessService;
+
+    expect(parseSchedule('Mon-Sat 06:00-08:00; Sun 7:30-9:00')).toEqual([
+      { days: [1, 2, 3, 4, 5, 6], start: '06:00', end: '08:00' },
+      { days: [7], start: '07:30', end: '09:00' }
+    ]);
+    expect(parseSchedule('Mon–Sat 06:00–08:00')[0].days).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(parseSchedule('Sat-Mon 22:00-02:00')[0].days).toEqual([1, 6, 7]);
+    expect(parseSchedule('Mon,Wed,Fri 18:00-22:00')[0].days).toEqual([1, 3, 5]);
+    expect(parseSchedule('Daily 10:00-11:00')[0].days).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(parseSchedule('10:00-11:00')[0].days).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(parseSchedule([{ days: ['Tue', 4], start: '9:00', end: '10:00' }])).toEqual([{ days: [2, 4], start: '09:00', end: '10:00' }]);
+
+    expect(() => parseSchedule('Funday 06:00-08:00')).toThrow('Unknown day');
+    expect(() => parseSchedule('Mon 25:00-26:00')).toThrow('Invalid time');
+    expect(() => parseSchedule('Mon 06:00')).toThrow('Unreadable schedule entry');
+    expect(() => parseSchedule('')).toThrow('no entries');
+  });
+
+  test('should find the open or next window, including windows past midnight', () => {
+    const { parseSchedule, getNextWindow } = StaffAccessService;
+    const overnight = parseSchedule('Sat 22:00-02:00');
+
+    // Sunday 01:00 is still inside Saturday night's window
+    const open = getNextWindow(overnight, moment.tz('2026-10-25 01:00', 'Asia/Dubai'));
+    expect(open.start.toISOString()).toBe(dubai('2026-10-24 22:00'));
+    expect(open.end.toISOString()).toBe(dubai('2026-10-25 02:00'));
+
+    const next = getNextWindow(overnight, moment.tz('2026-10-25 03:00', 'Asia/Dubai'));
+    expect(next.start.toISOString()).toBe(dubai('2026-10-31 22:00'));
+  });
+
+  test('should put the code on the lock for the next window and move it on after each window', async () => {
+    const { credential, error } = await staffAccess.create({ name: 'Fatima', role: 'cleaner', schedule: 'Mon-Sat 06:00-08:00' }, 'admin');
+
+    expect(error).toBeNull();
+    expect(credential.code).toMatch(/^\d{6}$/);
+    expect(eufyService.addTemporaryCode).toHaveBeenLastCalledWith(
+      credential.code,
+      `Staff #${credential.id}`,
+      dubai('2026-10-19 06:00'),
+      dubai('2026-10-19 08:00'),
+      null
+    );
+    expect(jobScheduler.get(credential.syncJob)).toMatchObject({ status: 'pending', runAt: dubai('2026-10-19 08:00') });
+
+    // After Saturday's window comes Monday's
+    jest.setSystemTime(moment.tz('2026-10-24 08:00', 'Asia/Dubai').toDate());
+    await staffAccess.sync(credential.id);
+
+    expect(eufyService.codes).toEqual([expect.objectContaining({
+      code: credential.code,
+      startTime: dubai('2026-10-26 06:00'),
+      endTime: dubai('2026-10-26 08:00')
+    })]);
+  });
+
+  test('should rotate a due code between windows and audit it under the staff member', async () => {
+    const { credential } = await staffAccess.create({ name: 'Fatima', role: 'cleaner', schedule: 'Mon-Sat 06:00-08:00' }, 'admin');
+
+    jest.setSystemTime(moment.tz('2026-10-26 08:00', 'Asia/Dubai').toDate());
+    await jobScheduler.run();
+
+    const rotated = staffAccess.get(credential.id);
+    expect(rotated.code).not.toBe(credential.code);
+    expect(rotated.rotateAt).toBe(moment.tz('2026-11-02 08:00', 'Asia/Dubai').toISOString());
+    expect(eufyService.codes.map(code => code.code)).toEqual([rotated.code]);
+    expect(auditLog.query({ event: 'staff.rotated' })[0]).toMatchObject({ actor: 'Fatima', channel: 'automation' });
+
+    // Admins hear about it, without the code
+    expect(emailService.sendErrorNotification).toHaveBeenCalledTimes(1);
+    const [error, context] = emailService.sendErrorNotification.mock.calls[0];
+    expect(error.message).toContain('Fatima');
+    expect(context).toMatchObject({ context: 'Staff Code Rotated', staffId: credential.id, lookup: `GET /admin/staff/${credential.id}` });
+    expect(JSON.stringify(context)).not.toContain(rotated.code);
+  });
+
+  test('should keep retrying a rotation alert that could not be sent', async () => {
+    const { credential } = await staffAccess.create({ name: 'Fatima', role: 'cleaner', schedule: 'Mon-Sat 06:00-08:00' }, 'admin');
+    emailService.sendErrorNotification.mockResolvedValueOnce(undefined).mockRejectedValueOnce(new Error('SMTP down'));
+
+    jest.setSystemTime(moment.tz('2026-10-26 08:00', 'Asia/Dubai').toDate());
+    await jobScheduler.run();
+    expect(staffAccess.get(credential.id).rotationAlertPending).toBe(true);
+
+    await staffAccess.cleanup();
+    expect(staffAccess.get(credential.id).rotationAlertPending).toBe(true);
+
+    await staffAccess.cleanup();
+    expect(staffAccess.get(credential.id).rotationAlertPending).toBe(false);
+    expect(emailService.sendErrorNotification).toHaveBeenCalledTimes(3);
+  });
+
+  test('should revoke a code instantly and stop syncing it', async () => {
+    const { credential } = await staffAccess.create({ name: 'Omar', role: 'therapist', schedule: 'Daily 04:00-23:00' }, 'admin');
+    expect(eufyService.codes).toHaveLength(1);
+
+    const { removedFromLock } = await staffAccess.revoke(credential.id, 'admin');
+
+    expect(removedFromLock).toBe(true);
+    expect(eufyService.codes).toHaveLength(0);
+    expect(jobScheduler.get(credential.syncJob).status).toBe('cancelled');
+    expect(await staffAccess.sync(credential.id)).toEqual({ skipped: true });
+    expect(staffAccess.findByCodeName(`Staff #${credential.id}`).name).toBe('Omar');
+    expect(staffAccess.getCredentials()[0]).toMatchObject({ name: 'Omar', code: expect.stringMatching(/^\d{2}\*{4}$/) });
+  });
+
+  test('should keep retrying when the lock cannot be reached', async () => {
+    // Both provisioning attempts fail, the scheduler's retry succeeds
+    eufyService.addTemporaryCode
+      .mockRejectedValueOnce(new Error('Lock offline'))
+      .mockRejectedValueOnce(new Error('Lock offline'));
+
+    const { credential, error } = await staffAccess.create({ name: 'Fatima', schedule: 'Mon-Sat 06:00-08:00' }, 'admin');
+
+    expect(error).toBe('Lock offline');
+    expect(credential.provisioned).toBeNull();
+
+    jest.setSystemTime(moment().add(10, 'minutes').toDate());
+    await jobScheduler.run();
+
+    expect(staffAccess.get(credential.id).provisioned).toMatchObject({ validFrom: dubai('2026-10-19 06:00') });
+  });
+});
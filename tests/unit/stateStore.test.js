@@ -0,0 +1,80 @@
+// Unit tests for the persistent state store
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Mock logger to avoid console output during tests
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {}
+};
+
+jest.mock('../../src/utils/logger', () => mockLogger);
+
+const { StateStore } = require('../../src/utils/stateStore');
+
+describe('State Store Tests', () => {
+  let dataDir;
+  let filePath;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eufy-state-'));
+    filePath = path.join(dataDir, 'state.jsonl');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dataDir);
+  });
+
+  test('should persist values and replay them in a new store', () => {
+    const store = new StateStore({ filePath, persist: true });
+    store.set('doorCodes', '1001', { code: '4821' });
+    store.set('lockJobs', 1001, { lockTime: '2024-01-01T10:00:00.000Z' });
+
+    const restored = new StateStore({ filePath, persist: true });
+    expect(restored.get('doorCodes', '1001')).toEqual({ code: '4821' });
+    expect(restored.get('lockJobs', 1001).lockTime).toBe('2024-01-01T10:00:00.000Z');
+  });
+
+  test('should replay deletions', () => {
+    const store = new StateStore({ filePath, persist: true });
+    store.set('processedAppointments', '1001_1700000000', { processedAt: 'now' });
+    store.delete('processedAppointments', '1001_1700000000');
+
+    const restored = new StateStore({ filePath, persist: true });
+    expect(restored.has('processedAppointments', '1001_1700000000')).toBe(false);
+    expect(restored.entries('processedAppointments')).toHaveLength(0);
+  });
+
+  test('should skip a torn last line and keep earlier entries', () => {
+    const store = new StateStore({ filePath, persist: true });
+    store.set('doorCodes', 'a', { code: '1357' });
+    fs.appendFileSync(filePath, '{"op":"set","c":"doorCodes","k":"b","v":');
+
+    const restored = new StateStore({ filePath, persist: true });
+    expect(restored.get('doorCodes', 'a')).toEqual({ code: '1357' });
+    expect(restored.has('doorCodes', 'b')).toBe(false);
+  });
+
+  test('should compact the journal once it grows past the threshold', () => {
+    const store = new StateStore({ filePath, persist: true, compactThreshold: 10 });
+    for (let i = 0; i < 20; i++) {
+      store.set('lockJobs', 'same-key', { attempt: i });
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    expect(lines.length).toBeLessThan(20);
+
+    const restored = new StateStore({ filePath, persist: true });
+    expect(restored.get('lockJobs', 'same-key')).toEqual({ attempt: 19 });
+  });
+
+  test('should not touch the disk when persistence is disabled', () => {
+    const store = new StateStore({ filePath, persist: false });
+    store.set('doorCodes', 'x', { code: '2468' });
+
+    expect(store.get('doorCodes', 'x')).toEqual({ code: '2468' });
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});